@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Exotel Backfill Script
+ * Imports calls from Exotel's Call Details API that never reached the webhook
+ *
+ * Usage:
+ *   npm run backfill:exotel -- --from 2024-01-01 --to 2024-01-07
+ *   npm run backfill:exotel -- --from 2024-01-01 --to 2024-01-07 --dry-run
+ *   npm run backfill:exotel -- --resume "/v1/Accounts/.../Calls.json?..."
+ */
+
+require("dotenv").config();
+
+const { ExotelBackfill } = require("../src/services");
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv
+ * @returns {Object}
+ */
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--dry-run") args.dryRun = true;
+    else if (arg === "--from") args.startDate = argv[++i];
+    else if (arg === "--to") args.endDate = argv[++i];
+    else if (arg === "--org") args.orgId = argv[++i];
+    else if (arg === "--max-pages") args.maxPages = parseInt(argv[++i]);
+    else if (arg === "--resume") args.pageUri = argv[++i];
+  }
+  return args;
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.pageUri && (!args.startDate || !args.endDate)) {
+    console.error("Usage: npm run backfill:exotel -- --from <date> --to <date> [--dry-run] [--org <id>] [--max-pages <n>]");
+    console.error("       npm run backfill:exotel -- --resume <NextPageUri>");
+    process.exit(1);
+  }
+
+  // A bare end date covers the whole day
+  if (args.endDate && /^\d{4}-\d{2}-\d{2}$/.test(args.endDate)) {
+    args.endDate = `${args.endDate}T23:59:59`;
+  }
+
+  console.log("\n📞 Exotel Backfill");
+  console.log(`   Range: ${args.startDate || "(resumed)"} → ${args.endDate || "(resumed)"}`);
+  if (args.dryRun) console.log("   Mode: dry run (no calls will be created)");
+
+  const summary = await ExotelBackfill.backfill(args);
+
+  console.log("\n📊 Summary");
+  console.log(`   Pages fetched:      ${summary.pages}`);
+  console.log(`   Calls fetched:      ${summary.fetched}`);
+  console.log(`   Already present:    ${summary.existing}`);
+  console.log(`   ${(args.dryRun ? "Would import:" : "Imported:").padEnd(20)}${summary.created}`);
+  console.log(`   ${(args.dryRun ? "Would track:" : "Tracked:").padEnd(20)}${summary.tracked}`);
+  console.log(`   Skipped:            ${summary.skipped}`);
+  console.log(`   Failed:             ${summary.failed}`);
+
+  for (const { callSid, error } of summary.errors) {
+    console.log(`   ❌ ${callSid}: ${error}`);
+  }
+
+  if (summary.nextPageUri) {
+    console.log(`\n⚠️  Stopped early${summary.error ? `: ${summary.error}` : ""}`);
+    console.log(`   Resume with: npm run backfill:exotel -- --resume "${summary.nextPageUri}"`);
+  }
+
+  process.exit(summary.error || summary.failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error("❌ Backfill failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Bulk Recording Import Script
+ * Imports a directory or ZIP of archived recordings into the pipeline
+ *
+ * Usage:
+ *   npm run import:recordings -- ./archive.zip
+ *   npm run import:recordings -- ./recordings --manifest ./manifest.csv --rate 10
+ *   npm run import:recordings -- --resume <jobId>
+ *   npm run import:recordings -- --status <jobId>
+ *
+ * Manifest columns (all optional except file):
+ *   file, agent_id, recorded_at, customer_number, direction, duration_seconds
+ */
+
+require("dotenv").config();
+
+const { BulkImport } = require("../src/services");
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv
+ * @returns {Object}
+ */
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--manifest") args.manifestPath = argv[++i];
+    else if (arg === "--rate") args.ratePerMinute = parseInt(argv[++i]);
+    else if (arg === "--org") args.orgId = argv[++i];
+    else if (arg === "--direction") args.defaultDirection = argv[++i];
+    else if (arg === "--resume") args.resume = argv[++i];
+    else if (arg === "--status") args.status = argv[++i];
+    else if (!arg.startsWith("--")) args.sourcePath = arg;
+  }
+  return args;
+};
+
+/**
+ * Print a progress report
+ * @param {Object} progress - Progress report from BulkImport.getProgress
+ */
+const printSummary = (progress) => {
+  console.log("\n📊 Import Progress");
+  console.log(`   Job:       ${progress.jobId}`);
+  console.log(`   Status:    ${progress.status}`);
+  console.log(`   Processed: ${progress.processed}/${progress.total} (${progress.percent}%)`);
+  console.log(`   Created:   ${progress.created}`);
+  console.log(`   Skipped:   ${progress.skipped}`);
+  console.log(`   Failed:    ${progress.failed}`);
+
+  for (const { file, error } of progress.errors.slice(-10)) {
+    console.log(`   ❌ ${file}: ${error}`);
+  }
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.status) {
+    const job = BulkImport.getJob(args.status);
+    if (!job) {
+      console.error(`❌ Import job not found: ${args.status}`);
+      process.exit(1);
+    }
+    printSummary(job.progress);
+    process.exit(0);
+  }
+
+  if (!args.resume && !args.sourcePath) {
+    console.error("Usage: npm run import:recordings -- <directory|zip> [--manifest <csv>] [--rate <per-minute>] [--org <id>] [--direction <incoming|outgoing>]");
+    console.error("       npm run import:recordings -- --resume <jobId>");
+    console.error("       npm run import:recordings -- --status <jobId>");
+    process.exit(1);
+  }
+
+  const job = args.resume ? BulkImport.getJob(args.resume) : BulkImport.createJob(args);
+  if (!job) {
+    console.error(`❌ Import job not found: ${args.resume}`);
+    process.exit(1);
+  }
+
+  console.log(`\n📦 ${args.resume ? "Resuming" : "Starting"} import ${job.id}`);
+  console.log(`   Source: ${job.source_path} (${job.source_type})`);
+  console.log(`   Rate:   ${job.options.ratePerMinute} recordings/minute`);
+
+  // Ctrl+C pauses after the current file so the import can be resumed later
+  process.on("SIGINT", () => {
+    console.log("\n⏸️  Pausing after the current file...");
+    try {
+      BulkImport.pauseJob(job.id);
+    } catch (error) {
+      process.exit(1);
+    }
+  });
+
+  const progress = await BulkImport.runJob(job.id, {
+    onProgress: (report, file) => {
+      console.log(`   [${report.processed}/${report.total}] ${report.percent}% ${file.relativePath}`);
+    },
+  });
+
+  printSummary(progress);
+
+  if (progress.status !== "completed") {
+    console.log(`\n   Resume with: npm run import:recordings -- --resume ${job.id}`);
+  }
+
+  process.exit(progress.failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error("❌ Import failed:", error.message);
+  process.exit(1);
+});
@@ -165,11 +165,209 @@ try {
     );
   `);
 
+  // Raw webhook event log (every delivery, for auditing and replay)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      id TEXT PRIMARY KEY,
+      provider TEXT NOT NULL,
+      call_sid TEXT,
+      payload TEXT,
+      headers TEXT,
+      source_ip TEXT,
+      outcome TEXT DEFAULT 'received',
+      call_id TEXT,
+      response_status INTEGER,
+      response_body TEXT,
+      error_message TEXT,
+      replay_count INTEGER DEFAULT 0,
+      last_replayed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME
+    );
+  `);
+
+  // Webhook idempotency keys (one per provider and CallSid)
+  // Holds the processing lock while a delivery is handled, then the original
+  // response, which duplicate deliveries receive until the key expires
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_idempotency_keys (
+      key TEXT PRIMARY KEY,
+      provider TEXT NOT NULL,
+      call_sid TEXT NOT NULL,
+      status TEXT CHECK(status IN ('processing', 'completed')) DEFAULT 'processing',
+      call_id TEXT,
+      response_status INTEGER,
+      response_body TEXT,
+      locked_until DATETIME,
+      expires_at DATETIME NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME
+    );
+  `);
+
+  // Bulk recording imports (cursor allows interrupted imports to resume)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS import_jobs (
+      id TEXT PRIMARY KEY,
+      org_id TEXT NOT NULL,
+      source_path TEXT NOT NULL,
+      source_type TEXT CHECK(source_type IN ('directory', 'zip')),
+      manifest_path TEXT,
+      status TEXT CHECK(status IN ('pending', 'running', 'paused', 'completed', 'failed')) DEFAULT 'pending',
+      options TEXT,
+      total_files INTEGER DEFAULT 0,
+      cursor INTEGER DEFAULT 0,
+      created_count INTEGER DEFAULT 0,
+      skipped_count INTEGER DEFAULT 0,
+      failed_count INTEGER DEFAULT 0,
+      errors TEXT,
+      error_message TEXT,
+      started_at DATETIME,
+      completed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME
+    );
+  `);
+
+  // Retention purge audit log (one row per deleted recording or redacted transcript)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS retention_audit_log (
+      id TEXT PRIMARY KEY,
+      run_id TEXT NOT NULL,
+      org_id TEXT NOT NULL,
+      call_id TEXT,
+      action TEXT CHECK(action IN ('delete_audio', 'redact_transcript')),
+      status TEXT CHECK(status IN ('completed', 'dry_run', 'failed')),
+      details TEXT,
+      error_message TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Audio metrics (silence, hold and talk-over measured from the recording)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS call_audio_metrics (
+      id TEXT PRIMARY KEY,
+      call_id TEXT NOT NULL UNIQUE,
+      source TEXT CHECK(source IN ('waveform', 'segments')),
+      duration_seconds REAL,
+      channels INTEGER,
+      silence_count INTEGER DEFAULT 0,
+      total_silence_seconds REAL DEFAULT 0,
+      longest_silence_seconds REAL DEFAULT 0,
+      hold_count INTEGER DEFAULT 0,
+      hold_seconds REAL DEFAULT 0,
+      dead_air_seconds REAL DEFAULT 0,
+      silence_ratio REAL DEFAULT 0,
+      talk_over_count INTEGER,
+      talk_over_seconds REAL,
+      talk_over_source TEXT,
+      silence_segments TEXT,
+      alerts TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (call_id) REFERENCES calls(id)
+    );
+  `);
+
+  // Storage usage: one row per stored file, and running totals per organization and category
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS storage_objects (
+      key TEXT PRIMARY KEY,
+      org_id TEXT NOT NULL,
+      category TEXT CHECK(category IN ('audio', 'exports')),
+      size_bytes INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS storage_usage (
+      org_id TEXT NOT NULL,
+      category TEXT CHECK(category IN ('audio', 'exports')),
+      bytes_used INTEGER NOT NULL DEFAULT 0,
+      file_count INTEGER NOT NULL DEFAULT 0,
+      bytes_written INTEGER NOT NULL DEFAULT 0,
+      bytes_deleted INTEGER NOT NULL DEFAULT 0,
+      quota_notified_at DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (org_id, category)
+    );
+  `);
+
+  // Column migrations for databases created by earlier versions
+  // CREATE TABLE IF NOT EXISTS does not alter existing tables, so new columns
+  // are added here and applied to both fresh and existing databases
+  const addColumnIfMissing = (table, column, definition) => {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some((c) => c.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`✓ Added column ${table}.${column}`);
+    }
+  };
+
+  const columnMigrations = [
+    // Pipeline retry tracking
+    ["calls", "retry_count", "INTEGER DEFAULT 0"],
+    ["calls", "last_retry_at", "DATETIME"],
+    ["calls", "last_error", "TEXT"],
+    // Agent attribution
+    ["users", "phone_number", "TEXT"],
+    ["users", "exophone", "TEXT"],
+    ["calls", "agent_attribution", "TEXT"],
+    // Call source (exotel, exotel_backfill, twilio, knowlarity, mock, upload, import)
+    ["calls", "source", "TEXT DEFAULT 'exotel'"],
+    // Reference to the originating file for imported calls
+    ["calls", "source_ref", "TEXT"],
+    // Download job claimed once per call (idempotent webhooks)
+    ["calls", "download_queued_at", "DATETIME"],
+    ["calls", "download_job_id", "TEXT"],
+    // CRM lead matched by phone number
+    ["calls", "lead_id", "TEXT"],
+    ["calls", "lead_name", "TEXT"],
+    ["calls", "lead_organization_type", "TEXT"],
+    ["calls", "lead_city", "TEXT"],
+    ["calls", "lead_enquiry_source", "TEXT"],
+    ["calls", "lead_crm", "TEXT"],
+    ["calls", "lead_looked_up_at", "DATETIME"],
+    // Key of the call audio in the configured storage adapter
+    ["calls", "audio_storage_key", "TEXT"],
+    // Audio details detected after download
+    ["calls", "audio_format", "TEXT"],
+    ["calls", "audio_codec", "TEXT"],
+    ["calls", "audio_duration_seconds", "REAL"],
+    ["calls", "audio_sample_rate", "INTEGER"],
+    ["calls", "audio_channels", "INTEGER"],
+    ["calls", "audio_size_bytes", "INTEGER"],
+    ["calls", "audio_sha256", "TEXT"],
+    // Retention purge
+    ["calls", "audio_purged_at", "DATETIME"],
+    ["transcripts", "redacted_at", "DATETIME"],
+    // Transcription provider failover: model of the provider that succeeded, every provider tried
+    ["transcripts", "stt_model", "TEXT"],
+    ["transcripts", "stt_attempts", "TEXT"],
+    // Language-aware provider routing: agent's expected language, routing decision per transcript
+    ["users", "language", "TEXT"],
+    ["transcripts", "stt_routing", "TEXT"],
+    // Ensemble consensus: per-provider candidates, provider agreement and the low-agreement flag
+    ["transcripts", "stt_candidates", "TEXT"],
+    ["transcripts", "stt_agreement", "REAL"],
+    ["transcripts", "stt_low_agreement", "INTEGER DEFAULT 0"],
+  ];
+
+  for (const [table, column, definition] of columnMigrations) {
+    addColumnIfMissing(table, column, definition);
+  }
+
   // Create indexes for performance
   db.exec(`
     CREATE INDEX IF NOT EXISTS idx_calls_org_id ON calls(org_id);
     CREATE INDEX IF NOT EXISTS idx_calls_status ON calls(status);
     CREATE INDEX IF NOT EXISTS idx_calls_created_at ON calls(created_at);
+    CREATE INDEX IF NOT EXISTS idx_calls_agent_id ON calls(agent_id);
+    CREATE INDEX IF NOT EXISTS idx_calls_source ON calls(source);
+    CREATE INDEX IF NOT EXISTS idx_calls_source_ref ON calls(source_ref);
     CREATE INDEX IF NOT EXISTS idx_transcripts_call_id ON transcripts(call_id);
     CREATE INDEX IF NOT EXISTS idx_analyses_call_id ON analyses(call_id);
     CREATE INDEX IF NOT EXISTS idx_analyses_overall_score ON analyses(overall_score);
@@ -177,6 +375,14 @@ try {
     CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id);
     CREATE INDEX IF NOT EXISTS idx_notifications_status ON notifications(status);
     CREATE INDEX IF NOT EXISTS idx_notifications_created_at ON notifications(created_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_events_call_sid ON webhook_events(call_sid);
+    CREATE INDEX IF NOT EXISTS idx_webhook_events_outcome ON webhook_events(outcome);
+    CREATE INDEX IF NOT EXISTS idx_webhook_events_created_at ON webhook_events(created_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_idempotency_keys_expires_at ON webhook_idempotency_keys(expires_at);
+    CREATE INDEX IF NOT EXISTS idx_retention_audit_log_run_id ON retention_audit_log(run_id);
+    CREATE INDEX IF NOT EXISTS idx_retention_audit_log_call_id ON retention_audit_log(call_id);
+    CREATE INDEX IF NOT EXISTS idx_retention_audit_log_created_at ON retention_audit_log(created_at);
+    CREATE INDEX IF NOT EXISTS idx_storage_objects_org_category ON storage_objects(org_id, category);
   `);
 
   // Insert default organization if it doesn't exist
@@ -248,7 +454,7 @@ try {
 
   console.log("✅ Database initialized successfully!");
   console.log(
-    "📊 Tables created: organizations, users, calls, transcripts, analyses, notifications, job_logs"
+    "📊 Tables created: organizations, users, calls, transcripts, analyses, notifications, job_logs, webhook_events, webhook_idempotency_keys, import_jobs, retention_audit_log, call_audio_metrics, storage_objects, storage_usage"
   );
   console.log("🔍 Indexes created for optimal query performance");
 } catch (error) {
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Retention Purge Script
+ * Deletes recordings and redacts transcripts past their organization's retention period
+ *
+ * Usage:
+ *   npm run retention:purge -- --dry-run
+ *   npm run retention:purge
+ *   npm run retention:purge -- --org default
+ */
+
+require("dotenv").config();
+
+const { Retention } = require("../src/services");
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv
+ * @returns {Object}
+ */
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--dry-run") args.dryRun = true;
+    else if (arg === "--org") args.orgId = argv[++i];
+  }
+  return args;
+};
+
+/**
+ * Describe a retention period
+ * @param {number} days
+ * @returns {string}
+ */
+const describeDays = (days) => (days > 0 ? `${days} days` : "forever");
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  console.log("\n🧹 Retention Purge");
+  if (args.dryRun) console.log("   Mode: dry run (nothing will be deleted)");
+
+  const summary = await Retention.purge(args);
+
+  for (const org of summary.organizations) {
+    console.log(`\n🏢 ${org.orgId}`);
+    console.log(`   Audio kept:          ${describeDays(org.audioDays)}`);
+    console.log(`   Transcripts kept:    ${describeDays(org.transcriptDays)}`);
+    console.log(`   ${(args.dryRun ? "Would delete:" : "Audio deleted:").padEnd(21)}${args.dryRun ? org.audio.eligible : org.audio.deleted}`);
+    console.log(`   ${(args.dryRun ? "Would redact:" : "Redacted:").padEnd(21)}${args.dryRun ? org.transcripts.eligible : org.transcripts.redacted}`);
+    console.log(`   Failed:              ${org.audio.failed + org.transcripts.failed}`);
+  }
+
+  console.log("\n📊 Summary");
+  console.log(`   Run ID:              ${summary.runId}`);
+  console.log(`   Space freed:         ${(summary.totals.bytesFreed / 1024 / 1024).toFixed(1)} MB${args.dryRun ? " (estimated)" : ""}`);
+  console.log(`   Audit log:           GET /api/admin/retention/audit?runId=${summary.runId}`);
+
+  process.exit(summary.totals.failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error("❌ Retention purge failed:", error.message);
+  process.exit(1);
+});
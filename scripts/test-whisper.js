@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Local Whisper Test Script
+ * Tests offline transcription with whisper.cpp or faster-whisper
+ *
+ * Usage: npm run whisper:test [audio-file] [language]
+ */
+
+require("dotenv").config();
+
+const path = require("path");
+const fs = require("fs");
+const config = require("../src/config");
+const WhisperProvider = require("../src/services/transcription/providers/whisper.provider");
+
+const SAMPLE_AUDIO_PATH = process.argv[2] || path.join(__dirname, "..", "sample-audio", "harvard.wav");
+const LANGUAGE = process.argv[3] || null; // Detected when not given
+
+async function testWhisper() {
+  console.log("=".repeat(60));
+  console.log("Local Whisper Test");
+  console.log("=".repeat(60));
+
+  const { engine, binaryPath, modelPath, pythonPath, model, threads } = config.whisper;
+
+  console.log(`\nEngine: ${engine}`);
+  if (engine === "faster-whisper") {
+    console.log(`Python: ${pythonPath}`);
+    console.log(`Model: ${model}`);
+  } else {
+    console.log(`Binary: ${binaryPath}`);
+    console.log(`Model: ${modelPath}`);
+  }
+  console.log(`Threads: ${threads}`);
+
+  // Check engine setup
+  const whisper = new WhisperProvider();
+  if (!whisper.initialize()) {
+    console.error("\n❌ Error: Local Whisper is not set up");
+    console.log("\nTo set up whisper.cpp:");
+    console.log("1. Build it: git clone https://github.com/ggerganov/whisper.cpp && cd whisper.cpp && make");
+    console.log("2. Download a model: ./models/download-ggml-model.sh medium");
+    console.log("3. Set WHISPER_BINARY_PATH and WHISPER_MODEL_PATH in .env");
+    console.log("\nOr for faster-whisper:");
+    console.log("1. pip install faster-whisper");
+    console.log("2. Set WHISPER_ENGINE=faster-whisper and WHISPER_MODEL in .env");
+    process.exit(1);
+  }
+
+  console.log("\n✓ Local Whisper is set up");
+
+  // Check sample audio file
+  if (!fs.existsSync(SAMPLE_AUDIO_PATH)) {
+    console.error(`\n❌ Error: Audio not found at ${SAMPLE_AUDIO_PATH}`);
+    process.exit(1);
+  }
+
+  const stats = fs.statSync(SAMPLE_AUDIO_PATH);
+  console.log(`✓ Audio found: ${SAMPLE_AUDIO_PATH}`);
+  console.log(`  Size: ${(stats.size / 1024).toFixed(2)} KB`);
+
+  // Run transcription
+  console.log("\n--- Running Transcription ---");
+  console.log(`Language: ${LANGUAGE || "auto"}`);
+  console.log("Processing audio file on the CPU... (this may take a while)\n");
+
+  try {
+    const startTime = Date.now();
+    const result = await whisper.transcribe(SAMPLE_AUDIO_PATH, { language: LANGUAGE });
+    const totalTime = Date.now() - startTime;
+
+    console.log("✅ Transcription Successful!\n");
+    console.log("--- Results ---");
+    console.log(`Language: ${result.language}`);
+    console.log(`Duration: ${result.duration?.toFixed(2) || "N/A"} seconds`);
+    console.log(`Word Count: ${result.wordCount}`);
+    console.log(`Processing Time: ${result.processingTimeMs}ms`);
+    console.log(`Total Time: ${totalTime}ms`);
+    console.log(`Model: ${result.model}`);
+    console.log(`Provider: ${result.provider}`);
+    if (result.chunks) {
+      console.log(`Chunks: ${result.chunks.length}`);
+    }
+
+    console.log("\n--- Transcript ---");
+    console.log(result.text);
+
+    if (result.segments && result.segments.length > 0) {
+      console.log("\n--- Segments (first 5) ---");
+      result.segments.slice(0, 5).forEach((seg) => {
+        console.log(`[${seg.start.toFixed(2)}s - ${seg.end.toFixed(2)}s] ${seg.text}`);
+      });
+
+      if (result.segments.length > 5) {
+        console.log(`... and ${result.segments.length - 5} more segments`);
+      }
+    }
+
+    console.log("\n" + "=".repeat(60));
+    console.log("✅ All tests passed! Local Whisper is working.");
+    console.log("=".repeat(60));
+
+    return result;
+  } catch (error) {
+    console.error("\n❌ Transcription Failed!");
+    console.error("Error:", error.message);
+
+    if (error.message.includes("ffmpeg")) {
+      console.error("\nPossible fix: Install ffmpeg or convert the audio to 16 kHz mono WAV");
+    } else if (error.message.includes("not found")) {
+      console.error("\nPossible fix: Check WHISPER_BINARY_PATH or WHISPER_PYTHON_PATH");
+    } else if (error.message.includes("faster_whisper")) {
+      console.error("\nPossible fix: pip install faster-whisper");
+    }
+
+    process.exit(1);
+  }
+}
+
+// Run the test
+testWhisper();
@@ -5,6 +5,94 @@
 
 require("dotenv").config();
 
+/**
+ * Read how many proxies sit in front of the app
+ * @param {string} value - "true" (one proxy), a count, or anything else for none
+ * @returns {number}
+ */
+const readTrustProxy = (value) => (value === "true" ? 1 : Math.max(0, parseInt(value) || 0));
+
+/**
+ * Read webhook guard settings for a telephony provider
+ * e.g. EXOTEL_WEBHOOK_SECRET, TWILIO_WEBHOOK_IP_ALLOWLIST
+ * @param {string} prefix - Environment variable prefix
+ * @returns {Object} - Webhook auth settings
+ */
+const readWebhookAuth = (prefix) => ({
+  // "all" requires every configured strategy to pass, "any" requires one
+  mode: process.env[`${prefix}_WEBHOOK_AUTH_MODE`] || "all",
+  secret: process.env[`${prefix}_WEBHOOK_SECRET`],
+  secretParam: process.env[`${prefix}_WEBHOOK_SECRET_PARAM`] || "token",
+  ipAllowlist: (process.env[`${prefix}_WEBHOOK_IP_ALLOWLIST`] || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean),
+  basicAuth: {
+    username: process.env[`${prefix}_WEBHOOK_BASIC_USER`],
+    password: process.env[`${prefix}_WEBHOOK_BASIC_PASSWORD`],
+  },
+  // Proxies in front of the app (ngrok, a load balancer); the client IP is the
+  // X-Forwarded-For entry the outermost one added. "true" means one proxy.
+  trustProxy: readTrustProxy(process.env[`${prefix}_WEBHOOK_TRUST_PROXY`]),
+});
+
+/**
+ * Read a numeric environment variable, allowing 0
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number}
+ */
+const readNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+/**
+ * Read a comma-separated list of lowercase names
+ * @param {string} value - e.g. "elevenlabs, Sarvam"
+ * @returns {Array<string>}
+ */
+const readList = (value) =>
+  (value || "")
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Read language-to-provider routing rules
+ * e.g. "ml,ta:sarvam,elevenlabs;en:elevenlabs,groq"
+ * @param {string} value - Rules separated by ";"
+ * @returns {Object} - Provider priority by language code
+ */
+const readLanguageRules = (value) => {
+  const rules = {};
+  for (const rule of (value || "").split(";")) {
+    const [languages, providers] = rule.split(":");
+    if (!providers) continue;
+    readList(languages).forEach((language) => {
+      rules[language] = readList(providers);
+    });
+  }
+  return rules;
+};
+
+/**
+ * Read organization API keys
+ * e.g. "org_a:key1,org_b:key2"
+ * @param {string} value - orgId:key pairs separated by ","
+ * @returns {Array<Object>} - [{ orgId, key }]
+ */
+const readApiKeys = (value) =>
+  (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      return { orgId: entry.slice(0, separator).trim(), key: entry.slice(separator + 1).trim() };
+    })
+    .filter(({ orgId, key }) => orgId && key);
+
 const config = {
   // Server
   nodeEnv: process.env.NODE_ENV || "development",
@@ -26,9 +114,176 @@ const config = {
   },
 
   // Storage
+  // Recordings and exports are written under path first; with the s3 adapter
+  // they are also uploaded, and path acts as a local working copy
   storage: {
     path: process.env.STORAGE_PATH || "./storage",
     adapter: process.env.STORAGE_ADAPTER || "local",
+    // Local signed URLs point at this server's /api/storage/files endpoint
+    publicBaseUrl: process.env.STORAGE_PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`,
+    signingSecret: process.env.STORAGE_SIGNING_SECRET,
+    signedUrlExpiresSeconds: parseInt(process.env.STORAGE_SIGNED_URL_EXPIRES_SECONDS) || 3600,
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || "us-east-1",
+      // Set for MinIO and other S3-compatible services, e.g. http://localhost:9000
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      sessionToken: process.env.S3_SESSION_TOKEN,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      prefix: process.env.S3_PREFIX || "",
+      timeoutMs: parseInt(process.env.S3_TIMEOUT_MS) || 60000,
+    },
+    // Per-organization quotas (organizations can override them in their settings)
+    quotas: {
+      // 0 is unlimited
+      audioMb: readNumber("STORAGE_QUOTA_AUDIO_MB", 0),
+      exportsMb: readNumber("STORAGE_QUOTA_EXPORTS_MB", 0),
+      // Minimum time between admin notifications for the same exceeded quota
+      notifyIntervalHours: readNumber("STORAGE_QUOTA_NOTIFY_INTERVAL_HOURS", 24),
+    },
+  },
+
+  // API authentication: each key acts for one organization.
+  // Admin keys also manage other organizations (storage quotas) and the admin endpoints.
+  // Without keys the API is open, which is only meant for development.
+  auth: {
+    apiKeys: [
+      ...readApiKeys(process.env.API_KEYS),
+      ...readApiKeys(process.env.ADMIN_API_KEYS).map((entry) => ({ ...entry, admin: true })),
+    ],
+  },
+
+  // Call recording playback (GET /api/calls/:callId/audio)
+  playback: {
+    // Signs the audio URLs returned by the synced playback endpoint
+    signingSecret: process.env.PLAYBACK_SIGNING_SECRET || process.env.STORAGE_SIGNING_SECRET,
+    // Only serve audio requests carrying a valid signature
+    requireSignature: process.env.PLAYBACK_REQUIRE_SIGNATURE === "true",
+    urlExpiresSeconds: parseInt(process.env.PLAYBACK_URL_EXPIRES_SECONDS) || 3600,
+    publicBaseUrl: process.env.STORAGE_PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`,
+  },
+
+  // Recording downloads
+  download: {
+    // Idle socket timeout; long recordings may take longer than this in total
+    timeoutMs: parseInt(process.env.DOWNLOAD_TIMEOUT_MS) || 30000,
+    maxSizeBytes: (parseInt(process.env.DOWNLOAD_MAX_SIZE_MB) || 200) * 1024 * 1024,
+    maxRedirects: parseInt(process.env.DOWNLOAD_MAX_REDIRECTS) || 5,
+    maxAttempts: parseInt(process.env.DOWNLOAD_MAX_ATTEMPTS) || 4,
+    backoffMs: parseInt(process.env.DOWNLOAD_BACKOFF_MS) || 1000,
+    maxRetryAfterSeconds: parseInt(process.env.DOWNLOAD_MAX_RETRY_AFTER_SECONDS) || 120,
+  },
+
+  // Post-download audio processing
+  // Formats are always detected and extensions corrected; transcoding needs ffmpeg
+  audio: {
+    transcode: process.env.AUDIO_TRANSCODE === "true",
+    targetSampleRate: parseInt(process.env.AUDIO_TARGET_SAMPLE_RATE) || 16000,
+    targetChannels: parseInt(process.env.AUDIO_TARGET_CHANNELS) || 1,
+    ffmpegPath: process.env.FFMPEG_PATH || "ffmpeg",
+    timeoutMs: parseInt(process.env.AUDIO_TRANSCODE_TIMEOUT_MS) || 120000,
+    // Transcribe each channel of stereo recordings separately (agent and customer legs)
+    stereoSplit: process.env.AUDIO_STEREO_SPLIT === "true",
+    // Speaker on each channel, in channel order
+    channelSpeakers: (process.env.AUDIO_CHANNEL_SPEAKERS || "agent,customer")
+      .split(",")
+      .map((speaker) => speaker.trim())
+      .filter(Boolean),
+  },
+
+  // Speech-to-text providers used by the transcription worker
+  transcription: {
+    // Tried in order; the next one is used when a provider errors, is rate limited or returns no text
+    priority: readList(process.env.TRANSCRIPTION_PROVIDERS || "elevenlabs,sarvam,google,azure,groq,whisper"),
+    // Rate-limited providers are tried last for this long
+    rateLimitCooldownSeconds: readNumber("TRANSCRIPTION_RATE_LIMIT_COOLDOWN_SECONDS", 60),
+    // Provider priority by expected call language; other languages use the priority above.
+    // Sarvam is tuned for code-mixed Indian speech and Groq does poorly on Malayalam.
+    languageRules: readLanguageRules(
+      process.env.TRANSCRIPTION_LANGUAGE_RULES ||
+        "ml,ta,te,kn,hi,bn,mr,gu,pa,or:sarvam,elevenlabs,google,azure;en:elevenlabs,groq,google,azure,sarvam"
+    ),
+    // Used when neither the agent nor the organization has a language and detection is off or fails
+    defaultLanguage: (process.env.TRANSCRIPTION_DEFAULT_LANGUAGE || "").trim().toLowerCase() || null,
+    // Quick language-ID pass on the start of the recording
+    languageDetection: {
+      enabled: process.env.TRANSCRIPTION_LANGUAGE_DETECTION === "true",
+      seconds: readNumber("TRANSCRIPTION_LANGUAGE_DETECTION_SECONDS", 20),
+      providers: readList(process.env.TRANSCRIPTION_LANGUAGE_DETECTION_PROVIDERS || "elevenlabs,groq,whisper"),
+    },
+    // Ensemble mode for high-value calls: several providers transcribe the call and
+    // their outputs are aligned into a consensus transcript
+    ensemble: {
+      enabled: process.env.TRANSCRIPTION_ENSEMBLE_ENABLED === "true",
+      // Providers to run; empty uses the first `size` configured providers of the routed priority
+      providers: readList(process.env.TRANSCRIPTION_ENSEMBLE_PROVIDERS),
+      size: readNumber("TRANSCRIPTION_ENSEMBLE_SIZE", 3),
+      // High-value calls: at least this long, and matched to a CRM lead when leadsOnly
+      minDurationSeconds: readNumber("TRANSCRIPTION_ENSEMBLE_MIN_DURATION_SECONDS", 60),
+      leadsOnly: process.env.TRANSCRIPTION_ENSEMBLE_LEADS_ONLY === "true",
+      // Calls whose providers agree less than this (0-1) are flagged for review
+      minAgreement: readNumber("TRANSCRIPTION_ENSEMBLE_MIN_AGREEMENT", 0.6),
+    },
+    // Long recordings are split into overlapping chunks, transcribed in parallel and stitched back together
+    chunking: {
+      enabled: process.env.TRANSCRIPTION_CHUNKING !== "false",
+      chunkSeconds: readNumber("TRANSCRIPTION_CHUNK_SECONDS", 300),
+      // Audio shared by neighbouring chunks, so words at a cut are heard whole by one of them
+      overlapSeconds: readNumber("TRANSCRIPTION_CHUNK_OVERLAP_SECONDS", 5),
+      concurrency: readNumber("TRANSCRIPTION_CHUNK_CONCURRENCY", 3),
+      // Attempts per chunk; a failed chunk is retried on its own with exponential backoff
+      maxAttempts: readNumber("TRANSCRIPTION_CHUNK_MAX_ATTEMPTS", 3),
+      backoffMs: readNumber("TRANSCRIPTION_CHUNK_BACKOFF_MS", 2000),
+    },
+  },
+
+  // Silence, hold and talk-over analysis after transcription
+  audioAnalysis: {
+    enabled: process.env.AUDIO_ANALYSIS_ENABLED !== "false",
+    windowMs: parseInt(process.env.AUDIO_ANALYSIS_WINDOW_MS) || 50,
+    // Windows quieter than this level (dBFS) on every channel are silent
+    silenceThresholdDb: readNumber("AUDIO_SILENCE_THRESHOLD_DB", -40),
+    minSilenceSeconds: readNumber("AUDIO_MIN_SILENCE_SECONDS", 2),
+    // Silences at least this long count as hold, shorter ones as dead air
+    holdMinSeconds: readNumber("AUDIO_HOLD_MIN_SECONDS", 30),
+    // Overlaps shorter than this (backchannel "mm-hmm"s) are not talk-over
+    minTalkOverSeconds: readNumber("AUDIO_MIN_TALK_OVER_SECONDS", 0.5),
+    // Alert thresholds (0 disables)
+    alerts: {
+      holdSeconds: readNumber("AUDIO_ALERT_HOLD_SECONDS", 180),
+      longestSilenceSeconds: readNumber("AUDIO_ALERT_LONGEST_SILENCE_SECONDS", 120),
+      talkOverSeconds: readNumber("AUDIO_ALERT_TALK_OVER_SECONDS", 30),
+      silenceRatio: readNumber("AUDIO_ALERT_SILENCE_RATIO", 0),
+    },
+  },
+
+  // Manual audio uploads
+  upload: {
+    maxFileSizeMB: parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 200,
+  },
+
+  // Bulk recording imports
+  import: {
+    // API imports may only read from this directory (the CLI can read anywhere)
+    rootPath: process.env.IMPORT_ROOT_PATH || "./storage/import-inbox",
+    ratePerMinute: parseInt(process.env.IMPORT_RATE_PER_MINUTE) || 20,
+    defaultDirection: process.env.IMPORT_DEFAULT_DIRECTION || "outgoing",
+  },
+
+  // Data retention (organizations can override the day limits in their settings)
+  retention: {
+    // 0 keeps data forever
+    audioDays: parseInt(process.env.RETENTION_AUDIO_DAYS) || 0,
+    transcriptDays: parseInt(process.env.RETENTION_TRANSCRIPT_DAYS) || 0,
+    purgeEnabled: process.env.RETENTION_PURGE_ENABLED === "true",
+    // Cron pattern for the scheduled purge (server time)
+    purgeSchedule: process.env.RETENTION_PURGE_SCHEDULE || "30 2 * * *",
+    // Scheduled runs only record what they would delete
+    dryRun: process.env.RETENTION_DRY_RUN === "true",
+    // Maximum recordings and transcripts handled per organization per run
+    batchSize: parseInt(process.env.RETENTION_BATCH_SIZE) || 500,
   },
 
   // Logging
@@ -54,12 +309,93 @@ const config = {
 
   // Exotel configuration
   // Note: API Key and Token are used for making API calls TO Exotel (Basic Auth)
-  // Webhooks FROM Exotel do not support signature validation
+  // Webhooks FROM Exotel do not support signature validation, so they are
+  // guarded with a shared secret, IP allowlist and/or basic auth instead
   exotel: {
     accountSid: process.env.EXOTEL_ACCOUNT_SID,
     apiKey: process.env.EXOTEL_API_KEY,
     apiToken: process.env.EXOTEL_API_TOKEN,
     webhookUrl: process.env.EXOTEL_WEBHOOK_URL,
+    // Call Details API host (api.exotel.com for Singapore, api.in.exotel.com for Mumbai)
+    apiBaseUrl:
+      process.env.EXOTEL_API_BASE_URL ||
+      `https://${process.env.EXOTEL_SUBDOMAIN || "api.exotel.com"}`,
+    backfill: {
+      pageSize: parseInt(process.env.EXOTEL_BACKFILL_PAGE_SIZE) || 100,
+      // Pause between pages to stay under Exotel's API rate limit
+      pageDelayMs: parseInt(process.env.EXOTEL_BACKFILL_PAGE_DELAY_MS) || 500,
+    },
+    // Only recordings on these hosts are downloaded with the API key and token
+    recordingHosts: readList(process.env.EXOTEL_RECORDING_HOSTS || "recordings.exotel.com,recordings.exotel.in"),
+    webhookAuth: readWebhookAuth("EXOTEL"),
+  },
+
+  // Twilio configuration
+  // Webhooks are verified with the X-Twilio-Signature header when the auth
+  // token is set; the same credentials authenticate recording downloads
+  twilio: {
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    // Public URL Twilio posts to (signatures are computed over the full URL)
+    webhookBaseUrl: process.env.TWILIO_WEBHOOK_BASE_URL,
+    validateSignature: process.env.TWILIO_VALIDATE_SIGNATURE !== "false",
+    webhookAuth: readWebhookAuth("TWILIO"),
+  },
+
+  // Knowlarity configuration
+  // Knowlarity does not sign webhooks, so they use the same guards as Exotel
+  knowlarity: {
+    apiKey: process.env.KNOWLARITY_API_KEY,
+    authorization: process.env.KNOWLARITY_AUTHORIZATION,
+    // Only recordings on this host are downloaded with the credentials above
+    apiHost: process.env.KNOWLARITY_API_HOST || "kpi.knowlarity.com",
+    webhookAuth: readWebhookAuth("KNOWLARITY"),
+  },
+
+  // Duplicate webhook deliveries (provider retries) for the same CallSid
+  webhooks: {
+    // Duplicates within this window receive the original response
+    idempotencyWindowSeconds: parseInt(process.env.WEBHOOK_IDEMPOTENCY_WINDOW_SECONDS) || 86400,
+    // A delivery holding the CallSid lock longer than this is presumed dead
+    lockTimeoutMs: parseInt(process.env.WEBHOOK_LOCK_TIMEOUT_MS) || 30000,
+    // How long a concurrent duplicate waits for the first delivery's response
+    lockWaitMs: parseInt(process.env.WEBHOOK_LOCK_WAIT_MS) || 5000,
+  },
+
+  // Agent attribution for incoming webhooks
+  // AGENT_PHONE_MAP maps phone numbers or ExoPhones to user IDs,
+  // e.g. "08012345678:agent_001,09876543210:agent_002"
+  agentAttribution: {
+    enabled: process.env.AGENT_ATTRIBUTION_ENABLED !== "false",
+    phoneMap: (process.env.AGENT_PHONE_MAP || "")
+      .split(",")
+      .map((entry) => entry.trim().split(":"))
+      .filter(([number, agentId]) => number && agentId)
+      .reduce((map, [number, agentId]) => ({ ...map, [number.trim()]: agentId.trim() }), {}),
+  },
+
+  // CRM lead enrichment
+  // Connectors are tried in the order listed in CRM_CONNECTORS (csv, rest)
+  crm: {
+    enabled: process.env.CRM_ENRICHMENT_ENABLED !== "false",
+    connectors: (process.env.CRM_CONNECTORS || "")
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean),
+    csv: {
+      filePath: process.env.CRM_CSV_PATH,
+    },
+    rest: {
+      // e.g. https://crm.example.com/api/leads?phone= or https://crm.example.com/api/leads/{phone}
+      url: process.env.CRM_REST_URL,
+      apiKey: process.env.CRM_REST_API_KEY,
+      authHeader: process.env.CRM_REST_AUTH_HEADER || "Authorization",
+      phoneParam: process.env.CRM_REST_PHONE_PARAM || "phone",
+      // "national" sends the last 10 digits, "raw" sends the number as received
+      phoneFormat: process.env.CRM_REST_PHONE_FORMAT || "national",
+      resultPath: process.env.CRM_REST_RESULT_PATH || "",
+      timeoutMs: parseInt(process.env.CRM_REST_TIMEOUT_MS) || 5000,
+    },
   },
 
   // Groq configuration (for Whisper transcription)
@@ -68,6 +404,22 @@ const config = {
     model: process.env.GROQ_MODEL || "whisper-large-v3-turbo",
   },
 
+  // Local Whisper on the CPU, for deployments without a cloud STT provider
+  whisper: {
+    // "whisper.cpp" runs WHISPER_BINARY_PATH with a ggml model, "faster-whisper" runs the Python package
+    engine: (process.env.WHISPER_ENGINE || "whisper.cpp").trim().toLowerCase(),
+    binaryPath: process.env.WHISPER_BINARY_PATH || "./whisper.cpp/main",
+    modelPath: process.env.WHISPER_MODEL_PATH || "./models/ggml-medium.bin",
+    pythonPath: process.env.WHISPER_PYTHON_PATH || "python3",
+    // faster-whisper model size or directory, e.g. medium or large-v3
+    model: process.env.WHISPER_MODEL || "medium",
+    computeType: process.env.WHISPER_COMPUTE_TYPE || "int8",
+    threads: readNumber("WHISPER_THREADS", 4),
+    // Chunks of one recording transcribed at once; each run uses all WHISPER_THREADS
+    concurrency: readNumber("WHISPER_CONCURRENCY", 1),
+    timeoutMs: readNumber("WHISPER_TIMEOUT_MS", 1800000),
+  },
+
   // OpenRouter configuration (for LLM analysis)
   openrouter: {
     apiKey: process.env.OPENROUTER_API_KEY,
@@ -137,6 +489,26 @@ const validateConfig = () => {
     console.log(`   Exotel: Not configured (optional for mock testing)`);
   }
 
+  // Log Exotel webhook authentication status
+  const webhookAuth = config.exotel.webhookAuth;
+  const guards = [
+    webhookAuth.secret && "shared secret",
+    webhookAuth.ipAllowlist.length > 0 && `IP allowlist (${webhookAuth.ipAllowlist.length})`,
+    webhookAuth.basicAuth.username && webhookAuth.basicAuth.password && "basic auth",
+  ].filter(Boolean);
+  console.log(
+    `   Exotel Webhook Auth: ${guards.length > 0 ? `${guards.join(", ")} [${webhookAuth.mode}]` : "None (accepting all requests)"}`
+  );
+
+  // Log other telephony providers
+  const telephony = [
+    config.twilio.accountSid && "Twilio",
+    (config.knowlarity.apiKey || config.knowlarity.webhookAuth.secret) && "Knowlarity",
+  ].filter(Boolean);
+  if (telephony.length > 0) {
+    console.log(`   Other Telephony: ${telephony.join(", ")}`);
+  }
+
   // Log OpenRouter configuration status
   if (config.openrouter.apiKey) {
     console.log(`   OpenRouter: Configured (Model: ${config.openrouter.model})`);
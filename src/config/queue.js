@@ -33,6 +33,7 @@ const queueConfig = {
     transcription: "speech-transcription",
     analysis: "call-analysis",
     notification: "send-notification",
+    retention: "retention-purge",
   },
 
   // Worker concurrency
@@ -41,6 +42,7 @@ const queueConfig = {
     transcription: 1, // Process 1 transcription at a time (CPU intensive)
     analysis: 1, // Process 1 analysis at a time (GPU/CPU intensive)
     notification: 5, // Send 5 notifications at a time
+    retention: 1, // One purge run at a time
   },
 
   // Job timeouts (in milliseconds)
@@ -49,6 +51,7 @@ const queueConfig = {
     transcription: 30 * 60 * 1000, // 30 minutes (for long calls)
     analysis: 10 * 60 * 1000, // 10 minutes
     notification: 2 * 60 * 1000, // 2 minutes
+    retention: 60 * 60 * 1000, // 1 hour
   },
 };
 
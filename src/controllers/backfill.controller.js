@@ -0,0 +1,66 @@
+/**
+ * Backfill Controller
+ * Admin endpoints for importing calls missed by the webhook
+ */
+
+const { ExotelBackfill } = require("../services");
+const logger = require("../utils/logger");
+
+/**
+ * Backfill Exotel calls for a date range
+ * POST /api/admin/backfill/exotel
+ */
+const backfillExotel = async (req, res) => {
+  try {
+    const { startDate, endDate, orgId, dryRun, maxPages, pageUri } = req.body || {};
+
+    if (!pageUri && (!startDate || !endDate)) {
+      return res.status(400).json({
+        success: false,
+        error: "startDate and endDate are required",
+        hint: "Pass { pageUri } from an earlier run to resume it",
+      });
+    }
+
+    const summary = await ExotelBackfill.backfill({
+      startDate,
+      endDate,
+      orgId,
+      dryRun: !!dryRun,
+      maxPages: maxPages ? parseInt(maxPages) : undefined,
+      pageUri,
+    });
+
+    res.status(summary.error ? 502 : 200).json({
+      success: !summary.error,
+      ...(summary.error && { error: `Exotel API request failed: ${summary.error}` }),
+      message: dryRun
+        ? `Dry run: ${summary.created} calls would be imported and ${summary.tracked} tracked`
+        : `${summary.created} calls imported and ${summary.tracked} tracked`,
+      data: summary,
+    });
+  } catch (error) {
+    logger.error("Error running Exotel backfill", { error });
+
+    if (
+      error.message.includes("startDate") ||
+      error.message.includes("not configured") ||
+      error.message.startsWith("Invalid Exotel page URI")
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to backfill Exotel calls",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  backfillExotel,
+};
@@ -0,0 +1,497 @@
+/**
+ * Call Controller
+ * Handles HTTP requests for listing and inspecting calls
+ */
+
+const { Call, LeadEnrichment, Playback } = require("../services");
+const logger = require("../utils/logger");
+
+/**
+ * Build call filters from query string
+ * @param {Object} query - Express request query
+ * @returns {Object} - Filters understood by the call model
+ */
+const parseCallFilters = (query) => {
+  const { status, startDate, endDate, agentId, direction, source, phone, orgId } = query;
+
+  return {
+    status: status ? status.split(",").map((s) => s.trim()).filter(Boolean) : undefined,
+    source: source ? source.split(",").map((s) => s.trim()).filter(Boolean) : undefined,
+    startDate,
+    endDate,
+    agent_id: agentId,
+    direction,
+    phone,
+    org_id: orgId,
+  };
+};
+
+// Largest page size a client can request
+const MAX_PAGE_LIMIT = 200;
+
+/**
+ * Read page and limit from query string
+ * Missing or invalid values fall back to the defaults, and limit is capped
+ * at MAX_PAGE_LIMIT
+ * @param {Object} query - Express request query
+ * @returns {Object} - { page, limit }
+ */
+const parsePagination = (query) => {
+  const page = parseInt(query.page, 10);
+  const limit = parseInt(query.limit, 10);
+
+  return {
+    page: page > 0 ? page : 1,
+    limit: limit > 0 ? Math.min(limit, MAX_PAGE_LIMIT) : 50,
+  };
+};
+
+// Most calls a single bulk retry request re-queues
+const MAX_RETRY_LIMIT = 500;
+
+/**
+ * Read the bulk retry limit from a request body
+ * Missing or invalid values fall back to 100, and the limit is capped at
+ * MAX_RETRY_LIMIT
+ * @param {*} value - Requested limit
+ * @returns {number}
+ */
+const parseRetryLimit = (value) => {
+  const limit = parseInt(value, 10);
+  return limit > 0 ? Math.min(limit, MAX_RETRY_LIMIT) : 100;
+};
+
+/**
+ * List calls with filtering and pagination
+ * GET /api/calls
+ */
+const getCalls = async (req, res) => {
+  try {
+    const result = await Call.getCalls({
+      ...parsePagination(req.query),
+      ...parseCallFilters(req.query),
+    });
+
+    res.json({
+      success: true,
+      data: result.calls,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error("Error getting calls", { error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve calls",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get call counts grouped by status
+ * GET /api/calls/status-counts
+ */
+const getStatusCounts = async (req, res) => {
+  try {
+    const counts = await Call.getStatusCounts(parseCallFilters(req.query));
+
+    res.json({
+      success: true,
+      data: counts,
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    });
+  } catch (error) {
+    logger.error("Error getting call status counts", { error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve call status counts",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Upload a call recording and queue it for transcription
+ * POST /api/calls/upload
+ */
+const uploadCall = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: "Audio file is required",
+      hint: "Send the recording as multipart/form-data in the 'audio' field",
+    });
+  }
+
+  try {
+    const { agentId, customerNumber, direction, durationSeconds, recordedAt, orgId } = req.body;
+
+    const result = await Call.createUploadedCall(
+      { filePath: req.file.path, originalName: req.file.originalname },
+      { agentId, customerNumber, direction, durationSeconds, recordedAt, orgId }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Recording uploaded and queued for transcription",
+      data: {
+        call: result.call,
+        jobId: result.job.id,
+      },
+    });
+  } catch (error) {
+    logger.error("Error uploading call recording", { error });
+
+    if (error.message.startsWith("Invalid")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("Agent not found")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Storage quota exceeded")) {
+      return res.status(507).json({
+        success: false,
+        error: error.message,
+        hint: "Free up space or raise the quota with PUT /api/storage/quotas/:orgId",
+      });
+    }
+
+    if (error.callId) {
+      return res.status(503).json({
+        success: false,
+        error: "Recording stored but transcription could not be queued",
+        message: error.message,
+        callId: error.callId,
+        hint: `Retry with POST /api/calls/${error.callId}/retry`,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to upload call recording",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get call with transcript, analysis and notifications
+ * GET /api/calls/:callId
+ */
+const getCallById = async (req, res) => {
+  try {
+    const { callId } = req.params;
+
+    const call = await Call.getCallDetails(callId);
+
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        error: "Call not found",
+        callId,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: call,
+    });
+  } catch (error) {
+    logger.error("Error getting call", { callId: req.params.callId, error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve call",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Map a playback error to a response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error from the playback service
+ * @param {string} fallback - Message for unexpected errors
+ */
+const sendPlaybackError = (res, error, fallback) => {
+  if (error.message.startsWith("Authentication required")) {
+    return res.status(401).json({ success: false, error: error.message });
+  }
+  if (error.message.includes("signature")) {
+    return res.status(403).json({ success: false, error: error.message });
+  }
+  if (error.message.startsWith("Call not found") || error.message.startsWith("No recording")) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (error.message.startsWith("Recording deleted")) {
+    return res.status(410).json({ success: false, error: error.message });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallback,
+    message: error.message,
+  });
+};
+
+/**
+ * Stream a call's recording, honouring Range requests
+ * GET /api/calls/:callId/audio
+ */
+const streamCallAudio = async (req, res) => {
+  const { callId } = req.params;
+
+  try {
+    const { expires, signature } = req.query;
+    const audio = await Playback.getCallAudio(callId, { principal: req.auth, expires, signature });
+
+    let range;
+    try {
+      range = Playback.parseRange(req.headers.range, audio.size);
+    } catch (rangeError) {
+      res.setHeader("Content-Range", `bytes */${audio.size}`);
+      return res.status(416).json({ success: false, error: rangeError.message });
+    }
+
+    res.setHeader("Accept-Ranges", "bytes");
+    res.setHeader("Content-Type", audio.contentType);
+    res.setHeader("Cache-Control", "private, max-age=0");
+    // helmet defaults to same-origin, which blocks <audio> on a dashboard served elsewhere
+    res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+    if (audio.lastModified) {
+      res.setHeader("Last-Modified", new Date(audio.lastModified).toUTCString());
+    }
+
+    if (range) {
+      res.status(206);
+      res.setHeader("Content-Range", `bytes ${range.start}-${range.end}/${audio.size}`);
+      res.setHeader("Content-Length", range.end - range.start + 1);
+    } else {
+      res.setHeader("Content-Length", audio.size);
+    }
+
+    if (req.method === "HEAD") {
+      return res.end();
+    }
+
+    const stream = await Playback.openAudio(audio, range);
+    stream.on("error", (streamError) => {
+      logger.error("Error streaming call audio", { callId, error: streamError.message });
+      res.destroy(streamError);
+    });
+    // Stop reading when the player seeks away or closes
+    res.on("close", () => stream.destroy());
+    stream.pipe(res);
+  } catch (error) {
+    logger.error("Error getting call audio", { callId, error: error.message });
+    sendPlaybackError(res, error, "Failed to stream call audio");
+  }
+};
+
+/**
+ * Get the audio URL with word timings and speaker turns for synced playback
+ * GET /api/calls/:callId/audio/synced
+ */
+const getSyncedAudio = async (req, res) => {
+  const { callId } = req.params;
+
+  try {
+    const playback = await Playback.getSyncedPlayback(callId, { principal: req.auth });
+
+    res.json({
+      success: true,
+      data: playback,
+    });
+  } catch (error) {
+    logger.error("Error getting synced playback", { callId, error: error.message });
+    sendPlaybackError(res, error, "Failed to get synced playback");
+  }
+};
+
+/**
+ * Re-enqueue a failed call from the stage where it failed
+ * POST /api/calls/:callId/retry
+ */
+const retryCall = async (req, res) => {
+  try {
+    const { callId } = req.params;
+    const { force, stage } = req.body || {};
+
+    const call = await Call.getCallById(callId);
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        error: "Call not found",
+        callId,
+      });
+    }
+
+    const result = await Call.retryCall(callId, { force: !!force, stage });
+
+    res.status(202).json({
+      success: true,
+      message: `Call re-queued from ${result.stage} stage`,
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Error retrying call", { callId: req.params.callId, error });
+
+    if (error.message.includes("not in a retryable status") || error.message.includes("Invalid retry stage")) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        hint: "Pass { force: true } to retry a call that has not failed",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to retry call",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Re-enqueue failed calls in bulk
+ * POST /api/calls/retry
+ */
+const retryCalls = async (req, res) => {
+  try {
+    const { callIds, status, limit, force, orgId } = req.body || {};
+
+    const result = await Call.retryFailedCalls({
+      callIds,
+      status: typeof status === "string" ? status.split(",") : status,
+      limit: parseRetryLimit(limit),
+      force: !!force,
+      org_id: orgId,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `${result.succeeded} of ${result.total} calls re-queued`,
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Error retrying calls", { error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retry calls",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Reassign a call to a different agent
+ * PUT /api/calls/:callId/agent
+ */
+const reassignAgent = async (req, res) => {
+  try {
+    const { callId } = req.params;
+    const { agentId } = req.body || {};
+
+    if (agentId === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "agentId is required",
+        hint: "Pass { agentId: null } to unassign the call",
+      });
+    }
+
+    const call = await Call.getCallById(callId);
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        error: "Call not found",
+        callId,
+      });
+    }
+
+    const updated = await Call.reassignAgent(callId, agentId);
+
+    res.json({
+      success: true,
+      message: agentId ? `Call assigned to ${agentId}` : "Call unassigned",
+      data: updated,
+    });
+  } catch (error) {
+    logger.error("Error reassigning call agent", { callId: req.params.callId, error });
+
+    if (error.message.includes("Agent not found")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to reassign call",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Refresh the CRM lead attached to a call
+ * POST /api/calls/:callId/enrich
+ */
+const enrichCall = async (req, res) => {
+  try {
+    const { callId } = req.params;
+
+    if (!LeadEnrichment.isAvailable()) {
+      return res.status(503).json({
+        success: false,
+        error: "CRM lead enrichment is not configured",
+        hint: "Set CRM_CONNECTORS and the connector settings",
+      });
+    }
+
+    const lead = await LeadEnrichment.enrichCall(callId, { force: true });
+
+    res.json({
+      success: true,
+      message: lead ? `Lead found in ${lead.crm}` : "No CRM lead found for this call",
+      data: { callId, lead },
+    });
+  } catch (error) {
+    logger.error("Error enriching call", { callId: req.params.callId, error });
+
+    if (error.message.includes("Call not found")) {
+      return res.status(404).json({
+        success: false,
+        error: "Call not found",
+        callId: req.params.callId,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to enrich call",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getCalls,
+  getStatusCounts,
+  getCallById,
+  streamCallAudio,
+  getSyncedAudio,
+  uploadCall,
+  retryCall,
+  retryCalls,
+  reassignAgent,
+  enrichCall,
+};
@@ -3,28 +3,77 @@
  * Handles API requests for data exports
  */
 
-const { CsvExport, ExcelExport } = require("../services");
-const { Analysis, Call } = require("../models");
+const { CsvExport, ExcelExport, Storage, StorageQuota } = require("../services");
+const { Analysis, Call, Organization } = require("../models");
+const config = require("../config");
 const logger = require("../utils/logger");
-const path = require("path");
-const fs = require("fs");
+
+/**
+ * Get the organization an export belongs to
+ * Authenticated requests use the API key's organization. Without API_KEYS
+ * (open API) the body or query orgId or the default organization is used,
+ * and it must exist.
+ * @param {Object} req - Express request
+ * @returns {string} - Organization ID
+ */
+function getExportOrgId(req) {
+  if (req.auth) {
+    return req.auth.orgId;
+  }
+
+  const orgId = (req.body && req.body.orgId) || req.query.orgId || config.organization.defaultId;
+  if (!Organization.findById(orgId)) {
+    throw new Error(`Organization not found: ${orgId}`);
+  }
+  return orgId;
+}
+
+/**
+ * Get the download URL of an export
+ * Open API requests for another organization name it in the query.
+ * @param {Object} req - Express request
+ * @param {string} orgId - Organization ID
+ * @param {string} filename - Export filename
+ * @returns {string} - Download URL
+ */
+function getDownloadUrl(req, orgId, filename) {
+  const url = `/api/export/download/${filename}`;
+  if (req.auth || orgId === config.organization.defaultId) {
+    return url;
+  }
+  return `${url}?orgId=${encodeURIComponent(orgId)}`;
+}
+
+/**
+ * Send the response for an export rejected by the storage quota
+ * @param {Object} res - Express response
+ * @param {Error} error - Quota error
+ */
+function sendQuotaExceeded(res, error) {
+  res.status(507).json({
+    success: false,
+    error: error.message,
+    hint: "Delete old exports with DELETE /api/export/files/:filename or raise the quota",
+  });
+}
 
 /**
  * Get analyses with call data for export
+ * @param {string} orgId - Only export calls of this organization
  * @param {Object} filters - Query filters
  * @returns {Array} - Analysis records with call data
  */
-function getAnalysesForExport(filters = {}) {
+function getAnalysesForExport(orgId, filters = {}) {
   const { startDate, endDate, minScore, maxScore, agentId, limit = 1000 } = filters;
 
   const db = Analysis.db;
   let sql = `
     SELECT a.*, c.agent_id, c.duration_seconds, c.caller_number, c.callee_number, c.direction
     FROM analyses a
-    LEFT JOIN calls c ON a.call_id = c.id
-    WHERE 1=1
+    JOIN calls c ON a.call_id = c.id
+    WHERE c.org_id = ?
   `;
-  const params = [];
+  const params = [orgId];
 
   if (startDate) {
     sql += ` AND a.created_at >= ?`;
@@ -78,9 +127,10 @@ function getAnalysesForExport(filters = {}) {
  */
 async function exportToCsv(req, res) {
   try {
+    const orgId = getExportOrgId(req);
     const { startDate, endDate, minScore, maxScore, agentId, includeRecommendations } = req.body;
 
-    const analyses = getAnalysesForExport({
+    const analyses = getAnalysesForExport(orgId, {
       startDate,
       endDate,
       minScore,
@@ -95,9 +145,13 @@ async function exportToCsv(req, res) {
       });
     }
 
+    await StorageQuota.enforceQuota(orgId, "exports");
+
     const result = await CsvExport.exportAnalyses(analyses, {
+      orgId,
       includeRecommendations: includeRecommendations === true,
     });
+    await Storage.persistFile(result.filePath, { orgId });
 
     res.json({
       success: true,
@@ -105,12 +159,24 @@ async function exportToCsv(req, res) {
         filename: result.filename,
         totalRecords: result.totalRecords,
         fileSize: result.fileSize,
-        downloadUrl: `/api/export/download/${result.filename}`,
+        downloadUrl: getDownloadUrl(req, orgId, result.filename),
         exportedAt: result.exportedAt,
       },
     });
   } catch (error) {
     logger.error("Error exporting to CSV", { error: error.message });
+
+    if (StorageQuota.isQuotaError(error)) {
+      return sendQuotaExceeded(res, error);
+    }
+
+    if (error.message.startsWith("Organization not found")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: "Failed to export to CSV",
@@ -125,9 +191,10 @@ async function exportToCsv(req, res) {
  */
 async function exportToExcel(req, res) {
   try {
+    const orgId = getExportOrgId(req);
     const { startDate, endDate, minScore, maxScore, agentId, includeCharts, includeSummary } = req.body;
 
-    const analyses = getAnalysesForExport({
+    const analyses = getAnalysesForExport(orgId, {
       startDate,
       endDate,
       minScore,
@@ -142,10 +209,14 @@ async function exportToExcel(req, res) {
       });
     }
 
+    await StorageQuota.enforceQuota(orgId, "exports");
+
     const result = await ExcelExport.exportAnalyses(analyses, {
+      orgId,
       includeCharts: includeCharts !== false,
       includeSummary: includeSummary !== false,
     });
+    await Storage.persistFile(result.filePath, { orgId });
 
     res.json({
       success: true,
@@ -154,12 +225,24 @@ async function exportToExcel(req, res) {
         totalRecords: result.totalRecords,
         fileSize: result.fileSize,
         sheets: result.sheets,
-        downloadUrl: `/api/export/download/${result.filename}`,
+        downloadUrl: getDownloadUrl(req, orgId, result.filename),
         exportedAt: result.exportedAt,
       },
     });
   } catch (error) {
     logger.error("Error exporting to Excel", { error: error.message });
+
+    if (StorageQuota.isQuotaError(error)) {
+      return sendQuotaExceeded(res, error);
+    }
+
+    if (error.message.startsWith("Organization not found")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: "Failed to export to Excel",
@@ -174,6 +257,7 @@ async function exportToExcel(req, res) {
  */
 async function downloadExport(req, res) {
   try {
+    const orgId = getExportOrgId(req);
     const { filename } = req.params;
 
     // Validate filename to prevent path traversal
@@ -184,10 +268,11 @@ async function downloadExport(req, res) {
       });
     }
 
-    const exportDir = path.join(process.cwd(), "storage", "exports");
-    const filePath = path.join(exportDir, filename);
+    // Exports made by another machine are only in remote storage
+    const key = `exports/${orgId}/${filename}`;
+    const stats = await Storage.statStoredFile(key);
 
-    if (!fs.existsSync(filePath)) {
+    if (!stats) {
       return res.status(404).json({
         success: false,
         error: "Export file not found",
@@ -205,10 +290,20 @@ async function downloadExport(req, res) {
     res.setHeader("Content-Type", contentType);
     res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
 
-    const fileStream = fs.createReadStream(filePath);
+    res.setHeader("Content-Length", stats.size);
+
+    const fileStream = await Storage.openStream(key);
     fileStream.pipe(res);
   } catch (error) {
     logger.error("Error downloading export", { error: error.message });
+
+    if (error.message.startsWith("Organization not found")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: "Failed to download export",
@@ -223,8 +318,9 @@ async function downloadExport(req, res) {
  */
 async function listExportFiles(req, res) {
   try {
-    const csvFiles = CsvExport.getExportFiles();
-    const excelFiles = ExcelExport.getExportFiles();
+    const orgId = getExportOrgId(req);
+    const csvFiles = CsvExport.getExportFiles(orgId);
+    const excelFiles = ExcelExport.getExportFiles(orgId);
 
     const files = [
       ...csvFiles.map((f) => ({ ...f, type: "csv" })),
@@ -240,6 +336,14 @@ async function listExportFiles(req, res) {
     });
   } catch (error) {
     logger.error("Error listing export files", { error: error.message });
+
+    if (error.message.startsWith("Organization not found")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: "Failed to list export files",
@@ -254,6 +358,7 @@ async function listExportFiles(req, res) {
  */
 async function deleteExportFile(req, res) {
   try {
+    const orgId = getExportOrgId(req);
     const { filename } = req.params;
 
     // Validate filename
@@ -264,19 +369,8 @@ async function deleteExportFile(req, res) {
       });
     }
 
-    let deleted = false;
-
-    if (filename.endsWith(".csv")) {
-      deleted = CsvExport.deleteExportFile(filename);
-    } else if (filename.endsWith(".xlsx")) {
-      // Add delete method to Excel export
-      const exportDir = path.join(process.cwd(), "storage", "exports");
-      const filePath = path.join(exportDir, filename);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        deleted = true;
-      }
-    }
+    // Removes the local file and the remote copy, and frees the organization's quota
+    const deleted = await Storage.deleteStoredFile(`exports/${orgId}/${filename}`);
 
     if (deleted) {
       res.json({
@@ -291,6 +385,14 @@ async function deleteExportFile(req, res) {
     }
   } catch (error) {
     logger.error("Error deleting export file", { error: error.message });
+
+    if (error.message.startsWith("Organization not found")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: "Failed to delete export file",
@@ -305,11 +407,12 @@ async function deleteExportFile(req, res) {
  */
 async function exportDailyReport(req, res) {
   try {
+    const orgId = getExportOrgId(req);
     const { date } = req.body;
     const { DailyDigest } = require("../services");
 
     const targetDate = date ? new Date(date) : new Date();
-    const digest = await DailyDigest.generateDigest(targetDate, { includeDetails: true });
+    const digest = await DailyDigest.generateDigest(targetDate, { includeDetails: true, orgId });
 
     if (digest.totalCalls === 0) {
       return res.status(404).json({
@@ -319,14 +422,17 @@ async function exportDailyReport(req, res) {
     }
 
     const dateStr = targetDate.toISOString().split("T")[0];
-    const result = await ExcelExport.exportDailyReport(digest, dateStr);
+    await StorageQuota.enforceQuota(orgId, "exports");
+
+    const result = await ExcelExport.exportDailyReport(digest, dateStr, { orgId });
+    await Storage.persistFile(result.filePath, { orgId });
 
     res.json({
       success: true,
       data: {
         filename: result.filename,
         fileSize: result.fileSize,
-        downloadUrl: `/api/export/download/${result.filename}`,
+        downloadUrl: getDownloadUrl(req, orgId, result.filename),
         exportedAt: result.exportedAt,
         summary: {
           date: dateStr,
@@ -337,6 +443,18 @@ async function exportDailyReport(req, res) {
     });
   } catch (error) {
     logger.error("Error exporting daily report", { error: error.message });
+
+    if (StorageQuota.isQuotaError(error)) {
+      return sendQuotaExceeded(res, error);
+    }
+
+    if (error.message.startsWith("Organization not found")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: "Failed to export daily report",
@@ -0,0 +1,208 @@
+/**
+ * Import Controller
+ * Handles bulk imports of archived recordings
+ */
+
+const { BulkImport } = require("../services");
+const logger = require("../utils/logger");
+
+/**
+ * Run an import job in the background
+ * Progress is tracked on the job record, so the request returns immediately
+ * @param {string} jobId - Import job ID
+ */
+const startInBackground = (jobId) => {
+  BulkImport.runJob(jobId).catch((error) => {
+    logger.error("Background import job failed", { jobId, error: error.message });
+  });
+};
+
+/**
+ * Start a bulk import from a directory or ZIP inside the import root
+ * POST /api/imports
+ */
+const createImport = async (req, res) => {
+  try {
+    const { sourcePath, manifestPath, orgId, ratePerMinute, defaultDirection } = req.body || {};
+
+    if (!sourcePath) {
+      return res.status(400).json({
+        success: false,
+        error: "sourcePath is required",
+        hint: "Pass a directory or .zip path relative to IMPORT_ROOT_PATH",
+      });
+    }
+
+    const job = BulkImport.createJob({
+      sourcePath: BulkImport.resolveApiPath(sourcePath),
+      manifestPath: manifestPath ? BulkImport.resolveApiPath(manifestPath) : undefined,
+      orgId,
+      ratePerMinute,
+      defaultDirection,
+    });
+
+    startInBackground(job.id);
+
+    res.status(202).json({
+      success: true,
+      message: "Import started",
+      data: BulkImport.getJob(job.id),
+    });
+  } catch (error) {
+    logger.error("Error starting import", { error });
+
+    if (error.message.startsWith("Invalid")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to start import",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * List import jobs with progress
+ * GET /api/imports
+ */
+const getImports = async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, status } = req.query;
+
+    const jobs = BulkImport.getJobs({
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      status,
+    });
+
+    res.json({
+      success: true,
+      data: jobs,
+    });
+  } catch (error) {
+    logger.error("Error getting imports", { error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve imports",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get import job progress
+ * GET /api/imports/:jobId
+ */
+const getImportById = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = BulkImport.getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Import job not found",
+        jobId,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    logger.error("Error getting import", { jobId: req.params.jobId, error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve import",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Pause a running import after the current file
+ * POST /api/imports/:jobId/pause
+ */
+const pauseImport = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = BulkImport.pauseJob(jobId);
+
+    res.json({
+      success: true,
+      message: `Import paused at file ${job.cursor} of ${job.total_files}`,
+      data: BulkImport.getJob(jobId),
+    });
+  } catch (error) {
+    logger.error("Error pausing import", { jobId: req.params.jobId, error });
+
+    if (error.message.includes("not found")) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+
+    if (error.message.includes("cannot be paused")) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to pause import",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Resume a paused, failed or interrupted import from its cursor
+ * POST /api/imports/:jobId/resume
+ */
+const resumeImport = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = BulkImport.getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Import job not found",
+        jobId,
+      });
+    }
+
+    if (job.status === "completed" || BulkImport.isActive(jobId)) {
+      return res.status(409).json({
+        success: false,
+        error: job.status === "completed" ? "Import job already completed" : "Import job is already running",
+      });
+    }
+
+    startInBackground(jobId);
+
+    res.status(202).json({
+      success: true,
+      message: `Import resumed from file ${job.cursor} of ${job.total_files}`,
+      data: job,
+    });
+  } catch (error) {
+    logger.error("Error resuming import", { jobId: req.params.jobId, error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to resume import",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  createImport,
+  getImports,
+  getImportById,
+  pauseImport,
+  resumeImport,
+};
@@ -91,6 +91,7 @@ async function getChannelStatus(req, res) {
           lowScoreThreshold: settings.lowScoreThreshold,
           alertOnLowScore: settings.alertOnLowScore,
           alertOnCriticalIssue: settings.alertOnCriticalIssue,
+          alertOnAudioIssue: settings.alertOnAudioIssue,
         },
       },
     });
@@ -184,6 +185,7 @@ async function updateSettings(req, res) {
       enableConsole,
       alertOnLowScore,
       alertOnCriticalIssue,
+      alertOnAudioIssue,
       lowScoreThreshold,
     } = req.body;
 
@@ -192,6 +194,7 @@ async function updateSettings(req, res) {
     if (enableConsole !== undefined) updates.enableConsole = enableConsole;
     if (alertOnLowScore !== undefined) updates.alertOnLowScore = alertOnLowScore;
     if (alertOnCriticalIssue !== undefined) updates.alertOnCriticalIssue = alertOnCriticalIssue;
+    if (alertOnAudioIssue !== undefined) updates.alertOnAudioIssue = alertOnAudioIssue;
     if (lowScoreThreshold !== undefined) updates.lowScoreThreshold = lowScoreThreshold;
 
     NotificationRouterInstance.updateSettings(updates);
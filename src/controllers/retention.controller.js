@@ -0,0 +1,155 @@
+/**
+ * Retention Controller
+ * Admin endpoints for retention policies, purge runs and the purge audit log
+ */
+
+const { Retention } = require("../services");
+const logger = require("../utils/logger");
+
+/**
+ * List effective retention policies for all organizations
+ * GET /api/admin/retention/policies
+ */
+const getPolicies = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: Retention.getPolicies(),
+    });
+  } catch (error) {
+    logger.error("Error getting retention policies", { error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve retention policies",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Set an organization's retention periods
+ * PUT /api/admin/retention/policies/:orgId
+ */
+const updatePolicy = async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const { audioDays, transcriptDays } = req.body || {};
+
+    const policy = Retention.setPolicy(orgId, { audioDays, transcriptDays });
+
+    res.json({
+      success: true,
+      message: "Retention policy updated",
+      data: policy,
+    });
+  } catch (error) {
+    logger.error("Error updating retention policy", { orgId: req.params.orgId, error });
+
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Invalid")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to update retention policy",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Run the retention purge now
+ * Runs as a dry run unless dryRun is explicitly false
+ * POST /api/admin/retention/purge
+ */
+const runPurge = async (req, res) => {
+  try {
+    const { orgId, dryRun } = req.body || {};
+    const isDryRun = dryRun !== false && dryRun !== "false";
+
+    const summary = await Retention.purge({ orgId, dryRun: isDryRun });
+    const { totals } = summary;
+
+    res.json({
+      success: true,
+      message: isDryRun
+        ? `Dry run: ${totals.audioEligible} recordings would be deleted and ${totals.transcriptsEligible} transcripts redacted`
+        : `${totals.audioDeleted} recordings deleted and ${totals.transcriptsRedacted} transcripts redacted`,
+      data: summary,
+    });
+  } catch (error) {
+    logger.error("Error running retention purge", { error });
+
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("already running")) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to run retention purge",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * List retention audit log entries
+ * GET /api/admin/retention/audit
+ */
+const getAuditLog = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, runId, orgId, callId, action, status, startDate, endDate } = req.query;
+
+    const result = Retention.getAuditLog({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      run_id: runId,
+      org_id: orgId,
+      call_id: callId,
+      action,
+      status,
+      startDate,
+      endDate,
+    });
+
+    res.json({
+      success: true,
+      data: result.entries,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error("Error getting retention audit log", { error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve retention audit log",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getPolicies,
+  updatePolicy,
+  runPurge,
+  getAuditLog,
+};
@@ -0,0 +1,166 @@
+/**
+ * Storage Controller
+ * Serves files through signed URLs issued by the local storage adapter,
+ * and reports storage usage and quotas per organization
+ */
+
+const { Storage, StorageQuota } = require("../services");
+const { canAccessOrg } = require("../middleware/auth.middleware");
+const logger = require("../utils/logger");
+
+/**
+ * Serve a stored file for a signed URL
+ * GET /api/storage/files/*
+ */
+const getSignedFile = async (req, res) => {
+  const key = req.params[0];
+
+  try {
+    const { expires, signature } = req.query;
+
+    // Only the local adapter issues URLs pointing at this server
+    if (typeof Storage.adapter.verifySignedUrl !== "function") {
+      return res.status(404).json({
+        success: false,
+        error: "Signed file URLs are served by the storage backend",
+      });
+    }
+
+    if (!Storage.adapter.verifySignedUrl(key, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        error: "Invalid or expired signature",
+      });
+    }
+
+    const stats = await Storage.adapter.stat(key);
+    if (!stats) {
+      return res.status(404).json({
+        success: false,
+        error: "File not found",
+      });
+    }
+
+    res.setHeader("Content-Type", stats.contentType);
+    res.setHeader("Content-Length", stats.size);
+    (await Storage.adapter.stream(key)).pipe(res);
+  } catch (error) {
+    logger.error("Error serving stored file", { key, error: error.message });
+
+    if (error.message.includes("Invalid storage key")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to read stored file",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get storage usage and quotas per organization
+ * GET /api/storage/usage
+ */
+const getUsage = async (req, res) => {
+  try {
+    // Organization keys only see their own organization
+    const orgId = req.auth && !req.auth.admin ? req.auth.orgId : req.query.orgId;
+    const usage = StorageQuota.getUsage({ orgId });
+
+    res.json({
+      success: true,
+      data: usage,
+      totalBytes: usage.reduce((sum, org) => sum + org.totalBytes, 0),
+    });
+  } catch (error) {
+    logger.error("Error getting storage usage", { error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve storage usage",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Recount storage usage from the files on disk
+ * POST /api/storage/usage/rebuild
+ */
+const rebuildUsage = async (req, res) => {
+  try {
+    Storage.rebuildUsage();
+
+    res.json({
+      success: true,
+      message: "Storage usage rebuilt",
+      data: StorageQuota.getUsage(),
+    });
+  } catch (error) {
+    logger.error("Error rebuilding storage usage", { error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to rebuild storage usage",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Set an organization's storage quotas
+ * PUT /api/storage/quotas/:orgId
+ */
+const updateQuota = async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const { audioMb, exportsMb } = req.body || {};
+
+    if (!canAccessOrg(req.auth, orgId)) {
+      return res.status(403).json({
+        success: false,
+        error: "API key cannot change another organization's quotas",
+      });
+    }
+
+    const quota = StorageQuota.setQuota(orgId, { audioMb, exportsMb });
+
+    res.json({
+      success: true,
+      message: "Storage quota updated",
+      data: quota,
+    });
+  } catch (error) {
+    logger.error("Error updating storage quota", { orgId: req.params.orgId, error });
+
+    if (error.message.includes("not found")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Invalid")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to update storage quota",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getSignedFile,
+  getUsage,
+  rebuildUsage,
+  updateQuota,
+};
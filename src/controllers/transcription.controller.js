@@ -0,0 +1,137 @@
+/**
+ * Transcription Controller
+ * Admin endpoints for language-aware provider routing and ensemble transcript review
+ */
+
+const { LanguageRouting, EnsembleTranscription } = require("../services");
+const logger = require("../utils/logger");
+
+/**
+ * Map a language update error to a response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error from the routing service
+ * @param {string} fallback - Message for unexpected errors
+ */
+const sendLanguageError = (res, error, fallback) => {
+  if (error.message.startsWith("Invalid")) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error.message.includes("not found")) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallback,
+    message: error.message,
+  });
+};
+
+/**
+ * Get the provider routing rules
+ * GET /api/admin/transcription/routing
+ */
+const getRouting = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: LanguageRouting.getRoutingRules(),
+    });
+  } catch (error) {
+    logger.error("Error getting transcription routing", { error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve transcription routing",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Set an organization's expected call language
+ * PUT /api/admin/transcription/languages/organizations/:orgId
+ */
+const updateOrganizationLanguage = async (req, res) => {
+  const { language } = req.body || {};
+  if (language === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: "language is required",
+      hint: "Pass { language: null } to clear the organization language",
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      message: "Organization language updated",
+      data: LanguageRouting.setOrganizationLanguage(req.params.orgId, language),
+    });
+  } catch (error) {
+    logger.error("Error updating organization language", { orgId: req.params.orgId, error });
+    sendLanguageError(res, error, "Failed to update organization language");
+  }
+};
+
+/**
+ * Set an agent's expected call language
+ * PUT /api/admin/transcription/languages/agents/:agentId
+ */
+const updateAgentLanguage = async (req, res) => {
+  const { language } = req.body || {};
+  if (language === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: "language is required",
+      hint: "Pass { language: null } to use the organization language",
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      message: "Agent language updated",
+      data: LanguageRouting.setAgentLanguage(req.params.agentId, language),
+    });
+  } catch (error) {
+    logger.error("Error updating agent language", { agentId: req.params.agentId, error });
+    sendLanguageError(res, error, "Failed to update agent language");
+  }
+};
+
+/**
+ * List ensemble transcripts whose providers disagreed
+ * GET /api/admin/transcription/disagreements
+ */
+const getDisagreements = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, orgId, agentId } = req.query;
+
+    const result = EnsembleTranscription.getLowAgreementCalls({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      org_id: orgId,
+      agent_id: agentId,
+    });
+
+    res.json({
+      success: true,
+      data: result.transcripts,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error("Error getting transcript disagreements", { error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve transcript disagreements",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getRouting,
+  updateOrganizationLanguage,
+  updateAgentLanguage,
+  getDisagreements,
+};
@@ -0,0 +1,172 @@
+/**
+ * Webhook Event Controller
+ * Admin endpoints for inspecting and replaying stored webhook deliveries
+ */
+
+const { WebhookEvent } = require("../services");
+const logger = require("../utils/logger");
+
+/**
+ * Build event filters from query string or request body
+ * @param {Object} source - Express request query or body
+ * @returns {Object} - Filters understood by the webhook event model
+ */
+const parseEventFilters = (source = {}) => {
+  const { provider, outcome, callSid, callId, startDate, endDate } = source;
+
+  return {
+    provider,
+    outcome: typeof outcome === "string"
+      ? outcome.split(",").map((o) => o.trim()).filter(Boolean)
+      : outcome,
+    call_sid: callSid,
+    call_id: callId,
+    startDate,
+    endDate,
+  };
+};
+
+/**
+ * List stored webhook events
+ * GET /api/admin/webhook-events
+ */
+const getEvents = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const result = WebhookEvent.getEvents({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      ...parseEventFilters(req.query),
+    });
+
+    res.json({
+      success: true,
+      data: result.events,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error("Error getting webhook events", { error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve webhook events",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get a stored webhook event with its raw payload
+ * GET /api/admin/webhook-events/:eventId
+ */
+const getEventById = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const event = WebhookEvent.getEvent(eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook event not found",
+        eventId,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: event,
+    });
+  } catch (error) {
+    logger.error("Error getting webhook event", { eventId: req.params.eventId, error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to retrieve webhook event",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Replay a stored webhook event through the webhook handler
+ * POST /api/admin/webhook-events/:eventId/replay
+ */
+const replayEvent = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!WebhookEvent.getEvent(eventId)) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook event not found",
+        eventId,
+      });
+    }
+
+    const result = await WebhookEvent.replayEvent(eventId);
+
+    res.json({
+      success: result.response.status < 400,
+      message: `Webhook event replayed with outcome: ${result.event.outcome}`,
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Error replaying webhook event", { eventId: req.params.eventId, error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to replay webhook event",
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Replay stored webhook events in bulk
+ * POST /api/admin/webhook-events/replay
+ */
+const replayEvents = async (req, res) => {
+  try {
+    const { eventIds, limit, ...rest } = req.body || {};
+
+    if (eventIds !== undefined && !Array.isArray(eventIds)) {
+      return res.status(400).json({
+        success: false,
+        error: "eventIds must be an array of event IDs",
+      });
+    }
+
+    // Filters default to events with outcome "error" (see WebhookEventService.replayEvents)
+    const result = await WebhookEvent.replayEvents({
+      eventIds,
+      limit: parseInt(limit) > 0 ? parseInt(limit) : 100,
+      ...parseEventFilters(rest),
+    });
+
+    res.json({
+      success: true,
+      message: `${result.replayed} of ${result.total} webhook events replayed`,
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Error replaying webhook events", { error });
+
+    if (error.message.startsWith("Invalid outcome")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "Failed to replay webhook events",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getEvents,
+  getEventById,
+  replayEvent,
+  replayEvents,
+};
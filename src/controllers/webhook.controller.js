@@ -1,70 +1,106 @@
 /**
  * Webhook Controller
- * Handles incoming webhooks from external services (Exotel, etc.)
+ * Handles incoming webhooks from telephony providers (Exotel, Twilio, Knowlarity)
  */
 
 const config = require("../config");
 const logger = require("../utils/logger");
+const { resolveUnansweredStatus } = require("../services/telephony/base.adapter");
 
 /**
- * Handle Exotel call recording webhook
- * Note: Exotel does not support webhook signature validation.
- * Secure your webhook endpoint using IP whitelisting or firewall rules.
+ * Create the webhook handler for a telephony provider
+ * The provider's adapter normalizes the payload into a call event, so the
+ * handler itself does not depend on any vendor's field names.
  *
- * @param {Object} req - Express request
- * @param {Object} res - Express response
+ * Completed calls with recordings enter the download → transcription →
+ * analysis pipeline. Busy, no-answer, failed and missed calls are stored
+ * with their own status so reports can count them, but skip the pipeline.
+ * Requests are authenticated by the webhook guard middleware before reaching here.
+ *
+ * @param {string} provider - Telephony provider name (see services/telephony)
+ * @returns {Function} - Express handler (req, res)
  */
-const handleExotelWebhook = async (req, res) => {
+const createWebhookHandler = (provider) => async (req, res) => {
   try {
-    // Exotel sends payload as flat JSON object (not nested with event/data)
-    const payload = req.body;
+    // Import services (lazy load to avoid circular dependencies)
+    const { Call, AgentAttribution, Telephony } = require("../services");
+
+    const adapter = Telephony.getAdapter(provider);
+    const event = adapter.normalizeWebhook(req.body || {});
 
     // Validate required fields
-    if (!payload.call_sid) {
-      logger.warn("Webhook missing required field: call_sid", { payload });
+    if (!event.call_sid) {
+      logger.warn("Webhook missing required field: call_sid", { provider, payload: req.body });
       return res.status(400).json({
         error: "Bad Request",
         message: "Missing required field: call_sid",
       });
     }
 
-    // Only process completed calls with recordings
-    // Exotel uses 'completed' for call_type and 'recording_url' (snake_case)
-    if (payload.call_type !== "completed" || !payload.recording_url) {
+    if (!event.status) {
       logger.info("Ignoring non-recording webhook event", {
-        callSid: payload.call_sid,
-        callType: payload.call_type,
-        hasRecording: !!payload.recording_url,
+        provider,
+        callSid: event.call_sid,
+        callType: event.call_type,
+        providerStatus: event.provider_status,
+        hasRecording: !!event.recording_url,
       });
       return res.status(200).json({ status: "ignored" });
     }
 
-    logger.info("Processing Exotel call recording webhook", {
-      callSid: payload.call_sid,
-      direction: payload.direction,
-      duration: payload.on_call_duration,
+    logger.info(`Processing ${adapter.displayName} call webhook`, {
+      callSid: event.call_sid,
+      direction: event.direction,
+      duration: event.duration_seconds,
+      status: event.status,
     });
 
-    // Import services (lazy load to avoid circular dependencies)
-    const { CallService } = require("../services");
+    // Map the call to an agent from the dialled agent number, caller or virtual number
+    const orgId = config.organization.defaultId;
+    const attribution = AgentAttribution.resolveAgent(
+      {
+        call_sid: event.call_sid,
+        direction: event.direction,
+        from: event.caller_number,
+        to: event.callee_number,
+        dial_whom_number: event.agent_number,
+      },
+      orgId
+    );
 
-    // Create call record with correct Exotel field names (snake_case)
     const callData = {
-      org_id: config.organization.defaultId,
-      exotel_call_sid: payload.call_sid,
-      recording_url: payload.recording_url,
-      duration_seconds: payload.on_call_duration || payload.dial_call_duration,
-      call_type: payload.call_type,
-      caller_number: payload.from,
-      callee_number: payload.to,
-      direction: payload.direction,
-      status: "received",
+      org_id: orgId,
+      agent_id: attribution?.agentId,
+      agent_attribution: AgentAttribution.describeAttribution(attribution),
+      exotel_call_sid: event.call_sid,
+      recording_url: event.recording_url,
+      duration_seconds: event.duration_seconds,
+      call_type: event.call_type,
+      caller_number: event.caller_number,
+      callee_number: event.callee_number,
+      direction: event.direction,
+      status: event.status,
+      source: adapter.name,
     };
 
-    const call = await CallService.createCall(callData);
+    const call = await Call.createCall(callData);
 
-    // Queue download job
-    const downloadJob = await CallService.queueDownloadJob(call.id);
+    // Unanswered calls have no audio, so they are tracked without queuing jobs
+    if (event.status !== "received") {
+      logger.info("Unanswered call recorded", {
+        callId: call.id,
+        status: call.status,
+      });
+
+      return res.status(200).json({
+        status: "tracked",
+        call_id: call.id,
+        call_status: call.status,
+      });
+    }
+
+    // Queue download job (once per call, however often the webhook is delivered)
+    const downloadJob = await Call.queueDownloadJobOnce(call.id);
 
     logger.info("Call record created and download queued", {
       callId: call.id,
@@ -77,7 +113,7 @@ const handleExotelWebhook = async (req, res) => {
       job_id: downloadJob.id,
     });
   } catch (error) {
-    logger.error("Error processing Exotel webhook", error);
+    logger.error(`Error processing ${provider} webhook`, error);
     res.status(500).json({
       error: "Internal server error",
       message: "Failed to process webhook",
@@ -85,6 +121,16 @@ const handleExotelWebhook = async (req, res) => {
   }
 };
 
+/**
+ * Handle Exotel call recording webhook
+ * Note: Exotel does not support webhook signature validation.
+ * Exotel sends the payload as a flat snake_case JSON object.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const handleExotelWebhook = createWebhookHandler("exotel");
+
 /**
  * Handle mock webhook for testing
  * Uses correct Exotel payload structure with snake_case field names
@@ -111,14 +157,20 @@ const handleMockWebhook = async (req, res) => {
         req.body.recording_url || "https://example.com/mock-recording.mp3",
       call_type: req.body.call_type || "completed",
       dial_call_status: req.body.dial_call_status || "completed",
+      dial_whom_number: req.body.dial_whom_number,
     };
 
     // Import services
-    const { CallService } = require("../services");
+    const { Call, AgentAttribution } = require("../services");
+
+    const orgId = config.organization.defaultId;
+    const attribution = AgentAttribution.resolveAgent(mockData, orgId);
 
     // Create call record
     const callData = {
-      org_id: config.organization.defaultId,
+      org_id: orgId,
+      agent_id: attribution?.agentId,
+      agent_attribution: AgentAttribution.describeAttribution(attribution),
       exotel_call_sid: mockData.call_sid,
       recording_url: mockData.recording_url,
       duration_seconds: mockData.on_call_duration,
@@ -127,12 +179,13 @@ const handleMockWebhook = async (req, res) => {
       callee_number: mockData.to,
       direction: mockData.direction,
       status: "received",
+      source: "mock",
     };
 
-    const call = await CallService.createCall(callData);
+    const call = await Call.createCall(callData);
 
-    // Queue download job
-    const downloadJob = await CallService.queueDownloadJob(call.id);
+    // Queue download job (once per call, however often the webhook is delivered)
+    const downloadJob = await Call.queueDownloadJobOnce(call.id);
 
     logger.info("Mock call record created and download queued", {
       callId: call.id,
@@ -155,6 +208,8 @@ const handleMockWebhook = async (req, res) => {
 };
 
 module.exports = {
+  createWebhookHandler,
   handleExotelWebhook,
   handleMockWebhook,
+  resolveUnansweredStatus,
 };
@@ -12,6 +12,7 @@ const morgan = require("morgan");
 const path = require("path");
 const config = require("./config");
 const logger = require("./utils/logger");
+const { authenticate, requireAdmin } = require("./middleware/auth.middleware");
 
 // Create Express application
 const app = express();
@@ -111,12 +112,26 @@ app.get("/health/detailed", async (req, res) => {
 // Webhook routes
 app.use("/webhook", require("./routes/webhook.routes"));
 
+// Call routes
+app.use("/api/calls", require("./routes/call.routes"));
+
+// Bulk import routes
+app.use("/api/imports", require("./routes/import.routes"));
+
+// Admin routes (admin API keys only once API_KEYS are configured)
+app.use("/api/admin", authenticate(), requireAdmin());
+app.use("/api/admin/webhook-events", require("./routes/webhook-event.routes"));
+app.use("/api/admin/backfill", require("./routes/backfill.routes"));
+app.use("/api/admin/retention", require("./routes/retention.routes"));
+app.use("/api/admin/transcription", require("./routes/transcription.routes"));
+
 // Analysis routes (Phase 4)
 app.use("/api", require("./routes/analysis.routes"));
 
 // Phase 5 routes - Output & Notification Layer
 app.use("/api/reports", require("./routes/report.routes"));
 app.use("/api/export", require("./routes/export.routes"));
+app.use("/api/storage", require("./routes/storage.routes"));
 app.use("/api/notifications", require("./routes/notification.routes"));
 
 // API routes info
@@ -129,8 +144,50 @@ app.get("/api", (req, res) => {
       detailedHealth: "/health/detailed",
       webhooks: {
         exotel: "/webhook/exotel",
+        twilio: "/webhook/twilio",
+        knowlarity: "/webhook/knowlarity",
         mockWebhook: "/webhook/exotel/mock",
       },
+      imports: {
+        start: "POST /api/imports",
+        list: "GET /api/imports",
+        progress: "GET /api/imports/:jobId",
+        pause: "POST /api/imports/:jobId/pause",
+        resume: "POST /api/imports/:jobId/resume",
+      },
+      webhookEvents: {
+        list: "GET /api/admin/webhook-events",
+        details: "GET /api/admin/webhook-events/:eventId",
+        replay: "POST /api/admin/webhook-events/:eventId/replay",
+        bulkReplay: "POST /api/admin/webhook-events/replay",
+      },
+      backfill: {
+        exotel: "POST /api/admin/backfill/exotel",
+      },
+      retention: {
+        policies: "GET /api/admin/retention/policies",
+        updatePolicy: "PUT /api/admin/retention/policies/:orgId",
+        purge: "POST /api/admin/retention/purge",
+        audit: "GET /api/admin/retention/audit",
+      },
+      transcription: {
+        routing: "GET /api/admin/transcription/routing",
+        organizationLanguage: "PUT /api/admin/transcription/languages/organizations/:orgId",
+        agentLanguage: "PUT /api/admin/transcription/languages/agents/:agentId",
+        disagreements: "GET /api/admin/transcription/disagreements",
+      },
+      calls: {
+        list: "GET /api/calls",
+        statusCounts: "GET /api/calls/status-counts",
+        details: "GET /api/calls/:callId",
+        audio: "GET /api/calls/:callId/audio",
+        syncedAudio: "GET /api/calls/:callId/audio/synced",
+        upload: "POST /api/calls/upload",
+        retry: "POST /api/calls/:callId/retry",
+        bulkRetry: "POST /api/calls/retry",
+        reassignAgent: "PUT /api/calls/:callId/agent",
+        enrichLead: "POST /api/calls/:callId/enrich",
+      },
       analysis: {
         getAnalysis: "GET /api/calls/:callId/analysis",
         triggerAnalysis: "POST /api/calls/:callId/analyze",
@@ -156,6 +213,12 @@ app.get("/api", (req, res) => {
         listFiles: "GET /api/export/files",
         deleteFile: "DELETE /api/export/files/:filename",
       },
+      storage: {
+        signedFile: "GET /api/storage/files/:key?expires=&signature=",
+        usage: "GET /api/storage/usage?orgId=",
+        rebuildUsage: "POST /api/storage/usage/rebuild",
+        updateQuota: "PUT /api/storage/quotas/:orgId",
+      },
       notifications: {
         list: "GET /api/notifications",
         statistics: "GET /api/notifications/statistics",
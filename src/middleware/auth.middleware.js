@@ -0,0 +1,121 @@
+/**
+ * Auth Middleware
+ * Identifies the organization an API request acts for
+ *
+ * Clients send an organization API key (API_KEYS) as "Authorization: Bearer <key>"
+ * or in the X-API-Key header, and the request is handled for that key's
+ * organization: req.auth = { orgId }. Routes take the organization from
+ * req.auth rather than from anything the client sends in the body or query.
+ * Admin keys (ADMIN_API_KEYS) also carry admin: true.
+ *
+ * Without API_KEYS the API is open (local development) and req.auth is null.
+ */
+
+const crypto = require("crypto");
+const config = require("../config");
+const logger = require("../utils/logger");
+
+let warnedOpen = false;
+
+/**
+ * Read the API key sent with a request
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+const getApiKey = (req) => {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Bearer ")) {
+    return header.slice(7).trim() || null;
+  }
+  return req.headers["x-api-key"] ? String(req.headers["x-api-key"]).trim() : null;
+};
+
+/**
+ * Find the API key entry matching a key, comparing in constant time
+ * @param {Array<Object>} apiKeys - [{ orgId, key, admin? }]
+ * @param {string} key
+ * @returns {Object|null}
+ */
+const findApiKey = (apiKeys, key) => {
+  // Hash both sides so keys of different lengths compare in constant time
+  const digest = crypto.createHash("sha256").update(key).digest();
+  return (
+    apiKeys.find((entry) =>
+      crypto.timingSafeEqual(crypto.createHash("sha256").update(entry.key).digest(), digest)
+    ) || null
+  );
+};
+
+/**
+ * Create authentication middleware
+ * @param {Object} options - Middleware options
+ * @param {boolean} [options.optional] - Let requests without a key through with req.auth = null
+ *   (e.g. audio requests that carry a signed URL instead)
+ * @param {Array<Object>} [options.apiKeys] - Overrides config.auth.apiKeys ([{ orgId, key, admin? }])
+ * @returns {Function} - Express middleware
+ */
+const authenticate = (options = {}) => {
+  const apiKeys = options.apiKeys || config.auth?.apiKeys || [];
+
+  if (apiKeys.length === 0 && !warnedOpen) {
+    logger.warn("No API_KEYS configured - API requests are not authenticated");
+    warnedOpen = true;
+  }
+
+  return (req, res, next) => {
+    req.auth = null;
+    const key = getApiKey(req);
+
+    if (!key) {
+      if (options.optional || apiKeys.length === 0) {
+        return next();
+      }
+      return res.status(401).json({
+        success: false,
+        error: "Authentication required",
+        message: "Send an API key as 'Authorization: Bearer <key>' or X-API-Key",
+      });
+    }
+
+    const entry = findApiKey(apiKeys, key);
+    if (!entry) {
+      logger.warn("Rejected API request with an unknown key", { path: req.path });
+      return res.status(401).json({ success: false, error: "Invalid API key" });
+    }
+
+    req.auth = { orgId: entry.orgId };
+    if (entry.admin) {
+      req.auth.admin = true;
+    }
+    next();
+  };
+};
+
+/**
+ * Create middleware that only lets admin keys through
+ * Must run after authenticate(). The open API (no API_KEYS) lets every
+ * request through, as authenticate() does.
+ * @returns {Function} - Express middleware
+ */
+const requireAdmin = () => (req, res, next) => {
+  if (!req.auth || req.auth.admin) {
+    return next();
+  }
+  logger.warn("Rejected admin request from an organization key", { orgId: req.auth.orgId, path: req.path });
+  res.status(403).json({ success: false, error: "Admin API key required" });
+};
+
+/**
+ * Check whether the authenticated caller may act for an organization
+ * @param {Object|null} auth - req.auth
+ * @param {string} orgId - Organization ID
+ * @returns {boolean} - True for the caller's own organization, admin keys and the open API
+ */
+const canAccessOrg = (auth, orgId) => !auth || auth.admin === true || auth.orgId === orgId;
+
+module.exports = {
+  authenticate,
+  requireAdmin,
+  canAccessOrg,
+  getApiKey,
+};
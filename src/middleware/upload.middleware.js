@@ -0,0 +1,66 @@
+/**
+ * Upload Middleware
+ * Accepts call recordings uploaded through the API
+ */
+
+const path = require("path");
+const multer = require("multer");
+const config = require("../config");
+const { Transcription } = require("../services");
+
+const upload = multer({
+  dest: path.join(config.storage.path, "uploads"),
+  limits: {
+    fileSize: config.upload.maxFileSizeMB * 1024 * 1024,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase().slice(1);
+    if (!Transcription.getSupportedFormats().includes(extension)) {
+      const error = new Error(`Unsupported audio format: ${extension || "unknown"}`);
+      error.code = "UNSUPPORTED_FORMAT";
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Accept a single audio file in the given form field
+ * Upload errors are returned as JSON instead of reaching the global error handler
+ *
+ * @param {string} field - Multipart form field name
+ * @returns {Function} - Express middleware
+ */
+const uploadAudio = (field = "audio") => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        success: false,
+        error: `File too large: maximum size is ${config.upload.maxFileSizeMB} MB`,
+      });
+    }
+
+    if (error.code === "UNSUPPORTED_FORMAT") {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        supportedFormats: Transcription.getSupportedFormats(),
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      error: "Invalid upload",
+      message: error.message,
+    });
+  });
+};
+
+module.exports = {
+  uploadAudio,
+};
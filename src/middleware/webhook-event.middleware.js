@@ -0,0 +1,58 @@
+/**
+ * Webhook Event Middleware
+ * Logs every webhook delivery verbatim together with its outcome
+ *
+ * The raw payload is stored before the handler runs, and the handler's JSON
+ * response is captured afterwards to record the outcome and resulting call_id.
+ * Logging failures never block webhook processing.
+ */
+
+const { WebhookEvent } = require("../services");
+const { getClientIp } = require("./webhook-guard.middleware");
+const logger = require("../utils/logger");
+
+/**
+ * Create webhook event logging middleware
+ * @param {string} provider - Provider name stored on each event
+ * @param {Object} options - Middleware options
+ * @param {boolean|number} [options.trustProxy] - Proxies in front of the app, for reading the source IP
+ * @param {Function} [options.getCallSid] - Read the call ID from a payload (defaults to call_sid)
+ * @returns {Function} - Express middleware
+ */
+const recordWebhookEvent = (provider, options = {}) => (req, res, next) => {
+  let event;
+
+  try {
+    event = WebhookEvent.recordEvent({
+      provider,
+      payload: req.body,
+      callSid: options.getCallSid ? options.getCallSid(req.body) : undefined,
+      headers: req.headers,
+      sourceIp: getClientIp(req, options.trustProxy),
+    });
+  } catch (error) {
+    logger.error("Failed to store webhook event", { provider, error: error.message });
+    return next();
+  }
+
+  req.webhookEventId = event.id;
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    try {
+      WebhookEvent.recordOutcome(event.id, res.statusCode, body);
+    } catch (error) {
+      logger.error("Failed to record webhook event outcome", {
+        eventId: event.id,
+        error: error.message,
+      });
+    }
+    return originalJson(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  recordWebhookEvent,
+};
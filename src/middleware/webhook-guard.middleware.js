@@ -0,0 +1,260 @@
+/**
+ * Webhook Guard Middleware
+ * Authenticates incoming telephony webhooks
+ *
+ * Exotel does not sign webhooks, so requests are checked with one or more
+ * pluggable strategies instead:
+ * - secret: shared secret in the URL path, query string or X-Webhook-Token header
+ * - ip: source IP must fall inside an allowlisted address or CIDR range
+ * - basic: HTTP basic auth credentials
+ * - signature: provider-specific request signature (e.g. X-Twilio-Signature),
+ *   checked by the verifySignature function in the auth settings
+ */
+
+const crypto = require("crypto");
+const net = require("net");
+const logger = require("../utils/logger");
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix (e.g. "::ffff:10.0.0.1")
+ * @param {string} ip
+ * @returns {string}
+ */
+const normalizeIp = (ip) => {
+  if (!ip) return "";
+  const trimmed = ip.trim();
+  return trimmed.startsWith("::ffff:") && net.isIPv4(trimmed.slice(7))
+    ? trimmed.slice(7)
+    : trimmed;
+};
+
+/**
+ * Get the client IP for a request
+ * Behind proxies, X-Forwarded-For is read from the right: each trusted proxy
+ * appends the address it received the request from, so the entry the
+ * outermost trusted proxy added is the client. Entries further left come
+ * from the client itself and can be forged.
+ * @param {Object} req - Express request
+ * @param {boolean|number} trustProxy - Number of proxies in front of the app (true = 1)
+ * @returns {string}
+ */
+const getClientIp = (req, trustProxy) => {
+  const hops = trustProxy === true ? 1 : parseInt(trustProxy) || 0;
+  if (hops > 0) {
+    const forwarded = String(req.headers["x-forwarded-for"] || "")
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+    if (forwarded.length > 0) {
+      return normalizeIp(forwarded[Math.max(0, forwarded.length - hops)]);
+    }
+  }
+  return normalizeIp(req.ip || req.socket?.remoteAddress);
+};
+
+/**
+ * Build a BlockList from allowlist entries (addresses or CIDR ranges)
+ * @param {Array<string>} entries - e.g. ["10.0.0.0/8", "203.0.113.7", "2001:db8::/32"]
+ * @returns {net.BlockList}
+ */
+const buildAllowlist = (entries) => {
+  const list = new net.BlockList();
+
+  for (const entry of entries) {
+    const [address, prefix] = entry.trim().split("/");
+    const type = net.isIPv6(address) ? "ipv6" : net.isIPv4(address) ? "ipv4" : null;
+
+    if (!type) {
+      logger.warn("Ignoring invalid webhook IP allowlist entry", { entry });
+      continue;
+    }
+
+    if (prefix !== undefined) {
+      list.addSubnet(address, parseInt(prefix), type);
+    } else {
+      list.addAddress(address, type);
+    }
+  }
+
+  return list;
+};
+
+/**
+ * Built-in guard strategies
+ * Each strategy returns { ok: boolean, reason?: string }
+ */
+const strategies = {
+  secret: (req, settings) => {
+    const param = settings.secretParam || "token";
+    const provided =
+      req.params?.[param] ||
+      req.query?.[param] ||
+      req.headers["x-webhook-token"];
+
+    if (!provided) {
+      return { ok: false, reason: "missing shared secret" };
+    }
+    return safeEqual(String(provided), settings.secret)
+      ? { ok: true }
+      : { ok: false, reason: "invalid shared secret" };
+  },
+
+  ip: (req, settings) => {
+    const ip = getClientIp(req, settings.trustProxy);
+    const type = net.isIPv6(ip) ? "ipv6" : "ipv4";
+
+    if (!net.isIP(ip)) {
+      return { ok: false, reason: `unrecognised source IP: ${ip || "none"}` };
+    }
+    return settings.allowlist.check(ip, type)
+      ? { ok: true }
+      : { ok: false, reason: `source IP not allowlisted: ${ip}` };
+  },
+
+  basic: (req, settings) => {
+    const header = req.headers.authorization || "";
+    if (!header.startsWith("Basic ")) {
+      return { ok: false, reason: "missing basic auth credentials" };
+    }
+
+    const decoded = Buffer.from(header.slice(6), "base64").toString("utf8");
+    const separator = decoded.indexOf(":");
+    const username = decoded.slice(0, separator);
+    const password = decoded.slice(separator + 1);
+
+    const valid =
+      separator !== -1 &&
+      safeEqual(username, settings.basicAuth.username) &&
+      safeEqual(password, settings.basicAuth.password);
+
+    return valid ? { ok: true } : { ok: false, reason: "invalid basic auth credentials" };
+  },
+
+  signature: (req, settings) => settings.verifySignature(req),
+};
+
+/**
+ * Settings each built-in strategy needs, checked when the guard is created
+ * so a strategy listed without them fails at startup instead of per request
+ */
+const strategyRequirements = {
+  secret: { check: (auth) => !!auth.secret, setting: "a shared secret (secret)" },
+  ip: { check: (auth) => auth.ipAllowlist?.length > 0, setting: "an IP allowlist (ipAllowlist)" },
+  basic: {
+    check: (auth) => !!(auth.basicAuth?.username && auth.basicAuth?.password),
+    setting: "basic auth credentials (basicAuth.username and basicAuth.password)",
+  },
+  signature: {
+    check: (auth) => typeof auth.verifySignature === "function",
+    setting: "a verifySignature function",
+  },
+};
+
+/**
+ * Register a custom guard strategy
+ * @param {string} name - Strategy name used in the strategies list
+ * @param {Function} fn - (req, settings) => { ok, reason }
+ */
+const registerStrategy = (name, fn) => {
+  strategies[name] = fn;
+};
+
+/**
+ * Work out which strategies are active from the auth settings
+ * Strategies are enabled when configured, unless an explicit list is given
+ * @param {Object} auth - Webhook auth settings
+ * @returns {Array<string>}
+ */
+const getActiveStrategies = (auth) => {
+  if (auth.strategies && auth.strategies.length > 0) {
+    return auth.strategies;
+  }
+
+  const active = [];
+  if (auth.secret) active.push("secret");
+  if (auth.ipAllowlist && auth.ipAllowlist.length > 0) active.push("ip");
+  if (auth.basicAuth?.username && auth.basicAuth?.password) active.push("basic");
+  if (typeof auth.verifySignature === "function") active.push("signature");
+  return active;
+};
+
+/**
+ * Create webhook guard middleware
+ * @param {Object} auth - Webhook auth settings (see config.exotel.webhookAuth)
+ * @param {Object} options - Guard options
+ * @param {string} [options.provider] - Provider name used in logs
+ * @returns {Function} - Express middleware
+ */
+const createWebhookGuard = (auth = {}, options = {}) => {
+  const provider = options.provider || "webhook";
+  const active = getActiveStrategies(auth);
+  const mode = auth.mode === "any" ? "any" : "all";
+
+  const settings = {
+    ...auth,
+    allowlist: buildAllowlist(auth.ipAllowlist || []),
+  };
+
+  if (active.length === 0) {
+    logger.warn(`No authentication configured for ${provider} webhooks - accepting all requests`);
+  }
+
+  for (const name of active) {
+    if (!strategies[name]) {
+      throw new Error(`Unknown webhook guard strategy: ${name}`);
+    }
+
+    const requirement = strategyRequirements[name];
+    if (requirement && !requirement.check(auth)) {
+      throw new Error(`Webhook guard strategy "${name}" for ${provider} needs ${requirement.setting}`);
+    }
+  }
+
+  return (req, res, next) => {
+    if (active.length === 0) {
+      return next();
+    }
+
+    const results = active.map((name) => ({ name, ...strategies[name](req, settings) }));
+    const passed = mode === "any"
+      ? results.some((r) => r.ok)
+      : results.every((r) => r.ok);
+
+    if (passed) {
+      return next();
+    }
+
+    const reasons = results.filter((r) => !r.ok).map((r) => `${r.name}: ${r.reason}`);
+    logger.warn(`Rejected ${provider} webhook`, {
+      ip: getClientIp(req, settings.trustProxy),
+      path: req.path,
+      mode,
+      reasons,
+    });
+
+    res.status(401).json({
+      error: "Unauthorized",
+      message: "Webhook authentication failed",
+    });
+  };
+};
+
+module.exports = {
+  createWebhookGuard,
+  registerStrategy,
+  getClientIp,
+};
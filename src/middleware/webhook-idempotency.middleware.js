@@ -0,0 +1,86 @@
+/**
+ * Webhook Idempotency Middleware
+ * Processes each provider + CallSid + call event once and answers retries
+ * with the original response
+ *
+ * Duplicates get the stored status and body with an Idempotent-Replayed
+ * header. A duplicate that arrives while the first delivery is still running
+ * waits for it, and gets a 409 if it does not finish in time so the provider
+ * retries later. Lock failures never block webhook processing.
+ */
+
+const { WebhookIdempotency } = require("../services");
+const logger = require("../utils/logger");
+
+/**
+ * Create webhook idempotency middleware
+ * @param {string} provider - Provider name
+ * @param {Object} options - Middleware options
+ * @param {Function} [options.getCallSid] - Read the call ID from a payload (defaults to call_sid)
+ * @param {Function} [options.getEvent] - Read the call event from a payload, e.g. the
+ *   normalized status, so later events for the same call are not answered from the cache
+ * @returns {Function} - Express middleware
+ */
+const idempotentWebhook = (provider, options = {}) => async (req, res, next) => {
+  const callSid = options.getCallSid ? options.getCallSid(req.body) : req.body?.call_sid;
+
+  // Invalid payloads are rejected by the handler
+  if (!callSid) {
+    return next();
+  }
+
+  let event;
+  let result;
+  try {
+    event = options.getEvent ? options.getEvent(req.body) : undefined;
+    result = await WebhookIdempotency.acquire(provider, callSid, event);
+  } catch (error) {
+    logger.error("Failed to take webhook idempotency lock", { provider, callSid, error: error.message });
+    return next();
+  }
+
+  if (result.state === "completed") {
+    res.set("Idempotent-Replayed", "true");
+    return res.status(result.record.response_status).json(result.record.response_body);
+  }
+
+  if (result.state === "in_progress") {
+    return res.status(409).json({
+      error: "Conflict",
+      message: "A delivery for this call is still being processed",
+    });
+  }
+
+  let finished = false;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    finished = true;
+    try {
+      WebhookIdempotency.finish(provider, callSid, event, res.statusCode, body);
+    } catch (error) {
+      logger.error("Failed to store webhook idempotency response", {
+        provider,
+        callSid,
+        error: error.message,
+      });
+    }
+    return originalJson(body);
+  };
+
+  // Release the lock if the request ends without a JSON response
+  res.on("close", () => {
+    if (!finished) {
+      try {
+        WebhookIdempotency.release(provider, callSid, event);
+      } catch (error) {
+        logger.error("Failed to release webhook idempotency lock", { provider, callSid, error: error.message });
+      }
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  idempotentWebhook,
+};
@@ -0,0 +1,132 @@
+/**
+ * Audio Metrics Model
+ * Database operations for call_audio_metrics table
+ *
+ * One row per call, replaced each time the recording is analyzed.
+ */
+
+const Database = require("better-sqlite3");
+const config = require("../config");
+const logger = require("../utils/logger");
+
+class AudioMetricsModel {
+  constructor() {
+    this.db = new Database(config.database.path);
+    this.db.pragma("journal_mode = WAL");
+  }
+
+  /**
+   * Create or replace the metrics for a call
+   * @param {string} callId - Call ID
+   * @param {Object} metrics - AudioAnalysisService metrics
+   * @returns {Object} - Stored metrics
+   */
+  upsert(callId, metrics) {
+    const sql = `
+      INSERT INTO call_audio_metrics (
+        id, call_id, source, duration_seconds, channels, silence_count,
+        total_silence_seconds, longest_silence_seconds, hold_count, hold_seconds,
+        dead_air_seconds, silence_ratio, talk_over_count, talk_over_seconds,
+        talk_over_source, silence_segments, alerts, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(call_id) DO UPDATE SET
+        source = excluded.source,
+        duration_seconds = excluded.duration_seconds,
+        channels = excluded.channels,
+        silence_count = excluded.silence_count,
+        total_silence_seconds = excluded.total_silence_seconds,
+        longest_silence_seconds = excluded.longest_silence_seconds,
+        hold_count = excluded.hold_count,
+        hold_seconds = excluded.hold_seconds,
+        dead_air_seconds = excluded.dead_air_seconds,
+        silence_ratio = excluded.silence_ratio,
+        talk_over_count = excluded.talk_over_count,
+        talk_over_seconds = excluded.talk_over_seconds,
+        talk_over_source = excluded.talk_over_source,
+        silence_segments = excluded.silence_segments,
+        alerts = excluded.alerts,
+        updated_at = excluded.updated_at
+    `;
+
+    const id = `audiometrics_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const now = new Date().toISOString();
+
+    const stmt = this.db.prepare(sql);
+    stmt.run(
+      id,
+      callId,
+      metrics.source,
+      metrics.durationSeconds ?? null,
+      metrics.channels ?? null,
+      metrics.silenceCount || 0,
+      metrics.totalSilenceSeconds || 0,
+      metrics.longestSilenceSeconds || 0,
+      metrics.holdCount || 0,
+      metrics.holdSeconds || 0,
+      metrics.deadAirSeconds || 0,
+      metrics.silenceRatio || 0,
+      metrics.talkOverCount ?? null,
+      metrics.talkOverSeconds ?? null,
+      metrics.talkOverSource || null,
+      JSON.stringify(metrics.silenceSegments || []),
+      JSON.stringify(metrics.alerts || []),
+      now,
+      now
+    );
+
+    logger.info("Audio metrics stored", { callId, source: metrics.source });
+    return this.findByCallId(callId);
+  }
+
+  /**
+   * Find metrics by call ID
+   * @param {string} callId - Call ID
+   * @returns {Object|null} - Metrics or null
+   */
+  findByCallId(callId) {
+    const sql = `SELECT * FROM call_audio_metrics WHERE call_id = ?`;
+    const stmt = this.db.prepare(sql);
+    return this.parseJsonFields(stmt.get(callId));
+  }
+
+  /**
+   * Delete metrics by call ID
+   * @param {string} callId - Call ID
+   * @returns {boolean} - Success status
+   */
+  deleteByCallId(callId) {
+    const sql = `DELETE FROM call_audio_metrics WHERE call_id = ?`;
+    const stmt = this.db.prepare(sql);
+    const result = stmt.run(callId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Parse JSON fields in a metrics record
+   * @param {Object} record - Database record
+   * @returns {Object|null} - Parsed record
+   */
+  parseJsonFields(record) {
+    if (!record) return null;
+
+    try {
+      record.silence_segments = record.silence_segments ? JSON.parse(record.silence_segments) : [];
+      record.alerts = record.alerts ? JSON.parse(record.alerts) : [];
+    } catch (e) {
+      logger.error("Error parsing audio metrics JSON fields", { id: record.id, error: e.message });
+    }
+
+    return record;
+  }
+
+  /**
+   * Close database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = AudioMetricsModel;
@@ -8,6 +8,9 @@ const path = require("path");
 const config = require("../config");
 const logger = require("../utils/logger");
 
+// Statuses of calls stored without audio (see resolveUnansweredStatus)
+const UNANSWERED_STATUSES = ["busy", "failed", "missed", "no_answer"];
+
 class CallModel {
   constructor() {
     this.db = new Database(config.database.path);
@@ -20,12 +23,99 @@ class CallModel {
    * @returns {Object} - Created call record
    */
   create(callData) {
+    const { id, changes } = this.insertCall(callData);
+
+    if (changes === 0) {
+      throw new Error("Failed to create call record");
+    }
+
+    logger.info("Call record created", {
+      id,
+      exotelCallSid: callData.exotel_call_sid,
+    });
+    return this.findById(id);
+  }
+
+  /**
+   * Create a call unless one with the same CallSid already exists
+   * The duplicate check and the insert are a single statement, so concurrent
+   * webhook deliveries cannot both create the call or hit the UNIQUE constraint
+   * @param {Object} callData - Call data
+   * A recording delivered for a call first tracked as unanswered (e.g. the
+   * provider sent "no-answer" before the completed event) is attached to it.
+   * @returns {Object} - { call, created, upgraded }
+   */
+  createIfNotExists(callData) {
+    if (!callData.exotel_call_sid) {
+      return { call: this.create(callData), created: true };
+    }
+
+    const { id, changes } = this.insertCall(callData, { ignoreDuplicate: true });
+
+    if (changes === 0) {
+      if (callData.recording_url && this.attachRecording(callData)) {
+        return { call: this.findByExotelCallSid(callData.exotel_call_sid), created: false, upgraded: true };
+      }
+      return { call: this.findByExotelCallSid(callData.exotel_call_sid), created: false };
+    }
+
+    logger.info("Call record created", {
+      id,
+      exotelCallSid: callData.exotel_call_sid,
+    });
+    return { call: this.findById(id), created: true };
+  }
+
+  /**
+   * Attach a recording to an unanswered call with the same CallSid
+   * @param {Object} callData - Call data with recording_url
+   * @returns {boolean} - True if an unanswered call was updated
+   */
+  attachRecording(callData) {
+    const sql = `
+      UPDATE calls
+      SET recording_url = ?, status = ?, call_type = ?, duration_seconds = ?,
+          agent_id = COALESCE(agent_id, ?), agent_attribution = COALESCE(agent_attribution, ?),
+          updated_at = ?
+      WHERE exotel_call_sid = ?
+        AND recording_url IS NULL
+        AND status IN (${UNANSWERED_STATUSES.map(() => "?").join(", ")})
+    `;
+
+    const { changes } = this.db
+      .prepare(sql)
+      .run(
+        callData.recording_url,
+        callData.status,
+        callData.call_type,
+        callData.duration_seconds,
+        callData.agent_id || null,
+        callData.agent_attribution || null,
+        new Date().toISOString(),
+        callData.exotel_call_sid,
+        ...UNANSWERED_STATUSES
+      );
+
+    if (changes > 0) {
+      logger.info("Recording attached to unanswered call", { exotelCallSid: callData.exotel_call_sid });
+    }
+    return changes > 0;
+  }
+
+  /**
+   * Insert a call row
+   * @param {Object} callData - Call data
+   * @param {Object} options - { ignoreDuplicate: skip the insert if the CallSid exists }
+   * @returns {Object} - { id, changes }
+   */
+  insertCall(callData, options = {}) {
     const sql = `
       INSERT INTO calls (
         id, org_id, agent_id, exotel_call_sid, recording_url,
         local_audio_path, duration_seconds, call_type, caller_number,
-        callee_number, direction, status, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        callee_number, direction, status, agent_attribution, source, source_ref, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ${options.ignoreDuplicate ? "ON CONFLICT(exotel_call_sid) DO NOTHING" : ""}
     `;
 
     const id = `call_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -44,18 +134,13 @@ class CallModel {
       callData.callee_number,
       callData.direction,
       callData.status,
-      new Date().toISOString()
+      callData.agent_attribution || null,
+      callData.source || "exotel",
+      callData.source_ref || null,
+      callData.created_at || new Date().toISOString()
     );
 
-    if (result.changes === 0) {
-      throw new Error("Failed to create call record");
-    }
-
-    logger.info("Call record created", {
-      id,
-      exotelCallSid: callData.exotel_call_sid,
-    });
-    return this.findById(id);
+    return { id, changes: result.changes };
   }
 
   /**
@@ -80,6 +165,17 @@ class CallModel {
     return stmt.get(callSid);
   }
 
+  /**
+   * Find call by source reference (e.g. the file an imported call came from)
+   * @param {string} sourceRef - Source reference
+   * @returns {Object|null} - Call record or null
+   */
+  findBySourceRef(sourceRef) {
+    const sql = `SELECT * FROM calls WHERE source_ref = ?`;
+    const stmt = this.db.prepare(sql);
+    return stmt.get(sourceRef);
+  }
+
   /**
    * Update call record
    * @param {string} id - Call ID
@@ -124,34 +220,254 @@ class CallModel {
    * Set local audio path
    * @param {string} id - Call ID
    * @param {string} localPath - Local file path
+   * @param {string} [storageKey] - Key of the audio in the configured storage
    * @returns {Object} - Updated call record
    */
-  setLocalAudioPath(id, localPath) {
-    return this.update(id, { local_audio_path: localPath });
+  setLocalAudioPath(id, localPath, storageKey) {
+    const updates = { local_audio_path: localPath };
+    if (storageKey !== undefined) {
+      updates.audio_storage_key = storageKey;
+    }
+    return this.update(id, updates);
   }
 
   /**
-   * Get calls with pagination
-   * @param {Object} options - Query options
-   * @returns {Array} - Call records
+   * Store the detected audio format and properties
+   * @param {string} id - Call ID
+   * @param {Object} metadata - { audio_format, audio_codec, audio_duration_seconds,
+   *   audio_sample_rate, audio_channels, audio_size_bytes, audio_sha256 }
+   * @returns {Object} - Updated call record
    */
-  findAll(options = {}) {
-    const { limit = 50, offset = 0, status, org_id } = options;
+  setAudioMetadata(id, metadata) {
+    const updates = {
+      audio_format: metadata.audio_format ?? null,
+      audio_codec: metadata.audio_codec ?? null,
+      audio_duration_seconds: metadata.audio_duration_seconds ?? null,
+      audio_sample_rate: metadata.audio_sample_rate ?? null,
+      audio_channels: metadata.audio_channels ?? null,
+      audio_size_bytes: metadata.audio_size_bytes ?? null,
+    };
+    // Only downloads carry a checksum
+    if (metadata.audio_sha256 !== undefined) {
+      updates.audio_sha256 = metadata.audio_sha256;
+    }
+    return this.update(id, updates);
+  }
+
+  /**
+   * Assign call to an agent
+   * @param {string} id - Call ID
+   * @param {string|null} agentId - User ID of the agent
+   * @param {string} attribution - How the agent was determined
+   * @returns {Object} - Updated call record
+   */
+  assignAgent(id, agentId, attribution) {
+    return this.update(id, { agent_id: agentId, agent_attribution: attribution });
+  }
+
+  /**
+   * Mark call as failed at a pipeline stage
+   * @param {string} id - Call ID
+   * @param {string} status - Failure status (e.g. download_failed)
+   * @param {string} errorMessage - Error message to record
+   * @returns {Object} - Updated call record
+   */
+  markFailed(id, status, errorMessage) {
+    return this.update(id, { status, last_error: errorMessage || null });
+  }
+
+  /**
+   * Delete a call record
+   * Only for calls nothing else references yet (no transcript or analysis)
+   * @param {string} id - Call ID
+   * @returns {boolean} - Success status
+   */
+  delete(id) {
+    const sql = `DELETE FROM calls WHERE id = ?`;
+    const stmt = this.db.prepare(sql);
+    const result = stmt.run(id);
+
+    logger.info("Call record deleted", { id });
+    return result.changes > 0;
+  }
 
-    let sql = `SELECT * FROM calls WHERE 1=1`;
+  /**
+   * Store the CRM lead matched for a call
+   * @param {string} id - Call ID
+   * @param {Object|null} lead - Normalized lead, or null when no lead matched
+   * @returns {Object} - Updated call record
+   */
+  setLead(id, lead) {
+    return this.update(id, {
+      lead_id: lead?.id || null,
+      lead_name: lead?.name || null,
+      lead_organization_type: lead?.organization_type || null,
+      lead_city: lead?.city || null,
+      lead_enquiry_source: lead?.enquiry_source || null,
+      lead_crm: lead?.crm || null,
+      lead_looked_up_at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Claim the right to queue the download job for a call
+   * Only the first caller gets true, so each call is downloaded once
+   * however many webhook deliveries or backfills reach it
+   * @param {string} id - Call ID
+   * @returns {boolean} - True if this caller should queue the job
+   */
+  claimDownload(id) {
+    const now = new Date().toISOString();
+    const sql = `
+      UPDATE calls SET download_queued_at = ?, updated_at = ?
+      WHERE id = ? AND download_queued_at IS NULL
+    `;
+    return this.db.prepare(sql).run(now, now, id).changes === 1;
+  }
+
+  /**
+   * Record the download job queued for a call
+   * @param {string} id - Call ID
+   * @param {string} jobId - Queue job ID
+   * @returns {Object} - Updated call record
+   */
+  setDownloadJob(id, jobId) {
+    return this.update(id, { download_job_id: jobId });
+  }
+
+  /**
+   * Release a download claim after queuing failed, so a redelivery can retry
+   * @param {string} id - Call ID
+   */
+  releaseDownloadClaim(id) {
+    const sql = `UPDATE calls SET download_queued_at = NULL, download_job_id = NULL WHERE id = ?`;
+    this.db.prepare(sql).run(id);
+  }
+
+  /**
+   * Record a pipeline retry attempt
+   * @param {string} id - Call ID
+   * @returns {Object} - Updated call record
+   */
+  recordRetry(id) {
+    const now = new Date().toISOString();
+    const sql = `
+      UPDATE calls
+      SET retry_count = COALESCE(retry_count, 0) + 1,
+          last_retry_at = ?, updated_at = ?
+      WHERE id = ?
+    `;
+
+    const stmt = this.db.prepare(sql);
+    const result = stmt.run(now, now, id);
+
+    if (result.changes === 0) {
+      throw new Error(`Call not found: ${id}`);
+    }
+
+    logger.info("Call retry recorded", { id });
+    return this.findById(id);
+  }
+
+  /**
+   * Find calls whose audio is older than the retention cutoff
+   * @param {string} orgId - Organization ID
+   * @param {string} before - ISO timestamp; calls created before it are due
+   * @param {number} limit - Maximum calls to return
+   * @returns {Array} - Call records, oldest first
+   */
+  findAudioDueForPurge(orgId, before, limit = 500) {
+    const sql = `
+      SELECT * FROM calls
+      WHERE org_id = ? AND created_at < ? AND audio_purged_at IS NULL
+        AND (local_audio_path IS NOT NULL OR audio_storage_key IS NOT NULL)
+      ORDER BY created_at ASC
+      LIMIT ?
+    `;
+    return this.db.prepare(sql).all(orgId, before, limit);
+  }
+
+  /**
+   * Clear a call's audio location after the recording was deleted
+   * The recording URL is cleared too so retries cannot download it again.
+   * @param {string} id - Call ID
+   * @returns {Object} - Updated call record
+   */
+  markAudioPurged(id) {
+    return this.update(id, {
+      local_audio_path: null,
+      audio_storage_key: null,
+      recording_url: null,
+      audio_purged_at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Build WHERE clause for call list filters
+   * @param {Object} filters - Filter options
+   * @returns {Object} - { whereClause, params }
+   */
+  buildFilterClause(filters = {}) {
+    const { status, org_id, agent_id, direction, source, phone, startDate, endDate } = filters;
+
+    let whereClause = "WHERE 1=1";
     const params = [];
 
     if (status) {
-      sql += ` AND status = ?`;
-      params.push(status);
+      const statuses = Array.isArray(status) ? status : [status];
+      whereClause += ` AND status IN (${statuses.map(() => "?").join(", ")})`;
+      params.push(...statuses);
     }
 
     if (org_id) {
-      sql += ` AND org_id = ?`;
+      whereClause += ` AND org_id = ?`;
       params.push(org_id);
     }
 
-    sql += ` ORDER BY created_at DESC LIMIT ? OFFSET ?`;
+    if (agent_id) {
+      whereClause += ` AND agent_id = ?`;
+      params.push(agent_id);
+    }
+
+    if (direction) {
+      whereClause += ` AND direction = ?`;
+      params.push(direction);
+    }
+
+    if (source) {
+      const sources = Array.isArray(source) ? source : [source];
+      whereClause += ` AND source IN (${sources.map(() => "?").join(", ")})`;
+      params.push(...sources);
+    }
+
+    if (phone) {
+      whereClause += ` AND (caller_number LIKE ? OR callee_number LIKE ?)`;
+      params.push(`%${phone}%`, `%${phone}%`);
+    }
+
+    if (startDate) {
+      whereClause += ` AND created_at >= ?`;
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      whereClause += ` AND created_at <= ?`;
+      params.push(endDate);
+    }
+
+    return { whereClause, params };
+  }
+
+  /**
+   * Get calls with pagination
+   * @param {Object} options - Query options
+   * @returns {Array} - Call records
+   */
+  findAll(options = {}) {
+    const { limit = 50, offset = 0, ...filters } = options;
+    const { whereClause, params } = this.buildFilterClause(filters);
+
+    const sql = `SELECT * FROM calls ${whereClause} ORDER BY created_at DESC LIMIT ? OFFSET ?`;
     params.push(limit, offset);
 
     const stmt = this.db.prepare(sql);
@@ -164,26 +480,31 @@ class CallModel {
    * @returns {number} - Count
    */
   count(filters = {}) {
-    const { status, org_id } = filters;
-
-    let sql = `SELECT COUNT(*) as count FROM calls WHERE 1=1`;
-    const params = [];
-
-    if (status) {
-      sql += ` AND status = ?`;
-      params.push(status);
-    }
-
-    if (org_id) {
-      sql += ` AND org_id = ?`;
-      params.push(org_id);
-    }
+    const { whereClause, params } = this.buildFilterClause(filters);
 
+    const sql = `SELECT COUNT(*) as count FROM calls ${whereClause}`;
     const stmt = this.db.prepare(sql);
     const result = stmt.get(...params);
     return result.count;
   }
 
+  /**
+   * Get call counts grouped by status
+   * @param {Object} filters - Filter options
+   * @returns {Object} - Map of status to count
+   */
+  countByStatus(filters = {}) {
+    const { whereClause, params } = this.buildFilterClause(filters);
+
+    const sql = `SELECT status, COUNT(*) as count FROM calls ${whereClause} GROUP BY status`;
+    const stmt = this.db.prepare(sql);
+
+    return stmt.all(...params).reduce((acc, row) => {
+      acc[row.status] = row.count;
+      return acc;
+    }, {});
+  }
+
   /**
    * Close database connection
    */
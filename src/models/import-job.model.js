@@ -0,0 +1,144 @@
+/**
+ * Import Job Model
+ * Database operations for import_jobs table (bulk recording imports)
+ */
+
+const Database = require("better-sqlite3");
+const config = require("../config");
+const logger = require("../utils/logger");
+
+class ImportJobModel {
+  constructor() {
+    this.db = new Database(config.database.path);
+    this.db.pragma("journal_mode = WAL");
+  }
+
+  /**
+   * Create a new import job
+   * @param {Object} data - Job data
+   * @returns {Object} - Created job record
+   */
+  create(data) {
+    const sql = `
+      INSERT INTO import_jobs (
+        id, org_id, source_path, source_type, manifest_path, status, options, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const id = `import_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const stmt = this.db.prepare(sql);
+    const result = stmt.run(
+      id,
+      data.org_id,
+      data.source_path,
+      data.source_type,
+      data.manifest_path || null,
+      "pending",
+      JSON.stringify(data.options || {}),
+      new Date().toISOString()
+    );
+
+    if (result.changes === 0) {
+      throw new Error("Failed to create import job");
+    }
+
+    logger.info("Import job created", { id, sourcePath: data.source_path });
+    return this.findById(id);
+  }
+
+  /**
+   * Find import job by ID
+   * @param {string} id - Job ID
+   * @returns {Object|null} - Job record or null
+   */
+  findById(id) {
+    const sql = `SELECT * FROM import_jobs WHERE id = ?`;
+    const stmt = this.db.prepare(sql);
+    return this.parseJsonFields(stmt.get(id));
+  }
+
+  /**
+   * Update import job
+   * @param {string} id - Job ID
+   * @param {Object} updates - Fields to update
+   * @returns {Object} - Updated job record
+   */
+  update(id, updates) {
+    const data = { ...updates };
+    for (const field of ["options", "errors"]) {
+      if (data[field] !== undefined) {
+        data[field] = JSON.stringify(data[field]);
+      }
+    }
+
+    const fields = Object.keys(data);
+    if (fields.length === 0) {
+      return this.findById(id);
+    }
+
+    const setClause = fields.map((field) => `${field} = ?`).join(", ");
+    const sql = `UPDATE import_jobs SET ${setClause}, updated_at = ? WHERE id = ?`;
+
+    const stmt = this.db.prepare(sql);
+    const result = stmt.run(...Object.values(data), new Date().toISOString(), id);
+
+    if (result.changes === 0) {
+      throw new Error(`Import job not found: ${id}`);
+    }
+
+    return this.findById(id);
+  }
+
+  /**
+   * Get import jobs, newest first
+   * @param {Object} options - { limit, offset, status }
+   * @returns {Array} - Job records
+   */
+  findAll(options = {}) {
+    const { limit = 50, offset = 0, status } = options;
+
+    let sql = `SELECT * FROM import_jobs`;
+    const params = [];
+
+    if (status) {
+      sql += ` WHERE status = ?`;
+      params.push(status);
+    }
+
+    sql += ` ORDER BY created_at DESC LIMIT ? OFFSET ?`;
+    params.push(limit, offset);
+
+    const stmt = this.db.prepare(sql);
+    return stmt.all(...params).map((r) => this.parseJsonFields(r));
+  }
+
+  /**
+   * Parse JSON fields in job record
+   * @param {Object} record - Raw database record
+   * @returns {Object|null} - Parsed record
+   */
+  parseJsonFields(record) {
+    if (!record) return null;
+
+    try {
+      record.options = record.options ? JSON.parse(record.options) : {};
+      record.errors = record.errors ? JSON.parse(record.errors) : [];
+    } catch (e) {
+      logger.error("Error parsing import job JSON fields", { id: record.id, error: e.message });
+    }
+
+    return record;
+  }
+
+  /**
+   * Close database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = ImportJobModel;
@@ -8,6 +8,14 @@ const TranscriptModel = require("./transcript.model");
 const AnalysisModel = require("./analysis.model");
 const NotificationModel = require("./notification.model");
 const UserPreferencesModel = require("./user-preferences.model");
+const UserModel = require("./user.model");
+const WebhookEventModel = require("./webhook-event.model");
+const ImportJobModel = require("./import-job.model");
+const WebhookIdempotencyModel = require("./webhook-idempotency.model");
+const OrganizationModel = require("./organization.model");
+const RetentionAuditModel = require("./retention-audit.model");
+const AudioMetricsModel = require("./audio-metrics.model");
+const StorageUsageModel = require("./storage-usage.model");
 
 module.exports = {
   CallModel,
@@ -15,9 +23,25 @@ module.exports = {
   AnalysisModel,
   NotificationModel,
   UserPreferencesModel,
+  UserModel,
+  WebhookEventModel,
+  ImportJobModel,
+  WebhookIdempotencyModel,
+  OrganizationModel,
+  RetentionAuditModel,
+  AudioMetricsModel,
+  StorageUsageModel,
   Call: new CallModel(),
   Transcript: new TranscriptModel(),
   Analysis: new AnalysisModel(),
   Notification: new NotificationModel(),
   UserPreferences: new UserPreferencesModel(),
+  User: new UserModel(),
+  WebhookEvent: new WebhookEventModel(),
+  ImportJob: new ImportJobModel(),
+  WebhookIdempotency: new WebhookIdempotencyModel(),
+  Organization: new OrganizationModel(),
+  RetentionAudit: new RetentionAuditModel(),
+  AudioMetrics: new AudioMetricsModel(),
+  StorageUsage: new StorageUsageModel(),
 };
@@ -0,0 +1,85 @@
+/**
+ * Organization Model
+ * Database operations for organizations table
+ */
+
+const Database = require("better-sqlite3");
+const config = require("../config");
+const logger = require("../utils/logger");
+
+class OrganizationModel {
+  constructor() {
+    this.db = new Database(config.database.path);
+    this.db.pragma("journal_mode = WAL");
+  }
+
+  /**
+   * Find organization by ID
+   * @param {string} id - Organization ID
+   * @returns {Object|null} - Organization record or null
+   */
+  findById(id) {
+    const sql = `SELECT * FROM organizations WHERE id = ?`;
+    const stmt = this.db.prepare(sql);
+    return this.parseJsonFields(stmt.get(id));
+  }
+
+  /**
+   * Get all organizations
+   * @returns {Array} - Organization records
+   */
+  findAll() {
+    const sql = `SELECT * FROM organizations ORDER BY created_at ASC`;
+    const stmt = this.db.prepare(sql);
+    return stmt.all().map((r) => this.parseJsonFields(r));
+  }
+
+  /**
+   * Merge values into an organization's settings
+   * @param {string} id - Organization ID
+   * @param {Object} values - Top-level settings to set
+   * @returns {Object} - Updated organization record
+   */
+  updateSettings(id, values) {
+    const organization = this.findById(id);
+    if (!organization) {
+      throw new Error(`Organization not found: ${id}`);
+    }
+
+    const settings = { ...organization.settings, ...values };
+    const sql = `UPDATE organizations SET settings = ?, updated_at = ? WHERE id = ?`;
+    this.db.prepare(sql).run(JSON.stringify(settings), new Date().toISOString(), id);
+
+    logger.info("Organization settings updated", { id, settings: Object.keys(values) });
+    return this.findById(id);
+  }
+
+  /**
+   * Parse JSON fields in organization record
+   * @param {Object} record - Raw database record
+   * @returns {Object|null} - Parsed record
+   */
+  parseJsonFields(record) {
+    if (!record) return null;
+
+    try {
+      record.settings = record.settings ? JSON.parse(record.settings) : {};
+    } catch (e) {
+      logger.error("Error parsing organization settings", { id: record.id, error: e.message });
+      record.settings = {};
+    }
+
+    return record;
+  }
+
+  /**
+   * Close database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = OrganizationModel;
@@ -0,0 +1,172 @@
+/**
+ * Retention Audit Model
+ * Database operations for retention_audit_log table
+ *
+ * Every recording deleted and transcript redacted by the retention purge is
+ * recorded here, including dry runs and failures, so compliance can show
+ * what was removed and when.
+ */
+
+const Database = require("better-sqlite3");
+const config = require("../config");
+const logger = require("../utils/logger");
+
+class RetentionAuditModel {
+  constructor() {
+    this.db = new Database(config.database.path);
+    this.db.pragma("journal_mode = WAL");
+  }
+
+  /**
+   * Create an audit entry
+   * @param {Object} data - { run_id, org_id, call_id, action, status, details, error_message }
+   * @returns {Object} - Created entry
+   */
+  create(data) {
+    const sql = `
+      INSERT INTO retention_audit_log (
+        id, run_id, org_id, call_id, action, status, details, error_message, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const id = `retain_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const stmt = this.db.prepare(sql);
+    const result = stmt.run(
+      id,
+      data.run_id,
+      data.org_id,
+      data.call_id || null,
+      data.action,
+      data.status,
+      data.details ? JSON.stringify(data.details) : null,
+      data.error_message || null,
+      new Date().toISOString()
+    );
+
+    if (result.changes === 0) {
+      throw new Error("Failed to create retention audit entry");
+    }
+
+    return this.findById(id);
+  }
+
+  /**
+   * Find audit entry by ID
+   * @param {string} id - Entry ID
+   * @returns {Object|null} - Entry or null
+   */
+  findById(id) {
+    const sql = `SELECT * FROM retention_audit_log WHERE id = ?`;
+    const stmt = this.db.prepare(sql);
+    return this.parseJsonFields(stmt.get(id));
+  }
+
+  /**
+   * Build WHERE clause for audit filters
+   * @param {Object} filters - Filter options
+   * @returns {Object} - { whereClause, params }
+   */
+  buildFilterClause(filters = {}) {
+    const { run_id, org_id, call_id, action, status, startDate, endDate } = filters;
+
+    let whereClause = "WHERE 1=1";
+    const params = [];
+
+    if (run_id) {
+      whereClause += ` AND run_id = ?`;
+      params.push(run_id);
+    }
+
+    if (org_id) {
+      whereClause += ` AND org_id = ?`;
+      params.push(org_id);
+    }
+
+    if (call_id) {
+      whereClause += ` AND call_id = ?`;
+      params.push(call_id);
+    }
+
+    if (action) {
+      whereClause += ` AND action = ?`;
+      params.push(action);
+    }
+
+    if (status) {
+      whereClause += ` AND status = ?`;
+      params.push(status);
+    }
+
+    if (startDate) {
+      whereClause += ` AND created_at >= ?`;
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      whereClause += ` AND created_at <= ?`;
+      params.push(endDate);
+    }
+
+    return { whereClause, params };
+  }
+
+  /**
+   * Get audit entries with pagination and filtering
+   * @param {Object} options - Query options
+   * @returns {Array} - Entries, newest first
+   */
+  findAll(options = {}) {
+    const { limit = 50, offset = 0, ...filters } = options;
+    const { whereClause, params } = this.buildFilterClause(filters);
+
+    const sql = `SELECT * FROM retention_audit_log ${whereClause} ORDER BY created_at DESC LIMIT ? OFFSET ?`;
+    params.push(limit, offset);
+
+    const stmt = this.db.prepare(sql);
+    return stmt.all(...params).map((r) => this.parseJsonFields(r));
+  }
+
+  /**
+   * Get audit entry count
+   * @param {Object} filters - Filter options
+   * @returns {number} - Count
+   */
+  count(filters = {}) {
+    const { whereClause, params } = this.buildFilterClause(filters);
+
+    const sql = `SELECT COUNT(*) as count FROM retention_audit_log ${whereClause}`;
+    const stmt = this.db.prepare(sql);
+    return stmt.get(...params).count;
+  }
+
+  /**
+   * Parse JSON fields in audit entry
+   * @param {Object} record - Raw database record
+   * @returns {Object|null} - Parsed record
+   */
+  parseJsonFields(record) {
+    if (!record) return null;
+
+    try {
+      if (record.details) {
+        record.details = JSON.parse(record.details);
+      }
+    } catch (e) {
+      logger.error("Error parsing retention audit details", { id: record.id, error: e.message });
+    }
+
+    return record;
+  }
+
+  /**
+   * Close database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = RetentionAuditModel;
@@ -0,0 +1,189 @@
+/**
+ * Storage Usage Model
+ * Database operations for storage_objects and storage_usage tables
+ *
+ * storage_objects holds the size of every stored file by storage key, so a
+ * delete or overwrite subtracts exactly what was counted when it was written.
+ * storage_usage keeps the running totals per organization and category.
+ */
+
+const Database = require("better-sqlite3");
+const config = require("../config");
+const logger = require("../utils/logger");
+
+class StorageUsageModel {
+  constructor() {
+    this.db = new Database(config.database.path);
+    this.db.pragma("journal_mode = WAL");
+  }
+
+  /**
+   * Add bytes to an organization's totals
+   * @param {string} orgId - Organization ID
+   * @param {string} category - audio or exports
+   * @param {Object} change - { bytes, files, written, deleted }
+   */
+  adjust(orgId, category, change) {
+    const now = new Date().toISOString();
+    this.db
+      .prepare("INSERT OR IGNORE INTO storage_usage (org_id, category, updated_at) VALUES (?, ?, ?)")
+      .run(orgId, category, now);
+
+    this.db
+      .prepare(
+        `UPDATE storage_usage SET
+           bytes_used = MAX(bytes_used + ?, 0),
+           file_count = MAX(file_count + ?, 0),
+           bytes_written = bytes_written + ?,
+           bytes_deleted = bytes_deleted + ?,
+           updated_at = ?
+         WHERE org_id = ? AND category = ?`
+      )
+      .run(change.bytes || 0, change.files || 0, change.written || 0, change.deleted || 0, now, orgId, category);
+  }
+
+  /**
+   * Record a file written to storage
+   * Writing an existing key replaces its previous size.
+   * @param {string} key - Storage key
+   * @param {string} orgId - Organization ID
+   * @param {string} category - audio or exports
+   * @param {number} sizeBytes - File size
+   * @returns {Object} - storage_objects record
+   */
+  recordWrite(key, orgId, category, sizeBytes) {
+    const write = this.db.transaction(() => {
+      const previous = this.findObject(key);
+      const now = new Date().toISOString();
+
+      if (previous) {
+        this.adjust(previous.org_id, previous.category, { bytes: -previous.size_bytes, files: -1 });
+      }
+      this.adjust(orgId, category, { bytes: sizeBytes, files: 1, written: sizeBytes });
+
+      this.db
+        .prepare(
+          `INSERT INTO storage_objects (key, org_id, category, size_bytes, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?)
+           ON CONFLICT(key) DO UPDATE SET
+             org_id = excluded.org_id,
+             category = excluded.category,
+             size_bytes = excluded.size_bytes,
+             updated_at = excluded.updated_at`
+        )
+        .run(key, orgId, category, sizeBytes, now, now);
+    });
+
+    write();
+    logger.debug("Storage write recorded", { key, orgId, category, sizeBytes });
+    return this.findObject(key);
+  }
+
+  /**
+   * Record a file deleted from storage
+   * @param {string} key - Storage key
+   * @returns {Object|null} - Removed storage_objects record, null if it was not tracked
+   */
+  recordDelete(key) {
+    const remove = this.db.transaction(() => {
+      const object = this.findObject(key);
+      if (!object) return null;
+
+      this.adjust(object.org_id, object.category, {
+        bytes: -object.size_bytes,
+        files: -1,
+        deleted: object.size_bytes,
+      });
+      this.db.prepare("DELETE FROM storage_objects WHERE key = ?").run(key);
+      return object;
+    });
+
+    const object = remove();
+    if (object) {
+      logger.debug("Storage delete recorded", { key, orgId: object.org_id, sizeBytes: object.size_bytes });
+    }
+    return object;
+  }
+
+  /**
+   * Find a tracked file
+   * @param {string} key - Storage key
+   * @returns {Object|null}
+   */
+  findObject(key) {
+    return this.db.prepare("SELECT * FROM storage_objects WHERE key = ?").get(key) || null;
+  }
+
+  /**
+   * Get an organization's totals for a category
+   * @param {string} orgId - Organization ID
+   * @param {string} category - audio or exports
+   * @returns {Object|null}
+   */
+  findUsage(orgId, category) {
+    return this.db.prepare("SELECT * FROM storage_usage WHERE org_id = ? AND category = ?").get(orgId, category) || null;
+  }
+
+  /**
+   * Get totals for all organizations
+   * @param {Object} filters - { orgId }
+   * @returns {Array<Object>}
+   */
+  findAll(filters = {}) {
+    let sql = "SELECT * FROM storage_usage WHERE 1=1";
+    const params = [];
+
+    if (filters.orgId) {
+      sql += " AND org_id = ?";
+      params.push(filters.orgId);
+    }
+
+    sql += " ORDER BY org_id, category";
+    return this.db.prepare(sql).all(...params);
+  }
+
+  /**
+   * Remember when admins were told about an exceeded quota
+   * @param {string} orgId - Organization ID
+   * @param {string} category - audio or exports
+   * @param {string|null} notifiedAt - ISO timestamp, null to reset
+   */
+  markQuotaNotified(orgId, category, notifiedAt = new Date().toISOString()) {
+    this.adjust(orgId, category, {});
+    this.db
+      .prepare("UPDATE storage_usage SET quota_notified_at = ? WHERE org_id = ? AND category = ?")
+      .run(notifiedAt, orgId, category);
+  }
+
+  /**
+   * Replace all tracked files, e.g. after scanning the storage root
+   * Current totals are recomputed; lifetime written/deleted counters are kept.
+   * @param {Array<Object>} objects - [{ key, orgId, category, sizeBytes }]
+   * @returns {Array<Object>} - New totals
+   */
+  replaceObjects(objects) {
+    const replace = this.db.transaction(() => {
+      const now = new Date().toISOString();
+      this.db.prepare("DELETE FROM storage_objects").run();
+      this.db.prepare("UPDATE storage_usage SET bytes_used = 0, file_count = 0, updated_at = ?").run(now);
+
+      const insert = this.db.prepare(
+        "INSERT INTO storage_objects (key, org_id, category, size_bytes, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)"
+      );
+      for (const object of objects) {
+        insert.run(object.key, object.orgId, object.category, object.sizeBytes, now, now);
+        this.adjust(object.orgId, object.category, { bytes: object.sizeBytes, files: 1 });
+      }
+    });
+
+    replace();
+    logger.info("Storage usage rebuilt", { objects: objects.length });
+    return this.findAll();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = StorageUsageModel;
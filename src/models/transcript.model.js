@@ -7,6 +7,9 @@ const Database = require("better-sqlite3");
 const config = require("../config");
 const logger = require("../utils/logger");
 
+// Columns stored as JSON
+const JSON_FIELDS = ["speaker_segments", "stt_attempts", "stt_routing", "stt_candidates"];
+
 class TranscriptModel {
   constructor() {
     this.db = new Database(config.database.path);
@@ -22,8 +25,9 @@ class TranscriptModel {
     const sql = `
       INSERT INTO transcripts (
         id, call_id, content, language, speaker_segments,
-        word_count, stt_provider, processing_time_ms, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        word_count, stt_provider, stt_model, stt_attempts, stt_routing,
+        stt_candidates, stt_agreement, stt_low_agreement, processing_time_ms, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const id = `transcript_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -37,6 +41,12 @@ class TranscriptModel {
       data.speaker_segments ? JSON.stringify(data.speaker_segments) : null,
       data.word_count || 0,
       data.stt_provider || "groq",
+      data.stt_model || null,
+      data.stt_attempts ? JSON.stringify(data.stt_attempts) : null,
+      data.stt_routing ? JSON.stringify(data.stt_routing) : null,
+      data.stt_candidates ? JSON.stringify(data.stt_candidates) : null,
+      data.stt_agreement ?? null,
+      data.stt_low_agreement ? 1 : 0,
       data.processing_time_ms || 0,
       new Date().toISOString()
     );
@@ -57,13 +67,7 @@ class TranscriptModel {
   findById(id) {
     const sql = `SELECT * FROM transcripts WHERE id = ?`;
     const stmt = this.db.prepare(sql);
-    const result = stmt.get(id);
-
-    if (result && result.speaker_segments) {
-      result.speaker_segments = JSON.parse(result.speaker_segments);
-    }
-
-    return result;
+    return this.parseJsonFields(stmt.get(id));
   }
 
   /**
@@ -74,13 +78,7 @@ class TranscriptModel {
   findByCallId(callId) {
     const sql = `SELECT * FROM transcripts WHERE call_id = ?`;
     const stmt = this.db.prepare(sql);
-    const result = stmt.get(callId);
-
-    if (result && result.speaker_segments) {
-      result.speaker_segments = JSON.parse(result.speaker_segments);
-    }
-
-    return result;
+    return this.parseJsonFields(stmt.get(callId));
   }
 
   /**
@@ -97,9 +95,9 @@ class TranscriptModel {
       return this.findById(id);
     }
 
-    // Handle speaker_segments JSON serialization
+    // Handle JSON serialization
     const processedValues = values.map((val, idx) => {
-      if (fields[idx] === "speaker_segments" && typeof val === "object") {
+      if (JSON_FIELDS.includes(fields[idx]) && val !== null && typeof val === "object") {
         return JSON.stringify(val);
       }
       return val;
@@ -149,6 +147,86 @@ class TranscriptModel {
     return result.changes > 0;
   }
 
+  /**
+   * Find unredacted transcripts of calls older than the retention cutoff
+   * @param {string} orgId - Organization ID
+   * @param {string} before - ISO timestamp; calls created before it are due
+   * @param {number} limit - Maximum transcripts to return
+   * @returns {Array} - Transcript records with call_created_at, oldest call first
+   */
+  findDueForRedaction(orgId, before, limit = 500) {
+    const sql = `
+      SELECT t.*, c.created_at AS call_created_at
+      FROM transcripts t
+      JOIN calls c ON c.id = t.call_id
+      WHERE c.org_id = ? AND c.created_at < ? AND t.redacted_at IS NULL
+      ORDER BY c.created_at ASC
+      LIMIT ?
+    `;
+
+    return this.db
+      .prepare(sql)
+      .all(orgId, before, limit)
+      .map((r) => this.parseJsonFields(r));
+  }
+
+  /**
+   * Build the WHERE clause for flagged ensemble transcripts
+   * @param {Object} filters - { org_id, agent_id }
+   * @returns {Object} - { where, params }
+   */
+  buildLowAgreementWhere(filters = {}) {
+    let where = `WHERE t.stt_low_agreement = 1`;
+    const params = [];
+
+    if (filters.org_id) {
+      where += ` AND c.org_id = ?`;
+      params.push(filters.org_id);
+    }
+
+    if (filters.agent_id) {
+      where += ` AND c.agent_id = ?`;
+      params.push(filters.agent_id);
+    }
+
+    return { where, params };
+  }
+
+  /**
+   * Find ensemble transcripts whose providers disagreed, least agreement first
+   * @param {Object} options - { limit, offset, org_id, agent_id }
+   * @returns {Array} - Transcript records with org_id, agent_id and call_created_at
+   */
+  findLowAgreement(options = {}) {
+    const { limit = 50, offset = 0, ...filters } = options;
+    const { where, params } = this.buildLowAgreementWhere(filters);
+
+    const sql = `
+      SELECT t.*, c.org_id, c.agent_id, c.created_at AS call_created_at
+      FROM transcripts t
+      JOIN calls c ON c.id = t.call_id
+      ${where}
+      ORDER BY t.stt_agreement ASC, t.created_at DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    return this.db
+      .prepare(sql)
+      .all(...params, limit, offset)
+      .map((r) => this.parseJsonFields(r));
+  }
+
+  /**
+   * Count ensemble transcripts whose providers disagreed
+   * @param {Object} filters - { org_id, agent_id }
+   * @returns {number}
+   */
+  countLowAgreement(filters = {}) {
+    const { where, params } = this.buildLowAgreementWhere(filters);
+    const sql = `SELECT COUNT(*) as count FROM transcripts t JOIN calls c ON c.id = t.call_id ${where}`;
+    return this.db.prepare(sql).get(...params).count;
+  }
+
   /**
    * Check if transcript exists for call
    * @param {string} callId - Call ID
@@ -208,12 +286,23 @@ class TranscriptModel {
     const stmt = this.db.prepare(sql);
     const results = stmt.all(...params);
 
-    return results.map((r) => {
-      if (r.speaker_segments) {
-        r.speaker_segments = JSON.parse(r.speaker_segments);
+    return results.map((r) => this.parseJsonFields(r));
+  }
+
+  /**
+   * Parse JSON fields of a transcript record
+   * @param {Object|undefined} record - Raw database row
+   * @returns {Object|undefined}
+   */
+  parseJsonFields(record) {
+    if (!record) return record;
+
+    for (const field of JSON_FIELDS) {
+      if (record[field]) {
+        record[field] = JSON.parse(record[field]);
       }
-      return r;
-    });
+    }
+    return record;
   }
 
   /**
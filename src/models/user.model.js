@@ -0,0 +1,80 @@
+/**
+ * User Model
+ * Database operations for users table (agents and managers)
+ */
+
+const Database = require("better-sqlite3");
+const config = require("../config");
+const logger = require("../utils/logger");
+
+class UserModel {
+  constructor() {
+    this.db = new Database(config.database.path);
+    this.db.pragma("journal_mode = WAL");
+  }
+
+  /**
+   * Find user by ID
+   * @param {string} id - User ID
+   * @returns {Object|null} - User record or null
+   */
+  findById(id) {
+    const sql = `SELECT * FROM users WHERE id = ?`;
+    const stmt = this.db.prepare(sql);
+    return stmt.get(id) || null;
+  }
+
+  /**
+   * Get users with optional filtering
+   * @param {Object} options - Query options
+   * @returns {Array} - User records
+   */
+  findAll(options = {}) {
+    const { role, org_id } = options;
+
+    let sql = `SELECT * FROM users WHERE 1=1`;
+    const params = [];
+
+    if (role) {
+      sql += ` AND role = ?`;
+      params.push(role);
+    }
+
+    if (org_id) {
+      sql += ` AND org_id = ?`;
+      params.push(org_id);
+    }
+
+    sql += ` ORDER BY name ASC`;
+
+    const stmt = this.db.prepare(sql);
+    return stmt.all(...params);
+  }
+
+  /**
+   * Set the language an agent's calls are expected to be in
+   * @param {string} id - User ID
+   * @param {string|null} language - Language code, null to clear
+   * @returns {Object} - Updated user record
+   */
+  updateLanguage(id, language) {
+    const result = this.db.prepare(`UPDATE users SET language = ? WHERE id = ?`).run(language, id);
+    if (result.changes === 0) {
+      throw new Error(`Agent not found: ${id}`);
+    }
+
+    logger.info("User language updated", { id, language });
+    return this.findById(id);
+  }
+
+  /**
+   * Close database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = UserModel;
@@ -0,0 +1,226 @@
+/**
+ * Webhook Event Model
+ * Database operations for webhook_events table (raw webhook log)
+ */
+
+const Database = require("better-sqlite3");
+const config = require("../config");
+const logger = require("../utils/logger");
+
+class WebhookEventModel {
+  constructor() {
+    this.db = new Database(config.database.path);
+    this.db.pragma("journal_mode = WAL");
+  }
+
+  /**
+   * Create a new webhook event record
+   * @param {Object} data - Event data
+   * @returns {Object} - Created event record
+   */
+  create(data) {
+    const sql = `
+      INSERT INTO webhook_events (
+        id, provider, call_sid, payload, headers, source_ip, outcome, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const id = `whevt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const stmt = this.db.prepare(sql);
+    const result = stmt.run(
+      id,
+      data.provider,
+      data.call_sid || null,
+      JSON.stringify(data.payload ?? null),
+      data.headers ? JSON.stringify(data.headers) : null,
+      data.source_ip || null,
+      data.outcome || "received",
+      new Date().toISOString()
+    );
+
+    if (result.changes === 0) {
+      throw new Error("Failed to create webhook event record");
+    }
+
+    return this.findById(id);
+  }
+
+  /**
+   * Find webhook event by ID
+   * @param {string} id - Event ID
+   * @returns {Object|null} - Event record or null
+   */
+  findById(id) {
+    const sql = `SELECT * FROM webhook_events WHERE id = ?`;
+    const stmt = this.db.prepare(sql);
+    return this.parseJsonFields(stmt.get(id));
+  }
+
+  /**
+   * Record the outcome of handling a webhook event
+   * @param {string} id - Event ID
+   * @param {Object} outcome - { outcome, call_id, response_status, response_body, error_message }
+   * @returns {Object} - Updated event record
+   */
+  recordOutcome(id, outcome) {
+    const sql = `
+      UPDATE webhook_events
+      SET outcome = ?, call_id = COALESCE(?, call_id), response_status = ?,
+          response_body = ?, error_message = ?, updated_at = ?
+      WHERE id = ?
+    `;
+
+    const stmt = this.db.prepare(sql);
+    const result = stmt.run(
+      outcome.outcome,
+      outcome.call_id || null,
+      outcome.response_status || null,
+      outcome.response_body ? JSON.stringify(outcome.response_body) : null,
+      outcome.error_message || null,
+      new Date().toISOString(),
+      id
+    );
+
+    if (result.changes === 0) {
+      throw new Error(`Webhook event not found: ${id}`);
+    }
+
+    return this.findById(id);
+  }
+
+  /**
+   * Increment replay counter for an event
+   * @param {string} id - Event ID
+   * @returns {Object} - Updated event record
+   */
+  markReplayed(id) {
+    const now = new Date().toISOString();
+    const sql = `
+      UPDATE webhook_events
+      SET replay_count = COALESCE(replay_count, 0) + 1, last_replayed_at = ?, updated_at = ?
+      WHERE id = ?
+    `;
+
+    const stmt = this.db.prepare(sql);
+    const result = stmt.run(now, now, id);
+
+    if (result.changes === 0) {
+      throw new Error(`Webhook event not found: ${id}`);
+    }
+
+    logger.info("Webhook event replayed", { id });
+    return this.findById(id);
+  }
+
+  /**
+   * Build WHERE clause for event filters
+   * @param {Object} filters - Filter options
+   * @returns {Object} - { whereClause, params }
+   */
+  buildFilterClause(filters = {}) {
+    const { provider, outcome, call_sid, call_id, startDate, endDate } = filters;
+
+    let whereClause = "WHERE 1=1";
+    const params = [];
+
+    if (provider) {
+      whereClause += ` AND provider = ?`;
+      params.push(provider);
+    }
+
+    if (outcome) {
+      const outcomes = Array.isArray(outcome) ? outcome : [outcome];
+      whereClause += ` AND outcome IN (${outcomes.map(() => "?").join(", ")})`;
+      params.push(...outcomes);
+    }
+
+    if (call_sid) {
+      whereClause += ` AND call_sid = ?`;
+      params.push(call_sid);
+    }
+
+    if (call_id) {
+      whereClause += ` AND call_id = ?`;
+      params.push(call_id);
+    }
+
+    if (startDate) {
+      whereClause += ` AND created_at >= ?`;
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      whereClause += ` AND created_at <= ?`;
+      params.push(endDate);
+    }
+
+    return { whereClause, params };
+  }
+
+  /**
+   * Get webhook events with pagination and filtering
+   * @param {Object} options - Query options
+   * @returns {Array} - Event records
+   */
+  findAll(options = {}) {
+    const { limit = 50, offset = 0, order = "DESC", ...filters } = options;
+    const { whereClause, params } = this.buildFilterClause(filters);
+    const direction = order === "ASC" ? "ASC" : "DESC";
+
+    const sql = `SELECT * FROM webhook_events ${whereClause} ORDER BY created_at ${direction} LIMIT ? OFFSET ?`;
+    params.push(limit, offset);
+
+    const stmt = this.db.prepare(sql);
+    return stmt.all(...params).map((r) => this.parseJsonFields(r));
+  }
+
+  /**
+   * Get webhook event count
+   * @param {Object} filters - Filter options
+   * @returns {number} - Count
+   */
+  count(filters = {}) {
+    const { whereClause, params } = this.buildFilterClause(filters);
+
+    const sql = `SELECT COUNT(*) as count FROM webhook_events ${whereClause}`;
+    const stmt = this.db.prepare(sql);
+    return stmt.get(...params).count;
+  }
+
+  /**
+   * Parse JSON fields in event record
+   * @param {Object} record - Raw database record
+   * @returns {Object|null} - Parsed record
+   */
+  parseJsonFields(record) {
+    if (!record) return null;
+
+    for (const field of ["payload", "headers", "response_body"]) {
+      try {
+        if (record[field]) {
+          record[field] = JSON.parse(record[field]);
+        }
+      } catch (e) {
+        logger.error("Error parsing webhook event JSON fields", {
+          id: record.id,
+          field,
+          error: e.message,
+        });
+      }
+    }
+
+    return record;
+  }
+
+  /**
+   * Close database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = WebhookEventModel;
@@ -0,0 +1,143 @@
+/**
+ * Webhook Idempotency Model
+ * Database operations for webhook_idempotency_keys table
+ *
+ * A key is created when the first delivery for a CallSid starts processing
+ * and acts as a lock across server processes sharing the database. Once the
+ * delivery finishes, the key keeps its response until it expires.
+ */
+
+const Database = require("better-sqlite3");
+const config = require("../config");
+const logger = require("../utils/logger");
+
+class WebhookIdempotencyModel {
+  constructor() {
+    this.db = new Database(config.database.path);
+    this.db.pragma("journal_mode = WAL");
+  }
+
+  /**
+   * Take the processing lock for a key
+   * Succeeds when the key is new, has expired, or is held by a delivery whose
+   * lock timed out (e.g. the process crashed mid-request).
+   *
+   * @param {Object} data - { key, provider, call_sid, lockMs, windowMs }
+   * @returns {Object} - { acquired, record }
+   */
+  acquire({ key, provider, call_sid, lockMs, windowMs }) {
+    const now = new Date();
+    const nowIso = now.toISOString();
+    const lockedUntil = new Date(now.getTime() + lockMs).toISOString();
+    const expiresAt = new Date(now.getTime() + windowMs).toISOString();
+
+    const insert = this.db.prepare(`
+      INSERT INTO webhook_idempotency_keys (
+        key, provider, call_sid, status, locked_until, expires_at, created_at
+      ) VALUES (?, ?, ?, 'processing', ?, ?, ?)
+      ON CONFLICT(key) DO NOTHING
+    `);
+
+    const takeOver = this.db.prepare(`
+      UPDATE webhook_idempotency_keys
+      SET status = 'processing', call_id = NULL, response_status = NULL, response_body = NULL,
+          locked_until = ?, expires_at = ?, created_at = ?, updated_at = ?
+      WHERE key = ?
+        AND (expires_at <= ? OR (status = 'processing' AND locked_until <= ?))
+    `);
+
+    const acquire = this.db.transaction(() => {
+      if (insert.run(key, provider, call_sid, lockedUntil, expiresAt, nowIso).changes === 1) {
+        return true;
+      }
+      return takeOver.run(lockedUntil, expiresAt, nowIso, nowIso, key, nowIso, nowIso).changes === 1;
+    });
+
+    const acquired = acquire.immediate();
+    return { acquired, record: this.findByKey(key) };
+  }
+
+  /**
+   * Store the response for a key and release its lock
+   * @param {string} key - Idempotency key
+   * @param {Object} data - { call_id, response_status, response_body }
+   * @returns {Object|null} - Updated record
+   */
+  complete(key, data) {
+    const sql = `
+      UPDATE webhook_idempotency_keys
+      SET status = 'completed', call_id = ?, response_status = ?, response_body = ?,
+          locked_until = NULL, updated_at = ?
+      WHERE key = ?
+    `;
+
+    const stmt = this.db.prepare(sql);
+    stmt.run(
+      data.call_id || null,
+      data.response_status,
+      JSON.stringify(data.response_body ?? null),
+      new Date().toISOString(),
+      key
+    );
+
+    return this.findByKey(key);
+  }
+
+  /**
+   * Remove a key so the next delivery is processed normally
+   * @param {string} key - Idempotency key
+   * @returns {boolean} - True if a key was removed
+   */
+  release(key) {
+    const sql = `DELETE FROM webhook_idempotency_keys WHERE key = ?`;
+    return this.db.prepare(sql).run(key).changes > 0;
+  }
+
+  /**
+   * Find a key
+   * @param {string} key - Idempotency key
+   * @returns {Object|null} - Key record or null
+   */
+  findByKey(key) {
+    const sql = `SELECT * FROM webhook_idempotency_keys WHERE key = ?`;
+    const stmt = this.db.prepare(sql);
+    return this.parseJsonFields(stmt.get(key));
+  }
+
+  /**
+   * Delete keys whose idempotency window has passed
+   * @returns {number} - Number of keys deleted
+   */
+  deleteExpired() {
+    const sql = `DELETE FROM webhook_idempotency_keys WHERE expires_at <= ?`;
+    return this.db.prepare(sql).run(new Date().toISOString()).changes;
+  }
+
+  /**
+   * Parse JSON fields in key record
+   * @param {Object} record - Raw database record
+   * @returns {Object|null} - Parsed record
+   */
+  parseJsonFields(record) {
+    if (!record) return null;
+
+    try {
+      record.response_body = record.response_body ? JSON.parse(record.response_body) : null;
+    } catch (e) {
+      logger.error("Error parsing idempotency key JSON fields", { key: record.key, error: e.message });
+    }
+
+    return record;
+  }
+
+  /**
+   * Close database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = WebhookIdempotencyModel;
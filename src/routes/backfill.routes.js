@@ -0,0 +1,20 @@
+/**
+ * Backfill Routes
+ * Admin API endpoints for importing calls missed by the webhook
+ */
+
+const express = require("express");
+const router = express.Router();
+const backfillController = require("../controllers/backfill.controller");
+
+/**
+ * POST /api/admin/backfill/exotel
+ * Import Exotel calls for a date range that are missing from the database
+ * Body: {
+ *   startDate: string, endDate: string, orgId?: string,
+ *   dryRun?: boolean, maxPages?: number, pageUri?: string (resume an earlier run)
+ * }
+ */
+router.post("/exotel", backfillController.backfillExotel);
+
+module.exports = router;
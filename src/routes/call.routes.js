@@ -0,0 +1,92 @@
+/**
+ * Call Routes
+ * API endpoints for listing and inspecting calls
+ */
+
+const express = require("express");
+const router = express.Router();
+const callController = require("../controllers/call.controller");
+const { uploadAudio } = require("../middleware/upload.middleware");
+const { authenticate } = require("../middleware/auth.middleware");
+
+/**
+ * GET /api/calls
+ * List calls with pagination and filtering
+ * Query: {
+ *   page?: number (default 1), limit?: number (default 50, max 200),
+ *   status?: string (comma-separated), startDate?: string, endDate?: string,
+ *   agentId?: string, direction?: string, phone?: string, orgId?: string,
+ *   source?: string (comma-separated: exotel, exotel_backfill, mock, upload)
+ * }
+ */
+router.get("/", callController.getCalls);
+
+/**
+ * GET /api/calls/status-counts
+ * Get call counts grouped by pipeline status
+ * Query: same filters as GET /api/calls
+ */
+router.get("/status-counts", callController.getStatusCounts);
+
+/**
+ * POST /api/calls/upload
+ * Upload a recording (WhatsApp call, field visit, other dialer) for QC
+ * Multipart form: {
+ *   audio: file, direction: "incoming" | "outgoing",
+ *   agentId?: string, customerNumber?: string, durationSeconds?: number,
+ *   recordedAt?: string (ISO date), orgId?: string
+ * }
+ */
+router.post("/upload", uploadAudio("audio"), callController.uploadCall);
+
+/**
+ * POST /api/calls/retry
+ * Re-enqueue failed calls in bulk
+ * Body: { callIds?: string[], status?: string[], limit?: number (default 100, max 500), force?: boolean, orgId?: string }
+ */
+router.post("/retry", callController.retryCalls);
+
+/**
+ * GET /api/calls/:callId
+ * Get call with its transcript, analysis and notifications
+ */
+router.get("/:callId", callController.getCallById);
+
+/**
+ * GET /api/calls/:callId/audio
+ * Stream the call recording (supports Range requests for seeking)
+ * Auth: API key for the call's organization, or a signed URL
+ * Query: { expires?: number, signature?: string }
+ * expires and signature are required when PLAYBACK_REQUIRE_SIGNATURE=true
+ */
+router.get("/:callId/audio", authenticate({ optional: true }), callController.streamCallAudio);
+
+/**
+ * GET /api/calls/:callId/audio/synced
+ * Get a (signed) audio URL with word timings and speaker turns for
+ * highlighting the transcript during playback
+ * Auth: API key for the call's organization
+ */
+router.get("/:callId/audio/synced", authenticate(), callController.getSyncedAudio);
+
+/**
+ * POST /api/calls/:callId/retry
+ * Re-enqueue a failed call from the stage where it failed
+ * Body: { force?: boolean, stage?: "download" | "transcription" | "analysis" }
+ */
+router.post("/:callId/retry", callController.retryCall);
+
+/**
+ * PUT /api/calls/:callId/agent
+ * Reassign a call to a different agent
+ * Body: { agentId: string | null }
+ */
+router.put("/:callId/agent", callController.reassignAgent);
+
+/**
+ * POST /api/calls/:callId/enrich
+ * Look up the call's CRM lead again and store it on the call
+ */
+router.post("/:callId/enrich", callController.enrichCall);
+
+module.exports = router;
@@ -6,6 +6,11 @@
 const express = require("express");
 const router = express.Router();
 const exportController = require("../controllers/export.controller");
+const { authenticate } = require("../middleware/auth.middleware");
+
+// Exports are scoped to the API key's organization (its calls, files and
+// storage quota); the body or query orgId is only read when no API_KEYS are configured
+router.use(authenticate());
 
 // =======================
 // Export Endpoints
@@ -14,39 +19,42 @@ const exportController = require("../controllers/export.controller");
 /**
  * POST /api/export/csv
  * Export analyses to CSV file
- * Body: { startDate?, endDate?, minScore?, maxScore?, agentId?, includeRecommendations? }
+ * Body: { startDate?, endDate?, minScore?, maxScore?, agentId?, includeRecommendations?, orgId? }
  */
 router.post("/csv", exportController.exportToCsv);
 
 /**
  * POST /api/export/excel
  * Export analyses to Excel file
- * Body: { startDate?, endDate?, minScore?, maxScore?, agentId?, includeCharts?, includeSummary? }
+ * Body: { startDate?, endDate?, minScore?, maxScore?, agentId?, includeCharts?, includeSummary?, orgId? }
  */
 router.post("/excel", exportController.exportToExcel);
 
 /**
  * POST /api/export/daily-report
  * Export daily report to Excel
- * Body: { date?: string }
+ * Body: { date?: string, orgId?: string }
  */
 router.post("/daily-report", exportController.exportDailyReport);
 
 /**
  * GET /api/export/download/:filename
  * Download an export file
+ * Query: { orgId? }
  */
 router.get("/download/:filename", exportController.downloadExport);
 
 /**
  * GET /api/export/files
  * List available export files
+ * Query: { orgId? }
  */
 router.get("/files", exportController.listExportFiles);
 
 /**
  * DELETE /api/export/files/:filename
  * Delete an export file
+ * Query: { orgId? }
  */
 router.delete("/files/:filename", exportController.deleteExportFile);
 
@@ -0,0 +1,45 @@
+/**
+ * Import Routes
+ * API endpoints for bulk imports of archived recordings
+ */
+
+const express = require("express");
+const router = express.Router();
+const importController = require("../controllers/import.controller");
+
+/**
+ * POST /api/imports
+ * Start importing a directory or ZIP of recordings (runs in the background)
+ * Body: {
+ *   sourcePath: string (relative to IMPORT_ROOT_PATH), manifestPath?: string,
+ *   orgId?: string, ratePerMinute?: number, defaultDirection?: "incoming" | "outgoing"
+ * }
+ */
+router.post("/", importController.createImport);
+
+/**
+ * GET /api/imports
+ * List import jobs with progress
+ * Query: { limit?: number, offset?: number, status?: string }
+ */
+router.get("/", importController.getImports);
+
+/**
+ * GET /api/imports/:jobId
+ * Get import progress (processed, remaining, ETA, errors)
+ */
+router.get("/:jobId", importController.getImportById);
+
+/**
+ * POST /api/imports/:jobId/pause
+ * Stop an import after the current file
+ */
+router.post("/:jobId/pause", importController.pauseImport);
+
+/**
+ * POST /api/imports/:jobId/resume
+ * Resume an import from its cursor
+ */
+router.post("/:jobId/resume", importController.resumeImport);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+/**
+ * Retention Routes
+ * Admin API endpoints for data retention policies and purges
+ */
+
+const express = require("express");
+const router = express.Router();
+const retentionController = require("../controllers/retention.controller");
+
+/**
+ * GET /api/admin/retention/policies
+ * List the effective retention policy of every organization
+ */
+router.get("/policies", retentionController.getPolicies);
+
+/**
+ * PUT /api/admin/retention/policies/:orgId
+ * Set an organization's retention periods (null falls back to the default)
+ * Body: { audioDays?: number | null, transcriptDays?: number | null } (0 keeps data forever)
+ */
+router.put("/policies/:orgId", retentionController.updatePolicy);
+
+/**
+ * POST /api/admin/retention/purge
+ * Delete expired recordings and redact expired transcripts
+ * Body: { orgId?: string, dryRun?: boolean (default true) }
+ */
+router.post("/purge", retentionController.runPurge);
+
+/**
+ * GET /api/admin/retention/audit
+ * List purge audit log entries
+ * Query: {
+ *   page?: number, limit?: number, runId?: string, orgId?: string, callId?: string,
+ *   action?: "delete_audio" | "redact_transcript", status?: "completed" | "dry_run" | "failed",
+ *   startDate?: string, endDate?: string
+ * }
+ */
+router.get("/audit", retentionController.getAuditLog);
+
+module.exports = router;
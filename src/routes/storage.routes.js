@@ -0,0 +1,43 @@
+/**
+ * Storage Routes
+ * API endpoints for stored recordings and exports, storage usage and quotas
+ */
+
+const express = require("express");
+const router = express.Router();
+const storageController = require("../controllers/storage.controller");
+const { authenticate, requireAdmin } = require("../middleware/auth.middleware");
+
+/**
+ * GET /api/storage/files/:key
+ * Download a file through a signed URL from the local storage adapter
+ * Query: { expires: number, signature: string }
+ */
+router.get("/files/*", storageController.getSignedFile);
+
+// Usage and quotas need an API key: organization keys see and set their own
+// organization's, admin keys any organization's
+router.use(authenticate());
+
+/**
+ * GET /api/storage/usage
+ * Bytes stored, written and deleted per organization and category, with quotas
+ * Query: { orgId?: string } (organization keys only see their own organization)
+ */
+router.get("/usage", storageController.getUsage);
+
+/**
+ * POST /api/storage/usage/rebuild
+ * Recount usage from the files under the local storage root (admin keys only)
+ */
+router.post("/usage/rebuild", requireAdmin(), storageController.rebuildUsage);
+
+/**
+ * PUT /api/storage/quotas/:orgId
+ * Set an organization's storage quotas (null falls back to the default)
+ * Organization keys may only set their own organization's quotas
+ * Body: { audioMb?: number | null, exportsMb?: number | null } (0 is unlimited)
+ */
+router.put("/quotas/:orgId", storageController.updateQuota);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+/**
+ * Transcription Routes
+ * Admin API endpoints for language-aware provider routing and ensemble transcript review
+ */
+
+const express = require("express");
+const router = express.Router();
+const transcriptionController = require("../controllers/transcription.controller");
+
+/**
+ * GET /api/admin/transcription/routing
+ * Provider priority per language, the default priority and language detection settings
+ */
+router.get("/routing", transcriptionController.getRouting);
+
+/**
+ * PUT /api/admin/transcription/languages/organizations/:orgId
+ * Set the language an organization's calls are expected to be in
+ * Body: { language: string | null } (ISO 639-1 code, null clears it)
+ */
+router.put("/languages/organizations/:orgId", transcriptionController.updateOrganizationLanguage);
+
+/**
+ * PUT /api/admin/transcription/languages/agents/:agentId
+ * Set the language an agent's calls are expected to be in (overrides the organization)
+ * Body: { language: string | null } (ISO 639-1 code, null clears it)
+ */
+router.put("/languages/agents/:agentId", transcriptionController.updateAgentLanguage);
+
+/**
+ * GET /api/admin/transcription/disagreements
+ * Ensemble transcripts whose providers agreed less than TRANSCRIPTION_ENSEMBLE_MIN_AGREEMENT,
+ * with the per-provider candidates, least agreement first
+ * Query: { page?: number, limit?: number, orgId?: string, agentId?: string }
+ */
+router.get("/disagreements", transcriptionController.getDisagreements);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * Webhook Event Routes
+ * Admin API endpoints for the raw webhook event log
+ */
+
+const express = require("express");
+const router = express.Router();
+const webhookEventController = require("../controllers/webhook-event.controller");
+
+/**
+ * GET /api/admin/webhook-events
+ * List stored webhook events
+ * Query: {
+ *   page?: number, limit?: number, provider?: string,
+ *   outcome?: string (comma-separated), callSid?: string, callId?: string,
+ *   startDate?: string, endDate?: string
+ * }
+ */
+router.get("/", webhookEventController.getEvents);
+
+/**
+ * POST /api/admin/webhook-events/replay
+ * Replay stored events in bulk, oldest first
+ * Body: { eventIds?: string[], outcome?: string[], provider?: string, startDate?: string, endDate?: string, limit?: number }
+ * With eventIds only those events are replayed and the filters are ignored. Otherwise the
+ * filters select the events, and outcome defaults to "error" (one of received, processed,
+ * tracked, ignored, invalid, error). Either way at most limit (default 100) events are replayed.
+ */
+router.post("/replay", webhookEventController.replayEvents);
+
+/**
+ * GET /api/admin/webhook-events/:eventId
+ * Get a stored webhook event with its raw payload and response
+ */
+router.get("/:eventId", webhookEventController.getEventById);
+
+/**
+ * POST /api/admin/webhook-events/:eventId/replay
+ * Replay a stored event through the webhook handler
+ */
+router.post("/:eventId/replay", webhookEventController.replayEvent);
+
+module.exports = router;
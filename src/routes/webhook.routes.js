@@ -1,27 +1,102 @@
 /**
  * Webhook Routes
- * Routes for handling incoming webhooks from Exotel
+ * Routes for handling incoming webhooks from telephony providers
  */
 
 const express = require("express");
+const config = require("../config");
 const {
+  createWebhookHandler,
   handleExotelWebhook,
   handleMockWebhook,
 } = require("../controllers/webhook.controller");
+const { Telephony } = require("../services");
+const { createWebhookGuard } = require("../middleware/webhook-guard.middleware");
+const { recordWebhookEvent } = require("../middleware/webhook-event.middleware");
+const { idempotentWebhook } = require("../middleware/webhook-idempotency.middleware");
 
 const router = express.Router();
 
+// Exotel does not support signature validation, so requests are checked
+// against the shared secret, IP allowlist and basic auth in config.exotel
+const exotelGuard = createWebhookGuard(config.exotel.webhookAuth, { provider: "exotel" });
+
+// Authenticated deliveries are stored verbatim so they can be audited and replayed
+const exotelEventLog = recordWebhookEvent("exotel", {
+  trustProxy: config.exotel.webhookAuth.trustProxy,
+});
+
+// Retried deliveries for a call event are answered with the original response.
+// The event is the normalized status, so a recording sent after an unanswered
+// event for the same CallSid is still processed.
+const getCallEvent = (adapter) => (payload) => adapter.normalizeWebhook(payload || {}).status || "ignored";
+
+const exotelIdempotency = idempotentWebhook("exotel", {
+  getEvent: getCallEvent(Telephony.getAdapter("exotel")),
+});
+
 /**
  * Exotel webhook endpoint
- * Note: Exotel does not support signature validation
  * The webhook payload is parsed as JSON directly
  */
-router.post("/exotel", express.json(), handleExotelWebhook);
+router.post("/exotel", exotelGuard, express.json(), exotelEventLog, exotelIdempotency, handleExotelWebhook);
 
 /**
  * Mock webhook endpoint for testing without real Exotel calls
- * Accepts the same payload structure as real Exotel webhooks
+ * Accepts the same payload structure as real Exotel webhooks.
+ * Not available in production, and checked by the Exotel guard elsewhere.
+ */
+if (config.nodeEnv !== "production") {
+  router.post("/exotel/mock", exotelGuard, express.json(), handleMockWebhook);
+}
+
+/**
+ * Exotel webhook endpoint with the shared secret as a path segment
+ * e.g. /webhook/exotel/<secret>
+ */
+router.post(
+  `/exotel/:${config.exotel.webhookAuth.secretParam}`,
+  exotelGuard,
+  express.json(),
+  exotelEventLog,
+  exotelIdempotency,
+  handleExotelWebhook
+);
+
+/**
+ * Other telephony provider webhook endpoints
+ * e.g. /webhook/twilio, /webhook/knowlarity and /webhook/<provider>/<secret>
+ *
+ * Each provider's adapter supplies the body parser for its content type and
+ * its guard settings. The body is parsed before the guard runs because
+ * signature checks (e.g. X-Twilio-Signature) cover the POST parameters.
+ */
+for (const adapter of Telephony.getAdapters()) {
+  if (adapter.name === "exotel") continue;
+
+  const auth = adapter.getWebhookAuth();
+  const getCallSid = (payload) => adapter.getCallSid(payload);
+  const chain = [
+    adapter.getBodyParser(),
+    createWebhookGuard(auth, { provider: adapter.name }),
+    recordWebhookEvent(adapter.name, { trustProxy: auth.trustProxy, getCallSid }),
+    idempotentWebhook(adapter.name, { getCallSid, getEvent: getCallEvent(adapter) }),
+    createWebhookHandler(adapter.name),
+  ];
+
+  router.post(`/${adapter.name}`, ...chain);
+  router.post(`/${adapter.name}/:${auth.secretParam || "token"}`, ...chain);
+}
+
+/**
+ * Unknown provider
  */
-router.post("/exotel/mock", express.json(), handleMockWebhook);
+router.post("/:provider", (req, res) => {
+  res.status(404).json({
+    error: "Not Found",
+    message: `Unknown telephony provider: ${req.params.provider}`,
+    providers: Telephony.getProviders(),
+  });
+});
 
 module.exports = router;
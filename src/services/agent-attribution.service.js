@@ -0,0 +1,148 @@
+/**
+ * Agent Attribution Service
+ * Maps incoming telephony webhook payloads to agents in the users table
+ */
+
+const { User } = require("../models");
+const config = require("../config");
+const logger = require("../utils/logger");
+
+class AgentAttributionService {
+  constructor() {
+    this.settings = config.agentAttribution || { enabled: true, phoneMap: {} };
+    this.phoneMap = this.normalizePhoneMap(this.settings.phoneMap || {});
+  }
+
+  /**
+   * Normalize a phone number for comparison
+   * Keeps the last 10 digits so "+91 98765 43210", "09876543210" and
+   * "9876543210" all match
+   * @param {string} number - Phone number
+   * @returns {string|null} - Normalized number or null
+   */
+  normalizeNumber(number) {
+    if (!number) return null;
+    const digits = String(number).replace(/\D/g, "");
+    if (digits.length === 0) return null;
+    return digits.slice(-10);
+  }
+
+  /**
+   * Normalize keys of the configured lookup table
+   * @param {Object} phoneMap - Map of phone number to agent ID
+   * @returns {Map<string, string>}
+   */
+  normalizePhoneMap(phoneMap) {
+    const map = new Map();
+    for (const [number, agentId] of Object.entries(phoneMap)) {
+      const normalized = this.normalizeNumber(number);
+      if (normalized) {
+        map.set(normalized, agentId);
+      }
+    }
+    return map;
+  }
+
+  /**
+   * Get candidate agent numbers from a webhook payload, most specific first
+   * @param {Object} payload - Exotel webhook payload (snake_case)
+   * @returns {Array<Object>} - [{ number, source }]
+   */
+  getCandidateNumbers(payload) {
+    const candidates = [];
+    const direction = (payload.direction || "").toLowerCase();
+    const isOutgoing = direction.startsWith("outbound") || direction.startsWith("outgoing");
+
+    // Number the call was forwarded to (the agent's phone)
+    if (payload.dial_whom_number) {
+      candidates.push({ number: payload.dial_whom_number, source: "dial_whom_number" });
+    }
+
+    if (isOutgoing) {
+      // Agent placed the call, so the agent's phone is the caller
+      candidates.push({ number: payload.from, source: "from" });
+    } else {
+      // Customer called an ExoPhone, which may be dedicated to one agent
+      candidates.push({ number: payload.to, source: "exophone" });
+    }
+
+    return candidates.filter((c) => this.normalizeNumber(c.number));
+  }
+
+  /**
+   * Find the agent that owns a phone number
+   * Checks the configured lookup table first, then the users table. Lookup
+   * table entries naming a user that does not exist are skipped, since
+   * calls.agent_id must reference a user.
+   * @param {string} number - Phone number
+   * @param {string} [orgId] - Organization ID
+   * @returns {Object|null} - { agentId, matchedBy }
+   */
+  findAgentByNumber(number, orgId) {
+    const normalized = this.normalizeNumber(number);
+    if (!normalized) return null;
+
+    if (this.phoneMap.has(normalized)) {
+      const agentId = this.phoneMap.get(normalized);
+      if (User.findById(agentId)) {
+        return { agentId, matchedBy: "lookup_table" };
+      }
+      logger.warn("AGENT_PHONE_MAP entry names an unknown user, skipping it", { number: normalized, agentId });
+    }
+
+    const users = User.findAll({ org_id: orgId });
+    for (const field of ["phone_number", "whatsapp_number", "exophone"]) {
+      const user = users.find((u) => this.normalizeNumber(u[field]) === normalized);
+      if (user) {
+        return { agentId: user.id, matchedBy: `users.${field}` };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve the agent for a webhook payload
+   * @param {Object} payload - Exotel webhook payload (snake_case)
+   * @param {string} [orgId] - Organization ID
+   * @returns {Object|null} - { agentId, source, matchedBy, number } or null
+   */
+  resolveAgent(payload, orgId) {
+    if (!this.settings.enabled) {
+      return null;
+    }
+
+    for (const candidate of this.getCandidateNumbers(payload)) {
+      const match = this.findAgentByNumber(candidate.number, orgId);
+      if (match) {
+        logger.info("Call attributed to agent", {
+          callSid: payload.call_sid,
+          agentId: match.agentId,
+          source: candidate.source,
+          matchedBy: match.matchedBy,
+        });
+        return {
+          agentId: match.agentId,
+          source: candidate.source,
+          matchedBy: match.matchedBy,
+          number: candidate.number,
+        };
+      }
+    }
+
+    logger.info("No agent matched for call", { callSid: payload.call_sid });
+    return null;
+  }
+
+  /**
+   * Format attribution details for storage on the call record
+   * @param {Object|null} attribution - Result of resolveAgent()
+   * @returns {string|null}
+   */
+  describeAttribution(attribution) {
+    if (!attribution) return null;
+    return `auto:${attribution.source}:${attribution.matchedBy}`;
+  }
+}
+
+module.exports = AgentAttributionService;
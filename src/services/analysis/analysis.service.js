@@ -5,10 +5,12 @@
  * Orchestrates:
  * - OpenRouter API calls for LLM analysis
  * - Database operations for storing results
- * - Score threshold alerting
+ * - Score threshold and audio metric alerting
  */
 
 const OpenRouterService = require("./openrouter.service");
+const { LeadEnrichment } = require("../crm");
+const { AudioAnalysis } = require("../audio");
 const { Analysis, Transcript } = require("../../models");
 const config = require("../../config");
 const logger = require("../../utils/logger");
@@ -35,6 +37,23 @@ class AnalysisService {
     return this.openRouter.isAvailable();
   }
 
+  /**
+   * Look up the CRM lead for a call
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object|null>} - Lead or null
+   */
+  async getLeadContext(callId) {
+    try {
+      return await LeadEnrichment.enrichCall(callId);
+    } catch (error) {
+      logger.warn("Lead enrichment failed, analyzing without lead context", {
+        callId,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
   /**
    * Analyze a call by ID
    * @param {string} callId - Call ID
@@ -64,11 +83,15 @@ class AnalysisService {
       }
     }
 
+    // CRM lead context is optional; analysis goes ahead without it
+    const lead = await this.getLeadContext(callId);
+
     // Perform LLM analysis
     const startTime = Date.now();
     const analysisResult = await this.openRouter.analyzeTranscript(transcript.content, {
       model: options.model,
       temperature: options.temperature,
+      lead,
     });
     const processingTime = Date.now() - startTime;
 
@@ -102,7 +125,11 @@ class AnalysisService {
     };
 
     // Check thresholds and determine if alert is needed
-    const alertNeeded = this.checkAlertThreshold(enrichedAnalysis);
+    const scoreAlert = this.checkAlertThreshold(enrichedAnalysis);
+    const audioAlerts = this.getAudioAlerts(callId);
+    const alertNeeded = scoreAlert || audioAlerts.length > 0;
+    enrichedAnalysis.score_alert = scoreAlert;
+    enrichedAnalysis.audio_alerts = audioAlerts;
     enrichedAnalysis.alert_triggered = alertNeeded;
 
     logger.info("Call analysis completed", {
@@ -111,6 +138,7 @@ class AnalysisService {
       overallScore: savedAnalysis.overall_score,
       sentiment: savedAnalysis.sentiment,
       alertTriggered: alertNeeded,
+      audioAlerts: audioAlerts.map((alert) => alert.type),
       processingTimeMs: processingTime,
     });
 
@@ -196,6 +224,15 @@ class AnalysisService {
     return analysis.overall_score < this.thresholds.alert;
   }
 
+  /**
+   * Get the audio alert triggers stored for a call
+   * @param {string} callId - Call ID
+   * @returns {Array} - [{ type, value, threshold, message }]
+   */
+  getAudioAlerts(callId) {
+    return AudioAnalysis.getMetrics(callId)?.alerts || [];
+  }
+
   /**
    * Get score classification
    * @param {number} score - Overall score
@@ -254,6 +291,7 @@ class AnalysisService {
         wordCount: transcript?.word_count || 0,
         language: transcript?.language || "unknown",
       },
+      audio: AudioAnalysis.toReport(AudioAnalysis.getMetrics(callId)),
       model: analysis.llm_model,
       processingTimeMs: analysis.processing_time_ms,
     };
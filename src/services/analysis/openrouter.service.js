@@ -83,7 +83,7 @@ class OpenRouterService {
             },
             {
               role: "user",
-              content: this.buildAnalysisPrompt(transcript),
+              content: this.buildAnalysisPrompt(transcript, { lead: options.lead }),
             },
           ],
           temperature: options.temperature || this.temperature,
@@ -169,15 +169,41 @@ LANGUAGE CONSIDERATIONS:
 Always respond with valid JSON matching the exact schema requested. Be objective and constructive in feedback.`;
   }
 
+  /**
+   * Build the lead context block from the call's CRM lead
+   * @param {Object|null} lead - { name, organization_type, city, enquiry_source }
+   * @returns {string} - Prompt section, or empty string when there is no lead
+   */
+  buildLeadContext(lead) {
+    if (!lead) return "";
+
+    const lines = [
+      ["Lead name", lead.name],
+      ["Organisation type", lead.organization_type],
+      ["City", lead.city],
+      ["Enquiry source", lead.enquiry_source],
+    ]
+      .filter(([, value]) => value)
+      .map(([label, value]) => `- ${label}: ${value}`);
+
+    if (lines.length === 0) return "";
+
+    return `LEAD CONTEXT (from CRM):
+${lines.join("\n")}
+
+`;
+  }
+
   /**
    * Build analysis prompt with transcript
    * @param {string} transcript - Call transcript
+   * @param {Object} context - { lead } CRM lead for the call, if known
    * @returns {string}
    */
-  buildAnalysisPrompt(transcript) {
+  buildAnalysisPrompt(transcript, context = {}) {
     return `Analyze this sales call transcript from a sports infrastructure company and provide a detailed quality assessment.
 
-TRANSCRIPT:
+${this.buildLeadContext(context.lead)}TRANSCRIPT:
 ---
 ${transcript}
 ---
@@ -187,7 +213,7 @@ SCORING RUBRIC (Score each category 0-100):
 1. GREETING & RAPPORT (15% weight)
    - Professional introduction with name and company
    - Warm and welcoming tone
-   - Acknowledging the customer's enquiry source
+   - Acknowledging the customer's enquiry source (compare with LEAD CONTEXT when given)
    - Building initial rapport
 
 2. REQUIREMENT DISCOVERY (25% weight)
@@ -0,0 +1,299 @@
+/**
+ * Audio Analysis Service
+ * Measures silence, hold and talk-over in call recordings
+ *
+ * Runs after transcription. 16-bit PCM WAVs are measured directly; other
+ * formats are decoded to a temporary WAV with ffmpeg. When the audio cannot
+ * be decoded, gaps between transcript segments stand in for silence.
+ *
+ * - Silences of at least holdMinSeconds count as hold (muted hold; hold
+ *   music is not silent), shorter ones as dead air
+ * - Talk-over comes from the channels of dual-channel recordings, or from
+ *   overlapping speaker segments in the transcript for mono recordings
+ *
+ * Metrics are stored per call with the alert thresholds they crossed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const AudioProcessingService = require("./audio-processing.service");
+const { detectAudioFormat } = require("./format-detector");
+const {
+  canMeasureWav,
+  measureActivity,
+  findSilences,
+  findChannelOverlaps,
+  findSegmentGaps,
+  findSegmentOverlaps,
+  countSpeakers,
+  roundSeconds,
+} = require("./silence-detector");
+
+// Sample rate audio is decoded at for measuring (plenty for level detection)
+const DECODE_SAMPLE_RATE = 8000;
+
+class AudioAnalysisService {
+  /**
+   * @param {Object} options - Overrides for config.audioAnalysis, plus { audioProcessing, metricsModel }
+   */
+  constructor(options = {}) {
+    const settings = { ...config.audioAnalysis, ...options };
+    this.enabled = settings.enabled !== false;
+    this.windowMs = settings.windowMs || 50;
+    this.silenceThresholdDb = settings.silenceThresholdDb ?? -40;
+    this.minSilenceSeconds = settings.minSilenceSeconds ?? 2;
+    this.holdMinSeconds = settings.holdMinSeconds || 30;
+    this.minTalkOverSeconds = settings.minTalkOverSeconds ?? 0.5;
+    this.alertThresholds = { ...(settings.alerts || {}) };
+    this.audioProcessing = options.audioProcessing || new AudioProcessingService();
+    this.metricsModel = options.metricsModel || null;
+  }
+
+  /**
+   * Get the model metrics are stored in
+   * Loaded lazily so format detection and processing work without a database
+   * @returns {Object} - AudioMetrics model
+   */
+  getMetricsModel() {
+    if (!this.metricsModel) {
+      this.metricsModel = require("../../models").AudioMetrics;
+    }
+    return this.metricsModel;
+  }
+
+  /**
+   * Measure window activity, decoding to PCM first when needed
+   * @param {string} filePath - Path to the recording
+   * @returns {Promise<Object>} - measureActivity result plus { channels }
+   */
+  async measureWaveform(filePath) {
+    const info = this.audioProcessing.detect(filePath);
+    const options = { windowMs: this.windowMs, thresholdDb: this.silenceThresholdDb };
+
+    if (canMeasureWav(info)) {
+      return { ...measureActivity(filePath, info, options), channels: info.channels };
+    }
+
+    const parsed = path.parse(filePath);
+    const decodedPath = path.join(parsed.dir, `${parsed.name}.analysis.wav`);
+
+    try {
+      await this.audioProcessing.runFfmpeg([
+        "-y",
+        "-hide_banner",
+        "-loglevel",
+        "error",
+        "-i",
+        filePath,
+        "-ar",
+        String(DECODE_SAMPLE_RATE),
+        "-c:a",
+        "pcm_s16le",
+        decodedPath,
+      ]);
+
+      const decoded = detectAudioFormat(decodedPath);
+      return { ...measureActivity(decodedPath, decoded, options), channels: decoded.channels };
+    } finally {
+      fs.rmSync(decodedPath, { force: true });
+    }
+  }
+
+  /**
+   * Check if transcript segments carry usable timings
+   * @param {Array<Object>} segments
+   * @returns {boolean}
+   */
+  hasTimedSegments(segments) {
+    return Array.isArray(segments) && segments.some((segment) => Number.isFinite(segment.start) && segment.end > segment.start);
+  }
+
+  /**
+   * Analyze a recording
+   * @param {string} filePath - Path to the recording
+   * @param {Object} options - { segments, durationSeconds } (transcript segments and known duration)
+   * @returns {Promise<Object>} - Metrics
+   */
+  async analyzeFile(filePath, options = {}) {
+    const segments = this.hasTimedSegments(options.segments) ? options.segments : [];
+    let waveform = null;
+
+    try {
+      waveform = await this.measureWaveform(filePath);
+    } catch (error) {
+      if (segments.length === 0) {
+        throw error;
+      }
+      logger.warn("Waveform analysis unavailable, using transcript timings", {
+        filePath,
+        error: error.message,
+      });
+    }
+
+    let durationSeconds;
+    let silences;
+    if (waveform) {
+      durationSeconds = waveform.durationSeconds;
+      silences = findSilences(waveform, this.minSilenceSeconds);
+    } else {
+      durationSeconds = options.durationSeconds || Math.max(...segments.map((segment) => segment.end || 0));
+      silences = findSegmentGaps(segments, durationSeconds, this.minSilenceSeconds);
+    }
+
+    let talkOver = null;
+    let talkOverSource = null;
+    if (waveform && waveform.channels > 1) {
+      talkOver = findChannelOverlaps(waveform, this.minTalkOverSeconds);
+      talkOverSource = "channels";
+    } else if (countSpeakers(segments) > 1) {
+      talkOver = findSegmentOverlaps(segments, this.minTalkOverSeconds);
+      talkOverSource = "segments";
+    }
+
+    const metrics = this.summarize(silences, durationSeconds);
+    return {
+      source: waveform ? "waveform" : "segments",
+      channels: waveform ? waveform.channels : null,
+      ...metrics,
+      talkOverCount: talkOver ? talkOver.length : null,
+      talkOverSeconds: talkOver ? roundSeconds(talkOver.reduce((sum, overlap) => sum + overlap.duration, 0)) : null,
+      talkOverSource,
+    };
+  }
+
+  /**
+   * Summarize silences into hold and dead air totals
+   * @param {Array<Object>} silences - [{ start, end, duration }]
+   * @param {number} durationSeconds - Call duration
+   * @returns {Object}
+   */
+  summarize(silences, durationSeconds) {
+    const silenceSegments = silences.map((silence) => ({
+      ...silence,
+      type: silence.duration >= this.holdMinSeconds ? "hold" : "dead_air",
+    }));
+    const total = (type) =>
+      roundSeconds(
+        silenceSegments.filter((silence) => !type || silence.type === type).reduce((sum, silence) => sum + silence.duration, 0)
+      );
+    const totalSilenceSeconds = total();
+
+    return {
+      durationSeconds,
+      silenceSegments,
+      silenceCount: silenceSegments.length,
+      totalSilenceSeconds,
+      longestSilenceSeconds: silenceSegments.reduce((longest, silence) => Math.max(longest, silence.duration), 0),
+      holdCount: silenceSegments.filter((silence) => silence.type === "hold").length,
+      holdSeconds: total("hold"),
+      deadAirSeconds: total("dead_air"),
+      silenceRatio: durationSeconds > 0 ? Math.round((totalSilenceSeconds / durationSeconds) * 1000) / 1000 : 0,
+    };
+  }
+
+  /**
+   * Get the alert thresholds crossed by a call's metrics
+   * Thresholds set to 0 are disabled.
+   * @param {Object} metrics - analyzeFile result
+   * @returns {Array<Object>} - [{ type, value, threshold, message }]
+   */
+  getAlertTriggers(metrics) {
+    const { holdSeconds, longestSilenceSeconds, talkOverSeconds, silenceRatio } = this.alertThresholds;
+    const checks = [
+      {
+        type: "long_hold",
+        value: metrics.holdSeconds,
+        threshold: holdSeconds,
+        message: `Customer was on hold for ${Math.round(metrics.holdSeconds)}s`,
+      },
+      {
+        type: "long_silence",
+        value: metrics.longestSilenceSeconds,
+        threshold: longestSilenceSeconds,
+        message: `Longest silence was ${Math.round(metrics.longestSilenceSeconds)}s`,
+      },
+      {
+        type: "talk_over",
+        value: metrics.talkOverSeconds,
+        threshold: talkOverSeconds,
+        message: `Agent and customer talked over each other for ${Math.round(metrics.talkOverSeconds)}s`,
+      },
+      {
+        type: "high_silence_ratio",
+        value: metrics.silenceRatio,
+        threshold: silenceRatio,
+        message: `${Math.round(metrics.silenceRatio * 100)}% of the call was silent`,
+      },
+    ];
+
+    return checks
+      .filter((check) => check.threshold > 0 && check.value !== null && check.value !== undefined && check.value >= check.threshold)
+      .map(({ type, value, threshold, message }) => ({ type, value, threshold, message }));
+  }
+
+  /**
+   * Analyze a call's recording and store the metrics
+   * @param {string} callId - Call ID
+   * @param {string} audioPath - Local path to the recording
+   * @param {Object} options - { segments, durationSeconds }
+   * @returns {Promise<Object>} - Stored metrics
+   */
+  async analyzeCall(callId, audioPath, options = {}) {
+    const startTime = Date.now();
+    const metrics = await this.analyzeFile(audioPath, options);
+    const alerts = this.getAlertTriggers(metrics);
+    const stored = this.getMetricsModel().upsert(callId, { ...metrics, alerts });
+
+    logger.info("Audio analysis completed", {
+      callId,
+      source: metrics.source,
+      totalSilenceSeconds: metrics.totalSilenceSeconds,
+      holdSeconds: metrics.holdSeconds,
+      talkOverSeconds: metrics.talkOverSeconds,
+      alerts: alerts.map((alert) => alert.type),
+      processingTimeMs: Date.now() - startTime,
+    });
+
+    return stored;
+  }
+
+  /**
+   * Get stored metrics for a call
+   * @param {string} callId - Call ID
+   * @returns {Object|null}
+   */
+  getMetrics(callId) {
+    return this.getMetricsModel().findByCallId(callId);
+  }
+
+  /**
+   * Format stored metrics for the call report
+   * @param {Object|null} record - call_audio_metrics record
+   * @returns {Object|null}
+   */
+  toReport(record) {
+    if (!record) return null;
+
+    return {
+      source: record.source,
+      durationSeconds: record.duration_seconds,
+      totalSilenceSeconds: record.total_silence_seconds,
+      longestSilenceSeconds: record.longest_silence_seconds,
+      silenceCount: record.silence_count,
+      silenceRatio: record.silence_ratio,
+      holdSeconds: record.hold_seconds,
+      holdCount: record.hold_count,
+      deadAirSeconds: record.dead_air_seconds,
+      talkOverSeconds: record.talk_over_seconds,
+      talkOverCount: record.talk_over_count,
+      talkOverSource: record.talk_over_source,
+      silenceSegments: record.silence_segments,
+      alerts: record.alerts,
+      analyzedAt: record.updated_at,
+    };
+  }
+}
+
+module.exports = AudioAnalysisService;
@@ -0,0 +1,384 @@
+/**
+ * Audio Processing Service
+ * Post-download stage that identifies, renames and optionally transcodes call audio
+ *
+ * The real format is sniffed from the file's magic bytes and the extension is
+ * corrected to match, since transcription validates formats by extension.
+ * With AUDIO_TRANSCODE=true the audio is converted with ffmpeg to 16-bit PCM
+ * WAV at the target sample rate and channel count (16 kHz mono by default).
+ * The resulting duration, sample rate, channels and size are stored on the call.
+ *
+ * With AUDIO_STEREO_SPLIT=true, stereo recordings stay stereo when transcoded
+ * and splitChannels() produces one mono WAV per channel for transcription.
+ * clip() cuts a stretch of a recording, e.g. the first seconds for language
+ * detection or one chunk of a long call.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execFile, execFileSync } = require("child_process");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { detectAudioFormat } = require("./format-detector");
+const { canSplitWav, splitWavChannels, buildWavHeader } = require("./channel-splitter");
+
+// WAV codecs that can be cut at any frame boundary
+const FIXED_FRAME_CODECS = ["pcm", "pcm_float", "alaw", "mulaw"];
+
+class AudioProcessingService {
+  /**
+   * @param {Object} options - Overrides for config.audio
+   */
+  constructor(options = {}) {
+    const settings = { ...config.audio, ...options };
+    this.transcodeEnabled = !!settings.transcode;
+    this.targetSampleRate = settings.targetSampleRate || 16000;
+    this.targetChannels = settings.targetChannels || 1;
+    this.ffmpegPath = settings.ffmpegPath || "ffmpeg";
+    this.timeoutMs = settings.timeoutMs || 120000;
+    this.stereoSplit = !!settings.stereoSplit;
+  }
+
+  /**
+   * Detect the format of an audio file
+   * @param {string} filePath - Path to the file
+   * @returns {Object} - Format details (see detectAudioFormat)
+   */
+  detect(filePath) {
+    const info = detectAudioFormat(filePath);
+    if (!info) {
+      throw new Error(`Invalid audio file: unrecognised format (${path.basename(filePath)})`);
+    }
+    return info;
+  }
+
+  /**
+   * Rename a file so its extension matches its format
+   * @param {string} filePath - Path to the file
+   * @param {string} extension - Correct extension (without dot)
+   * @returns {string} - New path (unchanged if already correct)
+   */
+  fixExtension(filePath, extension) {
+    const current = path.extname(filePath);
+    if (current.toLowerCase() === `.${extension}`) {
+      return filePath;
+    }
+
+    const renamedPath = path.join(path.dirname(filePath), `${path.basename(filePath, current)}.${extension}`);
+    fs.renameSync(filePath, renamedPath);
+
+    logger.info("Audio file extension corrected", { from: path.basename(filePath), to: path.basename(renamedPath) });
+    return renamedPath;
+  }
+
+  /**
+   * Get the channel count audio should be converted to
+   * Stereo is kept when channels are transcribed separately.
+   * @param {Object} info - Detected format
+   * @returns {number}
+   */
+  getTargetChannels(info) {
+    return this.stereoSplit && info.channels === 2 ? 2 : this.targetChannels;
+  }
+
+  /**
+   * Check if audio needs converting to the target format
+   * @param {Object} info - Detected format
+   * @returns {boolean}
+   */
+  needsTranscode(info) {
+    if (!this.transcodeEnabled) return false;
+
+    return !(
+      info.container === "wav" &&
+      info.codec === "pcm" &&
+      info.sampleRate === this.targetSampleRate &&
+      info.channels === this.getTargetChannels(info)
+    );
+  }
+
+  /**
+   * Run ffmpeg
+   * @param {Array<string>} args - Command line arguments
+   * @returns {Promise<void>}
+   */
+  runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+      execFile(this.ffmpegPath, args, { timeout: this.timeoutMs }, (error, stdout, stderr) => {
+        if (!error) return resolve();
+
+        if (error.code === "ENOENT") {
+          return reject(new Error(`ffmpeg not found at ${this.ffmpegPath} - install ffmpeg or set FFMPEG_PATH`));
+        }
+        const detail = (stderr || error.message).toString().trim().split("\n").pop();
+        reject(new Error(`ffmpeg failed: ${detail}`));
+      });
+    });
+  }
+
+  /**
+   * Check ffmpeg can be run
+   * Probed once; later calls return the cached answer.
+   * @returns {boolean}
+   */
+  hasFfmpeg() {
+    if (this.ffmpegAvailable === undefined) {
+      try {
+        execFileSync(this.ffmpegPath, ["-version"], { timeout: 10000, stdio: "ignore" });
+        this.ffmpegAvailable = true;
+      } catch (error) {
+        logger.warn("ffmpeg not available - only PCM WAV audio can be cut", { ffmpegPath: this.ffmpegPath });
+        this.ffmpegAvailable = false;
+      }
+    }
+    return this.ffmpegAvailable;
+  }
+
+  /**
+   * Check clip() can cut a recording: PCM WAVs are cut directly, anything
+   * else needs ffmpeg
+   * @param {string} filePath - Path to the recording
+   * @returns {boolean}
+   */
+  canClip(filePath) {
+    const info = detectAudioFormat(filePath);
+    return (!!info && this.isCuttableWav(info)) || this.hasFfmpeg();
+  }
+
+  /**
+   * Check a recording is a WAV clip() can cut without ffmpeg
+   * @param {Object} info - Detected format
+   * @returns {boolean}
+   */
+  isCuttableWav(info) {
+    return (
+      info.container === "wav" &&
+      FIXED_FRAME_CODECS.includes(info.codec) &&
+      info.blockAlign > 0 &&
+      Number.isInteger(info.dataOffset)
+    );
+  }
+
+  /**
+   * Convert audio to PCM WAV at the target sample rate and channel count
+   * The source file is replaced by the WAV.
+   * @param {string} filePath - Path to the source file
+   * @param {number} [channels] - Output channels (defaults to the target channels)
+   * @returns {Promise<string>} - Path to the WAV file
+   */
+  async transcode(filePath, channels = this.targetChannels) {
+    const parsed = path.parse(filePath);
+    const outputPath = path.join(parsed.dir, `${parsed.name}.wav`);
+    const workingPath = path.join(parsed.dir, `${parsed.name}.transcoding.wav`);
+
+    try {
+      await this.runFfmpeg([
+        "-y",
+        "-hide_banner",
+        "-loglevel",
+        "error",
+        "-i",
+        filePath,
+        "-ac",
+        String(channels),
+        "-ar",
+        String(this.targetSampleRate),
+        "-c:a",
+        "pcm_s16le",
+        workingPath,
+      ]);
+    } catch (error) {
+      fs.rmSync(workingPath, { force: true });
+      throw error;
+    }
+
+    fs.renameSync(workingPath, outputPath);
+    if (outputPath !== filePath) {
+      fs.rmSync(filePath, { force: true });
+    }
+    return outputPath;
+  }
+
+  /**
+   * Process a downloaded or uploaded audio file
+   * Transcoding failures are logged and the original audio is kept, since
+   * transcription providers accept the common compressed formats too.
+   * @param {string} filePath - Path to the file
+   * @returns {Promise<Object>} - { filePath, format, codec, durationSeconds, sampleRate, channels,
+   *   sizeBytes, transcoded, originalFormat }
+   */
+  async processFile(filePath) {
+    const original = this.detect(filePath);
+    let currentPath = this.fixExtension(filePath, original.extension);
+    let info = original;
+    let transcoded = false;
+
+    if (this.needsTranscode(original)) {
+      try {
+        currentPath = await this.transcode(currentPath, this.getTargetChannels(original));
+        info = this.detect(currentPath);
+        transcoded = true;
+      } catch (error) {
+        logger.warn("Audio transcoding failed, keeping original audio", {
+          filePath: currentPath,
+          error: error.message,
+        });
+      }
+    }
+
+    const result = {
+      filePath: currentPath,
+      format: info.container,
+      codec: info.codec,
+      durationSeconds: info.durationSeconds,
+      sampleRate: info.sampleRate,
+      channels: info.channels,
+      sizeBytes: info.sizeBytes,
+      transcoded,
+      originalFormat: original.container,
+    };
+
+    logger.info("Audio processed", {
+      filePath: currentPath,
+      format: result.format,
+      codec: result.codec,
+      durationSeconds: result.durationSeconds,
+      sampleRate: result.sampleRate,
+      channels: result.channels,
+      transcoded,
+    });
+
+    return result;
+  }
+
+  /**
+   * Split a stereo recording into one mono WAV per channel
+   * PCM WAVs are split directly; other formats go through ffmpeg.
+   * The caller removes the channel files when done.
+   * @param {string} filePath - Path to the stereo file
+   * @returns {Promise<Array<Object>>} - [{ channel, filePath }] in channel order
+   */
+  async splitChannels(filePath) {
+    const info = this.detect(filePath);
+    if (info.channels !== 2) {
+      throw new Error(`Channel split needs stereo audio: ${path.basename(filePath)} has ${info.channels || "unknown"} channels`);
+    }
+
+    const parsed = path.parse(filePath);
+    const outputPaths = [0, 1].map((channel) => path.join(parsed.dir, `${parsed.name}.ch${channel}.wav`));
+
+    try {
+      if (canSplitWav(info)) {
+        splitWavChannels(filePath, info, outputPaths);
+      } else {
+        await this.runFfmpeg([
+          "-y",
+          "-hide_banner",
+          "-loglevel",
+          "error",
+          "-i",
+          filePath,
+          "-filter_complex",
+          "[0:a]channelsplit=channel_layout=stereo[left][right]",
+          "-map",
+          "[left]",
+          "-c:a",
+          "pcm_s16le",
+          outputPaths[0],
+          "-map",
+          "[right]",
+          "-c:a",
+          "pcm_s16le",
+          outputPaths[1],
+        ]);
+      }
+    } catch (error) {
+      outputPaths.forEach((outputPath) => fs.rmSync(outputPath, { force: true }));
+      throw error;
+    }
+
+    logger.info("Audio channels split", { filePath, format: info.container, channels: outputPaths.length });
+    return outputPaths.map((outputPath, channel) => ({ channel, filePath: outputPath }));
+  }
+
+  /**
+   * Write a stretch of a recording to a WAV file
+   * PCM WAVs are cut directly; other formats go through ffmpeg.
+   * The caller removes the clip when done.
+   * @param {string} filePath - Path to the recording
+   * @param {number} seconds - Length of the clip
+   * @param {Object} [options] - { start } offset in seconds, { outputPath } (default <name>.clip.wav)
+   * @returns {Promise<string>} - Path to the clip
+   */
+  async clip(filePath, seconds, options = {}) {
+    const { start = 0 } = options;
+    const info = this.detect(filePath);
+    const parsed = path.parse(filePath);
+    const outputPath = options.outputPath || path.join(parsed.dir, `${parsed.name}.clip.wav`);
+
+    try {
+      if (this.isCuttableWav(info)) {
+        const totalFrames = Math.floor(info.dataSize / info.blockAlign);
+        const startFrame = Math.min(totalFrames, Math.floor(start * info.sampleRate));
+        const frames = Math.min(totalFrames - startFrame, Math.floor(seconds * info.sampleRate));
+        const data = Buffer.alloc(frames * info.blockAlign);
+        const fd = fs.openSync(filePath, "r");
+        try {
+          fs.readSync(fd, data, 0, data.length, info.dataOffset + startFrame * info.blockAlign);
+        } finally {
+          fs.closeSync(fd);
+        }
+        const header = buildWavHeader({
+          formatCode: info.formatCode === 0xfffe ? 1 : info.formatCode,
+          sampleRate: info.sampleRate,
+          bitsPerSample: info.bitsPerSample,
+          channels: info.channels,
+          dataSize: data.length,
+        });
+        fs.writeFileSync(outputPath, Buffer.concat([header, data]));
+      } else {
+        await this.runFfmpeg([
+          "-y",
+          "-hide_banner",
+          "-loglevel",
+          "error",
+          ...(start > 0 ? ["-ss", String(start)] : []),
+          "-i",
+          filePath,
+          "-t",
+          String(seconds),
+          "-ac",
+          "1",
+          "-ar",
+          String(this.targetSampleRate),
+          "-c:a",
+          "pcm_s16le",
+          outputPath,
+        ]);
+      }
+    } catch (error) {
+      fs.rmSync(outputPath, { force: true });
+      throw error;
+    }
+
+    return outputPath;
+  }
+
+  /**
+   * Map a processing result onto call columns
+   * @param {Object} result - processFile result
+   * @returns {Object}
+   */
+  toCallMetadata(result) {
+    return {
+      audio_format: result.format,
+      audio_codec: result.codec,
+      audio_duration_seconds: result.durationSeconds,
+      audio_sample_rate: result.sampleRate,
+      audio_channels: result.channels,
+      audio_size_bytes: result.sizeBytes,
+    };
+  }
+}
+
+module.exports = AudioProcessingService;
@@ -0,0 +1,125 @@
+/**
+ * WAV Channel Splitter
+ * Splits an interleaved multi-channel WAV into one mono WAV per channel
+ *
+ * Works for codecs with a fixed number of bytes per sample (PCM, float,
+ * A-law, mu-law), which covers dual-channel telephony recordings without
+ * needing ffmpeg. Block-encoded codecs (ADPCM, mp3-in-wav) are not supported.
+ */
+
+const fs = require("fs");
+
+// Codecs whose samples can be de-interleaved byte-wise
+const SPLITTABLE_CODECS = ["pcm", "pcm_float", "alaw", "mulaw"];
+
+// Frames copied per read
+const FRAMES_PER_READ = 16384;
+
+/**
+ * Check if a detected WAV can be split without ffmpeg
+ * @param {Object} info - detectAudioFormat result
+ * @returns {boolean}
+ */
+const canSplitWav = (info) =>
+  !!info &&
+  info.container === "wav" &&
+  SPLITTABLE_CODECS.includes(info.codec) &&
+  info.channels > 1 &&
+  info.blockAlign === info.channels * (info.bitsPerSample / 8) &&
+  Number.isInteger(info.dataOffset);
+
+/**
+ * Build a 44-byte WAV header
+ * @param {Object} format - { formatCode, sampleRate, bitsPerSample, channels, dataSize }
+ * @returns {Buffer}
+ */
+const buildWavHeader = ({ formatCode, sampleRate, bitsPerSample, channels, dataSize }) => {
+  const blockAlign = channels * (bitsPerSample / 8);
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(formatCode, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(dataSize, 40);
+  return header;
+};
+
+/**
+ * Split a WAV file into mono WAV files, one per channel
+ * @param {string} filePath - Source WAV
+ * @param {Object} info - detectAudioFormat result for the source
+ * @param {Array<string>} outputPaths - One path per channel
+ */
+const splitWavChannels = (filePath, info, outputPaths) => {
+  if (!canSplitWav(info)) {
+    throw new Error(`Cannot split ${info.codec} WAV channels without ffmpeg`);
+  }
+  if (outputPaths.length !== info.channels) {
+    throw new Error(`Expected ${info.channels} output paths, got ${outputPaths.length}`);
+  }
+
+  const sampleBytes = info.bitsPerSample / 8;
+  const frameBytes = info.blockAlign;
+  const frames = Math.floor(info.dataSize / frameBytes);
+  // WAVE_FORMAT_EXTENSIBLE is written as plain PCM for mono output
+  const formatCode = info.formatCode === 0xfffe ? 1 : info.formatCode;
+  const header = buildWavHeader({
+    formatCode,
+    sampleRate: info.sampleRate,
+    bitsPerSample: info.bitsPerSample,
+    channels: 1,
+    dataSize: frames * sampleBytes,
+  });
+
+  const input = fs.openSync(filePath, "r");
+  const outputs = outputPaths.map((outputPath) => fs.openSync(outputPath, "w"));
+
+  try {
+    outputs.forEach((fd) => fs.writeSync(fd, header));
+
+    const readBuffer = Buffer.alloc(FRAMES_PER_READ * frameBytes);
+    const channelBuffers = outputs.map(() => Buffer.alloc(FRAMES_PER_READ * sampleBytes));
+    let position = info.dataOffset;
+    let remaining = frames;
+
+    while (remaining > 0) {
+      const count = Math.min(remaining, FRAMES_PER_READ);
+      const bytesRead = fs.readSync(input, readBuffer, 0, count * frameBytes, position);
+      const framesRead = Math.floor(bytesRead / frameBytes);
+      if (framesRead === 0) break;
+
+      for (let frame = 0; frame < framesRead; frame++) {
+        const frameStart = frame * frameBytes;
+        for (let channel = 0; channel < outputs.length; channel++) {
+          readBuffer.copy(
+            channelBuffers[channel],
+            frame * sampleBytes,
+            frameStart + channel * sampleBytes,
+            frameStart + (channel + 1) * sampleBytes
+          );
+        }
+      }
+
+      outputs.forEach((fd, channel) => fs.writeSync(fd, channelBuffers[channel], 0, framesRead * sampleBytes));
+      position += framesRead * frameBytes;
+      remaining -= framesRead;
+    }
+  } finally {
+    fs.closeSync(input);
+    outputs.forEach((fd) => fs.closeSync(fd));
+  }
+};
+
+module.exports = {
+  canSplitWav,
+  buildWavHeader,
+  splitWavChannels,
+};
@@ -0,0 +1,367 @@
+/**
+ * Audio Format Detector
+ * Identifies the real container and codec of an audio file from its magic bytes
+ *
+ * Telephony providers often serve mp3 from URLs without an extension, so the
+ * file name cannot be trusted. Headers are parsed in plain JavaScript for
+ * sample rate, channels and duration:
+ * - wav: fmt and data chunks
+ * - mp3: first frame header, Xing/Info frame count when present (else CBR estimate)
+ * - ogg: Vorbis/Opus identification header, last page granule position
+ * - flac: STREAMINFO block
+ * - m4a/mp4: mvhd duration and the first mp4a sample entry
+ * - aac (ADTS), webm and amr are identified with the details their headers carry
+ */
+
+const fs = require("fs");
+
+// How much of the file start and end to read for detection
+const HEAD_BYTES = 64 * 1024;
+const TAIL_BYTES = 64 * 1024;
+
+// WAVE fmt audio format codes
+const WAV_CODECS = {
+  0x0001: "pcm",
+  0x0003: "pcm_float",
+  0x0006: "alaw",
+  0x0007: "mulaw",
+  0x0011: "adpcm_ima",
+  0x0055: "mp3",
+  0xfffe: "pcm",
+};
+
+// MPEG audio: bitrates (kbps) by [version][layer][index], sample rates by [version][index]
+const MPEG_BITRATES = {
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  },
+};
+const MPEG_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000],
+};
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+/**
+ * Read the start and end of a file
+ * @param {string} filePath
+ * @returns {Object} - { head, tail, size }
+ */
+const readEnds = (filePath) => {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const { size } = fs.fstatSync(fd);
+    const head = Buffer.alloc(Math.min(HEAD_BYTES, size));
+    fs.readSync(fd, head, 0, head.length, 0);
+
+    const tailLength = Math.min(TAIL_BYTES, size);
+    const tail = Buffer.alloc(tailLength);
+    fs.readSync(fd, tail, 0, tailLength, size - tailLength);
+
+    return { head, tail, size };
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+const round = (value, digits = 3) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+
+/**
+ * Parse a RIFF/WAVE header
+ */
+const parseWav = (head, size) => {
+  const info = { container: "wav", extension: "wav", codec: null, sampleRate: null, channels: null };
+  let byteRate = null;
+  let offset = 12;
+
+  while (offset + 8 <= head.length) {
+    const id = head.toString("ascii", offset, offset + 4);
+    const chunkSize = head.readUInt32LE(offset + 4);
+
+    if (id === "fmt " && offset + 24 <= head.length) {
+      const format = head.readUInt16LE(offset + 8);
+      info.codec = WAV_CODECS[format] || `wav_0x${format.toString(16)}`;
+      info.formatCode = format;
+      info.channels = head.readUInt16LE(offset + 10);
+      info.sampleRate = head.readUInt32LE(offset + 12);
+      byteRate = head.readUInt32LE(offset + 16);
+      info.blockAlign = head.readUInt16LE(offset + 20);
+      info.bitsPerSample = head.readUInt16LE(offset + 22);
+    } else if (id === "data") {
+      // Streamed WAVs may leave the size at 0 or 0xFFFFFFFF; use what is on disk
+      const available = size - (offset + 8);
+      const dataSize = chunkSize === 0 || chunkSize > available ? available : chunkSize;
+      info.durationSeconds = byteRate ? round(dataSize / byteRate) : null;
+      info.dataOffset = offset + 8;
+      info.dataSize = dataSize;
+      break;
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  return info;
+};
+
+/**
+ * Parse an MPEG audio frame header at an offset
+ * @returns {Object|null}
+ */
+const parseMpegFrame = (buffer, offset) => {
+  if (offset + 4 > buffer.length) return null;
+  const header = buffer.readUInt32BE(offset);
+  if ((header & 0xffe00000) >>> 0 !== 0xffe00000) return null;
+
+  const versionBits = (header >> 19) & 0x3;
+  const layerBits = (header >> 17) & 0x3;
+  const bitrateIndex = (header >> 12) & 0xf;
+  const sampleRateIndex = (header >> 10) & 0x3;
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const layer = 4 - layerBits;
+  const bitrate = MPEG_BITRATES[version === 1 ? 1 : 2][layer][bitrateIndex] * 1000;
+  const sampleRate = MPEG_SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (header >> 9) & 0x1;
+  const channelMode = (header >> 6) & 0x3;
+  const samplesPerFrame = layer === 1 ? 384 : layer === 3 && version !== 1 ? 576 : 1152;
+  const frameLength =
+    layer === 1
+      ? Math.floor((12 * bitrate) / sampleRate + padding) * 4
+      : Math.floor(((samplesPerFrame / 8) * bitrate) / sampleRate) + padding;
+
+  return { version, layer, bitrate, sampleRate, channels: channelMode === 3 ? 1 : 2, samplesPerFrame, frameLength };
+};
+
+/**
+ * Parse an MP3 stream (optionally behind an ID3v2 tag)
+ */
+const parseMp3 = (head, size) => {
+  let offset = 0;
+  if (head.toString("ascii", 0, 3) === "ID3" && head.length >= 10) {
+    // Syncsafe tag size, plus footer if flagged
+    const tagSize = (head[6] << 21) | (head[7] << 14) | (head[8] << 7) | head[9];
+    offset = 10 + tagSize + (head[5] & 0x10 ? 10 : 0);
+  }
+
+  // Skip padding up to the first frame
+  while (offset < head.length - 4 && !parseMpegFrame(head, offset)) offset++;
+
+  const frame = parseMpegFrame(head, offset);
+  if (!frame) return null;
+
+  const info = {
+    container: "mp3",
+    extension: "mp3",
+    codec: `mp${frame.layer}`,
+    sampleRate: frame.sampleRate,
+    channels: frame.channels,
+    bitrate: frame.bitrate,
+  };
+
+  // VBR files carry the frame count in a Xing/Info header inside the first frame
+  const sideInfo = frame.version === 1 ? (frame.channels === 1 ? 17 : 32) : frame.channels === 1 ? 9 : 17;
+  const xingOffset = offset + 4 + sideInfo;
+  const tag = head.toString("ascii", xingOffset, xingOffset + 4);
+  if ((tag === "Xing" || tag === "Info") && head.length >= xingOffset + 12 && head.readUInt32BE(xingOffset + 4) & 0x1) {
+    const frames = head.readUInt32BE(xingOffset + 8);
+    info.durationSeconds = round((frames * frame.samplesPerFrame) / frame.sampleRate);
+  } else {
+    info.durationSeconds = round(((size - offset) * 8) / frame.bitrate);
+  }
+
+  return info;
+};
+
+/**
+ * Parse an Ogg stream (Vorbis or Opus)
+ */
+const parseOgg = (head, tail) => {
+  const info = { container: "ogg", extension: "ogg", codec: null, sampleRate: null, channels: null };
+  const segments = head[26];
+  const payload = 27 + segments;
+  let rate = null;
+  let preSkip = 0;
+
+  if (head.toString("ascii", payload, payload + 8) === "OpusHead") {
+    info.codec = "opus";
+    info.channels = head[payload + 9];
+    preSkip = head.readUInt16LE(payload + 10);
+    info.sampleRate = head.readUInt32LE(payload + 12) || 48000;
+    // Opus granule positions always count 48 kHz samples
+    rate = 48000;
+  } else if (head.toString("ascii", payload + 1, payload + 7) === "vorbis" && head[payload] === 1) {
+    info.codec = "vorbis";
+    info.channels = head[payload + 11];
+    info.sampleRate = head.readUInt32LE(payload + 12);
+    rate = info.sampleRate;
+  }
+
+  // The last page's granule position is the stream length in samples
+  const lastPage = tail.lastIndexOf("OggS");
+  if (rate && lastPage >= 0 && lastPage + 14 <= tail.length) {
+    const granule = Number(tail.readBigUInt64LE(lastPage + 6));
+    info.durationSeconds = round(Math.max(granule - preSkip, 0) / rate);
+  }
+
+  return info;
+};
+
+/**
+ * Parse a FLAC STREAMINFO block
+ */
+const parseFlac = (head) => {
+  const info = { container: "flac", extension: "flac", codec: "flac", sampleRate: null, channels: null };
+  if (head.length < 26) return info;
+
+  // STREAMINFO starts at byte 8 of the first metadata block (after "fLaC" and the block header)
+  const block = head.subarray(8);
+  info.sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+  info.channels = ((block[12] >> 1) & 0x7) + 1;
+  info.bitsPerSample = (((block[12] & 0x1) << 4) | (block[13] >> 4)) + 1;
+  const totalSamples = (block[13] & 0xf) * 2 ** 32 + block.readUInt32BE(14);
+  info.durationSeconds = totalSamples && info.sampleRate ? round(totalSamples / info.sampleRate) : null;
+
+  return info;
+};
+
+/**
+ * Walk ISO base media (mp4/m4a) atoms with random access
+ */
+const parseMp4 = (filePath, size) => {
+  // Audio-only MP4 is stored as .m4a whatever the brand
+  const info = {
+    container: "mp4",
+    extension: "m4a",
+    codec: null,
+    sampleRate: null,
+    channels: null,
+  };
+
+  const fd = fs.openSync(filePath, "r");
+  const read = (position, length) => {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+  };
+
+  // Find a child atom between start and end
+  const findAtom = (type, start, end) => {
+    let offset = start;
+    while (offset + 8 <= end) {
+      const header = read(offset, 16);
+      if (header.length < 8) return null;
+      let atomSize = header.readUInt32BE(0);
+      let headerSize = 8;
+      if (atomSize === 1 && header.length >= 16) {
+        atomSize = Number(header.readBigUInt64BE(8));
+        headerSize = 16;
+      } else if (atomSize === 0) {
+        atomSize = end - offset;
+      }
+      if (atomSize < headerSize) return null;
+      if (header.toString("ascii", 4, 8) === type) {
+        return { start: offset + headerSize, end: offset + atomSize };
+      }
+      offset += atomSize;
+    }
+    return null;
+  };
+
+  const findPath = (types, start, end) =>
+    types.reduce((atom, type) => atom && findAtom(type, atom.start, atom.end), { start, end });
+
+  try {
+    const moov = findAtom("moov", 0, size);
+    if (!moov) return info;
+
+    const mvhd = findAtom("mvhd", moov.start, moov.end);
+    if (mvhd) {
+      const body = read(mvhd.start, 32);
+      const version = body[0];
+      const timescale = version === 1 ? body.readUInt32BE(20) : body.readUInt32BE(12);
+      const duration = version === 1 ? Number(body.readBigUInt64BE(24)) : body.readUInt32BE(16);
+      info.durationSeconds = timescale ? round(duration / timescale) : null;
+    }
+
+    // First track's sample description: mp4a carries channels and sample rate
+    const stsd = findPath(["trak", "mdia", "minf", "stbl", "stsd"], moov.start, moov.end);
+    if (stsd) {
+      const entry = read(stsd.start + 8, 36);
+      const format = entry.toString("ascii", 4, 8);
+      info.codec = format === "mp4a" ? "aac" : format.trim();
+      if (entry.length >= 36) {
+        info.channels = entry.readUInt16BE(24);
+        info.sampleRate = entry.readUInt32BE(32) >>> 16;
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return info;
+};
+
+/**
+ * Parse an ADTS AAC stream header
+ */
+const parseAdts = (head) => {
+  const sampleRate = ADTS_SAMPLE_RATES[(head[2] >> 2) & 0xf] || null;
+  const channels = ((head[2] & 0x1) << 2) | (head[3] >> 6);
+  return { container: "aac", extension: "aac", codec: "aac", sampleRate, channels: channels || null };
+};
+
+/**
+ * Detect the format of an audio file
+ * @param {string} filePath - Path to the file
+ * @returns {Object|null} - { container, codec, extension, sampleRate, channels, durationSeconds, sizeBytes },
+ *   or null when the file is not a recognised audio format
+ */
+const detectAudioFormat = (filePath) => {
+  const { head, tail, size } = readEnds(filePath);
+  if (head.length < 12) return null;
+
+  const ascii = (start, end) => head.toString("ascii", start, end);
+  let info = null;
+
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") {
+    info = parseWav(head, size);
+  } else if (ascii(0, 4) === "OggS") {
+    info = parseOgg(head, tail);
+  } else if (ascii(0, 4) === "fLaC") {
+    info = parseFlac(head);
+  } else if (ascii(4, 8) === "ftyp") {
+    info = parseMp4(filePath, size);
+  } else if (head.readUInt32BE(0) === 0x1a45dfa3) {
+    info = { container: "webm", extension: "webm", codec: null, sampleRate: null, channels: null };
+  } else if (ascii(0, 6) === "#!AMR\n") {
+    info = { container: "amr", extension: "amr", codec: "amr_nb", sampleRate: 8000, channels: 1 };
+  } else if (head[0] === 0xff && (head[1] & 0xf6) === 0xf0) {
+    // ADTS sync word with layer 00 (MPEG audio frames never use layer 00)
+    info = parseAdts(head);
+  } else if (ascii(0, 3) === "ID3" || parseMpegFrame(head, 0)) {
+    info = parseMp3(head, size);
+  }
+
+  if (!info) return null;
+
+  return {
+    durationSeconds: null,
+    ...info,
+    sizeBytes: size,
+  };
+};
+
+module.exports = {
+  detectAudioFormat,
+  parseMpegFrame,
+};
@@ -0,0 +1,19 @@
+/**
+ * Audio Services Index
+ * Exports format detection, channel splitting, the post-download audio processing stage
+ * and silence/talk-over analysis
+ */
+
+const AudioProcessingService = require("./audio-processing.service");
+const AudioAnalysisService = require("./audio-analysis.service");
+const { detectAudioFormat } = require("./format-detector");
+const { splitWavChannels } = require("./channel-splitter");
+
+module.exports = {
+  AudioProcessingService,
+  AudioAnalysisService,
+  detectAudioFormat,
+  splitWavChannels,
+  AudioProcessing: new AudioProcessingService(),
+  AudioAnalysis: new AudioAnalysisService(),
+};
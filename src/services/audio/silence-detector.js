@@ -0,0 +1,260 @@
+/**
+ * Silence Detector
+ * Finds silence and talk-over in 16-bit PCM WAVs and in transcript timings
+ *
+ * Audio is cut into short windows and each window's RMS level is compared
+ * with a dBFS threshold. Runs of windows quiet on every channel are silences.
+ * On dual-channel recordings (one speaker per channel) windows loud on both
+ * channels are talk-over. For mono audio, talk-over comes from overlapping
+ * transcript segments of different speakers instead.
+ */
+
+const fs = require("fs");
+
+// Windows measured per read
+const WINDOWS_PER_READ = 512;
+
+/**
+ * Round seconds to milliseconds
+ * @param {number} seconds
+ * @returns {number}
+ */
+const roundSeconds = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Check if a detected file can be measured without decoding
+ * @param {Object} info - detectAudioFormat result
+ * @returns {boolean}
+ */
+const canMeasureWav = (info) =>
+  !!info &&
+  info.container === "wav" &&
+  info.codec === "pcm" &&
+  info.bitsPerSample === 16 &&
+  info.channels > 0 &&
+  info.blockAlign === info.channels * 2 &&
+  Number.isInteger(info.dataOffset);
+
+/**
+ * Measure which windows of each channel are above the silence threshold
+ * @param {string} filePath - 16-bit PCM WAV
+ * @param {Object} info - detectAudioFormat result for the file
+ * @param {Object} options - { windowMs, thresholdDb }
+ * @returns {Object} - { windowSeconds, durationSeconds, activity: Array<Uint8Array> } (one array per channel)
+ */
+const measureActivity = (filePath, info, { windowMs = 50, thresholdDb = -40 } = {}) => {
+  if (!canMeasureWav(info)) {
+    throw new Error(`Cannot measure ${info?.codec || "unknown"} audio without decoding to 16-bit PCM`);
+  }
+
+  const { channels, blockAlign: frameBytes, sampleRate } = info;
+  const totalFrames = Math.floor(info.dataSize / frameBytes);
+  const windowFrames = Math.max(1, Math.round((sampleRate * windowMs) / 1000));
+  const windowCount = Math.ceil(totalFrames / windowFrames);
+  // Mean squares are compared with the squared threshold level (no sqrt/log per window)
+  const threshold = (32768 * 10 ** (thresholdDb / 20)) ** 2;
+
+  const activity = Array.from({ length: channels }, () => new Uint8Array(windowCount));
+  const buffer = Buffer.alloc(WINDOWS_PER_READ * windowFrames * frameBytes);
+  const input = fs.openSync(filePath, "r");
+  let window = 0;
+  let framesMeasured = 0;
+
+  try {
+    let position = info.dataOffset;
+
+    while (framesMeasured < totalFrames) {
+      const frames = Math.min(totalFrames - framesMeasured, WINDOWS_PER_READ * windowFrames);
+      const bytesRead = fs.readSync(input, buffer, 0, frames * frameBytes, position);
+      const framesRead = Math.floor(bytesRead / frameBytes);
+      if (framesRead === 0) break;
+
+      for (let start = 0; start < framesRead; start += windowFrames) {
+        const end = Math.min(start + windowFrames, framesRead);
+        for (let channel = 0; channel < channels; channel++) {
+          let sum = 0;
+          for (let frame = start; frame < end; frame++) {
+            const sample = buffer.readInt16LE(frame * frameBytes + channel * 2);
+            sum += sample * sample;
+          }
+          activity[channel][window] = sum / (end - start) > threshold ? 1 : 0;
+        }
+        window++;
+      }
+
+      position += framesRead * frameBytes;
+      framesMeasured += framesRead;
+    }
+  } finally {
+    fs.closeSync(input);
+  }
+
+  return {
+    windowSeconds: windowFrames / sampleRate,
+    durationSeconds: roundSeconds(framesMeasured / sampleRate),
+    // A truncated data chunk leaves fewer windows than the header promised
+    activity: activity.map((flags) => flags.subarray(0, window)),
+  };
+};
+
+/**
+ * Find runs of windows matching a predicate
+ * @param {number} windowCount - Number of windows
+ * @param {Function} predicate - (window) => boolean
+ * @param {number} windowSeconds - Window length
+ * @param {number} minSeconds - Shortest run reported
+ * @returns {Array<Object>} - [{ start, end, duration }] in seconds
+ */
+const findRuns = (windowCount, predicate, windowSeconds, minSeconds = 0) => {
+  const runs = [];
+  let runStart = null;
+
+  for (let window = 0; window <= windowCount; window++) {
+    const matches = window < windowCount && predicate(window);
+    if (matches && runStart === null) {
+      runStart = window;
+    } else if (!matches && runStart !== null) {
+      const duration = (window - runStart) * windowSeconds;
+      if (duration >= minSeconds) {
+        runs.push({
+          start: roundSeconds(runStart * windowSeconds),
+          end: roundSeconds(window * windowSeconds),
+          duration: roundSeconds(duration),
+        });
+      }
+      runStart = null;
+    }
+  }
+
+  return runs;
+};
+
+/**
+ * Find silences: windows quiet on every channel
+ * @param {Object} measurement - measureActivity result
+ * @param {number} minSeconds - Shortest silence reported
+ * @returns {Array<Object>}
+ */
+const findSilences = ({ activity, windowSeconds }, minSeconds) =>
+  findRuns(
+    activity[0]?.length || 0,
+    (window) => activity.every((flags) => flags[window] === 0),
+    windowSeconds,
+    minSeconds
+  );
+
+/**
+ * Find talk-over: windows active on more than one channel
+ * @param {Object} measurement - measureActivity result
+ * @param {number} minSeconds - Shortest overlap reported
+ * @returns {Array<Object>}
+ */
+const findChannelOverlaps = ({ activity, windowSeconds }, minSeconds) => {
+  if (activity.length < 2) return [];
+
+  return findRuns(
+    activity[0].length,
+    (window) => activity.filter((flags) => flags[window] === 1).length > 1,
+    windowSeconds,
+    minSeconds
+  );
+};
+
+/**
+ * Sort and merge overlapping intervals
+ * @param {Array<Object>} intervals - [{ start, end }]
+ * @returns {Array<Object>}
+ */
+const mergeIntervals = (intervals) => {
+  const sorted = intervals
+    .filter((interval) => Number.isFinite(interval.start) && Number.isFinite(interval.end) && interval.end > interval.start)
+    .map(({ start, end }) => ({ start, end }))
+    .sort((a, b) => a.start - b.start);
+
+  return sorted.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push(interval);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Find gaps between transcript segments, including before the first and after the last
+ * @param {Array<Object>} segments - Transcript segments with start/end seconds
+ * @param {number} durationSeconds - Call duration
+ * @param {number} minSeconds - Shortest gap reported
+ * @returns {Array<Object>}
+ */
+const findSegmentGaps = (segments, durationSeconds, minSeconds) => {
+  const speech = mergeIntervals(segments);
+  const gaps = [];
+  let cursor = 0;
+
+  for (const interval of [...speech, { start: durationSeconds, end: durationSeconds }]) {
+    const duration = interval.start - cursor;
+    if (duration >= minSeconds) {
+      gaps.push({ start: roundSeconds(cursor), end: roundSeconds(interval.start), duration: roundSeconds(duration) });
+    }
+    cursor = Math.max(cursor, interval.end);
+  }
+
+  return gaps;
+};
+
+/**
+ * Find periods where segments of different speakers overlap
+ * @param {Array<Object>} segments - Transcript segments with start/end seconds and speaker
+ * @param {number} minSeconds - Shortest overlap reported
+ * @returns {Array<Object>}
+ */
+const findSegmentOverlaps = (segments, minSeconds) => {
+  const bySpeaker = new Map();
+  for (const segment of segments) {
+    if (segment.speaker === undefined || segment.speaker === null) continue;
+    if (!bySpeaker.has(segment.speaker)) bySpeaker.set(segment.speaker, []);
+    bySpeaker.get(segment.speaker).push(segment);
+  }
+
+  const speakers = [...bySpeaker.values()].map(mergeIntervals);
+  const overlaps = [];
+  for (let a = 0; a < speakers.length; a++) {
+    for (let b = a + 1; b < speakers.length; b++) {
+      for (const first of speakers[a]) {
+        for (const second of speakers[b]) {
+          const start = Math.max(first.start, second.start);
+          const end = Math.min(first.end, second.end);
+          if (end > start) overlaps.push({ start, end });
+        }
+      }
+    }
+  }
+
+  return mergeIntervals(overlaps)
+    .filter((interval) => interval.end - interval.start >= minSeconds)
+    .map(({ start, end }) => ({ start: roundSeconds(start), end: roundSeconds(end), duration: roundSeconds(end - start) }));
+};
+
+/**
+ * Count distinct speakers in transcript segments
+ * @param {Array<Object>} segments
+ * @returns {number}
+ */
+const countSpeakers = (segments) =>
+  new Set(segments.map((segment) => segment.speaker).filter((speaker) => speaker !== undefined && speaker !== null)).size;
+
+module.exports = {
+  canMeasureWav,
+  measureActivity,
+  findRuns,
+  findSilences,
+  findChannelOverlaps,
+  mergeIntervals,
+  findSegmentGaps,
+  findSegmentOverlaps,
+  countSpeakers,
+  roundSeconds,
+};
@@ -0,0 +1,113 @@
+/**
+ * Exotel API Service
+ * Client for Exotel's Call Details API (v1 bulk call listing)
+ *
+ * Any object with the same listCalls() signature can be passed to the
+ * backfill service in its place, e.g. a local fake in tests.
+ */
+
+const axios = require("axios");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+
+/**
+ * Format a date the way Exotel's DateCreated filter expects
+ * Exotel filters on the account's local time ("YYYY-MM-DD HH:mm:ss")
+ * @param {Date|string} date
+ * @returns {string}
+ */
+const formatExotelDate = (date) => {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ` +
+    `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`
+  );
+};
+
+class ExotelApiService {
+  /**
+   * @param {Object} options - Overrides for config.exotel
+   */
+  constructor(options = {}) {
+    this.accountSid = options.accountSid || config.exotel.accountSid;
+    this.apiKey = options.apiKey || config.exotel.apiKey;
+    this.apiToken = options.apiToken || config.exotel.apiToken;
+    this.baseUrl = options.baseUrl || config.exotel.apiBaseUrl;
+    this.timeout = options.timeout || 30000;
+  }
+
+  /**
+   * Check if API credentials are configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!(this.accountSid && this.apiKey && this.apiToken);
+  }
+
+  /**
+   * Build the URL of a page from a NextPageUri
+   * The URI may come from a client resuming an earlier run, so it must be a
+   * path under this account on the API host the credentials are sent to.
+   * @param {string} pageUri - NextPageUri (/v1/Accounts/<sid>/Calls.json?...)
+   * @returns {string} - Page URL
+   */
+  getPageUrl(pageUri) {
+    const prefix = `/v1/Accounts/${this.accountSid}/`;
+    if (typeof pageUri !== "string" || !pageUri.startsWith(prefix)) {
+      throw new Error(`Invalid Exotel page URI: must start with ${prefix}`);
+    }
+
+    const base = new URL(this.baseUrl);
+    const url = new URL(`${this.baseUrl}${pageUri}`);
+    if (url.protocol !== base.protocol || url.host !== base.host) {
+      throw new Error(`Invalid Exotel page URI: must stay on ${base.host}`);
+    }
+    return url.toString();
+  }
+
+  /**
+   * Fetch one page of calls from the Call Details API
+   * @param {Object} options - Query options
+   * @param {Date|string} options.startDate - Range start (inclusive)
+   * @param {Date|string} options.endDate - Range end (inclusive)
+   * @param {number} [options.pageSize] - Calls per page (max 100)
+   * @param {string} [options.pageUri] - NextPageUri from a previous page
+   * @returns {Promise<Object>} - { calls: Array, nextPageUri: string|null }
+   */
+  async listCalls({ startDate, endDate, pageSize = 100, pageUri } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error("Exotel API credentials not configured");
+    }
+
+    // Later pages are fetched from the URI Exotel returns, which keeps the filters
+    const request = pageUri
+      ? { url: this.getPageUrl(pageUri) }
+      : {
+          url: `${this.baseUrl}/v1/Accounts/${this.accountSid}/Calls.json`,
+          params: {
+            DateCreated: `gte:${formatExotelDate(startDate)};lte:${formatExotelDate(endDate)}`,
+            PageSize: Math.min(pageSize, 100),
+            SortBy: "DateCreated:asc",
+          },
+        };
+
+    logger.debug("Fetching Exotel call details page", { url: request.url });
+
+    const response = await axios.get(request.url, {
+      params: request.params,
+      auth: { username: this.apiKey, password: this.apiToken },
+      timeout: this.timeout,
+    });
+
+    const data = response.data || {};
+
+    return {
+      calls: data.Calls || [],
+      nextPageUri: data.Metadata?.NextPageUri || null,
+    };
+  }
+}
+
+module.exports = ExotelApiService;
+module.exports.formatExotelDate = formatExotelDate;
@@ -0,0 +1,264 @@
+/**
+ * Exotel Backfill Service
+ * Recovers calls whose webhooks never reached us (server down, tunnel dropped)
+ *
+ * Pages through Exotel's Call Details API for a date range, skips calls we
+ * already have, and creates call records plus download jobs for the rest.
+ * Calls without a recording are stored with their unanswered status, the
+ * same way the webhook handler tracks them.
+ */
+
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { Call: CallModel } = require("../../models");
+const { resolveUnansweredStatus } = require("../../controllers/webhook.controller");
+const ExotelApiService = require("./exotel-api.service");
+
+// Exotel Call Details directions mapped to the values allowed in calls.direction
+const DIRECTION_MAP = {
+  inbound: "inbound",
+  incoming: "incoming",
+  "outbound-api": "outbound",
+  "outbound-dial": "outgoing-dial",
+  outbound: "outbound",
+};
+
+class ExotelBackfillService {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.client] - Exotel API client exposing listCalls()
+   * @param {Object} [options.callService] - Call service (createCall, queueDownloadJobOnce)
+   * @param {Object} [options.attribution] - Agent attribution service
+   * @param {number} [options.pageDelayMs] - Pause between pages
+   */
+  constructor(options = {}) {
+    this.client = options.client || new ExotelApiService();
+    this.callService = options.callService || null;
+    this.attribution = options.attribution || null;
+    this.pageSize = options.pageSize || config.exotel.backfill.pageSize;
+    this.pageDelayMs = options.pageDelayMs ?? config.exotel.backfill.pageDelayMs;
+  }
+
+  /**
+   * Get collaborating services
+   * Loaded lazily because the services index loads this module
+   * @returns {Object} - { callService, attribution }
+   */
+  getServices() {
+    if (!this.callService || !this.attribution) {
+      const services = require("..");
+      this.callService = this.callService || services.Call;
+      this.attribution = this.attribution || services.AgentAttribution;
+    }
+    return { callService: this.callService, attribution: this.attribution };
+  }
+
+  /**
+   * Convert a Call Details API record into the webhook payload shape
+   * @param {Object} record - Exotel call record (PascalCase)
+   * @returns {Object} - Webhook-style payload (snake_case)
+   */
+  normalizeCall(record) {
+    const status = (record.Status || "").toLowerCase();
+    const direction = DIRECTION_MAP[(record.Direction || "").toLowerCase()] || null;
+
+    return {
+      call_sid: record.Sid,
+      from: record.From,
+      to: record.To,
+      direction,
+      call_type: status,
+      dial_call_status: status,
+      recording_url: record.RecordingUrl || null,
+      on_call_duration: parseInt(record.Duration) || 0,
+      start_time: record.StartTime || record.DateCreated || null,
+    };
+  }
+
+  /**
+   * Work out what to do with a call missing from our database
+   * @param {Object} payload - Normalized call payload
+   * @returns {Object} - { action: "download" | "track" | "skip", status?, reason? }
+   */
+  planCall(payload) {
+    if (payload.call_type === "completed") {
+      return payload.recording_url
+        ? { action: "download", status: "received" }
+        : { action: "skip", reason: "no recording" };
+    }
+
+    const status = resolveUnansweredStatus(payload);
+    return status
+      ? { action: "track", status }
+      : { action: "skip", reason: `call status ${payload.call_type || "unknown"}` };
+  }
+
+  /**
+   * Import a single Exotel call
+   * @param {Object} record - Exotel call record
+   * @param {Object} options - { orgId, dryRun }
+   * @returns {Promise<Object>} - { result: existing|created|tracked|skipped, callId?, jobId? }
+   */
+  async importCall(record, { orgId, dryRun }) {
+    const payload = this.normalizeCall(record);
+
+    const existing = CallModel.findByExotelCallSid(payload.call_sid);
+    if (existing) {
+      return { result: "existing", callId: existing.id };
+    }
+
+    const plan = this.planCall(payload);
+    if (plan.action === "skip") {
+      return { result: "skipped", reason: plan.reason };
+    }
+
+    if (dryRun) {
+      return { result: plan.action === "download" ? "created" : "tracked" };
+    }
+
+    const { callService, attribution } = this.getServices();
+    const agent = attribution.resolveAgent(payload, orgId);
+    const startTime = payload.start_time ? new Date(payload.start_time) : null;
+
+    const call = await callService.createCall({
+      org_id: orgId,
+      agent_id: agent?.agentId,
+      agent_attribution: attribution.describeAttribution(agent),
+      exotel_call_sid: payload.call_sid,
+      recording_url: plan.action === "download" ? payload.recording_url : null,
+      duration_seconds: payload.on_call_duration,
+      call_type: payload.call_type,
+      caller_number: payload.from,
+      callee_number: payload.to,
+      direction: payload.direction,
+      status: plan.status,
+      source: "exotel_backfill",
+      created_at: startTime && !isNaN(startTime) ? startTime.toISOString() : undefined,
+    });
+
+    if (plan.action === "track") {
+      return { result: "tracked", callId: call.id };
+    }
+
+    const job = await callService.queueDownloadJobOnce(call.id);
+    return { result: "created", callId: call.id, jobId: job.id };
+  }
+
+  /**
+   * Backfill calls for a date range
+   * @param {Object} options
+   * @param {Date|string} options.startDate - Range start (inclusive)
+   * @param {Date|string} options.endDate - Range end (inclusive)
+   * @param {string} [options.orgId] - Organization for created calls
+   * @param {boolean} [options.dryRun] - Report what would be imported without writing
+   * @param {number} [options.maxPages] - Stop after this many pages
+   * @param {string} [options.pageUri] - Resume from a NextPageUri reported by an earlier run
+   * @returns {Promise<Object>} - Backfill summary
+   */
+  async backfill(options = {}) {
+    const {
+      startDate,
+      endDate,
+      orgId = config.organization.defaultId,
+      dryRun = false,
+      maxPages = Infinity,
+      pageUri: resumeUri = null,
+    } = options;
+
+    if (!resumeUri && (!startDate || !endDate)) {
+      throw new Error("startDate and endDate are required");
+    }
+
+    if (!resumeUri && new Date(startDate) > new Date(endDate)) {
+      throw new Error("startDate must be before endDate");
+    }
+
+    if (this.client.isConfigured && !this.client.isConfigured()) {
+      throw new Error("Exotel API credentials not configured");
+    }
+
+    // Reject a bad resume URI up front instead of reporting it as a failed page
+    if (resumeUri && this.client.getPageUrl) {
+      this.client.getPageUrl(resumeUri);
+    }
+
+    const summary = {
+      startDate,
+      endDate,
+      dryRun,
+      pages: 0,
+      fetched: 0,
+      existing: 0,
+      created: 0,
+      tracked: 0,
+      skipped: 0,
+      failed: 0,
+      errors: [],
+      nextPageUri: null,
+      completed: false,
+    };
+
+    logger.info("Starting Exotel backfill", { startDate, endDate, orgId, dryRun, resumeUri });
+
+    let pageUri = resumeUri;
+
+    while (summary.pages < maxPages) {
+      let page;
+      try {
+        page = await this.client.listCalls({
+          startDate,
+          endDate,
+          pageSize: this.pageSize,
+          pageUri,
+        });
+      } catch (error) {
+        // Report where we stopped so the run can be resumed from this page
+        logger.error("Exotel backfill page fetch failed", { pageUri, error: error.message });
+        summary.nextPageUri = pageUri;
+        summary.error = error.message;
+        return summary;
+      }
+
+      summary.pages++;
+      summary.fetched += page.calls.length;
+
+      for (const record of page.calls) {
+        try {
+          const outcome = await this.importCall(record, { orgId, dryRun });
+          summary[outcome.result]++;
+        } catch (error) {
+          summary.failed++;
+          summary.errors.push({ callSid: record.Sid, error: error.message });
+          logger.error("Failed to backfill Exotel call", { callSid: record.Sid, error: error.message });
+        }
+      }
+
+      pageUri = page.nextPageUri;
+      if (!pageUri) {
+        summary.completed = true;
+        break;
+      }
+
+      if (this.pageDelayMs > 0) {
+        await new Promise((resolve) => setTimeout(resolve, this.pageDelayMs));
+      }
+    }
+
+    summary.nextPageUri = summary.completed ? null : pageUri;
+
+    logger.info("Exotel backfill finished", {
+      pages: summary.pages,
+      fetched: summary.fetched,
+      existing: summary.existing,
+      created: summary.created,
+      tracked: summary.tracked,
+      skipped: summary.skipped,
+      failed: summary.failed,
+      completed: summary.completed,
+    });
+
+    return summary;
+  }
+}
+
+module.exports = ExotelBackfillService;
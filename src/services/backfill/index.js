@@ -0,0 +1,13 @@
+/**
+ * Backfill Services Index
+ * Exports services for importing calls missed by the webhook
+ */
+
+const ExotelApiService = require("./exotel-api.service");
+const ExotelBackfillService = require("./exotel-backfill.service");
+
+module.exports = {
+  ExotelApiService,
+  ExotelBackfillService,
+  ExotelBackfill: new ExotelBackfillService(),
+};
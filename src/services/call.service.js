@@ -3,29 +3,60 @@
  * Business logic for call operations
  */
 
-const { Call } = require("../models");
+const fs = require("fs");
+const config = require("../config");
+const { Call, Transcript, Analysis, Notification, User, AudioMetrics } = require("../models");
 const queueConfig = require("../config/queue");
 const logger = require("../utils/logger");
 
+// Statuses the pipeline can be resumed from without forcing
+// quota_exceeded calls are retried once the organization has space again
+const RETRYABLE_STATUSES = ["download_failed", "quota_exceeded", "transcription_failed", "analysis_failed"];
+
+// Status a call is reset to before re-entering each pipeline stage
+const STAGE_ENTRY_STATUSES = {
+  download: "received",
+  transcription: "downloaded",
+  analysis: "transcribed",
+};
+
+// Upload directions mapped to the values allowed in calls.direction
+const UPLOAD_DIRECTIONS = {
+  incoming: "incoming",
+  inbound: "incoming",
+  outgoing: "outgoing",
+  outbound: "outgoing",
+};
+
 class CallService {
   /**
    * Create a new call record
+   * Duplicate CallSids return the existing call; the check and insert are
+   * atomic, so concurrent webhook deliveries cannot both create it. A call
+   * tracked as unanswered gets the recording when one arrives later.
    * @param {Object} callData - Call data
-   * @returns {Object} - Created call record
+   * @returns {Object} - Created (or existing) call record
    */
   async createCall(callData) {
     try {
-      // Check for duplicate CallSid
-      const existingCall = Call.findByExotelCallSid(callData.exotel_call_sid);
-      if (existingCall) {
+      const { call, created, upgraded } = Call.createIfNotExists(callData);
+
+      if (upgraded) {
+        logger.info("Unanswered call received a recording", {
+          id: call.id,
+          callSid: callData.exotel_call_sid,
+        });
+        return call;
+      }
+
+      if (!created) {
         logger.warn("Duplicate Exotel CallSid, returning existing call", {
           callSid: callData.exotel_call_sid,
-          existingId: existingCall.id,
+          existingId: call.id,
         });
-        return existingCall;
+        return call;
       }
 
-      const call = Call.create(callData);
       logger.info("Call record created", {
         id: call.id,
         callSid: call.exotel_call_sid,
@@ -68,16 +99,176 @@ class CallService {
     }
   }
 
+  /**
+   * Reassign call to a different agent
+   * @param {string} id - Call ID
+   * @param {string|null} agentId - User ID of the new agent, or null to unassign
+   * @returns {Object} - Updated call record
+   */
+  async reassignAgent(id, agentId) {
+    try {
+      if (agentId && !User.findById(agentId)) {
+        throw new Error(`Agent not found: ${agentId}`);
+      }
+
+      const call = Call.assignAgent(id, agentId || null, agentId ? "manual" : null);
+      logger.info("Call agent reassigned", { id, agentId });
+      return call;
+    } catch (error) {
+      logger.error("Error reassigning call agent", { id, agentId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a call from a manually uploaded recording
+   * The audio is moved into storage and the call goes straight to transcription,
+   * skipping the download stage used for telephony calls.
+   *
+   * @param {Object} upload - { filePath, originalName, copy }
+   *   copy keeps the source file in place (used for archive imports)
+   * @param {Object} metadata - { orgId, agentId, customerNumber, direction, durationSeconds, recordedAt, source, sourceRef }
+   * @returns {Promise<Object>} - { call, job }
+   */
+  async createUploadedCall(upload, metadata = {}) {
+    const { Storage, StorageQuota, AudioProcessing } = require(".");
+    let call = null;
+    const audioPaths = [];
+
+    try {
+      const direction = UPLOAD_DIRECTIONS[(metadata.direction || "").toLowerCase()];
+      if (!direction) {
+        throw new Error("Invalid direction: expected incoming or outgoing");
+      }
+
+      const agent = metadata.agentId ? User.findById(metadata.agentId) : null;
+      if (metadata.agentId && !agent) {
+        throw new Error(`Agent not found: ${metadata.agentId}`);
+      }
+
+      const recordedAt = metadata.recordedAt ? new Date(metadata.recordedAt) : null;
+      if (recordedAt && isNaN(recordedAt)) {
+        throw new Error("Invalid recordedAt: expected an ISO date");
+      }
+
+      // Trust the file's contents over its name; rejects files that are not audio
+      const audioFormat = AudioProcessing.detect(upload.filePath);
+
+      // Keep caller/callee in telephony order so phone filters work for uploads too
+      const agentNumber = agent?.phone_number || null;
+      const customerNumber = metadata.customerNumber || null;
+
+      const orgId = metadata.orgId || agent?.org_id || config.organization.defaultId;
+      await StorageQuota.enforceQuota(orgId, "audio", fs.statSync(upload.filePath).size);
+
+      call = Call.create({
+        org_id: orgId,
+        agent_id: agent?.id,
+        agent_attribution: agent ? "manual" : null,
+        recording_url: null,
+        duration_seconds: parseInt(metadata.durationSeconds) || Math.round(audioFormat.durationSeconds || 0),
+        call_type: "completed",
+        caller_number: direction === "incoming" ? customerNumber : agentNumber,
+        callee_number: direction === "incoming" ? agentNumber : customerNumber,
+        direction,
+        status: "downloaded",
+        source: metadata.source || "upload",
+        source_ref: metadata.sourceRef,
+        created_at: recordedAt ? recordedAt.toISOString() : undefined,
+      });
+
+      const storedPath = Storage.storeCallAudio(upload.filePath, call.org_id, call.id, audioFormat.extension, {
+        copy: !!upload.copy,
+      });
+      audioPaths.push(storedPath);
+      const audio = await AudioProcessing.processFile(storedPath);
+      audioPaths.push(audio.filePath);
+      const storageKey = await Storage.persistFile(audio.filePath);
+      Call.setLocalAudioPath(call.id, audio.filePath, storageKey);
+      Call.setAudioMetadata(call.id, AudioProcessing.toCallMetadata(audio));
+
+      let job;
+      try {
+        job = await this.queueTranscriptionJob(call.id);
+      } catch (error) {
+        // Audio is stored, so the call can be resumed with the retry API
+        Call.markFailed(call.id, "transcription_failed", error.message);
+        error.callId = call.id;
+        throw error;
+      }
+
+      logger.info("Uploaded call queued for transcription", {
+        callId: call.id,
+        originalName: upload.originalName,
+        agentId: call.agent_id,
+        jobId: job.id,
+      });
+
+      return { call: Call.findById(call.id), job };
+    } catch (error) {
+      if (!upload.copy && fs.existsSync(upload.filePath)) {
+        fs.unlinkSync(upload.filePath);
+      }
+      // A call without its audio can't be retried, and would make bulk
+      // imports skip its source_ref, so remove it and any audio stored for it
+      if (call && !error.callId) {
+        await this.discardUploadedCall(call.id, audioPaths);
+      }
+      logger.error("Error creating uploaded call", { originalName: upload.originalName, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a call whose upload failed before its audio was stored
+   * Cleanup failures are logged so the upload error is the one reported.
+   * @param {string} callId - Call ID
+   * @param {Array<string>} audioPaths - Local audio files written for the call
+   */
+  async discardUploadedCall(callId, audioPaths) {
+    const { Storage } = require(".");
+
+    try {
+      for (const filePath of new Set(audioPaths)) {
+        if (fs.existsSync(filePath)) {
+          await Storage.deleteStoredFile(Storage.getStorageKey(filePath));
+        }
+      }
+      Call.delete(callId);
+    } catch (error) {
+      logger.warn("Failed to remove call after upload error", { callId, error: error.message });
+    }
+  }
+
+  /**
+   * Mark call as failed and record the error
+   * @param {string} id - Call ID
+   * @param {string} status - Failure status
+   * @param {string} errorMessage - Error message
+   * @returns {Object} - Updated call record
+   */
+  async markCallFailed(id, status, errorMessage) {
+    try {
+      const call = Call.markFailed(id, status, errorMessage);
+      logger.info("Call marked as failed", { id, status, error: errorMessage });
+      return call;
+    } catch (error) {
+      logger.error("Error marking call as failed", { id, status, error });
+      throw error;
+    }
+  }
+
   /**
    * Set local audio path for call
    * @param {string} id - Call ID
    * @param {string} localPath - Local file path
+   * @param {string} [storageKey] - Key of the audio in the configured storage
    * @returns {Object} - Updated call record
    */
-  async setLocalAudioPath(id, localPath) {
+  async setLocalAudioPath(id, localPath, storageKey) {
     try {
-      const call = Call.setLocalAudioPath(id, localPath);
-      logger.info("Call local audio path set", { id, localPath });
+      const call = Call.setLocalAudioPath(id, localPath, storageKey);
+      logger.info("Call local audio path set", { id, localPath, storageKey });
       return call;
     } catch (error) {
       logger.error("Error setting local audio path", { id, localPath, error });
@@ -85,12 +276,28 @@ class CallService {
     }
   }
 
+  /**
+   * Store detected audio properties for call
+   * @param {string} id - Call ID
+   * @param {Object} metadata - Audio columns (see AudioProcessingService.toCallMetadata)
+   * @returns {Object} - Updated call record
+   */
+  async setAudioMetadata(id, metadata) {
+    try {
+      return Call.setAudioMetadata(id, metadata);
+    } catch (error) {
+      logger.error("Error setting audio metadata", { id, error });
+      throw error;
+    }
+  }
+
   /**
    * Queue download job for call
    * @param {string} callId - Call ID
+   * @param {Object} options - { jobId: fixed queue job ID }
    * @returns {Object} - Job details
    */
-  async queueDownloadJob(callId) {
+  async queueDownloadJob(callId, options = {}) {
     try {
       const { queues } = require("../workers");
 
@@ -108,6 +315,8 @@ class CallService {
             type: "exponential",
             delay: 5000,
           },
+          // A fixed job ID makes the queue ignore repeated adds
+          ...(options.jobId && { jobId: options.jobId }),
         }
       );
 
@@ -123,6 +332,31 @@ class CallService {
     }
   }
 
+  /**
+   * Queue the download job for a call exactly once
+   * Used for webhook and backfill calls, which can reach us more than once.
+   * Later callers get the job queued by the first one (duplicate: true).
+   * @param {string} callId - Call ID
+   * @returns {Object} - Job details
+   */
+  async queueDownloadJobOnce(callId) {
+    if (!Call.claimDownload(callId)) {
+      const call = Call.findById(callId);
+      logger.info("Download already queued for call", { callId, jobId: call?.download_job_id });
+      return { id: call?.download_job_id || null, duplicate: true };
+    }
+
+    try {
+      const job = await this.queueDownloadJob(callId, { jobId: `download-${callId}` });
+      Call.setDownloadJob(callId, job.id);
+      return job;
+    } catch (error) {
+      // Let a redelivery or retry queue the job instead
+      Call.releaseDownloadClaim(callId);
+      throw error;
+    }
+  }
+
   /**
    * Queue transcription job for call
    * @param {string} callId - Call ID
@@ -199,6 +433,144 @@ class CallService {
     }
   }
 
+  /**
+   * Determine the pipeline stage a call should resume from
+   * Reuses downloaded audio and saved transcripts where available
+   * @param {Object} call - Call record
+   * @returns {string} - Stage name (download, transcription or analysis)
+   */
+  determineRetryStage(call) {
+    const { Storage } = require(".");
+    // Remote storage keeps the audio even when this machine has no local copy
+    const hasAudio =
+      (!!call.local_audio_path && fs.existsSync(call.local_audio_path)) ||
+      (!!call.audio_storage_key && Storage.adapter.isRemote());
+    const hasTranscript = Transcript.existsForCall(call.id);
+
+    if (call.status === "analysis_failed" || call.status === "transcription_failed") {
+      if (hasTranscript) return "analysis";
+      if (hasAudio) return "transcription";
+      return "download";
+    }
+
+    if (hasAudio) {
+      return hasTranscript ? "analysis" : "transcription";
+    }
+
+    return "download";
+  }
+
+  /**
+   * Re-enqueue a failed call from the stage where it failed
+   * @param {string} callId - Call ID
+   * @param {Object} options - Retry options
+   * @param {boolean} [options.force] - Allow retrying calls that are not in a failed status
+   * @param {string} [options.stage] - Force a specific stage (download, transcription, analysis)
+   * @returns {Object} - Retry result
+   */
+  async retryCall(callId, options = {}) {
+    const call = Call.findById(callId);
+
+    if (!call) {
+      throw new Error(`Call not found: ${callId}`);
+    }
+
+    if (!options.force && !RETRYABLE_STATUSES.includes(call.status)) {
+      throw new Error(`Call is not in a retryable status: ${call.status}`);
+    }
+
+    if (options.stage && !STAGE_ENTRY_STATUSES[options.stage]) {
+      throw new Error(`Invalid retry stage: ${options.stage}`);
+    }
+
+    const stage = options.stage || this.determineRetryStage(call);
+    const previousStatus = call.status;
+    const status = STAGE_ENTRY_STATUSES[stage];
+
+    // Reset the status before queuing so the worker sees the stage's entry status
+    Call.updateStatus(callId, status);
+
+    let job;
+    try {
+      if (stage === "download") {
+        job = await this.queueDownloadJob(callId);
+      } else if (stage === "transcription") {
+        job = await this.queueTranscriptionJob(callId);
+      } else {
+        job = await this.queueAnalysisJob(callId);
+      }
+    } catch (error) {
+      // Restore the failed status so the call is picked up by the next retry
+      Call.updateStatus(callId, previousStatus);
+      throw error;
+    }
+
+    // Only retries that were actually queued are counted
+    const updated = Call.recordRetry(callId);
+
+    logger.info("Call retry queued", {
+      callId,
+      stage,
+      previousStatus,
+      retryCount: updated.retry_count,
+      jobId: job.id,
+    });
+
+    return {
+      callId,
+      stage,
+      previousStatus,
+      status,
+      retryCount: updated.retry_count,
+      jobId: job.id,
+    };
+  }
+
+  /**
+   * Re-enqueue multiple failed calls
+   * @param {Object} options - Bulk retry options
+   * @param {Array<string>} [options.callIds] - Specific calls to retry
+   * @param {Array<string>} [options.status] - Failed statuses to select when callIds is not given
+   * @param {number} [options.limit] - Maximum number of calls to retry
+   * @param {boolean} [options.force] - Allow retrying calls that are not in a failed status
+   * @returns {Object} - Summary with per-call results
+   */
+  async retryFailedCalls(options = {}) {
+    const { callIds, limit = 100, force = false } = options;
+
+    let ids = callIds;
+    if (!ids || ids.length === 0) {
+      const status = options.status && options.status.length > 0
+        ? options.status
+        : RETRYABLE_STATUSES;
+      ids = Call.findAll({ status, limit, org_id: options.org_id }).map((c) => c.id);
+    }
+
+    const results = [];
+    for (const callId of ids.slice(0, limit)) {
+      try {
+        const result = await this.retryCall(callId, { force });
+        results.push({ success: true, ...result });
+      } catch (error) {
+        results.push({ success: false, callId, error: error.message });
+      }
+    }
+
+    const succeeded = results.filter((r) => r.success).length;
+    logger.info("Bulk call retry completed", {
+      requested: ids.length,
+      succeeded,
+      failed: results.length - succeeded,
+    });
+
+    return {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    };
+  }
+
   /**
    * Get calls with pagination and filtering
    * @param {Object} options - Query options
@@ -206,11 +578,11 @@ class CallService {
    */
   async getCalls(options = {}) {
     try {
-      const { page = 1, limit = 50, status, org_id } = options;
+      const { page = 1, limit = 50, ...filters } = options;
       const offset = (page - 1) * limit;
 
-      const calls = Call.findAll({ limit, offset, status, org_id });
-      const total = Call.count({ status, org_id });
+      const calls = Call.findAll({ limit, offset, ...filters });
+      const total = Call.count(filters);
 
       return {
         calls,
@@ -226,6 +598,46 @@ class CallService {
       throw error;
     }
   }
+
+  /**
+   * Get call counts grouped by status
+   * @param {Object} filters - Filter options
+   * @returns {Object} - Map of status to count
+   */
+  async getStatusCounts(filters = {}) {
+    try {
+      return Call.countByStatus(filters);
+    } catch (error) {
+      logger.error("Error getting call status counts", { filters, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get call with its transcript, analysis and notifications
+   * @param {string} id - Call ID
+   * @returns {Object|null} - Call details or null if not found
+   */
+  async getCallDetails(id) {
+    try {
+      const call = Call.findById(id);
+
+      if (!call) {
+        return null;
+      }
+
+      return {
+        ...call,
+        transcript: Transcript.findByCallId(id) || null,
+        analysis: Analysis.findByCallId(id) || null,
+        audio_metrics: AudioMetrics.findByCallId(id) || null,
+        notifications: Notification.findByCallId(id),
+      };
+    } catch (error) {
+      logger.error("Error getting call details", { id, error });
+      throw error;
+    }
+  }
 }
 
 module.exports = CallService;
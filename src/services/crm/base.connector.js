@@ -0,0 +1,91 @@
+/**
+ * Base CRM Connector
+ * Common interface for looking up leads by phone number
+ *
+ * Connectors return leads in a common shape, whatever the CRM calls its fields:
+ * { id, name, organization_type, city, enquiry_source, phone, crm }
+ */
+
+// Accepted CRM field names for each lead field (keys are lower-cased, non-alphanumerics become "_")
+const LEAD_FIELDS = {
+  id: ["id", "lead_id", "leadid", "crm_id", "record_id"],
+  name: ["name", "lead_name", "customer_name", "contact_name", "full_name"],
+  organization_type: [
+    "organization_type",
+    "organisation_type",
+    "org_type",
+    "customer_type",
+    "institution_type",
+    "segment",
+  ],
+  city: ["city", "location", "town"],
+  enquiry_source: ["enquiry_source", "inquiry_source", "lead_source", "source", "enquiry_channel", "channel"],
+  phone: ["phone", "phone_number", "mobile", "mobile_number", "contact_number", "customer_number"],
+};
+
+class BaseCrmConnector {
+  /**
+   * @param {string} name - Connector name (stored on the call as lead_crm)
+   * @param {Object} settings - Connector configuration
+   */
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.settings = settings || {};
+  }
+
+  /**
+   * Check if the connector has the settings it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Find the lead for a phone number
+   * @param {string} phone - Phone number in any format
+   * @returns {Promise<Object|null>} - Normalized lead or null
+   */
+  async findLeadByPhone(phone) {
+    throw new Error(`findLeadByPhone not implemented for CRM connector: ${this.name}`);
+  }
+
+  /**
+   * Reduce a phone number to its last 10 digits for matching
+   * @param {string} number - Phone number
+   * @returns {string|null}
+   */
+  normalizePhone(number) {
+    if (!number) return null;
+    const digits = String(number).replace(/\D/g, "");
+    return digits.length > 0 ? digits.slice(-10) : null;
+  }
+
+  /**
+   * Map a CRM record onto the common lead shape
+   * @param {Object} record - Raw CRM record
+   * @returns {Object|null} - Normalized lead, or null if the record has no usable fields
+   */
+  normalizeLead(record) {
+    if (!record || typeof record !== "object") return null;
+
+    const fields = {};
+    for (const [key, value] of Object.entries(record)) {
+      if (value === undefined || value === null || typeof value === "object") continue;
+      const normalizedKey = key.trim().toLowerCase().replace(/[^a-z0-9]+/g, "_");
+      fields[normalizedKey] = String(value).trim();
+    }
+
+    const lead = { crm: this.name };
+    for (const [field, aliases] of Object.entries(LEAD_FIELDS)) {
+      const alias = aliases.find((name) => fields[name]);
+      lead[field] = alias ? fields[alias] : null;
+    }
+
+    const hasDetails = ["id", "name", "organization_type", "city", "enquiry_source"].some((f) => lead[f]);
+    return hasDetails ? lead : null;
+  }
+}
+
+module.exports = BaseCrmConnector;
+module.exports.LEAD_FIELDS = LEAD_FIELDS;
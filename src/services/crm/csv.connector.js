@@ -0,0 +1,64 @@
+/**
+ * CSV CRM Connector
+ * Looks up leads in a CSV export from the CRM
+ *
+ * The file is indexed by phone number on first use and re-read whenever its
+ * modification time changes, so a nightly export can simply overwrite it.
+ */
+
+const fs = require("fs");
+const logger = require("../../utils/logger");
+const { parseCsv } = require("../../utils/csv");
+const BaseCrmConnector = require("./base.connector");
+
+class CsvCrmConnector extends BaseCrmConnector {
+  /**
+   * @param {Object} settings - { filePath }
+   */
+  constructor(settings = {}) {
+    super("csv", settings);
+    this.index = null;
+    this.loadedMtimeMs = null;
+  }
+
+  isConfigured() {
+    return !!this.settings.filePath;
+  }
+
+  /**
+   * Load (or reload) the phone number index
+   * @returns {Map<string, Object>} - Normalized phone → lead
+   */
+  loadIndex() {
+    const { filePath } = this.settings;
+    const stats = fs.statSync(filePath);
+
+    if (this.index && this.loadedMtimeMs === stats.mtimeMs) {
+      return this.index;
+    }
+
+    const index = new Map();
+    for (const row of parseCsv(fs.readFileSync(filePath, "utf8"))) {
+      const lead = this.normalizeLead(row);
+      const phone = this.normalizePhone(lead?.phone);
+      // First row wins, matching how the CRM export lists the primary record first
+      if (phone && !index.has(phone)) {
+        index.set(phone, lead);
+      }
+    }
+
+    this.index = index;
+    this.loadedMtimeMs = stats.mtimeMs;
+    logger.info("CRM CSV loaded", { filePath, leads: index.size });
+    return index;
+  }
+
+  async findLeadByPhone(phone) {
+    const normalized = this.normalizePhone(phone);
+    if (!normalized) return null;
+
+    return this.loadIndex().get(normalized) || null;
+  }
+}
+
+module.exports = CsvCrmConnector;
@@ -0,0 +1,17 @@
+/**
+ * CRM Services Index
+ * Exports CRM connectors and the lead enrichment service
+ */
+
+const BaseCrmConnector = require("./base.connector");
+const CsvCrmConnector = require("./csv.connector");
+const RestCrmConnector = require("./rest.connector");
+const LeadEnrichmentService = require("./lead-enrichment.service");
+
+module.exports = {
+  BaseCrmConnector,
+  CsvCrmConnector,
+  RestCrmConnector,
+  LeadEnrichmentService,
+  LeadEnrichment: new LeadEnrichmentService(),
+};
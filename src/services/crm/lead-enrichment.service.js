@@ -0,0 +1,159 @@
+/**
+ * Lead Enrichment Service
+ * Attaches the customer's CRM lead record to a call
+ *
+ * The customer's number (caller on incoming calls, callee on outgoing calls)
+ * is looked up first, then the other party's, in each configured connector
+ * in order. The matched lead is stored on the call's lead_* columns and is
+ * passed to the analysis prompt, so the LLM knows the enquiry source.
+ */
+
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { Call } = require("../../models");
+const CsvCrmConnector = require("./csv.connector");
+const RestCrmConnector = require("./rest.connector");
+
+// Connector classes available through CRM_CONNECTORS
+const CONNECTORS = {
+  csv: CsvCrmConnector,
+  rest: RestCrmConnector,
+};
+
+class LeadEnrichmentService {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} [options.connectors] - Connector instances (default: from config.crm)
+   * @param {boolean} [options.enabled] - Enable lookups (default: config.crm.enabled)
+   */
+  constructor(options = {}) {
+    const settings = config.crm || {};
+    this.enabled = options.enabled ?? settings.enabled ?? false;
+    this.connectors = options.connectors || this.createConnectors(settings);
+  }
+
+  /**
+   * Create the connectors named in config, skipping unconfigured ones
+   * @param {Object} settings - config.crm
+   * @returns {Array<Object>}
+   */
+  createConnectors(settings) {
+    const connectors = [];
+
+    for (const name of settings.connectors || []) {
+      const Connector = CONNECTORS[name];
+      if (!Connector) {
+        logger.warn("Ignoring unknown CRM connector", { name });
+        continue;
+      }
+
+      const connector = new Connector(settings[name]);
+      if (!connector.isConfigured()) {
+        logger.warn("CRM connector is not configured", { name });
+        continue;
+      }
+      connectors.push(connector);
+    }
+
+    return connectors;
+  }
+
+  /**
+   * Check if lead lookups can run
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.enabled && this.connectors.length > 0;
+  }
+
+  /**
+   * Get the numbers to look up for a call, customer first
+   * @param {Object} call - Call record
+   * @returns {Array<string>}
+   */
+  getLookupNumbers(call) {
+    const direction = (call.direction || "").toLowerCase();
+    const isOutgoing = direction.startsWith("outgoing") || direction.startsWith("outbound");
+    const numbers = isOutgoing
+      ? [call.callee_number, call.caller_number]
+      : [call.caller_number, call.callee_number];
+
+    return [...new Set(numbers.filter(Boolean))];
+  }
+
+  /**
+   * Find the first lead matching any of the numbers
+   * A failing connector is logged and skipped so the others are still tried
+   * @param {Array<string>} numbers - Phone numbers, most likely first
+   * @returns {Promise<Object|null>} - Lead with matched_number, or null
+   */
+  async lookupLead(numbers) {
+    for (const number of numbers) {
+      for (const connector of this.connectors) {
+        try {
+          const lead = await connector.findLeadByPhone(number);
+          if (lead) {
+            return { ...lead, matched_number: number };
+          }
+        } catch (error) {
+          logger.warn("CRM lead lookup failed", { crm: connector.name, error: error.message });
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Look up and store the lead for a call
+   * Calls are looked up once; pass force to refresh after the CRM changes.
+   * @param {string} callId - Call ID
+   * @param {Object} options - { force }
+   * @returns {Promise<Object|null>} - Lead or null
+   */
+  async enrichCall(callId, options = {}) {
+    const call = Call.findById(callId);
+    if (!call) {
+      throw new Error(`Call not found: ${callId}`);
+    }
+
+    if (!this.isAvailable()) {
+      return this.getLead(call);
+    }
+
+    if (call.lead_looked_up_at && !options.force) {
+      return this.getLead(call);
+    }
+
+    const lead = await this.lookupLead(this.getLookupNumbers(call));
+    Call.setLead(callId, lead);
+
+    logger.info(lead ? "Call enriched with CRM lead" : "No CRM lead found for call", {
+      callId,
+      crm: lead?.crm,
+      leadId: lead?.id,
+    });
+
+    return lead;
+  }
+
+  /**
+   * Read the stored lead from a call record
+   * @param {Object} call - Call record
+   * @returns {Object|null}
+   */
+  getLead(call) {
+    if (!call || !call.lead_crm) return null;
+
+    return {
+      id: call.lead_id,
+      name: call.lead_name,
+      organization_type: call.lead_organization_type,
+      city: call.lead_city,
+      enquiry_source: call.lead_enquiry_source,
+      crm: call.lead_crm,
+    };
+  }
+}
+
+module.exports = LeadEnrichmentService;
+module.exports.CONNECTORS = CONNECTORS;
@@ -0,0 +1,92 @@
+/**
+ * REST CRM Connector
+ * Looks up leads through a generic HTTP endpoint
+ *
+ * The phone number is substituted into the URL where it contains {phone},
+ * otherwise it is sent as a query parameter. The lead is read from the JSON
+ * response at resultPath (e.g. "data.leads"); arrays use their first entry.
+ * A 404 means no lead.
+ */
+
+const axios = require("axios");
+const BaseCrmConnector = require("./base.connector");
+
+class RestCrmConnector extends BaseCrmConnector {
+  /**
+   * @param {Object} settings - { url, apiKey, authHeader, phoneParam, phoneFormat, resultPath, timeoutMs }
+   */
+  constructor(settings = {}) {
+    super("rest", settings);
+  }
+
+  isConfigured() {
+    return !!this.settings.url;
+  }
+
+  /**
+   * Format a phone number the way the CRM stores it
+   * @param {string} phone - Phone number
+   * @returns {string}
+   */
+  formatPhone(phone) {
+    return this.settings.phoneFormat === "raw" ? String(phone).trim() : this.normalizePhone(phone);
+  }
+
+  /**
+   * Build the request for a phone number
+   * @param {string} phone - Formatted phone number
+   * @returns {Object} - { url, params, headers }
+   */
+  buildRequest(phone) {
+    const { url, apiKey, authHeader = "Authorization", phoneParam = "phone" } = this.settings;
+    const headers = { Accept: "application/json" };
+
+    if (apiKey) {
+      headers[authHeader] = authHeader.toLowerCase() === "authorization" ? `Bearer ${apiKey}` : apiKey;
+    }
+
+    if (url.includes("{phone}")) {
+      return { url: url.replace("{phone}", encodeURIComponent(phone)), params: {}, headers };
+    }
+    return { url, params: { [phoneParam]: phone }, headers };
+  }
+
+  /**
+   * Read the lead record out of the response body
+   * @param {Object} data - Response body
+   * @returns {Object|null}
+   */
+  extractRecord(data) {
+    let record = data;
+    for (const key of (this.settings.resultPath || "").split(".").filter(Boolean)) {
+      record = record?.[key];
+    }
+    return Array.isArray(record) ? record[0] || null : record || null;
+  }
+
+  async findLeadByPhone(phone) {
+    const formatted = this.formatPhone(phone);
+    if (!formatted) return null;
+
+    const { url, params, headers } = this.buildRequest(formatted);
+
+    try {
+      const response = await axios.get(url, {
+        params,
+        headers,
+        timeout: this.settings.timeoutMs || 5000,
+      });
+
+      const lead = this.normalizeLead(this.extractRecord(response.data));
+      // Some CRMs do not echo the phone number back
+      return lead ? { ...lead, phone: lead.phone || formatted } : null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw new Error(`CRM lookup failed: ${error.response?.status || error.message}`);
+    }
+  }
+}
+
+module.exports = RestCrmConnector;
@@ -26,19 +26,37 @@ class CsvExportService {
     }
   }
 
+  /**
+   * Get the directory an organization's exports are written to
+   * Each organization's files live under exports/<orgId>/ so they can be
+   * listed, downloaded and deleted per organization.
+   * @param {string} [orgId] - Organization ID (top-level export dir if omitted)
+   * @returns {string} - Directory path
+   */
+  getExportDir(orgId) {
+    if (!orgId) return this.exportDir;
+
+    const dir = path.join(this.exportDir, orgId);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    return dir;
+  }
+
   /**
    * Export analyses to CSV file
    * @param {Array} data - Array of analysis records with call data
-   * @param {Object} options - Export options
+   * @param {Object} options - Export options ({ orgId } owner of the file)
    * @returns {Object} - Export result with file path
    */
   async exportAnalyses(data, options = {}) {
     const {
+      orgId,
       filename = `call_analyses_${format(new Date(), "yyyy-MM-dd_HH-mm-ss")}.csv`,
       includeRecommendations = false,
     } = options;
 
-    const filePath = path.join(this.exportDir, filename);
+    const filePath = path.join(this.getExportDir(orgId), filename);
 
     // Define CSV headers
     const headers = [
@@ -292,14 +310,16 @@ class CsvExportService {
 
   /**
    * Get list of available export files
+   * @param {string} [orgId] - Only list this organization's files
    * @returns {Array} - List of export files
    */
-  getExportFiles() {
-    const files = fs.readdirSync(this.exportDir);
+  getExportFiles(orgId) {
+    const dir = this.getExportDir(orgId);
+    const files = fs.readdirSync(dir);
     return files
       .filter((f) => f.endsWith(".csv"))
       .map((f) => {
-        const filePath = path.join(this.exportDir, f);
+        const filePath = path.join(dir, f);
         const stats = fs.statSync(filePath);
         return {
           filename: f,
@@ -25,6 +25,21 @@ class ExcelExportService {
     }
   }
 
+  /**
+   * Get the directory an organization's exports are written to (exports/<orgId>/)
+   * @param {string} [orgId] - Organization ID (top-level export dir if omitted)
+   * @returns {string} - Directory path
+   */
+  getExportDir(orgId) {
+    if (!orgId) return this.exportDir;
+
+    const dir = path.join(this.exportDir, orgId);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    return dir;
+  }
+
   /**
    * Get score color based on thresholds
    * @param {number} score - Score value
@@ -47,17 +62,18 @@ class ExcelExportService {
   /**
    * Export analyses to Excel file
    * @param {Array} data - Array of analysis records with call data
-   * @param {Object} options - Export options
+   * @param {Object} options - Export options ({ orgId } owner of the file)
    * @returns {Object} - Export result with file path
    */
   async exportAnalyses(data, options = {}) {
     const {
+      orgId,
       filename = `call_analyses_${format(new Date(), "yyyy-MM-dd_HH-mm-ss")}.xlsx`,
       includeCharts = true,
       includeSummary = true,
     } = options;
 
-    const filePath = path.join(this.exportDir, filename);
+    const filePath = path.join(this.getExportDir(orgId), filename);
     const workbook = new ExcelJS.Workbook();
 
     workbook.creator = "Sales Call QC System";
@@ -366,11 +382,12 @@ class ExcelExportService {
    * Export daily report to Excel
    * @param {Object} reportData - Daily report data
    * @param {string} date - Date string
+   * @param {Object} options - Export options ({ orgId } owner of the file)
    * @returns {Object} - Export result
    */
-  async exportDailyReport(reportData, date) {
+  async exportDailyReport(reportData, date, options = {}) {
     const filename = `daily_report_${date}.xlsx`;
-    const filePath = path.join(this.exportDir, filename);
+    const filePath = path.join(this.getExportDir(options.orgId), filename);
     const workbook = new ExcelJS.Workbook();
 
     workbook.creator = "Sales Call QC System";
@@ -428,14 +445,16 @@ class ExcelExportService {
 
   /**
    * Get list of available export files
+   * @param {string} [orgId] - Only list this organization's files
    * @returns {Array} - List of export files
    */
-  getExportFiles() {
-    const files = fs.readdirSync(this.exportDir);
+  getExportFiles(orgId) {
+    const dir = this.getExportDir(orgId);
+    const files = fs.readdirSync(dir);
     return files
       .filter((f) => f.endsWith(".xlsx"))
       .map((f) => {
-        const filePath = path.join(this.exportDir, f);
+        const filePath = path.join(dir, f);
         const stats = fs.statSync(filePath);
         return {
           filename: f,
@@ -0,0 +1,492 @@
+/**
+ * Bulk Import Service
+ * Imports archived recordings from a directory or ZIP into the pipeline
+ *
+ * Files are processed in a stable (sorted) order and the job stores a cursor
+ * after every file, so an interrupted import resumes where it stopped.
+ * Metadata comes from an optional CSV manifest; without one, the recording
+ * time is read from the file name (e.g. 20240115_103000.mp3) or its mtime.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const unzipper = require("unzipper");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { parseCsv } = require("../../utils/csv");
+const { ImportJob, Call: CallModel } = require("../../models");
+
+// Same formats the transcription service accepts
+const AUDIO_EXTENSIONS = ["mp3", "mp4", "mpeg", "mpga", "m4a", "wav", "webm", "flac", "ogg", "aac"];
+const MANIFEST_NAME = "manifest.csv";
+const MAX_STORED_ERRORS = 100;
+
+// Accepted manifest column names for each metadata field
+const MANIFEST_COLUMNS = {
+  file: ["file", "filename", "file_name", "path"],
+  agentId: ["agent_id", "agent", "agentid"],
+  recordedAt: ["recorded_at", "date", "datetime", "timestamp", "start_time"],
+  customerNumber: ["customer_number", "phone", "phone_number", "customer_phone", "number"],
+  direction: ["direction"],
+  durationSeconds: ["duration_seconds", "duration"],
+};
+
+/**
+ * Read a recording time from a file name
+ * Matches 20240115_103000, 2024-01-15 10-30-00, 2024-01-15, etc. (local time)
+ * @param {string} fileName
+ * @returns {Date|null}
+ */
+const parseDateFromFileName = (fileName) => {
+  const match = fileName.match(
+    /(20\d{2})[-_.]?(\d{2})[-_.]?(\d{2})(?:[-_T ]?(\d{2})[-_:.]?(\d{2})[-_:.]?(\d{2}))?/
+  );
+  if (!match) return null;
+
+  const [, year, month, day, hour = "00", minute = "00", second = "00"] = match;
+  const date = new Date(+year, +month - 1, +day, +hour, +minute, +second);
+
+  // Reject impossible dates such as month 13, which Date would roll over
+  return date.getMonth() === +month - 1 && date.getDate() === +day ? date : null;
+};
+
+class BulkImportService {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.callService] - Call service (createUploadedCall)
+   * @param {Function} [options.sleep] - Delay function used for throttling
+   */
+  constructor(options = {}) {
+    this.callService = options.callService || null;
+    this.sleep = options.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+    this.extractPath = path.resolve(config.storage.path, "imports");
+    this.activeJobs = new Set();
+  }
+
+  /**
+   * Get the call service
+   * Loaded lazily because the services index loads this module
+   * @returns {Object}
+   */
+  getCallService() {
+    if (!this.callService) {
+      this.callService = require("..").Call;
+    }
+    return this.callService;
+  }
+
+  /**
+   * Resolve a source path for API imports, keeping it inside the import root
+   * @param {string} sourcePath - Path relative to (or inside) config.import.rootPath
+   * @returns {string} - Absolute path
+   */
+  resolveApiPath(sourcePath) {
+    const root = path.resolve(config.import.rootPath);
+    const resolved = path.resolve(root, sourcePath);
+
+    if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+      throw new Error(`Invalid import path: must be inside ${config.import.rootPath}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Create an import job
+   * @param {Object} options
+   * @param {string} options.sourcePath - Directory or .zip file
+   * @param {string} [options.manifestPath] - CSV manifest (defaults to manifest.csv in the source)
+   * @param {string} [options.orgId] - Organization for imported calls
+   * @param {number} [options.ratePerMinute] - Recordings queued per minute
+   * @param {string} [options.defaultDirection] - Direction when the manifest has none
+   * @returns {Object} - Import job record
+   */
+  createJob(options = {}) {
+    const sourcePath = path.resolve(options.sourcePath || "");
+
+    if (!options.sourcePath || !fs.existsSync(sourcePath)) {
+      throw new Error(`Invalid import source: ${options.sourcePath || "(none)"} not found`);
+    }
+
+    const stats = fs.statSync(sourcePath);
+    const isZip = stats.isFile() && path.extname(sourcePath).toLowerCase() === ".zip";
+
+    if (!stats.isDirectory() && !isZip) {
+      throw new Error("Invalid import source: expected a directory or .zip file");
+    }
+
+    const manifestPath = options.manifestPath ? path.resolve(options.manifestPath) : null;
+    if (manifestPath && !fs.existsSync(manifestPath)) {
+      throw new Error(`Invalid manifest: ${options.manifestPath} not found`);
+    }
+
+    const ratePerMinute = parseInt(options.ratePerMinute) || config.import.ratePerMinute;
+
+    return ImportJob.create({
+      org_id: options.orgId || config.organization.defaultId,
+      source_path: sourcePath,
+      source_type: isZip ? "zip" : "directory",
+      manifest_path: manifestPath,
+      options: {
+        ratePerMinute,
+        defaultDirection: options.defaultDirection || config.import.defaultDirection,
+      },
+    });
+  }
+
+  /**
+   * Extract audio files and manifest from a ZIP into the job's working directory
+   * @param {Object} job - Import job
+   * @returns {Promise<string>} - Directory containing the extracted files
+   */
+  async extractZip(job) {
+    const targetDir = path.join(this.extractPath, job.id);
+    const marker = path.join(targetDir, ".extracted");
+
+    // Reuse an earlier extraction when resuming
+    if (fs.existsSync(marker)) {
+      return targetDir;
+    }
+
+    fs.mkdirSync(targetDir, { recursive: true });
+    const directory = await unzipper.Open.file(job.source_path);
+
+    for (const entry of directory.files) {
+      if (entry.type !== "File") continue;
+
+      const extension = path.extname(entry.path).toLowerCase().slice(1);
+      const isManifest = path.basename(entry.path).toLowerCase() === MANIFEST_NAME;
+      if (!AUDIO_EXTENSIONS.includes(extension) && !isManifest) continue;
+
+      // Skip entries that would escape the target directory (zip slip)
+      const destination = path.resolve(targetDir, entry.path);
+      if (!destination.startsWith(targetDir + path.sep)) {
+        logger.warn("Skipping unsafe ZIP entry", { jobId: job.id, entry: entry.path });
+        continue;
+      }
+
+      fs.mkdirSync(path.dirname(destination), { recursive: true });
+      await new Promise((resolve, reject) => {
+        entry
+          .stream()
+          .pipe(fs.createWriteStream(destination))
+          .on("finish", resolve)
+          .on("error", reject);
+      });
+
+      // Keep the archived modification time for timestamp fallback
+      if (entry.lastModifiedDateTime) {
+        fs.utimesSync(destination, entry.lastModifiedDateTime, entry.lastModifiedDateTime);
+      }
+    }
+
+    fs.writeFileSync(marker, new Date().toISOString());
+    logger.info("Import archive extracted", { jobId: job.id, targetDir });
+    return targetDir;
+  }
+
+  /**
+   * List audio files under a directory in a stable order
+   * @param {string} rootDir - Directory to scan
+   * @returns {Array<Object>} - [{ relativePath, absolutePath }]
+   */
+  listAudioFiles(rootDir) {
+    const files = [];
+
+    const walk = (dir) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith(".")) continue;
+        const absolutePath = path.join(dir, entry.name);
+
+        if (entry.isDirectory()) {
+          walk(absolutePath);
+        } else if (AUDIO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase().slice(1))) {
+          files.push({
+            relativePath: path.relative(rootDir, absolutePath).split(path.sep).join("/"),
+            absolutePath,
+          });
+        }
+      }
+    };
+
+    walk(rootDir);
+    return files.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+  }
+
+  /**
+   * Find manifest.csv in the source, preferring the shallowest one
+   * (archives often wrap everything in a single top-level folder)
+   * @param {string} rootDir - Directory to search
+   * @returns {string|null}
+   */
+  findManifest(rootDir) {
+    let level = [rootDir];
+
+    while (level.length > 0) {
+      const next = [];
+      for (const dir of level) {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+          const fullPath = path.join(dir, entry.name);
+          if (entry.isFile() && entry.name.toLowerCase() === MANIFEST_NAME) {
+            return fullPath;
+          }
+          if (entry.isDirectory() && !entry.name.startsWith(".")) {
+            next.push(fullPath);
+          }
+        }
+      }
+      level = next;
+    }
+
+    return null;
+  }
+
+  /**
+   * Load the CSV manifest, keyed by relative path and by file name
+   * @param {string|null} manifestPath - Manifest file
+   * @returns {Map<string, Object>} - Lower-cased path/name → metadata
+   */
+  loadManifest(manifestPath) {
+    const entries = new Map();
+    if (!manifestPath || !fs.existsSync(manifestPath)) {
+      return entries;
+    }
+
+    const pick = (row, field) => {
+      const column = MANIFEST_COLUMNS[field].find((name) => row[name]);
+      return column ? row[column] : undefined;
+    };
+
+    for (const row of parseCsv(fs.readFileSync(manifestPath, "utf8"))) {
+      const file = pick(row, "file");
+      if (!file) continue;
+
+      const metadata = {
+        agentId: pick(row, "agentId"),
+        recordedAt: pick(row, "recordedAt"),
+        customerNumber: pick(row, "customerNumber"),
+        direction: pick(row, "direction"),
+        durationSeconds: pick(row, "durationSeconds"),
+      };
+
+      const normalized = file.replace(/\\/g, "/").replace(/^\.\//, "").toLowerCase();
+      entries.set(normalized, metadata);
+      entries.set(path.posix.basename(normalized), metadata);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Build call metadata for a file from the manifest, file name or mtime
+   * @param {Object} file - { relativePath, absolutePath }
+   * @param {Map} manifest - Loaded manifest
+   * @param {Object} job - Import job
+   * @returns {Object} - Metadata for createUploadedCall
+   */
+  buildMetadata(file, manifest, job) {
+    const key = file.relativePath.toLowerCase();
+    const entry = manifest.get(key) || manifest.get(path.posix.basename(key)) || {};
+
+    const recordedAt =
+      entry.recordedAt ||
+      parseDateFromFileName(path.basename(file.relativePath))?.toISOString() ||
+      fs.statSync(file.absolutePath).mtime.toISOString();
+
+    return {
+      orgId: job.org_id,
+      agentId: entry.agentId || undefined,
+      customerNumber: entry.customerNumber || undefined,
+      direction: entry.direction || job.options.defaultDirection,
+      durationSeconds: entry.durationSeconds,
+      recordedAt,
+      source: "import",
+      sourceRef: `${job.id}:${file.relativePath}`,
+    };
+  }
+
+  /**
+   * Build a progress report for a job
+   * @param {Object} job - Import job
+   * @returns {Object} - Progress report
+   */
+  getProgress(job) {
+    const remaining = Math.max(job.total_files - job.cursor, 0);
+    const rate = job.options?.ratePerMinute || config.import.ratePerMinute;
+
+    return {
+      jobId: job.id,
+      status: job.status,
+      total: job.total_files,
+      processed: job.cursor,
+      remaining,
+      percent: job.total_files > 0 ? Math.round((job.cursor / job.total_files) * 1000) / 10 : 0,
+      created: job.created_count,
+      skipped: job.skipped_count,
+      failed: job.failed_count,
+      etaSeconds: job.status === "completed" ? 0 : Math.ceil((remaining / rate) * 60),
+      errors: job.errors,
+    };
+  }
+
+  /**
+   * Get an import job with its progress report
+   * @param {string} jobId - Job ID
+   * @returns {Object|null}
+   */
+  getJob(jobId) {
+    const job = ImportJob.findById(jobId);
+    return job ? { ...job, progress: this.getProgress(job) } : null;
+  }
+
+  /**
+   * List import jobs
+   * @param {Object} options - { limit, offset, status }
+   * @returns {Array}
+   */
+  getJobs(options = {}) {
+    return ImportJob.findAll(options).map((job) => ({ ...job, progress: this.getProgress(job) }));
+  }
+
+  /**
+   * Check if a job is running in this process
+   * @param {string} jobId - Job ID
+   * @returns {boolean}
+   */
+  isActive(jobId) {
+    return this.activeJobs.has(jobId);
+  }
+
+  /**
+   * Ask a running job to stop after the current file
+   * @param {string} jobId - Job ID
+   * @returns {Object} - Updated job
+   */
+  pauseJob(jobId) {
+    const job = ImportJob.findById(jobId);
+    if (!job) {
+      throw new Error("Import job not found");
+    }
+    if (!["pending", "running"].includes(job.status)) {
+      throw new Error(`Import job cannot be paused: status is ${job.status}`);
+    }
+
+    logger.info("Pausing import job", { jobId, cursor: job.cursor });
+    return ImportJob.update(jobId, { status: "paused" });
+  }
+
+  /**
+   * Run (or resume) an import job from its cursor
+   * @param {string} jobId - Job ID
+   * @param {Object} options
+   * @param {Function} [options.onProgress] - Called with a progress report after each file
+   * @returns {Promise<Object>} - Final progress report
+   */
+  async runJob(jobId, options = {}) {
+    const { onProgress } = options;
+
+    let job = ImportJob.findById(jobId);
+    if (!job) {
+      throw new Error("Import job not found");
+    }
+    if (job.status === "completed") {
+      throw new Error("Import job already completed");
+    }
+    if (this.isActive(jobId)) {
+      throw new Error("Import job is already running");
+    }
+
+    this.activeJobs.add(jobId);
+
+    try {
+      const rootDir = job.source_type === "zip" ? await this.extractZip(job) : job.source_path;
+      const files = this.listAudioFiles(rootDir);
+      const manifestPath = job.manifest_path || this.findManifest(rootDir);
+      const manifest = this.loadManifest(manifestPath);
+      const delayMs = Math.round(60000 / job.options.ratePerMinute);
+
+      job = ImportJob.update(jobId, {
+        status: "running",
+        total_files: files.length,
+        started_at: job.started_at || new Date().toISOString(),
+        error_message: null,
+      });
+
+      logger.info("Import job started", {
+        jobId,
+        total: files.length,
+        cursor: job.cursor,
+        manifestEntries: manifest.size,
+        ratePerMinute: job.options.ratePerMinute,
+      });
+
+      const callService = this.getCallService();
+      const errors = [...job.errors];
+
+      for (let index = job.cursor; index < files.length; index++) {
+        // Pausing is done through the database so the CLI and API can both request it
+        if (ImportJob.findById(jobId).status === "paused") {
+          logger.info("Import job paused", { jobId, cursor: index });
+          return this.getProgress(ImportJob.findById(jobId));
+        }
+
+        const file = files[index];
+        const metadata = this.buildMetadata(file, manifest, job);
+        const counts = {};
+        let queued = false;
+
+        if (CallModel.findBySourceRef(metadata.sourceRef)) {
+          // Already imported before an interruption
+          counts.skipped_count = job.skipped_count + 1;
+        } else {
+          try {
+            await callService.createUploadedCall(
+              { filePath: file.absolutePath, originalName: path.basename(file.relativePath), copy: true },
+              metadata
+            );
+            counts.created_count = job.created_count + 1;
+            queued = true;
+          } catch (error) {
+            counts.failed_count = job.failed_count + 1;
+            if (errors.length < MAX_STORED_ERRORS) {
+              errors.push({ file: file.relativePath, error: error.message, callId: error.callId });
+            }
+            logger.warn("Failed to import recording", { jobId, file: file.relativePath, error: error.message });
+          }
+        }
+
+        job = ImportJob.update(jobId, { ...counts, cursor: index + 1, errors });
+
+        if (onProgress) {
+          onProgress(this.getProgress(job), file);
+        }
+
+        // Throttle queuing so archives do not flood the transcription provider
+        if (queued && index < files.length - 1 && delayMs > 0) {
+          await this.sleep(delayMs);
+        }
+      }
+
+      job = ImportJob.update(jobId, {
+        status: "completed",
+        completed_at: new Date().toISOString(),
+      });
+
+      if (job.source_type === "zip") {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+      }
+
+      logger.info("Import job completed", this.getProgress(job));
+      return this.getProgress(job);
+    } catch (error) {
+      logger.error("Import job failed", { jobId, error: error.message });
+      ImportJob.update(jobId, { status: "failed", error_message: error.message });
+      throw error;
+    } finally {
+      this.activeJobs.delete(jobId);
+    }
+  }
+}
+
+module.exports = BulkImportService;
+module.exports.parseCsv = parseCsv;
+module.exports.parseDateFromFileName = parseDateFromFileName;
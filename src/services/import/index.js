@@ -0,0 +1,11 @@
+/**
+ * Import Services Index
+ * Exports services for importing archived recordings
+ */
+
+const BulkImportService = require("./bulk-import.service");
+
+module.exports = {
+  BulkImportService,
+  BulkImport: new BulkImportService(),
+};
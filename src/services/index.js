@@ -6,11 +6,17 @@
 const CallService = require("./call.service");
 const StorageService = require("./storage.service");
 const TranscriptionService = require("./transcription.service");
+const AgentAttributionService = require("./agent-attribution.service");
+const WebhookEventService = require("./webhook-event.service");
+const WebhookIdempotencyService = require("./webhook-idempotency.service");
 
 // New multi-provider transcription module
 const {
   TranscriptionManager,
   BaseTranscriptionService,
+  DualChannelTranscriptionService,
+  LanguageRoutingService,
+  EnsembleTranscriptionService,
   providers: transcriptionProviders,
 } = require("./transcription");
 
@@ -46,20 +52,94 @@ const {
   DailyDigest: DailyDigestInstance,
 } = require("./report");
 
+// Backfill services
+const {
+  ExotelApiService,
+  ExotelBackfillService,
+  ExotelBackfill: ExotelBackfillInstance,
+} = require("./backfill");
+
+// Telephony provider adapters
+const {
+  BaseTelephonyAdapter,
+  ExotelAdapter,
+  TwilioAdapter,
+  KnowlarityAdapter,
+  TelephonyService,
+  Telephony: TelephonyInstance,
+} = require("./telephony");
+
+// CRM lead enrichment
+const {
+  BaseCrmConnector,
+  CsvCrmConnector,
+  RestCrmConnector,
+  LeadEnrichmentService,
+  LeadEnrichment: LeadEnrichmentInstance,
+} = require("./crm");
+
+// Audio processing
+const {
+  AudioProcessingService,
+  AudioAnalysisService,
+  detectAudioFormat,
+  splitWavChannels,
+  AudioProcessing: AudioProcessingInstance,
+  AudioAnalysis: AudioAnalysisInstance,
+} = require("./audio");
+
+// Import services
+const {
+  BulkImportService,
+  BulkImport: BulkImportInstance,
+} = require("./import");
+
+// Data retention
+const {
+  RetentionService,
+  Retention: RetentionInstance,
+} = require("./retention");
+
+// Call recording playback
+const {
+  PlaybackService,
+  Playback: PlaybackInstance,
+} = require("./playback");
+
+// Storage usage and quotas
+const {
+  StorageQuotaService,
+  StorageQuota: StorageQuotaInstance,
+} = require("./storage-quota");
+
 module.exports = {
   // Original services
   CallService,
   StorageService,
   TranscriptionService,
+  AgentAttributionService,
+  WebhookEventService,
+  WebhookIdempotencyService,
 
   // Singleton instances (backward compatible)
   Call: new CallService(),
   Storage: new StorageService(),
   Transcription: new TranscriptionService(),
+  AgentAttribution: new AgentAttributionService(),
+  WebhookEvent: new WebhookEventService(),
+  WebhookIdempotency: new WebhookIdempotencyService(),
 
   // New transcription framework
   TranscriptionManager,
   BaseTranscriptionService,
+  DualChannelTranscriptionService,
+  LanguageRoutingService,
+  EnsembleTranscriptionService,
+  // Provider failover in priority order (config.transcription), used by the transcription worker
+  Transcriber: new TranscriptionManager(),
+  DualChannelTranscription: new DualChannelTranscriptionService(),
+  LanguageRouting: new LanguageRoutingService(),
+  EnsembleTranscription: new EnsembleTranscriptionService(),
   transcriptionProviders,
 
   // Analysis services (Phase 4)
@@ -85,4 +165,48 @@ module.exports = {
   // Report services (Phase 5)
   DailyDigestService,
   DailyDigest: DailyDigestInstance,
+
+  // Backfill services
+  ExotelApiService,
+  ExotelBackfillService,
+  ExotelBackfill: ExotelBackfillInstance,
+
+  // Telephony provider adapters
+  BaseTelephonyAdapter,
+  ExotelAdapter,
+  TwilioAdapter,
+  KnowlarityAdapter,
+  TelephonyService,
+  Telephony: TelephonyInstance,
+
+  // CRM lead enrichment
+  BaseCrmConnector,
+  CsvCrmConnector,
+  RestCrmConnector,
+  LeadEnrichmentService,
+  LeadEnrichment: LeadEnrichmentInstance,
+
+  // Audio processing
+  AudioProcessingService,
+  AudioAnalysisService,
+  detectAudioFormat,
+  splitWavChannels,
+  AudioProcessing: AudioProcessingInstance,
+  AudioAnalysis: AudioAnalysisInstance,
+
+  // Import services
+  BulkImportService,
+  BulkImport: BulkImportInstance,
+
+  // Data retention
+  RetentionService,
+  Retention: RetentionInstance,
+
+  // Call recording playback
+  PlaybackService,
+  Playback: PlaybackInstance,
+
+  // Storage usage and quotas
+  StorageQuotaService,
+  StorageQuota: StorageQuotaInstance,
 };
@@ -22,6 +22,7 @@ class NotificationRouter {
       enableConsole: config.nodeEnv === "development",
       alertOnLowScore: true,
       alertOnCriticalIssue: true,
+      alertOnAudioIssue: true,
       lowScoreThreshold: this.thresholds.alert,
       criticalSeverities: ["high", "critical"],
     };
@@ -73,6 +74,13 @@ class NotificationRouter {
         }
       }
 
+      // Check for silence, hold and talk-over alerts
+      const audioAlerts = analysis.audio_alerts || [];
+      if (audioAlerts.length > 0 && this.settings.alertOnAudioIssue) {
+        const audioResults = await this.sendAudioAlert(analysis, audioAlerts, call, options);
+        results.notificationsSent.push(...audioResults);
+      }
+
       logger.info("Analysis processed for notifications", {
         callId: analysis.call_id,
         notificationCount: results.notificationsSent.length,
@@ -228,6 +236,58 @@ class NotificationRouter {
     return results;
   }
 
+  /**
+   * Send an alert for audio metrics that crossed their thresholds
+   * @param {Object} analysis - Analysis record
+   * @param {Array} audioAlerts - AudioAnalysisService alert triggers
+   * @param {Object} call - Call record
+   * @param {Object} options - Send options
+   * @returns {Array} - Results from each channel
+   */
+  async sendAudioAlert(analysis, audioAlerts, call = {}, options = {}) {
+    const lines = [
+      `Call: ${analysis.call_id}`,
+      call.agent_id ? `Agent: ${call.agent_id}` : null,
+      "",
+      ...audioAlerts.map((alert) => `• ${alert.message}`),
+    ].filter((line) => line !== null);
+
+    const results = await this.sendCustomNotification("🔇 Call Audio Alert", lines.join("\n"), options);
+    return results.map((result) => ({
+      ...result,
+      type: "audio_alert",
+      alerts: audioAlerts.map((alert) => alert.type),
+    }));
+  }
+
+  /**
+   * Tell admins an organization has run out of storage quota
+   * @param {Object} quota - StorageQuotaService.checkQuota result
+   * @param {Object} options - Send options, plus { callId } that was rejected
+   * @returns {Array} - Results from each channel
+   */
+  async sendStorageQuotaAlert(quota, options = {}) {
+    const toMb = (bytes) => Math.round((bytes / (1024 * 1024)) * 100) / 100;
+    const lines = [
+      `Organization: ${quota.orgId}`,
+      `Storage: ${quota.category}`,
+      `Used: ${toMb(quota.bytesUsed)} MB of ${toMb(quota.quotaBytes)} MB`,
+      options.callId ? `Rejected call: ${options.callId}` : null,
+      "",
+      quota.category === "audio"
+        ? "New recordings are rejected until space is freed or the quota is raised."
+        : "New exports are rejected until space is freed or the quota is raised.",
+    ].filter((line) => line !== null);
+
+    const results = await this.sendCustomNotification("💾 Storage Quota Exceeded", lines.join("\n"), options);
+    return results.map((result) => ({
+      ...result,
+      type: "storage_quota",
+      orgId: quota.orgId,
+      category: quota.category,
+    }));
+  }
+
   /**
    * Send daily digest through all enabled channels
    * @param {Object} digest - Digest data
@@ -143,6 +143,18 @@ class TelegramService {
       lines.push("");
     }
 
+    if (digest.callActivity && digest.callActivity.totalCalls > 0) {
+      const activity = digest.callActivity;
+      lines.push("*Call Activity:*");
+      lines.push(`• Connect Rate: ${activity.connectRate}% (${activity.connected}/${activity.totalCalls})`);
+      lines.push(`• 📵 Missed: ${activity.missed}`);
+      lines.push(`• Busy / No Answer / Failed: ${activity.busy} / ${activity.noAnswer} / ${activity.failed}`);
+      if (activity.uploaded > 0) {
+        lines.push(`• 📤 Uploaded Recordings: ${activity.uploaded}`);
+      }
+      lines.push("");
+    }
+
     if (digest.alertsCount > 0) {
       lines.push(`⚠️ *Alerts Generated:* ${digest.alertsCount}`);
     }
@@ -0,0 +1,11 @@
+/**
+ * Playback Services Index
+ * Exports the call recording playback service
+ */
+
+const PlaybackService = require("./playback.service");
+
+module.exports = {
+  PlaybackService,
+  Playback: new PlaybackService(),
+};
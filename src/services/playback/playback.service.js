@@ -0,0 +1,310 @@
+/**
+ * Playback Service
+ * Serves call recordings to the dashboard player
+ *
+ * - Recordings are read through the storage service (local copy first, then
+ *   the storage adapter), so byte ranges work for local and S3 storage
+ * - Access checks: the call must exist and belong to the authenticated
+ *   organization (see auth.middleware.js), and the recording must not have been
+ *   purged by retention. Audio requests may carry a signed URL instead of an
+ *   API key, since <audio> elements cannot send headers; with
+ *   PLAYBACK_REQUIRE_SIGNATURE=true they must. Signed URLs are only handed out
+ *   to authenticated requests, by the synced endpoint.
+ * - The synced variant returns word timings and speaker turns from the
+ *   transcript so the player can highlight words as they are spoken
+ */
+
+const crypto = require("crypto");
+const config = require("../../config");
+const { Call, Transcript } = require("../../models");
+const { CONTENT_TYPES } = require("../storage/base.adapter");
+
+// Gap between words that starts a new turn for the same speaker
+const TURN_GAP_SECONDS = 1.5;
+
+class PlaybackService {
+  /**
+   * @param {Object} options - Overrides for config.playback, plus { storage }
+   */
+  constructor(options = {}) {
+    const settings = { ...config.playback, ...options };
+    this.signingSecret = settings.signingSecret || null;
+    this.requireSignature = !!settings.requireSignature;
+    this.urlExpiresSeconds = settings.urlExpiresSeconds || 3600;
+    this.publicBaseUrl = (settings.publicBaseUrl || "").replace(/\/+$/, "");
+    // With API keys configured, unsigned audio requests need one
+    this.authRequired = options.authRequired ?? (config.auth?.apiKeys || []).length > 0;
+    this.storage = options.storage || null;
+  }
+
+  /**
+   * Get the storage service
+   * Loaded lazily because the services index loads this module
+   * @returns {Object}
+   */
+  getStorage() {
+    if (!this.storage) {
+      this.storage = require("..").Storage;
+    }
+    return this.storage;
+  }
+
+  /**
+   * Compute the signature for a call's playback URL
+   * @param {string} callId - Call ID
+   * @param {number} expires - Expiry as a Unix timestamp (seconds)
+   * @returns {string}
+   */
+  computeSignature(callId, expires) {
+    return crypto.createHmac("sha256", this.signingSecret).update(`playback:${callId}:${expires}`).digest("hex");
+  }
+
+  /**
+   * Create the audio URL for a call, signed when a secret is configured
+   * @param {string} callId - Call ID
+   * @param {Object} options - { expiresIn } seconds
+   * @returns {Object} - { url, expiresAt }
+   */
+  getAudioUrl(callId, options = {}) {
+    const url = `${this.publicBaseUrl}/api/calls/${encodeURIComponent(callId)}/audio`;
+    if (!this.signingSecret) {
+      return { url, expiresAt: null };
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + (options.expiresIn || this.urlExpiresSeconds);
+    return {
+      url: `${url}?expires=${expires}&signature=${this.computeSignature(callId, expires)}`,
+      expiresAt: new Date(expires * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Check a playback URL's expiry and signature
+   * @param {string} callId - Call ID
+   * @param {string|number} expires - expires query parameter
+   * @param {string} signature - signature query parameter
+   * @returns {boolean}
+   */
+  verifySignature(callId, expires, signature) {
+    if (!this.signingSecret || !expires || !signature) return false;
+    if (Number(expires) < Math.floor(Date.now() / 1000)) return false;
+
+    const expected = Buffer.from(this.computeSignature(callId, Number(expires)));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Find a call the requester may play
+   * Calls of another organization are reported as not found.
+   * @param {string} callId - Call ID
+   * @param {Object} access - { principal } authenticated organization ({ orgId }, or null),
+   *   plus { expires, signature } from a signed URL
+   * @param {Object} options - { checkSignature } accept a signed URL in place of a principal
+   * @returns {Object} - Call record
+   */
+  getPlayableCall(callId, access = {}, options = {}) {
+    const principal = access.principal || null;
+
+    if (options.checkSignature) {
+      const signed = this.verifySignature(callId, access.expires, access.signature);
+
+      if (this.requireSignature && !signed) {
+        if (!this.signingSecret) {
+          throw new Error("Playback signatures are required but PLAYBACK_SIGNING_SECRET is not set");
+        }
+        throw new Error("Invalid or expired playback signature");
+      }
+      if (!signed && !principal && this.authRequired) {
+        throw new Error("Authentication required: send an API key or use a signed playback URL");
+      }
+    }
+
+    const call = Call.findById(callId);
+    if (!call || (principal && call.org_id !== principal.orgId)) {
+      throw new Error(`Call not found: ${callId}`);
+    }
+
+    if (call.audio_purged_at) {
+      throw new Error(`Recording deleted by retention policy on ${call.audio_purged_at}`);
+    }
+    if (!call.local_audio_path && !call.audio_storage_key) {
+      throw new Error(`No recording for call: ${callId}`);
+    }
+    return call;
+  }
+
+  /**
+   * Locate a call's recording
+   * @param {string} callId - Call ID
+   * @param {Object} access - { principal, expires, signature }
+   * @returns {Promise<Object>} - { call, key, size, contentType, lastModified }
+   */
+  async getCallAudio(callId, access = {}) {
+    const call = this.getPlayableCall(callId, access, { checkSignature: true });
+    return this.locateAudio(call);
+  }
+
+  /**
+   * Find a playable call's recording in storage
+   * @param {Object} call - Call record
+   * @returns {Promise<Object>} - { call, key, size, contentType, lastModified }
+   */
+  async locateAudio(call) {
+    const storage = this.getStorage();
+
+    // Local paths are always under the storage root; getStorageKey rejects anything else
+    const key = call.audio_storage_key || storage.getStorageKey(call.local_audio_path);
+    const stats = await storage.statStoredFile(key);
+    if (!stats) {
+      throw new Error(`No recording for call: ${call.id}`);
+    }
+
+    return {
+      call,
+      key,
+      size: stats.size,
+      contentType: CONTENT_TYPES[call.audio_format] || stats.contentType,
+      lastModified: stats.lastModified,
+    };
+  }
+
+  /**
+   * Parse a Range header against the file size
+   * Only single ranges are supported; anything else is served in full.
+   * @param {string} header - Range header value
+   * @param {number} size - File size in bytes
+   * @returns {Object|null} - { start, end } inclusive, or null for the whole file
+   */
+  parseRange(header, size) {
+    if (!header) return null;
+
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === "" && match[2] === "")) return null;
+
+    let start;
+    let end;
+    if (match[1] === "") {
+      // Suffix range: the last N bytes
+      const length = parseInt(match[2]);
+      if (length === 0) throw new Error("Range not satisfiable");
+      start = Math.max(size - length, 0);
+      end = size - 1;
+    } else {
+      start = parseInt(match[1]);
+      end = match[2] === "" ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+    }
+
+    if (start >= size || start > end) {
+      throw new Error("Range not satisfiable");
+    }
+    return { start, end };
+  }
+
+  /**
+   * Open a call's recording
+   * @param {Object} audio - getCallAudio result
+   * @param {Object|null} range - parseRange result
+   * @returns {Promise<stream.Readable>}
+   */
+  openAudio(audio, range) {
+    return this.getStorage().openStream(audio.key, range || {});
+  }
+
+  /**
+   * Build word timings and speaker turns from transcript segments
+   * Providers return either one segment per word or one per phrase; phrase
+   * timings are spread evenly over their words and marked as estimated.
+   * @param {Array<Object>} segments - Transcript speaker_segments
+   * @returns {Object} - { words, turns }
+   */
+  buildTimeline(segments = []) {
+    const timed = segments
+      .filter((segment) => Number.isFinite(segment.start) && Number.isFinite(segment.end) && segment.text?.trim())
+      .sort((a, b) => a.start - b.start);
+
+    const words = [];
+    for (const segment of timed) {
+      const tokens = segment.text.trim().split(/\s+/);
+      const step = (segment.end - segment.start) / tokens.length;
+
+      tokens.forEach((text, position) => {
+        const word = {
+          index: words.length,
+          text,
+          start: tokens.length === 1 ? segment.start : Math.round((segment.start + step * position) * 1000) / 1000,
+          end: tokens.length === 1 ? segment.end : Math.round((segment.start + step * (position + 1)) * 1000) / 1000,
+          speaker: segment.speaker ?? null,
+        };
+        if (tokens.length > 1) word.estimated = true;
+        words.push(word);
+      });
+    }
+
+    const turns = [];
+    for (const word of words) {
+      const turn = turns[turns.length - 1];
+      if (turn && turn.speaker === word.speaker && word.start - turn.end <= TURN_GAP_SECONDS) {
+        turn.end = Math.max(turn.end, word.end);
+        turn.text += ` ${word.text}`;
+        turn.lastWord = word.index;
+      } else {
+        turns.push({
+          id: turns.length,
+          speaker: word.speaker,
+          start: word.start,
+          end: word.end,
+          text: word.text,
+          firstWord: word.index,
+          lastWord: word.index,
+        });
+      }
+    }
+
+    return { words, turns };
+  }
+
+  /**
+   * Get everything the player needs to play a call with a synced transcript
+   * The audio URL in the response is signed, so this is where access to
+   * recordings is granted: only to an authenticated organization's own calls.
+   * @param {string} callId - Call ID
+   * @param {Object} access - { principal } authenticated organization ({ orgId }, or null)
+   * @returns {Promise<Object>} - { callId, audio, transcript, speakers, turns, words }
+   */
+  async getSyncedPlayback(callId, access = {}) {
+    // A signed URL is only worth something if whoever receives it was checked first
+    if (!access.principal && (this.requireSignature || this.authRequired)) {
+      throw new Error("Authentication required to sign playback URLs - configure API_KEYS and send an API key");
+    }
+
+    const audio = await this.locateAudio(this.getPlayableCall(callId, access));
+    const transcript = Transcript.findByCallId(callId);
+    const { words, turns } = this.buildTimeline(transcript?.speaker_segments || []);
+    const { url, expiresAt } = this.getAudioUrl(callId);
+
+    return {
+      callId,
+      audio: {
+        url,
+        expiresAt,
+        contentType: audio.contentType,
+        sizeBytes: audio.size,
+        durationSeconds: audio.call.audio_duration_seconds || audio.call.duration_seconds || null,
+      },
+      transcript: transcript
+        ? {
+            id: transcript.id,
+            language: transcript.language,
+            provider: transcript.stt_provider,
+            redacted: !!transcript.redacted_at,
+          }
+        : null,
+      speakers: [...new Set(words.map((word) => word.speaker).filter((speaker) => speaker !== null))],
+      turns,
+      words,
+    };
+  }
+}
+
+module.exports = PlaybackService;
@@ -16,7 +16,7 @@ class DailyDigestService {
   /**
    * Generate daily digest for a specific date
    * @param {Date|string} date - Date to generate digest for
-   * @param {Object} options - Generation options
+   * @param {Object} options - Generation options ({ includeDetails, orgId })
    * @returns {Object} - Daily digest data
    */
   async generateDigest(date = new Date(), options = {}) {
@@ -29,13 +29,19 @@ class DailyDigestService {
     logger.info("Generating daily digest", { date: dateStr });
 
     // Get all analyses for the date
-    const analyses = this.getAnalysesForDateRange(startDate, endDate);
+    const analyses = this.getAnalysesForDateRange(startDate, endDate, options.orgId);
+
+    // Call activity includes unanswered calls that never reach analysis
+    const callActivity = this.calculateCallActivity(
+      this.getCallOutcomesForDateRange(startDate, endDate, options.orgId)
+    );
 
     if (analyses.length === 0) {
       return {
         date: dateStr,
         totalCalls: 0,
         message: "No calls analyzed for this date",
+        callActivity,
         generatedAt: new Date().toISOString(),
       };
     }
@@ -50,7 +56,7 @@ class DailyDigestService {
     const agentPerformance = this.calculateAgentPerformance(analyses);
 
     // Get alerts generated for this date
-    const alertsCount = this.getAlertsCount(startDate, endDate);
+    const alertsCount = this.getAlertsCount(startDate, endDate, options.orgId);
 
     // Build digest object
     const digest = {
@@ -89,6 +95,9 @@ class DailyDigestService {
       // Alerts
       alertsCount,
 
+      // Connect rate and missed calls (all calls, not just analyzed ones)
+      callActivity,
+
       // Thresholds used
       thresholds: this.thresholds,
     };
@@ -117,9 +126,10 @@ class DailyDigestService {
    * Get analyses for date range (synchronous database call)
    * @param {string} startDate - Start date ISO string
    * @param {string} endDate - End date ISO string
+   * @param {string} [orgId] - Only include calls of this organization
    * @returns {Array} - Analysis records
    */
-  getAnalysesForDateRange(startDate, endDate) {
+  getAnalysesForDateRange(startDate, endDate, orgId) {
     // Using the model's findAll with date filtering
     // Since the model doesn't have date filters, we'll use raw SQL approach
     const db = Analysis.db;
@@ -129,11 +139,12 @@ class DailyDigestService {
       FROM analyses a
       LEFT JOIN calls c ON a.call_id = c.id
       WHERE a.created_at >= ? AND a.created_at <= ?
+      ${orgId ? "AND c.org_id = ?" : ""}
       ORDER BY a.created_at DESC
     `;
 
     const stmt = db.prepare(sql);
-    const results = stmt.all(startDate, endDate);
+    const results = stmt.all(startDate, endDate, ...(orgId ? [orgId] : []));
 
     // Parse JSON fields
     return results.map((r) => {
@@ -303,13 +314,99 @@ class DailyDigestService {
       .sort((a, b) => b.avgScore - a.avgScore);
   }
 
+  /**
+   * Get call status counts per agent for date range
+   * @param {string} startDate - Start date ISO string
+   * @param {string} endDate - End date ISO string
+   * @param {string} [orgId] - Only count calls of this organization
+   * @returns {Array} - Rows of { agent_id, status, source, count }
+   */
+  getCallOutcomesForDateRange(startDate, endDate, orgId) {
+    try {
+      const db = Call.db;
+      const sql = `
+        SELECT agent_id, status, source, COUNT(*) as count
+        FROM calls
+        WHERE created_at >= ? AND created_at <= ?
+        ${orgId ? "AND org_id = ?" : ""}
+        GROUP BY agent_id, status, source
+      `;
+      const stmt = db.prepare(sql);
+      return stmt.all(startDate, endDate, ...(orgId ? [orgId] : []));
+    } catch (error) {
+      logger.warn("Could not get call outcomes", { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Calculate connect rate and missed-call metrics
+   * Busy, no-answer, failed and missed calls count as not connected.
+   * Manually uploaded recordings are counted separately so they do not
+   * affect telephony connect rates.
+   * @param {Array} rows - Rows of { agent_id, status, source, count }
+   * @returns {Object} - Call activity totals and per-agent breakdown
+   */
+  calculateCallActivity(rows) {
+    const unanswered = ["busy", "no_answer", "failed", "missed"];
+    const emptyCounts = () => ({
+      totalCalls: 0,
+      connected: 0,
+      busy: 0,
+      noAnswer: 0,
+      failed: 0,
+      missed: 0,
+      uploaded: 0,
+    });
+
+    const totals = emptyCounts();
+    const agentMap = {};
+
+    for (const row of rows) {
+      const agentId = row.agent_id || "unassigned";
+      if (!agentMap[agentId]) {
+        agentMap[agentId] = { agentId, ...emptyCounts() };
+      }
+
+      for (const counts of [totals, agentMap[agentId]]) {
+        if (row.source === "upload") {
+          counts.uploaded += row.count;
+          continue;
+        }
+
+        counts.totalCalls += row.count;
+        if (!unanswered.includes(row.status)) {
+          counts.connected += row.count;
+        } else if (row.status === "no_answer") {
+          counts.noAnswer += row.count;
+        } else {
+          counts[row.status] += row.count;
+        }
+      }
+    }
+
+    const connectRate = (counts) =>
+      counts.totalCalls > 0
+        ? Math.round((counts.connected / counts.totalCalls) * 1000) / 10
+        : 0;
+
+    return {
+      ...totals,
+      connectRate: connectRate(totals),
+      byAgent: Object.values(agentMap)
+        .map((agent) => ({ ...agent, connectRate: connectRate(agent) }))
+        .sort((a, b) => b.missed - a.missed),
+    };
+  }
+
   /**
    * Get alerts count for date range
    * @param {string} startDate - Start date ISO string
    * @param {string} endDate - End date ISO string
+   * @param {string} [orgId] - Only count alerts for calls of this organization
    * @returns {number} - Alert count
    */
-  getAlertsCount(startDate, endDate) {
+  getAlertsCount(startDate, endDate, orgId) {
     try {
       const db = Notification.db;
       const sql = `
@@ -317,9 +414,10 @@ class DailyDigestService {
         FROM notifications
         WHERE type = 'low_score_alert'
         AND created_at >= ? AND created_at <= ?
+        ${orgId ? "AND call_id IN (SELECT id FROM calls WHERE org_id = ?)" : ""}
       `;
       const stmt = db.prepare(sql);
-      const result = stmt.get(startDate, endDate);
+      const result = stmt.get(startDate, endDate, ...(orgId ? [orgId] : []));
       return result?.count || 0;
     } catch (error) {
       logger.warn("Could not get alerts count", { error: error.message });
@@ -354,10 +452,13 @@ class DailyDigestService {
   generateWeeklySummary(dailyDigests) {
     const nonEmptyDigests = dailyDigests.filter((d) => d.totalCalls > 0);
 
+    const callActivity = this.mergeCallActivity(dailyDigests);
+
     if (nonEmptyDigests.length === 0) {
       return {
         totalCalls: 0,
         message: "No calls analyzed this week",
+        callActivity,
       };
     }
 
@@ -385,6 +486,7 @@ class DailyDigestService {
       goodCalls: nonEmptyDigests.reduce((sum, d) => sum + (d.goodCalls || 0), 0),
       lowScoreCalls: nonEmptyDigests.reduce((sum, d) => sum + (d.lowScoreCalls || 0), 0),
       alertsCount: nonEmptyDigests.reduce((sum, d) => sum + (d.alertsCount || 0), 0),
+      callActivity,
       topIssues: Object.values(allIssues).sort((a, b) => b.count - a.count).slice(0, 10),
       dailyBreakdown: nonEmptyDigests.map((d) => ({
         date: d.date,
@@ -394,6 +496,29 @@ class DailyDigestService {
     };
   }
 
+  /**
+   * Merge call activity totals across daily digests
+   * @param {Array} dailyDigests - Array of daily digests
+   * @returns {Object} - Combined call activity totals
+   */
+  mergeCallActivity(dailyDigests) {
+    const rows = [];
+    for (const digest of dailyDigests) {
+      for (const agent of digest.callActivity?.byAgent || []) {
+        const agentId = agent.agentId === "unassigned" ? null : agent.agentId;
+        rows.push(
+          { agent_id: agentId, status: "received", count: agent.connected },
+          { agent_id: agentId, status: "busy", count: agent.busy },
+          { agent_id: agentId, status: "no_answer", count: agent.noAnswer },
+          { agent_id: agentId, status: "failed", count: agent.failed },
+          { agent_id: agentId, status: "missed", count: agent.missed },
+          { agent_id: agentId, status: "received", source: "upload", count: agent.uploaded || 0 }
+        );
+      }
+    }
+    return this.calculateCallActivity(rows);
+  }
+
   /**
    * Get trend analysis comparing periods
    * @param {number} currentDays - Days to analyze
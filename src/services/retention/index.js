@@ -0,0 +1,11 @@
+/**
+ * Retention Services Index
+ * Exports the retention policy and purge service
+ */
+
+const RetentionService = require("./retention.service");
+
+module.exports = {
+  RetentionService,
+  Retention: new RetentionService(),
+};
@@ -0,0 +1,362 @@
+/**
+ * Retention Service
+ * Applies per-organization retention policies to call recordings and transcripts
+ *
+ * - Recordings are deleted (local copy and storage adapter) once the call is
+ *   older than audioDays; the call keeps its metadata
+ * - Transcript text and segment text are replaced once the call is older than
+ *   transcriptDays; timings, speakers and word counts are kept
+ * - Analyses are never touched
+ *
+ * Policies default to config.retention and can be overridden per organization
+ * (organizations.settings.retention). Every action, including dry runs and
+ * failures, is written to the retention audit log.
+ */
+
+const fs = require("fs");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { Call, Transcript, Organization, RetentionAudit } = require("../../models");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REDACTED_TEXT = "[redacted]";
+
+class RetentionService {
+  /**
+   * @param {Object} options - { storage, batchSize }
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.batchSize = options.batchSize || config.retention.batchSize || 500;
+    this.running = false;
+  }
+
+  /**
+   * Get the storage service
+   * Loaded lazily because the services index loads this module
+   * @returns {Object}
+   */
+  getStorage() {
+    if (!this.storage) {
+      this.storage = require("..").Storage;
+    }
+    return this.storage;
+  }
+
+  /**
+   * Validate a retention period
+   * @param {*} value - Days (null clears the organization override)
+   * @param {string} field - Field name for the error message
+   * @returns {number|null}
+   */
+  normalizeDays(value, field) {
+    if (value === null) return null;
+
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 0) {
+      throw new Error(`Invalid retention policy: ${field} must be a whole number of days (0 keeps data forever)`);
+    }
+    return days;
+  }
+
+  /**
+   * Get the effective retention policy for an organization
+   * @param {string|Object} organization - Organization ID or record
+   * @returns {Object} - { orgId, audioDays, transcriptDays, source }
+   */
+  getPolicy(organization) {
+    const org = typeof organization === "string" ? Organization.findById(organization) : organization;
+    if (!org) {
+      throw new Error(`Organization not found: ${organization}`);
+    }
+
+    const overrides = (org.settings && org.settings.retention) || {};
+    const hasAudio = overrides.audio_days !== undefined && overrides.audio_days !== null;
+    const hasTranscript = overrides.transcript_days !== undefined && overrides.transcript_days !== null;
+
+    return {
+      orgId: org.id,
+      orgName: org.name,
+      audioDays: hasAudio ? overrides.audio_days : config.retention.audioDays,
+      transcriptDays: hasTranscript ? overrides.transcript_days : config.retention.transcriptDays,
+      source: {
+        audioDays: hasAudio ? "organization" : "default",
+        transcriptDays: hasTranscript ? "organization" : "default",
+      },
+    };
+  }
+
+  /**
+   * Get the effective retention policies of all organizations
+   * @returns {Array<Object>}
+   */
+  getPolicies() {
+    return Organization.findAll().map((org) => this.getPolicy(org));
+  }
+
+  /**
+   * Set an organization's retention periods
+   * Omitted fields are left as they are; null falls back to the default.
+   * @param {string} orgId - Organization ID
+   * @param {Object} policy - { audioDays, transcriptDays }
+   * @returns {Object} - Effective policy
+   */
+  setPolicy(orgId, policy = {}) {
+    const org = Organization.findById(orgId);
+    if (!org) {
+      throw new Error(`Organization not found: ${orgId}`);
+    }
+
+    if (policy.audioDays === undefined && policy.transcriptDays === undefined) {
+      throw new Error("Invalid retention policy: audioDays or transcriptDays is required");
+    }
+
+    const retention = { ...(org.settings.retention || {}) };
+    if (policy.audioDays !== undefined) {
+      retention.audio_days = this.normalizeDays(policy.audioDays, "audioDays");
+    }
+    if (policy.transcriptDays !== undefined) {
+      retention.transcript_days = this.normalizeDays(policy.transcriptDays, "transcriptDays");
+    }
+
+    const updated = Organization.updateSettings(orgId, { retention });
+    logger.info("Retention policy updated", { orgId, retention });
+    return this.getPolicy(updated);
+  }
+
+  /**
+   * Get the creation time before which data is due for purging
+   * @param {number} days - Retention period (0 keeps data forever)
+   * @param {Date} now
+   * @returns {string|null} - ISO timestamp, or null if nothing expires
+   */
+  getCutoff(days, now) {
+    return days > 0 ? new Date(now.getTime() - days * DAY_MS).toISOString() : null;
+  }
+
+  /**
+   * Run the retention purge
+   * @param {Object} options - { orgId, dryRun, now }
+   * @returns {Promise<Object>} - Run summary
+   */
+  async purge(options = {}) {
+    if (this.running) {
+      throw new Error("Retention purge already running");
+    }
+    this.running = true;
+
+    try {
+      const now = options.now || new Date();
+      const run = {
+        runId: `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        dryRun: !!options.dryRun,
+        now,
+      };
+      const policies = options.orgId ? [this.getPolicy(options.orgId)] : this.getPolicies();
+
+      logger.info("Retention purge started", { runId: run.runId, dryRun: run.dryRun, orgs: policies.length });
+
+      const organizations = [];
+      for (const policy of policies) {
+        organizations.push({
+          orgId: policy.orgId,
+          audioDays: policy.audioDays,
+          transcriptDays: policy.transcriptDays,
+          audio: await this.purgeAudio(policy, run),
+          transcripts: this.redactTranscripts(policy, run),
+        });
+      }
+
+      const summary = {
+        runId: run.runId,
+        dryRun: run.dryRun,
+        startedAt: now.toISOString(),
+        completedAt: new Date().toISOString(),
+        organizations,
+        totals: organizations.reduce(
+          (acc, org) => ({
+            audioEligible: acc.audioEligible + org.audio.eligible,
+            audioDeleted: acc.audioDeleted + org.audio.deleted,
+            bytesFreed: acc.bytesFreed + org.audio.bytes,
+            transcriptsEligible: acc.transcriptsEligible + org.transcripts.eligible,
+            transcriptsRedacted: acc.transcriptsRedacted + org.transcripts.redacted,
+            failed: acc.failed + org.audio.failed + org.transcripts.failed,
+          }),
+          { audioEligible: 0, audioDeleted: 0, bytesFreed: 0, transcriptsEligible: 0, transcriptsRedacted: 0, failed: 0 }
+        ),
+      };
+
+      logger.info("Retention purge completed", { runId: run.runId, dryRun: run.dryRun, ...summary.totals });
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Delete recordings past an organization's audio retention period
+   * @param {Object} policy - Effective policy
+   * @param {Object} run - { runId, dryRun, now }
+   * @returns {Promise<Object>} - { cutoff, eligible, deleted, failed, bytes }
+   */
+  async purgeAudio(policy, run) {
+    const cutoff = this.getCutoff(policy.audioDays, run.now);
+    const result = { cutoff, eligible: 0, deleted: 0, failed: 0, bytes: 0 };
+    if (!cutoff) return result;
+
+    const calls = Call.findAudioDueForPurge(policy.orgId, cutoff, this.batchSize);
+    result.eligible = calls.length;
+
+    for (const call of calls) {
+      const entry = {
+        run_id: run.runId,
+        org_id: policy.orgId,
+        call_id: call.id,
+        action: "delete_audio",
+        details: {
+          call_created_at: call.created_at,
+          local_audio_path: call.local_audio_path,
+          audio_storage_key: call.audio_storage_key,
+          audio_size_bytes: call.audio_size_bytes,
+          audio_sha256: call.audio_sha256,
+          retention_days: policy.audioDays,
+        },
+      };
+
+      if (run.dryRun) {
+        RetentionAudit.create({ ...entry, status: "dry_run" });
+        result.bytes += call.audio_size_bytes || 0;
+        continue;
+      }
+
+      try {
+        await this.deleteCallAudio(call);
+        Call.markAudioPurged(call.id);
+        RetentionAudit.create({ ...entry, status: "completed" });
+        result.deleted++;
+        result.bytes += call.audio_size_bytes || 0;
+      } catch (error) {
+        logger.error("Failed to delete call audio", { callId: call.id, error: error.message });
+        RetentionAudit.create({ ...entry, status: "failed", error_message: error.message });
+        result.failed++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Delete a call's recording from storage and from the local disk
+   * @param {Object} call - Call record
+   * @returns {Promise<void>}
+   */
+  async deleteCallAudio(call) {
+    if (call.audio_storage_key) {
+      await this.getStorage().deleteStoredFile(call.audio_storage_key);
+    }
+    // Calls stored before storage keys existed only have a local path
+    if (call.local_audio_path) {
+      fs.rmSync(call.local_audio_path, { force: true });
+    }
+  }
+
+  /**
+   * Redact transcripts past an organization's transcript retention period
+   * @param {Object} policy - Effective policy
+   * @param {Object} run - { runId, dryRun, now }
+   * @returns {Object} - { cutoff, eligible, redacted, failed }
+   */
+  redactTranscripts(policy, run) {
+    const cutoff = this.getCutoff(policy.transcriptDays, run.now);
+    const result = { cutoff, eligible: 0, redacted: 0, failed: 0 };
+    if (!cutoff) return result;
+
+    const transcripts = Transcript.findDueForRedaction(policy.orgId, cutoff, this.batchSize);
+    result.eligible = transcripts.length;
+
+    for (const transcript of transcripts) {
+      const entry = {
+        run_id: run.runId,
+        org_id: policy.orgId,
+        call_id: transcript.call_id,
+        action: "redact_transcript",
+        details: {
+          transcript_id: transcript.id,
+          call_created_at: transcript.call_created_at,
+          word_count: transcript.word_count,
+          segments: Array.isArray(transcript.speaker_segments) ? transcript.speaker_segments.length : 0,
+          retention_days: policy.transcriptDays,
+        },
+      };
+
+      if (run.dryRun) {
+        RetentionAudit.create({ ...entry, status: "dry_run" });
+        continue;
+      }
+
+      try {
+        Transcript.update(transcript.id, {
+          content: REDACTED_TEXT,
+          speaker_segments: this.redactSegments(transcript.speaker_segments),
+          stt_candidates: this.redactCandidates(transcript.stt_candidates),
+          redacted_at: new Date().toISOString(),
+        });
+        RetentionAudit.create({ ...entry, status: "completed" });
+        result.redacted++;
+      } catch (error) {
+        logger.error("Failed to redact transcript", { callId: transcript.call_id, error: error.message });
+        RetentionAudit.create({ ...entry, status: "failed", error_message: error.message });
+        result.failed++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Replace the text of speaker segments, keeping speakers and timings
+   * @param {Array|null} segments
+   * @returns {Array|null}
+   */
+  redactSegments(segments) {
+    if (!Array.isArray(segments)) return null;
+    return segments.map((segment) => ({ ...segment, text: REDACTED_TEXT }));
+  }
+
+  /**
+   * Replace the text of ensemble candidates, keeping providers and scores
+   * @param {Array|null} candidates
+   * @returns {Array|null}
+   */
+  redactCandidates(candidates) {
+    if (!Array.isArray(candidates)) return null;
+    return candidates.map((candidate) => ({ ...candidate, text: REDACTED_TEXT }));
+  }
+
+  /**
+   * Get retention audit log entries
+   * @param {Object} options - { page, limit, run_id, org_id, call_id, action, status, startDate, endDate }
+   * @returns {Object} - { entries, pagination }
+   */
+  getAuditLog(options = {}) {
+    const { page = 1, limit = 50, ...filters } = options;
+    const offset = (page - 1) * limit;
+
+    const entries = RetentionAudit.findAll({ limit, offset, ...filters });
+    const total = RetentionAudit.count(filters);
+
+    return {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+RetentionService.REDACTED_TEXT = REDACTED_TEXT;
+
+module.exports = RetentionService;
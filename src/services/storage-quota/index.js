@@ -0,0 +1,11 @@
+/**
+ * Storage Quota Services Index
+ * Exports the storage usage and quota service
+ */
+
+const StorageQuotaService = require("./storage-quota.service");
+
+module.exports = {
+  StorageQuotaService,
+  StorageQuota: new StorageQuotaService(),
+};
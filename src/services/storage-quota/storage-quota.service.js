@@ -0,0 +1,279 @@
+/**
+ * Storage Quota Service
+ * Reports storage usage per organization and enforces storage quotas
+ *
+ * Usage is recorded by StorageService as recordings and exports are written
+ * and deleted. Quotas default to config.storage.quotas and can be overridden
+ * per organization (organizations.settings.storage_quota); 0 is unlimited.
+ *
+ * Once an organization is over quota, new recordings (downloads and uploads)
+ * and exports are rejected and admins are notified, at most once per
+ * notifyIntervalHours for the same organization and category.
+ */
+
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { USAGE_CATEGORIES } = require("../storage.service");
+
+const BYTES_PER_MB = 1024 * 1024;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Convert bytes to megabytes for messages
+ * @param {number} bytes
+ * @returns {number} - Megabytes, rounded to 2 decimals
+ */
+const toMb = (bytes) => Math.round((bytes / BYTES_PER_MB) * 100) / 100;
+
+// Setting names in organizations.settings.storage_quota, by category
+const QUOTA_FIELDS = {
+  audio: { setting: "audio_mb", option: "audioMb" },
+  exports: { setting: "exports_mb", option: "exportsMb" },
+};
+
+class StorageQuotaService {
+  /**
+   * @param {Object} options - Overrides for config.storage.quotas, plus { models, notifier }
+   */
+  constructor(options = {}) {
+    const settings = { ...config.storage.quotas, ...options };
+    this.defaults = { audioMb: settings.audioMb || 0, exportsMb: settings.exportsMb || 0 };
+    this.notifyIntervalHours = settings.notifyIntervalHours ?? 24;
+    this.models = options.models || null;
+    this.notifier = options.notifier || null;
+  }
+
+  /**
+   * Get the models usage and organization settings are read from
+   * Loaded lazily because the services index loads this module
+   * @returns {Object} - { StorageUsage, Organization }
+   */
+  getModels() {
+    if (!this.models) {
+      const { StorageUsage, Organization } = require("../../models");
+      this.models = { StorageUsage, Organization };
+    }
+    return this.models;
+  }
+
+  /**
+   * Get the notification router admins are alerted through
+   * @returns {Object}
+   */
+  getNotifier() {
+    if (!this.notifier) {
+      this.notifier = require("..").NotificationRouterInstance;
+    }
+    return this.notifier;
+  }
+
+  /**
+   * Validate a quota
+   * @param {*} value - Megabytes (null clears the organization override)
+   * @param {string} field - Field name for the error message
+   * @returns {number|null}
+   */
+  normalizeMb(value, field) {
+    if (value === null) return null;
+
+    const mb = Number(value);
+    if (!Number.isFinite(mb) || mb < 0) {
+      throw new Error(`Invalid storage quota: ${field} must be a number of megabytes (0 is unlimited)`);
+    }
+    return mb;
+  }
+
+  /**
+   * Get the effective quotas for an organization
+   * Unknown organizations get the defaults.
+   * @param {string|Object} organization - Organization ID or record
+   * @returns {Object} - { orgId, audioMb, exportsMb, source }
+   */
+  getQuota(organization) {
+    const org =
+      typeof organization === "string" ? this.getModels().Organization.findById(organization) : organization;
+    const overrides = (org && org.settings && org.settings.storage_quota) || {};
+    const quota = { orgId: org ? org.id : organization, source: {} };
+
+    for (const { setting, option } of Object.values(QUOTA_FIELDS)) {
+      const hasOverride = overrides[setting] !== undefined && overrides[setting] !== null;
+      quota[option] = hasOverride ? overrides[setting] : this.defaults[option];
+      quota.source[option] = hasOverride ? "organization" : "default";
+    }
+    return quota;
+  }
+
+  /**
+   * Set an organization's quotas
+   * Omitted fields are left as they are; null falls back to the default.
+   * @param {string} orgId - Organization ID
+   * @param {Object} quota - { audioMb, exportsMb }
+   * @returns {Object} - Effective quota
+   */
+  setQuota(orgId, quota = {}) {
+    const { Organization } = this.getModels();
+    const org = Organization.findById(orgId);
+    if (!org) {
+      throw new Error(`Organization not found: ${orgId}`);
+    }
+
+    if (quota.audioMb === undefined && quota.exportsMb === undefined) {
+      throw new Error("Invalid storage quota: audioMb or exportsMb is required");
+    }
+
+    const storageQuota = { ...(org.settings.storage_quota || {}) };
+    for (const { setting, option } of Object.values(QUOTA_FIELDS)) {
+      if (quota[option] !== undefined) {
+        storageQuota[setting] = this.normalizeMb(quota[option], option);
+      }
+    }
+
+    const updated = Organization.updateSettings(orgId, { storage_quota: storageQuota });
+    logger.info("Storage quota updated", { orgId, storageQuota });
+    return this.getQuota(updated);
+  }
+
+  /**
+   * Check an organization's usage against its quota
+   * @param {string} orgId - Organization ID
+   * @param {string} category - audio or exports
+   * @param {number} additionalBytes - Size of a file about to be stored
+   * @returns {Object} - { orgId, category, bytesUsed, quotaBytes, exceeded, ... }
+   */
+  checkQuota(orgId, category, additionalBytes = 0) {
+    const usage = this.getModels().StorageUsage.findUsage(orgId, category);
+    return { orgId, category, ...this.formatUsage(category, usage, this.getQuota(orgId), additionalBytes) };
+  }
+
+  /**
+   * Combine usage totals with the quota
+   * @param {string} category - audio or exports
+   * @param {Object|null} usage - storage_usage record
+   * @param {Object} quota - getQuota result
+   * @param {number} additionalBytes - Size of a file about to be stored
+   * @returns {Object} - { bytesUsed, fileCount, quotaBytes, percentUsed, exceeded, ... }
+   */
+  formatUsage(category, usage, quota, additionalBytes = 0) {
+    const bytesUsed = usage ? usage.bytes_used : 0;
+    const quotaBytes = Math.round((quota[QUOTA_FIELDS[category].option] || 0) * BYTES_PER_MB);
+    // An organization exactly at its quota can't store anything more
+    const exceeded = quotaBytes > 0 && (additionalBytes > 0 ? bytesUsed + additionalBytes > quotaBytes : bytesUsed >= quotaBytes);
+
+    return {
+      bytesUsed,
+      fileCount: usage ? usage.file_count : 0,
+      bytesWritten: usage ? usage.bytes_written : 0,
+      bytesDeleted: usage ? usage.bytes_deleted : 0,
+      quotaBytes: quotaBytes || null,
+      percentUsed: quotaBytes > 0 ? Math.round((bytesUsed / quotaBytes) * 1000) / 10 : null,
+      exceeded,
+      quotaNotifiedAt: usage ? usage.quota_notified_at : null,
+      updatedAt: usage ? usage.updated_at : null,
+    };
+  }
+
+  /**
+   * Get storage usage with quotas, per organization
+   * Organizations without stored files are listed with zero usage.
+   * @param {Object} filters - { orgId }
+   * @returns {Array<Object>} - [{ orgId, orgName, totalBytes, categories: { audio, exports } }]
+   */
+  getUsage(filters = {}) {
+    const { StorageUsage, Organization } = this.getModels();
+    const rows = StorageUsage.findAll({ orgId: filters.orgId });
+
+    const orgIds = new Set(rows.map((row) => row.org_id));
+    if (filters.orgId) {
+      orgIds.add(filters.orgId);
+    } else {
+      Organization.findAll().forEach((org) => orgIds.add(org.id));
+    }
+
+    return [...orgIds].sort().map((orgId) => {
+      const org = Organization.findById(orgId);
+      const quota = this.getQuota(org || orgId);
+      const categories = {};
+
+      for (const category of USAGE_CATEGORIES) {
+        const usage = rows.find((row) => row.org_id === orgId && row.category === category) || null;
+        categories[category] = {
+          ...this.formatUsage(category, usage, quota),
+          quotaSource: quota.source[QUOTA_FIELDS[category].option],
+        };
+      }
+
+      return {
+        orgId,
+        orgName: org ? org.name : null,
+        totalBytes: Object.values(categories).reduce((sum, category) => sum + category.bytesUsed, 0),
+        categories,
+      };
+    });
+  }
+
+  /**
+   * Reject new files for an organization that is over quota
+   * @param {string} orgId - Organization ID
+   * @param {string} category - audio or exports
+   * @param {number} additionalBytes - Size of the file about to be stored
+   * @param {Object} options - { callId } for the admin notification
+   * @returns {Promise<Object>} - checkQuota result when within quota
+   * @throws {Error} - code STORAGE_QUOTA_EXCEEDED
+   */
+  async enforceQuota(orgId, category, additionalBytes = 0, options = {}) {
+    const quota = this.checkQuota(orgId, category, additionalBytes);
+    if (!quota.exceeded) return quota;
+
+    logger.warn("Storage quota exceeded", {
+      orgId,
+      category,
+      bytesUsed: quota.bytesUsed,
+      additionalBytes,
+      quotaBytes: quota.quotaBytes,
+      callId: options.callId,
+    });
+    await this.notifyQuotaExceeded(quota, options);
+
+    const error = new Error(
+      `Storage quota exceeded: ${orgId} has used ${toMb(quota.bytesUsed)} MB of its ${toMb(quota.quotaBytes)} MB ${category} quota`
+    );
+    error.code = "STORAGE_QUOTA_EXCEEDED";
+    error.quota = quota;
+    throw error;
+  }
+
+  /**
+   * Notify admins of an exceeded quota unless they were told recently
+   * Notification failures are logged and never hide the quota error.
+   * @param {Object} quota - checkQuota result
+   * @param {Object} options - { callId, now }
+   * @returns {Promise<boolean>} - True if a notification was sent
+   */
+  async notifyQuotaExceeded(quota, options = {}) {
+    const now = options.now || new Date();
+    const lastNotified = quota.quotaNotifiedAt ? new Date(quota.quotaNotifiedAt).getTime() : 0;
+    if (lastNotified && now.getTime() - lastNotified < this.notifyIntervalHours * HOUR_MS) {
+      return false;
+    }
+
+    try {
+      this.getModels().StorageUsage.markQuotaNotified(quota.orgId, quota.category, now.toISOString());
+      await this.getNotifier().sendStorageQuotaAlert(quota, { callId: options.callId });
+      return true;
+    } catch (error) {
+      logger.error("Failed to send storage quota alert", { orgId: quota.orgId, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Check if an error is a quota rejection
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isQuotaError(error) {
+    return !!error && error.code === "STORAGE_QUOTA_EXCEEDED";
+  }
+}
+
+module.exports = StorageQuotaService;
@@ -1,20 +1,37 @@
 /**
  * Storage Service
- * File storage operations (local filesystem)
+ * File storage operations
+ *
+ * Files are always written under the local storage root first (downloads,
+ * uploads, exports). The configured adapter is where they are kept: with the
+ * local adapter that is the same file, with the s3 adapter the file is
+ * uploaded and the local copy is a working copy that can be re-fetched by
+ * its storage key on any machine.
+ *
+ * Writes and deletes of recordings and exports are counted per organization
+ * (see StorageQuotaService for the quotas enforced on these totals).
  */
 
 const fs = require("fs");
 const path = require("path");
-const https = require("https");
-const http = require("http");
-const { URL } = require("url");
 const config = require("../config");
 const logger = require("../utils/logger");
+const { createStorageAdapter, HttpDownloader } = require("./storage");
+
+// Top-level storage folders whose usage is counted
+const USAGE_CATEGORIES = ["audio", "exports"];
 
 class StorageService {
-  constructor() {
+  /**
+   * @param {Object} options - { adapter, downloader, usage } (default: from config.storage)
+   */
+  constructor(options = {}) {
+    this.adapter = options.adapter || createStorageAdapter(config.storage);
+    this.downloader = options.downloader || new HttpDownloader(config.download);
+    this.usage = options.usage || null;
     this.basePath = config.storage.path;
     this.audioPath = path.join(this.basePath, "audio");
+    this.uploadPath = path.join(this.basePath, "uploads");
     this.ensureDirectories();
   }
 
@@ -22,7 +39,7 @@ class StorageService {
    * Ensure storage directories exist
    */
   ensureDirectories() {
-    const dirs = [this.basePath, this.audioPath];
+    const dirs = [this.basePath, this.audioPath, this.uploadPath];
 
     dirs.forEach((dir) => {
       if (!fs.existsSync(dir)) {
@@ -34,123 +51,289 @@ class StorageService {
 
   /**
    * Download file from URL to local storage
+   * Follows redirects, retries with resume and verifies the size (see HttpDownloader)
    * @param {string} url - Source URL
    * @param {string} localPath - Local file path (relative to storage root)
    * @param {Object} options - Download options (auth, headers, etc.)
-   * @returns {Promise<string>} - Full local path
+   * @returns {Promise<Object>} - { filePath, sizeBytes, sha256, contentType, attempts, redirects, resumed }
    */
   async downloadFile(url, localPath, options = {}) {
-    return new Promise((resolve, reject) => {
-      const fullLocalPath = path.join(this.basePath, localPath);
-      const parsedUrl = new URL(url);
-      const client = parsedUrl.protocol === "https:" ? https : http;
-
-      logger.info("Starting file download", { url, localPath: fullLocalPath });
-
-      // Prepare request options
-      const requestOptions = {
-        headers: options.headers || {},
-      };
-
-      // Add Basic Auth if credentials provided
-      if (options.auth) {
-        const authString = Buffer.from(
-          `${options.auth.username}:${options.auth.password}`
-        ).toString("base64");
-        requestOptions.headers["Authorization"] = `Basic ${authString}`;
-      }
+    const fullLocalPath = path.join(this.basePath, localPath);
 
-      const request = client.get(url, requestOptions, (response) => {
-        if (response.statusCode !== 200) {
-          const error = new Error(
-            `Download failed: ${response.statusCode} ${response.statusMessage}`
-          );
-          logger.error("Download failed", {
-            url,
-            statusCode: response.statusCode,
-            statusMessage: response.statusMessage,
-          });
-          reject(error);
-          return;
-        }
+    logger.info("Starting file download", { url, localPath: fullLocalPath });
+    return this.downloader.download(url, fullLocalPath, options);
+  }
 
-        // Ensure directory exists
-        const dir = path.dirname(fullLocalPath);
-        if (!fs.existsSync(dir)) {
-          fs.mkdirSync(dir, { recursive: true });
-        }
+  /**
+   * Generate local path for call audio
+   * @param {string} orgId - Organization ID
+   * @param {string} callId - Call ID
+   * @param {string} extension - Audio file extension (without dot)
+   * @returns {string} - Relative path
+   */
+  getCallAudioPath(orgId, callId, extension = "wav") {
+    return path.join("audio", orgId, `${callId}.${extension}`);
+  }
 
-        const fileStream = fs.createWriteStream(fullLocalPath);
-
-        response.pipe(fileStream);
-
-        fileStream.on("finish", () => {
-          fileStream.close();
-          logger.info("File download completed", {
-            url,
-            localPath: fullLocalPath,
-            size: fs.statSync(fullLocalPath).size,
-          });
-          resolve(fullLocalPath);
-        });
-
-        fileStream.on("error", (error) => {
-          logger.error("File write error", {
-            url,
-            localPath: fullLocalPath,
-            error,
-          });
-          fs.unlink(fullLocalPath, () => {}); // Delete partial file
-          reject(error);
-        });
-      });
+  /**
+   * Move an uploaded audio file into call storage
+   * @param {string} sourcePath - Path of the uploaded file
+   * @param {string} orgId - Organization ID
+   * @param {string} callId - Call ID
+   * @param {string} extension - Audio file extension (without dot)
+   * @param {Object} options - { copy: keep the source file }
+   * @returns {string} - Full local path
+   */
+  storeCallAudio(sourcePath, orgId, callId, extension, options = {}) {
+    const fullLocalPath = path.join(this.basePath, this.getCallAudioPath(orgId, callId, extension));
 
-      request.on("error", (error) => {
-        logger.error("Download request error", { url, error });
-        reject(error);
-      });
+    fs.mkdirSync(path.dirname(fullLocalPath), { recursive: true });
 
-      // Set timeout
-      request.setTimeout(30000, () => {
-        request.destroy();
-        const error = new Error("Download timeout");
-        logger.error("Download timeout", { url });
-        reject(error);
-      });
+    try {
+      if (options.copy) {
+        fs.copyFileSync(sourcePath, fullLocalPath);
+      } else {
+        fs.renameSync(sourcePath, fullLocalPath);
+      }
+    } catch (error) {
+      // rename fails across devices, fall back to copy and delete
+      if (error.code !== "EXDEV") throw error;
+      fs.copyFileSync(sourcePath, fullLocalPath);
+      fs.unlinkSync(sourcePath);
+    }
+
+    logger.info("Call audio stored", {
+      callId,
+      localPath: fullLocalPath,
+      size: fs.statSync(fullLocalPath).size,
     });
+
+    return fullLocalPath;
   }
 
   /**
-   * Generate local path for call audio
+   * Download a call recording from the telephony provider
+   * @param {string} recordingUrl - Provider recording URL
    * @param {string} orgId - Organization ID
    * @param {string} callId - Call ID
-   * @returns {string} - Relative path
+   * @param {Object} options - Provider auth (see TelephonyService.getRecordingRequestOptions)
+   * @returns {Promise<Object>} - Download result (see downloadFile)
    */
-  getCallAudioPath(orgId, callId) {
-    return path.join("audio", orgId, `${callId}.wav`);
+  async downloadCallRecording(recordingUrl, orgId, callId, options = {}) {
+    // The real format is unknown until the audio stage sniffs it and renames the file
+    const localPath = this.getCallAudioPath(orgId, callId, "download");
+    return this.downloadFile(recordingUrl, localPath, options);
   }
 
   /**
-   * Download call recording from Exotel
-   * @param {string} recordingUrl - Exotel recording URL
-   * @param {string} orgId - Organization ID
-   * @param {string} callId - Call ID
+   * Get the storage key for a file under the storage root
+   * @param {string} filePath - Path of the file (as returned by this service)
+   * @returns {string} - Key with forward slashes (e.g. audio/default/call_1.wav)
+   */
+  getStorageKey(filePath) {
+    const relativePath = path.relative(path.resolve(this.basePath), path.resolve(filePath));
+
+    if (!relativePath || relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+      throw new Error(`File is outside the storage root: ${filePath}`);
+    }
+    return relativePath.split(path.sep).join("/");
+  }
+
+  /**
+   * Get the model storage usage is recorded in
+   * Loaded lazily so storage works without a database (tests, scripts)
+   * @returns {Object} - StorageUsage model
+   */
+  getUsageModel() {
+    if (!this.usage) {
+      this.usage = require("../models").StorageUsage;
+    }
+    return this.usage;
+  }
+
+  /**
+   * Get the organization and category a storage key is counted under
+   * Audio and export keys carry the organization (audio/<orgId>/...,
+   * exports/<orgId>/...); exports written before they were scoped by
+   * organization count against the given or default organization.
+   * @param {string} key - Storage key
+   * @param {string} orgId - Organization for keys without one
+   * @returns {Object|null} - { orgId, category }, null for keys that are not counted
+   */
+  classifyKey(key, orgId) {
+    const [category, owner, ...rest] = key.split("/");
+    if (!USAGE_CATEGORIES.includes(category) || !owner) return null;
+
+    if (rest.length > 0) {
+      return { orgId: owner, category };
+    }
+    if (category === "audio") return null;
+    return { orgId: orgId || config.organization.defaultId, category };
+  }
+
+  /**
+   * Count a written file towards its organization's usage
+   * Accounting failures are logged and never fail the write itself.
+   * @param {string} key - Storage key
+   * @param {number} sizeBytes - File size
+   * @param {Object} options - { orgId } for keys without an organization
+   */
+  recordWrite(key, sizeBytes, options = {}) {
+    const owner = this.classifyKey(key, options.orgId);
+    if (!owner) return;
+
+    try {
+      this.getUsageModel().recordWrite(key, owner.orgId, owner.category, sizeBytes);
+    } catch (error) {
+      logger.warn("Failed to record storage usage", { key, error: error.message });
+    }
+  }
+
+  /**
+   * Remove a deleted file from its organization's usage
+   * @param {string} key - Storage key
+   */
+  recordDelete(key) {
+    if (!this.classifyKey(key)) return;
+
+    try {
+      this.getUsageModel().recordDelete(key);
+    } catch (error) {
+      logger.warn("Failed to record storage usage", { key, error: error.message });
+    }
+  }
+
+  /**
+   * Keep a file written under the storage root in the configured storage
+   * Uploads it when the adapter is remote; local files are already in place.
+   * @param {string} filePath - Path of the file under the storage root
+   * @param {Object} options - { orgId } owner of files outside audio/<orgId>/ (exports)
+   * @returns {Promise<string>} - Storage key
+   */
+  async persistFile(filePath, options = {}) {
+    const key = this.getStorageKey(filePath);
+    let size;
+
+    if (this.adapter.isRemote()) {
+      ({ size } = await this.adapter.putFile(key, this.getAbsolutePath(key)));
+      logger.info("File uploaded to storage", { adapter: this.adapter.name, key, size });
+    } else {
+      size = fs.statSync(this.getAbsolutePath(key)).size;
+    }
+
+    this.recordWrite(key, size, options);
+    return key;
+  }
+
+  /**
+   * Get a local path for a call's audio, fetching it from storage if needed
+   * Workers on another machine than the downloader only have the storage key.
+   * @param {Object} call - Call record
    * @returns {Promise<string>} - Local file path
    */
-  async downloadCallRecording(recordingUrl, orgId, callId) {
-    const localPath = this.getCallAudioPath(orgId, callId);
-
-    // Add Exotel authentication if credentials are configured
-    const options = {};
-    if (config.exotel.apiKey && config.exotel.apiToken) {
-      options.auth = {
-        username: config.exotel.apiKey,
-        password: config.exotel.apiToken,
-      };
-      logger.info("Using Exotel authentication for download");
+  async getLocalAudioPath(call) {
+    if (call.local_audio_path && fs.existsSync(call.local_audio_path)) {
+      return call.local_audio_path;
     }
 
-    return this.downloadFile(recordingUrl, localPath, options);
+    if (!call.audio_storage_key) {
+      throw new Error(`No audio file for call: ${call.id}`);
+    }
+
+    const localPath = this.getAbsolutePath(call.audio_storage_key);
+    if (!fs.existsSync(localPath)) {
+      await this.adapter.downloadTo(call.audio_storage_key, localPath);
+      logger.info("Call audio fetched from storage", {
+        callId: call.id,
+        adapter: this.adapter.name,
+        key: call.audio_storage_key,
+      });
+    }
+    return localPath;
+  }
+
+  /**
+   * Open a stored file, preferring the local copy
+   * @param {string} key - Storage key
+   * @param {Object} options - { start, end } inclusive byte range
+   * @returns {Promise<stream.Readable>}
+   */
+  async openStream(key, options = {}) {
+    const localPath = this.getAbsolutePath(key);
+    if (fs.existsSync(localPath)) {
+      return fs.createReadStream(localPath, { start: options.start, end: options.end });
+    }
+    return this.adapter.stream(key, options);
+  }
+
+  /**
+   * Get metadata for a stored file, preferring the local copy
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} - { size, lastModified, contentType } or null
+   */
+  async statStoredFile(key) {
+    const stats = this.getFileStats(key);
+    if (stats && stats.isFile()) {
+      return { size: stats.size, lastModified: stats.mtime, contentType: this.adapter.getContentType(key) };
+    }
+    return this.adapter.stat(key);
+  }
+
+  /**
+   * Delete a stored file and its local copy
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} - True if a copy was deleted
+   */
+  async deleteStoredFile(key) {
+    const localPath = this.getAbsolutePath(key);
+    const deletedLocal = fs.existsSync(localPath) && this.deleteFile(key);
+    const deletedRemote = this.adapter.isRemote() ? await this.adapter.delete(key) : false;
+
+    if (deletedLocal || deletedRemote) {
+      this.recordDelete(key);
+    }
+    return deletedLocal || deletedRemote;
+  }
+
+  /**
+   * Recount storage usage from the files under the local storage root
+   * For databases created before usage tracking, or after files were
+   * removed by hand. With remote storage only local copies are found.
+   * @returns {Array<Object>} - New totals per organization and category
+   */
+  rebuildUsage() {
+    const objects = [];
+
+    const walk = (dir) => {
+      if (!fs.existsSync(dir)) return;
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(fullPath);
+          continue;
+        }
+        if (!entry.isFile()) continue;
+
+        const key = this.getStorageKey(fullPath);
+        const owner = this.classifyKey(key);
+        if (owner) {
+          objects.push({ key, ...owner, sizeBytes: fs.statSync(fullPath).size });
+        }
+      }
+    };
+
+    USAGE_CATEGORIES.forEach((category) => walk(path.join(this.basePath, category)));
+    return this.getUsageModel().replaceObjects(objects);
+  }
+
+  /**
+   * Create a time-limited URL for a stored file
+   * @param {string} key - Storage key
+   * @param {Object} options - { expiresIn } seconds
+   * @returns {Promise<string>}
+   */
+  async getSignedUrl(key, options = {}) {
+    return this.adapter.signedUrl(key, options);
   }
 
   /**
@@ -205,3 +388,4 @@ class StorageService {
 }
 
 module.exports = StorageService;
+module.exports.USAGE_CATEGORIES = USAGE_CATEGORIES;
@@ -0,0 +1,193 @@
+/**
+ * Base Storage Adapter
+ * Common interface for storing recordings and exports
+ *
+ * Objects are addressed by keys relative to the storage root, using forward
+ * slashes (e.g. "audio/default/call_123.wav"), whatever the backend.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+
+// Content types for the files this application stores
+const CONTENT_TYPES = {
+  wav: "audio/wav",
+  mp3: "audio/mpeg",
+  ogg: "audio/ogg",
+  m4a: "audio/mp4",
+  mp4: "audio/mp4",
+  webm: "audio/webm",
+  flac: "audio/flac",
+  aac: "audio/aac",
+  amr: "audio/amr",
+  csv: "text/csv",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  json: "application/json",
+  zip: "application/zip",
+};
+
+class BaseStorageAdapter {
+  /**
+   * @param {string} name - Adapter name (local, s3)
+   * @param {Object} settings - Adapter configuration
+   */
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.settings = settings || {};
+  }
+
+  /**
+   * Check if objects live outside this machine
+   * Remote adapters need a local copy before audio can be transcribed
+   * @returns {boolean}
+   */
+  isRemote() {
+    return false;
+  }
+
+  /**
+   * Validate and normalize an object key
+   * @param {string} key - Object key
+   * @returns {string}
+   */
+  normalizeKey(key) {
+    const normalized = String(key || "")
+      .replace(/\\/g, "/")
+      .replace(/^\/+/, "");
+    const segments = normalized.split("/");
+
+    if (!normalized || segments.some((segment) => segment === ".." || segment === "")) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Guess the content type from the key's extension
+   * @param {string} key - Object key
+   * @returns {string}
+   */
+  getContentType(key) {
+    const extension = path.extname(key).toLowerCase().slice(1);
+    return CONTENT_TYPES[extension] || "application/octet-stream";
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Buffer|string|stream.Readable} body - Contents
+   * @param {Object} options - { contentType, contentLength }
+   * @returns {Promise<Object>} - { key, size }
+   */
+  async put(key, body, options = {}) {
+    throw new Error(`put not implemented for storage adapter: ${this.name}`);
+  }
+
+  /**
+   * Store a local file
+   * @param {string} key - Object key
+   * @param {string} filePath - Local file path
+   * @param {Object} options - { contentType }
+   * @returns {Promise<Object>} - { key, size }
+   */
+  async putFile(key, filePath, options = {}) {
+    const { size } = fs.statSync(filePath);
+    return this.put(key, fs.createReadStream(filePath), { ...options, contentLength: size });
+  }
+
+  /**
+   * Read an object into memory
+   * @param {string} key - Object key
+   * @returns {Promise<Buffer>}
+   */
+  async get(key) {
+    const chunks = [];
+    for await (const chunk of await this.stream(key)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Open a read stream, optionally for a byte range
+   * @param {string} key - Object key
+   * @param {Object} options - { start, end } inclusive byte offsets
+   * @returns {Promise<stream.Readable>}
+   */
+  async stream(key, options = {}) {
+    throw new Error(`stream not implemented for storage adapter: ${this.name}`);
+  }
+
+  /**
+   * Get object metadata
+   * @param {string} key - Object key
+   * @returns {Promise<Object|null>} - { size, lastModified, contentType } or null if missing
+   */
+  async stat(key) {
+    throw new Error(`stat not implemented for storage adapter: ${this.name}`);
+  }
+
+  /**
+   * Check if an object exists
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>}
+   */
+  async exists(key) {
+    return !!(await this.stat(key));
+  }
+
+  /**
+   * Delete an object
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>} - True if the object existed
+   */
+  async delete(key) {
+    throw new Error(`delete not implemented for storage adapter: ${this.name}`);
+  }
+
+  /**
+   * Create a time-limited URL for reading an object without API credentials
+   * @param {string} key - Object key
+   * @param {Object} options - { expiresIn } seconds
+   * @returns {Promise<string>}
+   */
+  async signedUrl(key, options = {}) {
+    throw new Error(`signedUrl not implemented for storage adapter: ${this.name}`);
+  }
+
+  /**
+   * Copy an object to a local file
+   * @param {string} key - Object key
+   * @param {string} filePath - Destination path
+   * @returns {Promise<string>} - Destination path
+   */
+  async downloadTo(key, filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    // Write to a temporary name so a failed copy never looks complete
+    const partialPath = `${filePath}.partial`;
+    try {
+      await pipeline(await this.stream(key), fs.createWriteStream(partialPath));
+      fs.renameSync(partialPath, filePath);
+    } catch (error) {
+      fs.rmSync(partialPath, { force: true });
+      throw error;
+    }
+    return filePath;
+  }
+
+  /**
+   * Create the error thrown for missing objects
+   * @param {string} key - Object key
+   * @returns {Error}
+   */
+  notFoundError(key) {
+    const error = new Error(`Storage object not found: ${key}`);
+    error.code = "NOT_FOUND";
+    return error;
+  }
+}
+
+module.exports = BaseStorageAdapter;
+module.exports.CONTENT_TYPES = CONTENT_TYPES;
@@ -0,0 +1,317 @@
+/**
+ * HTTP Downloader
+ * Streams a URL to a file with redirects, retries, resume and verification
+ *
+ * - 3xx responses are followed (Authorization is dropped when the host changes,
+ *   e.g. when a provider redirects to a presigned S3 URL)
+ * - 429/503 wait for Retry-After; other 5xx and network errors back off exponentially
+ * - Retries resume the partial file with a Range request (If-Range keeps it consistent)
+ * - Downloads larger than maxSizeBytes are rejected, from Content-Length or while streaming
+ * - The written size is checked against Content-Length/Content-Range before the
+ *   file is moved into place, and its SHA-256 is returned
+ */
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const { URL } = require("url");
+const logger = require("../../utils/logger");
+
+// Statuses worth retrying; everything else below 500 fails immediately
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Error for downloads that must not be retried
+ */
+const permanentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.permanent = true;
+  if (statusCode) error.statusCode = statusCode;
+  return error;
+};
+
+class HttpDownloader {
+  /**
+   * @param {Object} settings - { timeoutMs, maxSizeBytes, maxRedirects, maxAttempts, backoffMs, maxRetryAfterSeconds }
+   */
+  constructor(settings = {}) {
+    this.timeoutMs = settings.timeoutMs || 30000;
+    this.maxSizeBytes = settings.maxSizeBytes || 0;
+    this.maxRedirects = settings.maxRedirects ?? 5;
+    this.maxAttempts = settings.maxAttempts || 4;
+    this.backoffMs = settings.backoffMs ?? 1000;
+    this.maxRetryAfterSeconds = settings.maxRetryAfterSeconds ?? 120;
+  }
+
+  /**
+   * Wait between attempts (replaced in tests)
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date)
+   * @param {string} value - Header value
+   * @returns {number|null} - Delay in milliseconds
+   */
+  parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = /^\d+$/.test(value.trim()) ? parseInt(value) : (Date.parse(value) - Date.now()) / 1000;
+    if (!Number.isFinite(seconds)) return null;
+
+    return Math.min(Math.max(seconds, 0), this.maxRetryAfterSeconds) * 1000;
+  }
+
+  /**
+   * Download a URL to a file
+   * @param {string} url - Source URL
+   * @param {string} filePath - Destination path
+   * @param {Object} options - { headers, auth: { username, password } }
+   * @returns {Promise<Object>} - { filePath, sizeBytes, sha256, contentType, attempts, redirects, resumed }
+   */
+  async download(url, filePath, options = {}) {
+    const partialPath = `${filePath}.partial`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.rmSync(partialPath, { force: true });
+
+    const headers = { ...(options.headers || {}) };
+    if (options.auth) {
+      const credentials = Buffer.from(`${options.auth.username}:${options.auth.password}`).toString("base64");
+      headers.Authorization = `Basic ${credentials}`;
+    }
+
+    // Carried across attempts so a retry can resume where the last one stopped
+    const state = { url, headers, validator: null, redirects: 0, resumed: false, contentType: null };
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      try {
+        const { totalSize } = await this.attempt(state, partialPath);
+        fs.renameSync(partialPath, filePath);
+
+        const result = {
+          filePath,
+          sizeBytes: totalSize,
+          sha256: await this.hashFile(filePath),
+          contentType: state.contentType,
+          attempts: attempt,
+          redirects: state.redirects,
+          resumed: state.resumed,
+        };
+        logger.info("File download completed", { url, ...result });
+        return result;
+      } catch (error) {
+        lastError = error;
+        if (error.permanent || attempt === this.maxAttempts) break;
+
+        const delay = error.retryAfterMs ?? this.backoffMs * 2 ** (attempt - 1);
+        logger.warn("Download attempt failed, retrying", {
+          url,
+          attempt,
+          delayMs: delay,
+          bytesSoFar: this.getPartialSize(partialPath),
+          error: error.message,
+        });
+        await this.sleep(delay);
+      }
+    }
+
+    fs.rmSync(partialPath, { force: true });
+    logger.error("Download failed", { url, error: lastError.message });
+    throw lastError;
+  }
+
+  /**
+   * Get the size of the partial file
+   * @param {string} partialPath
+   * @returns {number}
+   */
+  getPartialSize(partialPath) {
+    try {
+      return fs.statSync(partialPath).size;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Make one request (following redirects) and append the body to the partial file
+   * @param {Object} state - Download state shared across attempts
+   * @param {string} partialPath - Partial file path
+   * @returns {Promise<Object>} - { totalSize }
+   */
+  async attempt(state, partialPath) {
+    let offset = this.getPartialSize(partialPath);
+
+    for (;;) {
+      const headers = { ...state.headers };
+      if (offset > 0) {
+        headers.Range = `bytes=${offset}-`;
+        if (state.validator) headers["If-Range"] = state.validator;
+      }
+
+      const response = await this.request(state.url, headers);
+      const { statusCode } = response;
+
+      if (REDIRECT_STATUSES.includes(statusCode) && response.headers.location) {
+        response.resume();
+        if (state.redirects >= this.maxRedirects) {
+          throw permanentError(`Download failed: too many redirects (${this.maxRedirects})`);
+        }
+        const nextUrl = new URL(response.headers.location, state.url);
+        const currentUrl = new URL(state.url);
+        // Caller headers (Authorization, API keys) are for the original host and
+        // scheme only; elsewhere just our own Range/If-Range headers are sent
+        if (nextUrl.host !== currentUrl.host || nextUrl.protocol !== currentUrl.protocol) {
+          state.headers = {};
+        }
+        state.url = nextUrl.toString();
+        state.redirects++;
+        continue;
+      }
+
+      if (statusCode === 416 && offset > 0) {
+        response.resume();
+        const total = parseInt((response.headers["content-range"] || "").split("/")[1]);
+        if (total === offset) {
+          return { totalSize: offset };
+        }
+        // The partial file does not match the resource any more; start again
+        fs.rmSync(partialPath, { force: true });
+        offset = 0;
+        continue;
+      }
+
+      if (statusCode !== 200 && statusCode !== 206) {
+        response.resume();
+        const message = `Download failed: ${statusCode} ${response.statusMessage || ""}`.trim();
+        if (!RETRYABLE_STATUSES.includes(statusCode)) {
+          throw permanentError(message, statusCode);
+        }
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        error.retryAfterMs = this.parseRetryAfter(response.headers["retry-after"]);
+        throw error;
+      }
+
+      // A 200 to a Range request means the server sent the whole file again
+      let append = false;
+      let expectedTotal = null;
+      if (statusCode === 206) {
+        const match = (response.headers["content-range"] || "").match(/bytes (\d+)-(\d+)\/(\d+|\*)/);
+        if (!match || parseInt(match[1]) !== offset) {
+          response.resume();
+          fs.rmSync(partialPath, { force: true });
+          throw new Error("Download failed: server returned an unexpected range");
+        }
+        append = true;
+        state.resumed = true;
+        expectedTotal = match[3] === "*" ? null : parseInt(match[3]);
+      } else {
+        offset = 0;
+        const length = parseInt(response.headers["content-length"]);
+        expectedTotal = Number.isFinite(length) ? length : null;
+      }
+
+      state.validator = response.headers.etag || response.headers["last-modified"] || null;
+      state.contentType = response.headers["content-type"] || state.contentType;
+
+      if (this.maxSizeBytes && expectedTotal !== null && expectedTotal > this.maxSizeBytes) {
+        response.resume();
+        throw permanentError(
+          `Download failed: recording is ${expectedTotal} bytes, over the ${this.maxSizeBytes} byte limit`
+        );
+      }
+
+      await this.writeBody(response, partialPath, append, offset);
+
+      const written = this.getPartialSize(partialPath);
+      if (expectedTotal !== null && written !== expectedTotal) {
+        // Keep the partial file; the next attempt resumes from here
+        throw new Error(`Download incomplete: received ${written} of ${expectedTotal} bytes`);
+      }
+      return { totalSize: written };
+    }
+  }
+
+  /**
+   * Send a GET request
+   * @param {string} url
+   * @param {Object} headers
+   * @returns {Promise<http.IncomingMessage>}
+   */
+  request(url, headers) {
+    return new Promise((resolve, reject) => {
+      const client = new URL(url).protocol === "https:" ? https : http;
+      const request = client.get(url, { headers }, resolve);
+
+      request.on("error", reject);
+      // Idle timeout: long recordings may take minutes, stalled sockets should not
+      request.setTimeout(this.timeoutMs, () => {
+        request.destroy(new Error(`Download timeout: no data for ${this.timeoutMs}ms`));
+      });
+    });
+  }
+
+  /**
+   * Stream a response body into the partial file
+   * @param {http.IncomingMessage} response
+   * @param {string} partialPath
+   * @param {boolean} append - Append to the existing partial file
+   * @param {number} offset - Bytes already on disk
+   * @returns {Promise<void>}
+   */
+  writeBody(response, partialPath, append, offset) {
+    return new Promise((resolve, reject) => {
+      const fileStream = fs.createWriteStream(partialPath, { flags: append ? "a" : "w" });
+      let received = offset;
+      let failed = false;
+
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        response.destroy();
+        fileStream.end(() => reject(error));
+      };
+
+      response.on("data", (chunk) => {
+        received += chunk.length;
+        if (this.maxSizeBytes && received > this.maxSizeBytes) {
+          fail(permanentError(`Download failed: recording exceeds the ${this.maxSizeBytes} byte limit`));
+        }
+      });
+      response.on("aborted", () => fail(new Error("Download interrupted: connection closed")));
+      response.on("error", (error) => fail(error));
+      fileStream.on("error", (error) => fail(error));
+      fileStream.on("finish", () => {
+        if (!failed) resolve();
+      });
+
+      response.pipe(fileStream);
+    });
+  }
+
+  /**
+   * Compute the SHA-256 of a file
+   * @param {string} filePath
+   * @returns {Promise<string>} - Hex digest
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash("sha256");
+      fs.createReadStream(filePath)
+        .on("data", (chunk) => hash.update(chunk))
+        .on("end", () => resolve(hash.digest("hex")))
+        .on("error", reject);
+    });
+  }
+}
+
+module.exports = HttpDownloader;
@@ -0,0 +1,51 @@
+/**
+ * Storage Adapters Index
+ * Exports storage adapters, the factory used by StorageService and the HTTP downloader
+ */
+
+const BaseStorageAdapter = require("./base.adapter");
+const LocalStorageAdapter = require("./local.adapter");
+const S3StorageAdapter = require("./s3.adapter");
+const HttpDownloader = require("./http-downloader");
+
+// Adapters available through STORAGE_ADAPTER
+const ADAPTERS = {
+  local: LocalStorageAdapter,
+  s3: S3StorageAdapter,
+};
+
+/**
+ * Create the adapter selected in config.storage
+ * @param {Object} settings - config.storage
+ * @returns {BaseStorageAdapter}
+ */
+const createStorageAdapter = (settings = {}) => {
+  const name = (settings.adapter || "local").toLowerCase();
+  const shared = {
+    signedUrlExpiresSeconds: settings.signedUrlExpiresSeconds,
+  };
+
+  if (name === "local") {
+    return new LocalStorageAdapter({
+      ...shared,
+      rootPath: settings.path,
+      publicBaseUrl: settings.publicBaseUrl,
+      signingSecret: settings.signingSecret,
+    });
+  }
+
+  const Adapter = ADAPTERS[name];
+  if (!Adapter) {
+    throw new Error(`Unknown storage adapter: ${name}`);
+  }
+  return new Adapter({ ...shared, ...settings[name] });
+};
+
+module.exports = {
+  BaseStorageAdapter,
+  LocalStorageAdapter,
+  S3StorageAdapter,
+  HttpDownloader,
+  ADAPTERS,
+  createStorageAdapter,
+};
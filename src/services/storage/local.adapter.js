@@ -0,0 +1,131 @@
+/**
+ * Local Storage Adapter
+ * Stores objects on the local filesystem under the storage root
+ *
+ * Signed URLs point at GET /api/storage/files/:key on this server and carry
+ * an HMAC of the key and expiry time, checked by verifySignedUrl.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+const BaseStorageAdapter = require("./base.adapter");
+
+class LocalStorageAdapter extends BaseStorageAdapter {
+  /**
+   * @param {Object} settings - { rootPath, publicBaseUrl, signingSecret, signedUrlExpiresSeconds }
+   */
+  constructor(settings = {}) {
+    super("local", settings);
+    this.rootPath = path.resolve(settings.rootPath || "./storage");
+  }
+
+  /**
+   * Get the filesystem path for a key
+   * @param {string} key - Object key
+   * @returns {string}
+   */
+  resolvePath(key) {
+    return path.join(this.rootPath, this.normalizeKey(key));
+  }
+
+  async put(key, body, options = {}) {
+    const filePath = this.resolvePath(key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const partialPath = `${filePath}.partial`;
+    try {
+      if (Buffer.isBuffer(body) || typeof body === "string") {
+        fs.writeFileSync(partialPath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(partialPath));
+      }
+      fs.renameSync(partialPath, filePath);
+    } catch (error) {
+      fs.rmSync(partialPath, { force: true });
+      throw error;
+    }
+
+    return { key: this.normalizeKey(key), size: fs.statSync(filePath).size };
+  }
+
+  async putFile(key, filePath, options = {}) {
+    // Already in place, e.g. a recording downloaded straight into the storage root
+    if (path.resolve(filePath) === this.resolvePath(key)) {
+      return { key: this.normalizeKey(key), size: fs.statSync(filePath).size };
+    }
+    return super.putFile(key, filePath, options);
+  }
+
+  async stream(key, options = {}) {
+    const filePath = this.resolvePath(key);
+    if (!fs.existsSync(filePath)) {
+      throw this.notFoundError(key);
+    }
+    return fs.createReadStream(filePath, { start: options.start, end: options.end });
+  }
+
+  async stat(key) {
+    try {
+      const stats = fs.statSync(this.resolvePath(key));
+      if (!stats.isFile()) return null;
+      return { size: stats.size, lastModified: stats.mtime, contentType: this.getContentType(key) };
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      fs.unlinkSync(this.resolvePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Compute the signature for a key and expiry time
+   * @param {string} key - Normalized object key
+   * @param {number} expires - Expiry as a Unix timestamp (seconds)
+   * @returns {string}
+   */
+  computeSignature(key, expires) {
+    if (!this.settings.signingSecret) {
+      throw new Error("Signed URLs need STORAGE_SIGNING_SECRET with the local storage adapter");
+    }
+    return crypto.createHmac("sha256", this.settings.signingSecret).update(`${key}:${expires}`).digest("hex");
+  }
+
+  async signedUrl(key, options = {}) {
+    const normalized = this.normalizeKey(key);
+    const expiresIn = options.expiresIn || this.settings.signedUrlExpiresSeconds || 3600;
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = this.computeSignature(normalized, expires);
+    const encodedKey = normalized.split("/").map(encodeURIComponent).join("/");
+    const baseUrl = (this.settings.publicBaseUrl || "").replace(/\/+$/, "");
+
+    return `${baseUrl}/api/storage/files/${encodedKey}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Check a signed URL's expiry and signature
+   * @param {string} key - Object key from the URL
+   * @param {string|number} expires - expires query parameter
+   * @param {string} signature - signature query parameter
+   * @returns {boolean}
+   */
+  verifySignedUrl(key, expires, signature) {
+    if (!this.settings.signingSecret || !expires || !signature) return false;
+    if (Number(expires) < Math.floor(Date.now() / 1000)) return false;
+
+    const expected = Buffer.from(this.computeSignature(this.normalizeKey(key), Number(expires)));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+}
+
+module.exports = LocalStorageAdapter;
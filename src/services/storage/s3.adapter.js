@@ -0,0 +1,337 @@
+/**
+ * S3 Storage Adapter
+ * Stores objects in Amazon S3 or an S3-compatible service such as MinIO
+ *
+ * Requests are signed with AWS Signature Version 4. Set an endpoint and
+ * forcePathStyle for MinIO (http://host:9000/bucket/key); without an endpoint
+ * the regional AWS virtual-hosted URL is used (https://bucket.s3.region.amazonaws.com/key).
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+const BaseStorageAdapter = require("./base.adapter");
+
+const ALGORITHM = "AWS4-HMAC-SHA256";
+const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+const EMPTY_PAYLOAD_HASH = crypto.createHash("sha256").update("").digest("hex");
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const hmac = (key, value) => crypto.createHmac("sha256", key).update(value).digest();
+
+/**
+ * URI-encode a value the way SigV4 expects (RFC 3986 unreserved characters only)
+ * @param {string} value
+ * @returns {string}
+ */
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Format a date as the SigV4 timestamp (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date
+ * @returns {string}
+ */
+const toAmzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+
+/**
+ * Derive the SigV4 signature for a string to sign
+ * @param {Object} credentials - { secretAccessKey }
+ * @param {string} dateStamp - YYYYMMDD
+ * @param {string} region - AWS region
+ * @param {string} stringToSign
+ * @returns {string}
+ */
+const computeSignature = (credentials, dateStamp, region, stringToSign) => {
+  const dateKey = hmac(`AWS4${credentials.secretAccessKey}`, dateStamp);
+  const signingKey = hmac(hmac(hmac(dateKey, region), "s3"), "aws4_request");
+  return crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+};
+
+/**
+ * Build the SigV4 canonical request and string to sign
+ * @returns {Object} - { stringToSign, signedHeaders, scope, dateStamp }
+ */
+const buildStringToSign = ({ method, url, headers, payloadHash, region, amzDate }) => {
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const canonicalHeaders = Object.entries(headers)
+    .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, " ")])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const signedHeaders = canonicalHeaders.map(([name]) => name).join(";");
+
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a, x], [b, y]) => (a < b ? -1 : a > b ? 1 : x < y ? -1 : x > y ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join("&");
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    canonicalHeaders.map(([name, value]) => `${name}:${value}\n`).join(""),
+    signedHeaders,
+    payloadHash,
+  ].join("\n");
+
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256(canonicalRequest)].join("\n");
+  return { stringToSign, signedHeaders, scope, dateStamp };
+};
+
+/**
+ * Sign a request with an Authorization header
+ * @param {Object} params - { method, url, headers, payloadHash, credentials, region, date }
+ * @returns {Object} - Headers to send, including Authorization
+ */
+const signRequest = ({ method, url, headers = {}, payloadHash, credentials, region, date = new Date() }) => {
+  const amzDate = toAmzDate(date);
+  const signed = {
+    ...headers,
+    host: url.host,
+    "x-amz-date": amzDate,
+    "x-amz-content-sha256": payloadHash,
+  };
+  if (credentials.sessionToken) {
+    signed["x-amz-security-token"] = credentials.sessionToken;
+  }
+
+  const { stringToSign, signedHeaders, scope, dateStamp } = buildStringToSign({
+    method,
+    url,
+    headers: signed,
+    payloadHash,
+    region,
+    amzDate,
+  });
+  const signature = computeSignature(credentials, dateStamp, region, stringToSign);
+
+  signed.authorization =
+    `${ALGORITHM} Credential=${credentials.accessKeyId}/${scope}, ` +
+    `SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  return signed;
+};
+
+/**
+ * Create a presigned URL (query string authentication)
+ * @param {Object} params - { method, url, expiresIn, credentials, region, date }
+ * @returns {string}
+ */
+const presignUrl = ({ method = "GET", url, expiresIn, credentials, region, date = new Date() }) => {
+  const amzDate = toAmzDate(date);
+  const presigned = new URL(url.toString());
+  const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+
+  presigned.searchParams.set("X-Amz-Algorithm", ALGORITHM);
+  presigned.searchParams.set("X-Amz-Credential", `${credentials.accessKeyId}/${scope}`);
+  presigned.searchParams.set("X-Amz-Date", amzDate);
+  presigned.searchParams.set("X-Amz-Expires", String(expiresIn));
+  presigned.searchParams.set("X-Amz-SignedHeaders", "host");
+  if (credentials.sessionToken) {
+    presigned.searchParams.set("X-Amz-Security-Token", credentials.sessionToken);
+  }
+
+  const { stringToSign, dateStamp } = buildStringToSign({
+    method,
+    url: presigned,
+    headers: { host: presigned.host },
+    payloadHash: UNSIGNED_PAYLOAD,
+    region,
+    amzDate,
+  });
+  const signature = computeSignature(credentials, dateStamp, region, stringToSign);
+
+  const query = [...presigned.searchParams.entries()]
+    .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+    .join("&");
+  return `${presigned.origin}${presigned.pathname}?${query}&X-Amz-Signature=${signature}`;
+};
+
+class S3StorageAdapter extends BaseStorageAdapter {
+  /**
+   * @param {Object} settings - { bucket, region, endpoint, accessKeyId, secretAccessKey, sessionToken,
+   *   forcePathStyle, prefix, timeoutMs, signedUrlExpiresSeconds }
+   */
+  constructor(settings = {}) {
+    super("s3", settings);
+    this.region = settings.region || "us-east-1";
+    this.prefix = (settings.prefix || "").replace(/^\/+/, "");
+  }
+
+  isRemote() {
+    return true;
+  }
+
+  isConfigured() {
+    const { bucket, accessKeyId, secretAccessKey } = this.settings;
+    return !!(bucket && accessKeyId && secretAccessKey);
+  }
+
+  /**
+   * Get signing credentials
+   * @returns {Object}
+   */
+  getCredentials() {
+    if (!this.isConfigured()) {
+      throw new Error("S3 storage not configured - S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY required");
+    }
+    const { accessKeyId, secretAccessKey, sessionToken } = this.settings;
+    return { accessKeyId, secretAccessKey, sessionToken };
+  }
+
+  /**
+   * Build the object URL for a key
+   * @param {string} key - Object key
+   * @returns {URL}
+   */
+  getObjectUrl(key) {
+    const { bucket, endpoint, forcePathStyle } = this.settings;
+    const objectKey = `${this.prefix}${this.normalizeKey(key)}`;
+    const encodedKey = objectKey.split("/").map(encodeRfc3986).join("/");
+
+    if (!endpoint) {
+      return new URL(`https://${bucket}.s3.${this.region}.amazonaws.com/${encodedKey}`);
+    }
+
+    const base = new URL(endpoint);
+    const basePath = base.pathname.replace(/\/+$/, "");
+    if (forcePathStyle) {
+      return new URL(`${base.protocol}//${base.host}${basePath}/${bucket}/${encodedKey}`);
+    }
+    return new URL(`${base.protocol}//${bucket}.${base.host}${basePath}/${encodedKey}`);
+  }
+
+  /**
+   * Send a signed request for an object
+   * @param {string} method - HTTP method
+   * @param {string} key - Object key
+   * @param {Object} options - { headers, data, payloadHash, responseType }
+   * @returns {Promise<Object>} - Axios response (any status)
+   */
+  async request(method, key, options = {}) {
+    const url = this.getObjectUrl(key);
+    const headers = signRequest({
+      method,
+      url,
+      headers: options.headers,
+      payloadHash: options.payloadHash || EMPTY_PAYLOAD_HASH,
+      credentials: this.getCredentials(),
+      region: this.region,
+    });
+
+    return axios({
+      method,
+      url: url.toString(),
+      headers,
+      data: options.data,
+      responseType: options.responseType,
+      timeout: this.settings.timeoutMs || 60000,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true,
+    });
+  }
+
+  /**
+   * Build the error for a failed S3 response
+   * @param {string} operation - Operation name
+   * @param {string} key - Object key
+   * @param {Object} response - Axios response
+   * @returns {Promise<Error>}
+   */
+  async requestError(operation, key, response) {
+    let body = response.data;
+    if (body && typeof body.pipe === "function") {
+      const chunks = [];
+      for await (const chunk of body) chunks.push(chunk);
+      body = Buffer.concat(chunks).toString("utf8");
+    }
+    const code = typeof body === "string" ? body.match(/<Code>([^<]+)<\/Code>/)?.[1] : null;
+    return new Error(`S3 ${operation} failed for ${key}: ${response.status}${code ? ` ${code}` : ""}`);
+  }
+
+  async put(key, body, options = {}) {
+    let data = typeof body === "string" ? Buffer.from(body) : body;
+
+    // S3 needs the length up front; buffer streams that do not declare it
+    if (!Buffer.isBuffer(data) && !options.contentLength) {
+      const chunks = [];
+      for await (const chunk of data) chunks.push(chunk);
+      data = Buffer.concat(chunks);
+    }
+
+    const size = Buffer.isBuffer(data) ? data.length : options.contentLength;
+    const response = await this.request("PUT", key, {
+      data,
+      payloadHash: Buffer.isBuffer(data) ? sha256(data) : UNSIGNED_PAYLOAD,
+      headers: {
+        "content-type": options.contentType || this.getContentType(key),
+        "content-length": String(size),
+      },
+    });
+
+    if (response.status !== 200) {
+      throw await this.requestError("put", key, response);
+    }
+    return { key: this.normalizeKey(key), size };
+  }
+
+  async stream(key, options = {}) {
+    const headers = {};
+    if (options.start !== undefined || options.end !== undefined) {
+      headers.range = `bytes=${options.start || 0}-${options.end ?? ""}`;
+    }
+
+    const response = await this.request("GET", key, { headers, responseType: "stream" });
+
+    if (response.status === 404) {
+      response.data.resume();
+      throw this.notFoundError(key);
+    }
+    if (response.status !== 200 && response.status !== 206) {
+      throw await this.requestError("get", key, response);
+    }
+    return response.data;
+  }
+
+  async stat(key) {
+    const response = await this.request("HEAD", key);
+
+    if (response.status === 404) return null;
+    if (response.status !== 200) {
+      throw await this.requestError("head", key, response);
+    }
+
+    return {
+      size: parseInt(response.headers["content-length"]) || 0,
+      lastModified: response.headers["last-modified"] ? new Date(response.headers["last-modified"]) : null,
+      contentType: response.headers["content-type"] || this.getContentType(key),
+    };
+  }
+
+  async delete(key) {
+    // S3 answers 204 whether or not the object existed
+    const existed = await this.exists(key);
+    const response = await this.request("DELETE", key);
+
+    if (response.status !== 204 && response.status !== 200) {
+      throw await this.requestError("delete", key, response);
+    }
+    return existed;
+  }
+
+  async signedUrl(key, options = {}) {
+    return presignUrl({
+      method: "GET",
+      url: this.getObjectUrl(key),
+      expiresIn: options.expiresIn || this.settings.signedUrlExpiresSeconds || 3600,
+      credentials: this.getCredentials(),
+      region: this.region,
+    });
+  }
+}
+
+module.exports = S3StorageAdapter;
+module.exports.signRequest = signRequest;
+module.exports.presignUrl = presignUrl;
+module.exports.encodeRfc3986 = encodeRfc3986;
@@ -0,0 +1,149 @@
+/**
+ * Base Telephony Adapter
+ * Common interface for cloud telephony providers
+ *
+ * Every adapter turns its provider's webhook payload into a normalized call
+ * event whose fields map directly onto the calls table, and supplies the
+ * request options needed to download that provider's recordings.
+ *
+ * Normalized call event:
+ * {
+ *   call_sid,          // Provider call ID (stored in calls.exotel_call_sid)
+ *   caller_number,
+ *   callee_number,
+ *   direction,         // One of the values allowed in calls.direction, or null
+ *   call_type,
+ *   recording_url,     // Only set for answered calls with a finished recording
+ *   duration_seconds,
+ *   agent_number,      // Number the call was connected to, if the provider sends it
+ *   status,            // "received", busy, failed, missed, no_answer, or null to ignore
+ *   provider_status,   // Raw provider status, for logs
+ * }
+ */
+
+const express = require("express");
+
+// Values allowed by the CHECK constraint on calls.direction
+const CALL_DIRECTIONS = ["incoming", "outgoing", "outgoing-dial", "inbound", "outbound"];
+
+/**
+ * Determine the status for a call event that has no recording
+ * Incoming calls that were not picked up are recorded as missed calls;
+ * busy and failed calls keep their own status in both directions.
+ *
+ * @param {Object} payload - Exotel-style fields (dial_call_status, status, call_type, direction)
+ * @returns {string|null} - Call status, or null if the event should be ignored
+ */
+const resolveUnansweredStatus = (payload) => {
+  const dialStatus = (payload.dial_call_status || payload.status || "").toLowerCase();
+  const callType = (payload.call_type || "").toLowerCase();
+  const direction = (payload.direction || "").toLowerCase();
+  const isIncoming = direction === "incoming" || direction === "inbound";
+
+  if (dialStatus === "busy") return "busy";
+  if (dialStatus === "failed" || callType === "failed") return "failed";
+
+  const notAnswered =
+    ["no-answer", "canceled", "cancelled"].includes(dialStatus) ||
+    ["incomplete", "call-attempt", "client-hangup", "no-answer"].includes(callType);
+
+  if (notAnswered) {
+    return isIncoming ? "missed" : "no_answer";
+  }
+
+  return null;
+};
+
+class BaseTelephonyAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name used in routes and calls.source
+   * @param {string} options.displayName - Human readable provider name
+   * @param {Object} [settings] - Provider configuration
+   */
+  constructor({ name, displayName }, settings = {}) {
+    this.name = name;
+    this.displayName = displayName || name;
+    this.settings = settings || {};
+  }
+
+  /**
+   * Call sources whose recordings this adapter knows how to download
+   * @returns {Array<string>}
+   */
+  getSources() {
+    return [this.name];
+  }
+
+  /**
+   * Body parser for this provider's webhook content type
+   * @returns {Function|Array<Function>} - Express middleware
+   */
+  getBodyParser() {
+    return express.json();
+  }
+
+  /**
+   * Read the provider call ID from a raw webhook payload
+   * @param {Object} payload - Raw webhook payload
+   * @returns {string|null}
+   */
+  getCallSid(payload) {
+    return payload?.call_sid || null;
+  }
+
+  /**
+   * Normalize a raw webhook payload into a call event
+   * @param {Object} payload - Raw webhook payload
+   * @returns {Object} - Normalized call event (see top of file)
+   */
+  normalizeWebhook(payload) {
+    throw new Error(`normalizeWebhook not implemented for provider: ${this.name}`);
+  }
+
+  /**
+   * Webhook guard settings (see createWebhookGuard)
+   * @returns {Object}
+   */
+  getWebhookAuth() {
+    return this.settings.webhookAuth || {};
+  }
+
+  /**
+   * Extra axios options (auth, headers) for downloading a recording
+   * @param {Object} call - Call record
+   * @returns {Object}
+   */
+  getRecordingRequestOptions(call) {
+    return {};
+  }
+
+  /**
+   * Map a provider direction onto the values allowed in calls.direction
+   * @param {string} value - Provider direction
+   * @param {Object} map - Provider-specific aliases
+   * @returns {string|null}
+   */
+  normalizeDirection(value, map = {}) {
+    const direction = String(value || "").trim().toLowerCase();
+    const mapped = map[direction] || direction;
+    return CALL_DIRECTIONS.includes(mapped) ? mapped : null;
+  }
+
+  /**
+   * Parse a duration in whole seconds
+   * @param {...*} values - Candidate values, first valid one wins
+   * @returns {number}
+   */
+  toSeconds(...values) {
+    for (const value of values) {
+      const seconds = parseInt(value);
+      if (Number.isFinite(seconds) && seconds > 0) return seconds;
+    }
+    return 0;
+  }
+}
+
+module.exports = BaseTelephonyAdapter;
+module.exports.resolveUnansweredStatus = resolveUnansweredStatus;
+module.exports.CALL_DIRECTIONS = CALL_DIRECTIONS;
@@ -0,0 +1,73 @@
+/**
+ * Exotel Telephony Adapter
+ * Passthru applet / status callback payloads are flat snake_case JSON
+ */
+
+const BaseTelephonyAdapter = require("./base.adapter");
+const { resolveUnansweredStatus } = BaseTelephonyAdapter;
+
+const DEFAULT_RECORDING_HOSTS = ["recordings.exotel.com", "recordings.exotel.in"];
+
+const DIRECTION_MAP = {
+  "outbound-api": "outbound",
+  "outbound-dial": "outgoing-dial",
+};
+
+class ExotelAdapter extends BaseTelephonyAdapter {
+  constructor(settings = {}) {
+    super({ name: "exotel", displayName: "Exotel" }, settings);
+  }
+
+  getSources() {
+    return ["exotel", "exotel_backfill"];
+  }
+
+  normalizeWebhook(payload = {}) {
+    // Exotel uses 'completed' for call_type and 'recording_url' (snake_case)
+    const hasRecording = payload.call_type === "completed" && !!payload.recording_url;
+
+    return {
+      call_sid: payload.call_sid || null,
+      caller_number: payload.from,
+      callee_number: payload.to,
+      direction: this.normalizeDirection(payload.direction, DIRECTION_MAP),
+      call_type: payload.call_type,
+      recording_url: hasRecording ? payload.recording_url : null,
+      duration_seconds: payload.on_call_duration || payload.dial_call_duration || 0,
+      agent_number: payload.dial_whom_number,
+      status: hasRecording ? "received" : resolveUnansweredStatus(payload),
+      provider_status: payload.dial_call_status || payload.call_type,
+    };
+  }
+
+  /**
+   * Exotel recordings are fetched with the API key and token (Basic Auth).
+   * Only links on Exotel's recording hosts get the credentials; any other
+   * recording_url (e.g. from a forged or mock webhook) is fetched without them.
+   * @param {Object} call - Call record
+   */
+  getRecordingRequestOptions(call) {
+    const { apiKey, apiToken } = this.settings;
+    if (!apiKey || !apiToken || !this.isRecordingUrl(call?.recording_url)) {
+      return {};
+    }
+    return { auth: { username: apiKey, password: apiToken } };
+  }
+
+  /**
+   * Check a URL points at an Exotel recording host over HTTPS
+   * @param {string} url
+   * @returns {boolean}
+   */
+  isRecordingUrl(url) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      const hosts = this.settings.recordingHosts || DEFAULT_RECORDING_HOSTS;
+      return protocol === "https:" && hosts.includes(hostname.toLowerCase());
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = ExotelAdapter;
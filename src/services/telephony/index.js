@@ -0,0 +1,24 @@
+/**
+ * Telephony Services Index
+ * Exports the provider adapters and the adapter registry
+ */
+
+const config = require("../../config");
+const BaseTelephonyAdapter = require("./base.adapter");
+const ExotelAdapter = require("./exotel.adapter");
+const TwilioAdapter = require("./twilio.adapter");
+const KnowlarityAdapter = require("./knowlarity.adapter");
+const TelephonyService = require("./telephony.service");
+
+module.exports = {
+  BaseTelephonyAdapter,
+  ExotelAdapter,
+  TwilioAdapter,
+  KnowlarityAdapter,
+  TelephonyService,
+  Telephony: new TelephonyService([
+    new ExotelAdapter(config.exotel),
+    new TwilioAdapter(config.twilio),
+    new KnowlarityAdapter(config.knowlarity),
+  ]),
+};
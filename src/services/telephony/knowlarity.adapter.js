@@ -0,0 +1,146 @@
+/**
+ * Knowlarity Telephony Adapter
+ * Handles SuperReceptionist call log push payloads
+ *
+ * Field names differ between Knowlarity accounts and API versions, so each
+ * value is read from the known aliases in order.
+ */
+
+const express = require("express");
+const BaseTelephonyAdapter = require("./base.adapter");
+const { resolveUnansweredStatus } = BaseTelephonyAdapter;
+
+const FIELD_ALIASES = {
+  callSid: ["uuid", "call_uuid", "call_id", "callid"],
+  customerNumber: ["caller_id", "customer_number", "caller"],
+  virtualNumber: ["dispnumber", "knowlarity_number", "did"],
+  agentNumber: ["destination", "agent_number", "agent"],
+  direction: ["call_type", "type", "direction"],
+  status: ["call_status", "business_call_type", "status"],
+  recordingUrl: ["resource_url", "call_recording", "recording_url"],
+  duration: ["call_duration", "duration", "billsec"],
+};
+
+// Recording links on this host are fetched with the API credentials
+const DEFAULT_API_HOST = "kpi.knowlarity.com";
+
+const DIRECTION_MAP = {
+  inbound: "incoming",
+  outbound: "outgoing",
+  "click-to-call": "outgoing",
+  c2c: "outgoing",
+};
+
+// Knowlarity call statuses mapped to the dial statuses used by resolveUnansweredStatus
+const STATUS_MAP = {
+  connected: "completed",
+  answered: "completed",
+  completed: "completed",
+  busy: "busy",
+  failed: "failed",
+  missed: "no-answer",
+  "not connected": "no-answer",
+  notconnected: "no-answer",
+  "no answer": "no-answer",
+  noanswer: "no-answer",
+  unanswered: "no-answer",
+  cancelled: "no-answer",
+};
+
+class KnowlarityAdapter extends BaseTelephonyAdapter {
+  constructor(settings = {}) {
+    super({ name: "knowlarity", displayName: "Knowlarity" }, settings);
+  }
+
+  /**
+   * Knowlarity sends JSON, but older accounts push form-encoded call logs
+   */
+  getBodyParser() {
+    return [express.json(), express.urlencoded({ extended: false })];
+  }
+
+  /**
+   * Read the first non-empty value among a field's aliases
+   * @param {Object} payload - Raw webhook payload
+   * @param {string} field - Key of FIELD_ALIASES
+   * @returns {string|null}
+   */
+  readField(payload, field) {
+    for (const key of FIELD_ALIASES[field]) {
+      const value = payload?.[key];
+      if (value !== undefined && value !== null && String(value).trim() !== "") {
+        return String(value).trim();
+      }
+    }
+    return null;
+  }
+
+  getCallSid(payload) {
+    return this.readField(payload, "callSid");
+  }
+
+  normalizeWebhook(payload = {}) {
+    const direction = this.normalizeDirection(this.readField(payload, "direction"), DIRECTION_MAP);
+    const rawStatus = (this.readField(payload, "status") || "").toLowerCase();
+    const dialStatus = STATUS_MAP[rawStatus] || rawStatus;
+    const recordingUrl = this.readField(payload, "recordingUrl");
+    const customerNumber = this.readField(payload, "customerNumber");
+    const virtualNumber = this.readField(payload, "virtualNumber");
+    const agentNumber = this.readField(payload, "agentNumber");
+
+    // Calls without a status but with a recording were answered
+    const hasRecording = !!recordingUrl && (dialStatus === "completed" || !dialStatus);
+    const isOutgoing = direction === "outgoing";
+
+    return {
+      call_sid: this.getCallSid(payload),
+      // Outgoing calls are placed from the agent's phone, incoming calls reach the virtual number
+      caller_number: isOutgoing ? agentNumber || virtualNumber : customerNumber,
+      callee_number: isOutgoing ? customerNumber : virtualNumber,
+      direction,
+      call_type: dialStatus || null,
+      recording_url: hasRecording ? recordingUrl : null,
+      duration_seconds: this.toSeconds(this.readField(payload, "duration")),
+      agent_number: agentNumber,
+      status: hasRecording
+        ? "received"
+        : resolveUnansweredStatus({ dial_call_status: dialStatus, direction }),
+      provider_status: rawStatus || null,
+    };
+  }
+
+  /**
+   * Knowlarity recording links on the API host need the API key and
+   * authorization token. Links on any other host (e.g. presigned S3 URLs,
+   * which reject an extra Authorization header) are fetched without them,
+   * so the credentials never leave Knowlarity.
+   * @param {Object} call - Call record
+   */
+  getRecordingRequestOptions(call) {
+    if (!this.isApiUrl(call?.recording_url)) {
+      return {};
+    }
+
+    const headers = {};
+    if (this.settings.apiKey) headers["x-api-key"] = this.settings.apiKey;
+    if (this.settings.authorization) headers.Authorization = this.settings.authorization;
+    return Object.keys(headers).length > 0 ? { headers } : {};
+  }
+
+  /**
+   * Check a URL points at the Knowlarity API host over HTTPS
+   * @param {string} url
+   * @returns {boolean}
+   */
+  isApiUrl(url) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      const apiHost = (this.settings.apiHost || DEFAULT_API_HOST).toLowerCase();
+      return protocol === "https:" && hostname.toLowerCase() === apiHost;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = KnowlarityAdapter;
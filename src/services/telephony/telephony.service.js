@@ -0,0 +1,102 @@
+/**
+ * Telephony Service
+ * Registry of telephony provider adapters
+ *
+ * Webhook routes, the webhook handler and the download worker look up the
+ * adapter for a provider (or for a call's source) here instead of reading
+ * vendor-specific fields themselves.
+ */
+
+const logger = require("../../utils/logger");
+
+class TelephonyService {
+  /**
+   * @param {Array<Object>} adapters - Adapters to register
+   * @param {Object} options
+   * @param {string} [options.defaultProvider] - Used for calls whose source has no adapter
+   */
+  constructor(adapters = [], options = {}) {
+    this.adapters = new Map();
+    this.defaultProvider = options.defaultProvider || "exotel";
+
+    for (const adapter of adapters) {
+      this.registerAdapter(adapter);
+    }
+  }
+
+  /**
+   * Register a provider adapter
+   * @param {Object} adapter - Adapter extending BaseTelephonyAdapter
+   */
+  registerAdapter(adapter) {
+    if (!adapter?.name || typeof adapter.normalizeWebhook !== "function") {
+      throw new Error("Telephony adapter must have a name and normalizeWebhook()");
+    }
+    this.adapters.set(adapter.name, adapter);
+    logger.debug(`Telephony adapter registered: ${adapter.name}`);
+  }
+
+  /**
+   * @param {string} provider - Provider name
+   * @returns {boolean}
+   */
+  hasAdapter(provider) {
+    return this.adapters.has(provider);
+  }
+
+  /**
+   * Get the adapter for a provider
+   * @param {string} provider - Provider name
+   * @returns {Object} - Adapter
+   */
+  getAdapter(provider) {
+    const adapter = this.adapters.get(provider);
+    if (!adapter) {
+      throw new Error(`Unknown telephony provider: ${provider}`);
+    }
+    return adapter;
+  }
+
+  /**
+   * @returns {Array<Object>} - Registered adapters
+   */
+  getAdapters() {
+    return Array.from(this.adapters.values());
+  }
+
+  /**
+   * @returns {Array<string>} - Registered provider names
+   */
+  getProviders() {
+    return Array.from(this.adapters.keys());
+  }
+
+  /**
+   * Find the adapter that owns a call, based on calls.source
+   * Calls from other sources (mock webhooks, uploads) use the default provider
+   * @param {Object} call - Call record
+   * @returns {Object} - Adapter
+   */
+  getAdapterForCall(call) {
+    const source = call?.source || this.defaultProvider;
+    const adapter = this.getAdapters().find((a) => a.getSources().includes(source));
+    return adapter || this.getAdapter(this.defaultProvider);
+  }
+
+  /**
+   * Get the axios options (auth, headers) for downloading a call's recording
+   * @param {Object} call - Call record
+   * @returns {Object}
+   */
+  getRecordingRequestOptions(call) {
+    const adapter = this.getAdapterForCall(call);
+    const options = adapter.getRecordingRequestOptions(call);
+
+    if (options.auth || options.headers) {
+      logger.info(`Using ${adapter.displayName} authentication for download`, { callId: call?.id });
+    }
+    return options;
+  }
+}
+
+module.exports = TelephonyService;
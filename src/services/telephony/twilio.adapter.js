@@ -0,0 +1,137 @@
+/**
+ * Twilio Telephony Adapter
+ * Handles call StatusCallback, <Dial> action and RecordingStatusCallback
+ * requests, which Twilio sends as form-encoded PascalCase fields
+ *
+ * Requests are verified with the X-Twilio-Signature header: an HMAC-SHA1 of
+ * the full webhook URL followed by every POST parameter, sorted by name.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const BaseTelephonyAdapter = require("./base.adapter");
+const { resolveUnansweredStatus } = BaseTelephonyAdapter;
+
+const DIRECTION_MAP = {
+  inbound: "incoming",
+  "outbound-api": "outbound",
+  "outbound-dial": "outgoing-dial",
+};
+
+/**
+ * Compute the expected X-Twilio-Signature for a request
+ * @param {string} authToken - Twilio auth token
+ * @param {string} url - Full URL Twilio posted to, including query string
+ * @param {Object} params - Parsed form-encoded body
+ * @returns {string} - Base64 signature
+ */
+const computeSignature = (authToken, url, params = {}) => {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + [].concat(params[key]).map((value) => key + value).join(""), url);
+
+  return crypto.createHmac("sha1", authToken).update(Buffer.from(data, "utf8")).digest("base64");
+};
+
+class TwilioAdapter extends BaseTelephonyAdapter {
+  constructor(settings = {}) {
+    super({ name: "twilio", displayName: "Twilio" }, settings);
+  }
+
+  getBodyParser() {
+    return express.urlencoded({ extended: false });
+  }
+
+  getCallSid(payload) {
+    return payload?.CallSid || null;
+  }
+
+  normalizeWebhook(payload = {}) {
+    const callStatus = (payload.DialCallStatus || payload.CallStatus || "").toLowerCase();
+    const direction = this.normalizeDirection(payload.Direction, DIRECTION_MAP);
+
+    // Recording callbacks carry no call status, only the recording's own status
+    const recordingReady =
+      !!payload.RecordingUrl && (!payload.RecordingStatus || payload.RecordingStatus === "completed");
+    const answered = callStatus === "completed" || callStatus === "answered" || !callStatus;
+
+    return {
+      call_sid: payload.CallSid || null,
+      caller_number: payload.From || null,
+      callee_number: payload.To || null,
+      direction,
+      call_type: callStatus || null,
+      recording_url: answered && recordingReady ? payload.RecordingUrl : null,
+      duration_seconds: this.toSeconds(
+        payload.RecordingDuration,
+        payload.DialCallDuration,
+        payload.CallDuration
+      ),
+      agent_number: null,
+      status:
+        answered && recordingReady
+          ? "received"
+          : resolveUnansweredStatus({ dial_call_status: callStatus, direction }),
+      provider_status: callStatus || payload.RecordingStatus,
+    };
+  }
+
+  /**
+   * Adds signature verification to the configured guards when an auth token is set
+   */
+  getWebhookAuth() {
+    const auth = { ...super.getWebhookAuth() };
+    if (this.settings.authToken && this.settings.validateSignature !== false) {
+      auth.verifySignature = (req) => this.verifySignature(req);
+    }
+    return auth;
+  }
+
+  /**
+   * Get the URL Twilio signed for a request
+   * Behind a proxy the public URL differs from what Express sees, so a
+   * configured base URL takes precedence over the request host
+   * @param {Object} req - Express request
+   * @returns {string}
+   */
+  getWebhookUrl(req) {
+    const base = this.settings.webhookBaseUrl
+      ? this.settings.webhookBaseUrl.replace(/\/+$/, "")
+      : `${req.protocol}://${req.get("host")}`;
+    return base + req.originalUrl;
+  }
+
+  /**
+   * Check the X-Twilio-Signature header of a request
+   * @param {Object} req - Express request with a parsed body
+   * @returns {Object} - { ok, reason }
+   */
+  verifySignature(req) {
+    const provided = req.headers["x-twilio-signature"];
+    if (!provided) {
+      return { ok: false, reason: "missing X-Twilio-Signature header" };
+    }
+
+    const expected = computeSignature(this.settings.authToken, this.getWebhookUrl(req), req.body);
+    const valid =
+      provided.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+
+    return valid ? { ok: true } : { ok: false, reason: "invalid X-Twilio-Signature" };
+  }
+
+  /**
+   * Twilio recordings are fetched with the account SID and auth token
+   * (required when "Enforce HTTP Auth on Media URLs" is enabled)
+   */
+  getRecordingRequestOptions() {
+    const { accountSid, authToken } = this.settings;
+    if (!accountSid || !authToken) {
+      return {};
+    }
+    return { auth: { username: accountSid, password: authToken } };
+  }
+}
+
+module.exports = TwilioAdapter;
+module.exports.computeSignature = computeSignature;
@@ -1,9 +1,31 @@
 /**
  * Base Transcription Service
  * Abstract base class for all transcription providers
+ *
+ * Providers implement transcribeFile() for a single request. transcribe()
+ * sends recordings longer than TRANSCRIPTION_CHUNK_SECONDS, or larger than the
+ * provider's maxFileSizeMB, as overlapping chunks instead: chunks are
+ * transcribed a few at a time, each one retried on its own, and stitched back
+ * together with times relative to the whole recording (see chunk-stitching.js).
+ * Recordings that cannot be cut (e.g. compressed audio without ffmpeg) are
+ * sent whole, as they were before chunking existed.
  */
 
+const fs = require("fs");
 const path = require("path");
+const appConfig = require("../../config");
+const logger = require("../../utils/logger");
+const { detectAudioFormat } = require("../audio/format-detector");
+const { planChunks, stitchChunks } = require("./chunk-stitching");
+
+const DEFAULT_CHUNKING = {
+  enabled: false,
+  chunkSeconds: 300,
+  overlapSeconds: 5,
+  concurrency: 3,
+  maxAttempts: 3,
+  backoffMs: 2000,
+};
 
 /**
  * @typedef {Object} TranscriptionResult
@@ -36,12 +58,25 @@ const path = require("path");
  * @property {number} [temperature] - Model temperature (0-1)
  */
 
+/**
+ * @typedef {Object} Chunk
+ * @property {number} index - Position in the recording
+ * @property {number} start - Start time in seconds
+ * @property {number} end - End time in seconds
+ * @property {number} keepFrom - Segments whose midpoint is from here...
+ * @property {number} keepTo - ...up to here are kept from this chunk
+ */
+
 class BaseTranscriptionService {
   constructor(config = {}) {
     this.config = config;
     this.providerName = "base";
     this.apiKey = null;
     this.model = null;
+    // Upload limit, if the provider has one; larger recordings are chunked
+    this.maxFileSizeMB = null;
+    this.chunking = { ...DEFAULT_CHUNKING, ...appConfig.transcription?.chunking, ...config.chunking };
+    this.audioProcessing = config.audioProcessing || null;
   }
 
   /**
@@ -53,13 +88,224 @@ class BaseTranscriptionService {
   }
 
   /**
-   * Transcribe audio file
+   * Transcribe audio file, in chunks when it is long
    * @param {string} audioPath - Path to audio file
    * @param {TranscriptionOptions} options - Transcription options
-   * @returns {Promise<TranscriptionResult>}
+   * @returns {Promise<TranscriptionResult>} - With { chunks } when the recording was chunked
    */
   async transcribe(audioPath, options = {}) {
-    throw new Error("transcribe() must be implemented by provider");
+    const chunks = this.planChunks(audioPath);
+    if (chunks.length < 2) {
+      return this.transcribeFile(audioPath, options);
+    }
+
+    if (!this.getAudioProcessing().canClip(audioPath)) {
+      logger.warn("Recording cannot be cut into chunks, sending it whole", {
+        audioPath,
+        provider: this.providerName,
+      });
+      return this.transcribeFile(audioPath, options);
+    }
+
+    try {
+      return await this.transcribeChunks(audioPath, chunks, options);
+    } catch (error) {
+      if (!error.clipFailed) {
+        throw error;
+      }
+      logger.warn("Cutting recording into chunks failed, sending it whole", {
+        audioPath,
+        provider: this.providerName,
+        error: error.message,
+      });
+      return this.transcribeFile(audioPath, options);
+    }
+  }
+
+  /**
+   * Transcribe audio file in a single request
+   * @param {string} audioPath - Path to audio file
+   * @param {TranscriptionOptions} options - Transcription options
+   * @returns {Promise<TranscriptionResult>}
+   */
+  async transcribeFile(audioPath, options = {}) {
+    throw new Error("transcribeFile() must be implemented by provider");
+  }
+
+  /**
+   * Get the audio processing service chunks are cut with
+   * Loaded lazily so providers can be loaded without the audio pipeline
+   * @returns {Object} - AudioProcessingService
+   */
+  getAudioProcessing() {
+    if (!this.audioProcessing) {
+      this.audioProcessing = require("../audio").AudioProcessing;
+    }
+    return this.audioProcessing;
+  }
+
+  /**
+   * Get the chunk length for a recording
+   * Shorter than configured when chunks would exceed the provider's upload limit.
+   * @param {Object} info - detectAudioFormat result
+   * @returns {number} - Seconds
+   */
+  getChunkSeconds(info) {
+    const { chunkSeconds } = this.chunking;
+    if (!this.maxFileSizeMB || !info.sizeBytes) return chunkSeconds;
+
+    // Chunks of compressed audio are re-encoded as 16-bit PCM WAV, so use the larger byte rate
+    const bytesPerSecond = Math.max(
+      info.sizeBytes / info.durationSeconds,
+      (info.sampleRate || 16000) * (info.channels || 1) * 2
+    );
+    const fitSeconds = Math.floor((this.maxFileSizeMB * 1024 * 1024 * 0.95) / bytesPerSecond);
+    return Math.max(1, Math.min(chunkSeconds, fitSeconds));
+  }
+
+  /**
+   * Plan the chunks a recording is transcribed in
+   * @param {string} audioPath - Path to audio file
+   * @returns {Array<Chunk>} - Empty when the recording is sent whole
+   */
+  planChunks(audioPath) {
+    if (!this.chunking.enabled || !fs.existsSync(audioPath)) return [];
+
+    const info = detectAudioFormat(audioPath);
+    if (!info || !info.durationSeconds) return [];
+
+    const chunkSeconds = this.getChunkSeconds(info);
+    if (info.durationSeconds <= chunkSeconds) return [];
+
+    return planChunks(info.durationSeconds, chunkSeconds, this.chunking.overlapSeconds);
+  }
+
+  /**
+   * Transcribe chunks a few at a time and stitch the results
+   * No further chunks are started once one has failed every attempt.
+   * @param {string} audioPath - Path to audio file
+   * @param {Array<Chunk>} chunks - planChunks result
+   * @param {TranscriptionOptions} options - Transcription options
+   * @returns {Promise<TranscriptionResult>}
+   * @throws {Error} - The error of the first chunk that failed every attempt
+   */
+  async transcribeChunks(audioPath, chunks, options = {}) {
+    const startTime = Date.now();
+    const results = new Array(chunks.length);
+    let failure = null;
+    let next = 0;
+
+    logger.info("Transcribing recording in chunks", {
+      audioPath,
+      provider: this.providerName,
+      chunks: chunks.length,
+      chunkSeconds: chunks[0].end - chunks[0].start,
+      concurrency: this.chunking.concurrency,
+    });
+
+    const runWorker = async () => {
+      while (!failure && next < chunks.length) {
+        const chunk = chunks[next++];
+        try {
+          results[chunk.index] = await this.transcribeChunk(audioPath, chunk, chunks.length, options);
+        } catch (error) {
+          failure = failure || error;
+        }
+      }
+    };
+    const workers = Math.max(1, Math.min(this.chunking.concurrency, chunks.length));
+    await Promise.all(Array.from({ length: workers }, runWorker));
+
+    if (failure) {
+      throw failure;
+    }
+
+    const stitched = stitchChunks(chunks, results.map(({ result }) => result));
+    const processingTime = Date.now() - startTime;
+
+    logger.info("Chunked transcription completed", {
+      audioPath,
+      provider: this.providerName,
+      chunks: chunks.length,
+      retriedChunks: results.filter(({ attempts }) => attempts > 1).length,
+      processingTimeMs: processingTime,
+    });
+
+    return {
+      ...stitched,
+      wordCount: this.countWords(stitched.text),
+      processingTimeMs: processingTime,
+      model: results[0].result.model || this.model,
+      provider: this.providerName,
+      chunks: chunks.map((chunk, index) => ({
+        index: chunk.index,
+        start: chunk.start,
+        end: chunk.end,
+        attempts: results[index].attempts,
+        processingTimeMs: results[index].result.processingTimeMs ?? null,
+      })),
+      raw: { chunks: results.map(({ result }) => result.raw ?? null) },
+    };
+  }
+
+  /**
+   * Cut and transcribe one chunk, retrying it on its own
+   * @param {string} audioPath - Path to audio file
+   * @param {Chunk} chunk
+   * @param {number} total - Number of chunks
+   * @param {TranscriptionOptions} options - Transcription options
+   * @returns {Promise<Object>} - { result, attempts }
+   */
+  async transcribeChunk(audioPath, chunk, total, options = {}) {
+    const parsed = path.parse(audioPath);
+    let chunkPath;
+    try {
+      chunkPath = await this.getAudioProcessing().clip(audioPath, chunk.end - chunk.start, {
+        start: chunk.start,
+        outputPath: path.join(parsed.dir, `${parsed.name}.${this.providerName}.chunk${chunk.index}.wav`),
+      });
+    } catch (error) {
+      // transcribe() falls back to a single request
+      error.clipFailed = true;
+      throw error;
+    }
+
+    try {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          const result = await this.transcribeFile(chunkPath, options);
+          return { result, attempts: attempt };
+        } catch (error) {
+          if (attempt >= this.chunking.maxAttempts) {
+            // Keep the provider's message so rate limits are still recognised
+            error.message = `Chunk ${chunk.index + 1}/${total} (${chunk.start}s-${chunk.end}s) failed: ${error.message}`;
+            throw error;
+          }
+
+          const delay = this.chunking.backoffMs * 2 ** (attempt - 1);
+          logger.warn("Chunk transcription failed, retrying", {
+            audioPath,
+            provider: this.providerName,
+            chunk: chunk.index,
+            attempt,
+            delayMs: delay,
+            error: error.message,
+          });
+          await this.sleep(delay);
+        }
+      }
+    } finally {
+      fs.rmSync(chunkPath, { force: true });
+    }
+  }
+
+  /**
+   * Wait between chunk attempts
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
   /**
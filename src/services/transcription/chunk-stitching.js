@@ -0,0 +1,127 @@
+/**
+ * Chunk Stitching
+ * Plans overlapping chunks of a long recording and stitches their transcripts back together
+ *
+ * Chunk k starts at k * (chunkSeconds - overlapSeconds), so neighbouring
+ * chunks share overlapSeconds of audio and no word is lost at a cut. Each
+ * overlap is resolved at its midpoint: segment times are offset by their
+ * chunk's start, and a segment is kept by the chunk whose side of the cut its
+ * midpoint falls on. Chunks without timed segments are joined on their text,
+ * dropping the longest run of words (two or more) the previous chunk ended
+ * with and the next one starts with.
+ *
+ * Diarization speaker labels are assigned per chunk by the provider, so the
+ * same label in two chunks is not guaranteed to be the same speaker.
+ */
+
+const { tokenize, joinTokens, normalizeWord } = require("./transcript-alignment");
+
+// Longest word run looked for when joining untimed chunk texts
+const MAX_OVERLAP_WORDS = 50;
+
+const roundSeconds = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Split a recording into overlapping chunks
+ * @param {number} durationSeconds - Length of the recording
+ * @param {number} chunkSeconds - Length of each chunk
+ * @param {number} overlapSeconds - Audio shared by neighbouring chunks
+ * @returns {Array<Object>} - [{ index, start, end, keepFrom, keepTo }] in seconds;
+ *   a chunk's segments are kept when their midpoint is in [keepFrom, keepTo)
+ */
+const planChunks = (durationSeconds, chunkSeconds, overlapSeconds = 0) => {
+  const overlap = overlapSeconds > 0 && overlapSeconds < chunkSeconds ? overlapSeconds : 0;
+  const step = chunkSeconds - overlap;
+  const count = Math.max(1, Math.ceil((durationSeconds - overlap) / step));
+
+  return Array.from({ length: count }, (_, index) => {
+    const start = index * step;
+    return {
+      index,
+      start: roundSeconds(start),
+      end: roundSeconds(Math.min(start + chunkSeconds, durationSeconds)),
+      keepFrom: index === 0 ? 0 : roundSeconds(start + overlap / 2),
+      keepTo: index === count - 1 ? Infinity : roundSeconds(start + step + overlap / 2),
+    };
+  });
+};
+
+/**
+ * Count the words one transcript ends with and the next starts with
+ * @param {Array<string>} previous - Words so far
+ * @param {Array<string>} next - Words of the next chunk
+ * @param {number} [maxWords]
+ * @returns {number} - Words to drop from the start of next (0, or 2 and up)
+ */
+const findOverlap = (previous, next, maxWords = MAX_OVERLAP_WORDS) => {
+  const limit = Math.min(maxWords, previous.length, next.length);
+
+  for (let size = limit; size > 1; size--) {
+    let matches = true;
+    for (let i = 0; i < size; i++) {
+      if (normalizeWord(previous[previous.length - size + i]) !== normalizeWord(next[i])) {
+        matches = false;
+        break;
+      }
+    }
+    if (matches) return size;
+  }
+  return 0;
+};
+
+/**
+ * Stitch chunk transcripts into one result
+ * @param {Array<Object>} chunks - planChunks output
+ * @param {Array<Object>} results - Transcription result per chunk, with times relative to the chunk
+ * @returns {Object} - { text, language, duration, segments, confidence }
+ */
+const stitchChunks = (chunks, results) => {
+  const segments = [];
+  let words = [];
+  let confidenceSum = 0;
+  let confidenceWeight = 0;
+
+  results.forEach((result, index) => {
+    const chunk = chunks[index];
+    const chunkSegments = result.segments || [];
+
+    if (chunkSegments.length > 0) {
+      const kept = chunkSegments
+        .map((segment) => ({
+          ...segment,
+          start: roundSeconds((segment.start || 0) + chunk.start),
+          end: roundSeconds((segment.end || 0) + chunk.start),
+        }))
+        .filter((segment) => {
+          const midpoint = (segment.start + segment.end) / 2;
+          return midpoint >= chunk.keepFrom && midpoint < chunk.keepTo;
+        });
+
+      segments.push(...kept);
+      words = words.concat(tokenize(kept.map((segment) => segment.text || "").join(" ")));
+    } else {
+      const chunkWords = tokenize(result.text);
+      words = words.concat(chunkWords.slice(findOverlap(words, chunkWords)));
+    }
+
+    if (typeof result.confidence === "number") {
+      const weight = chunk.end - chunk.start;
+      confidenceSum += result.confidence * weight;
+      confidenceWeight += weight;
+    }
+  });
+
+  return {
+    text: joinTokens(words),
+    language: (results.find((result) => result.language) || {}).language || null,
+    duration: chunks[chunks.length - 1].end,
+    segments: segments.map((segment, id) => ({ ...segment, id })),
+    confidence: confidenceWeight > 0 ? Math.round((confidenceSum / confidenceWeight) * 1000) / 1000 : null,
+  };
+};
+
+module.exports = {
+  planChunks,
+  findOverlap,
+  stitchChunks,
+};
@@ -0,0 +1,213 @@
+/**
+ * Dual-Channel Transcription Service
+ * Transcribes stereo call recordings one channel at a time
+ *
+ * Telephony providers that record in dual channel put the agent and the
+ * customer on separate channels. With AUDIO_STEREO_SPLIT=true each channel
+ * is split into a mono file and transcribed on its own, and the segments are
+ * merged by start time with the speaker taken from the channel
+ * (AUDIO_CHANNEL_SPEAKERS) instead of provider diarization. Mono recordings,
+ * or any recording when splitting is off, go to the transcriber unchanged.
+ */
+
+const fs = require("fs");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { AudioProcessing, detectAudioFormat } = require("../audio");
+
+class DualChannelTranscriptionService {
+  /**
+   * @param {Object} options - { transcriber, audioProcessing, enabled, channelSpeakers }
+   */
+  constructor(options = {}) {
+    this.transcriber = options.transcriber || null;
+    this.audioProcessing = options.audioProcessing || AudioProcessing;
+    this.enabled = options.enabled ?? !!config.audio.stereoSplit;
+    this.channelSpeakers = options.channelSpeakers || config.audio.channelSpeakers || ["agent", "customer"];
+  }
+
+  /**
+   * Get the transcriber used for each file
+   * Defaults to the provider failover manager, so each channel fails over on its own.
+   * Loaded lazily because the services index loads this module
+   * @returns {Object} - Anything with transcribe(audioPath, options)
+   */
+  getTranscriber() {
+    if (!this.transcriber) {
+      this.transcriber = require("..").Transcriber;
+    }
+    return this.transcriber;
+  }
+
+  /**
+   * Get the speaker label for a channel
+   * @param {number} channel - Channel index (0 = left)
+   * @returns {string}
+   */
+  getSpeaker(channel) {
+    return this.channelSpeakers[channel] || `channel_${channel}`;
+  }
+
+  /**
+   * Check if a recording should be transcribed per channel
+   * @param {string} audioPath - Path to the audio file
+   * @param {number} [channels] - Known channel count (e.g. calls.audio_channels)
+   * @returns {boolean}
+   */
+  shouldSplit(audioPath, channels) {
+    if (!this.enabled) return false;
+
+    const count = channels ?? detectAudioFormat(audioPath)?.channels;
+    return count === 2;
+  }
+
+  /**
+   * Transcribe a recording, per channel when it is stereo and splitting is on
+   * @param {string} audioPath - Path to the audio file
+   * @param {Object} options - Transcription options, plus { channels }
+   * @returns {Promise<Object>} - Transcription result
+   */
+  async transcribe(audioPath, options = {}) {
+    const { channels, ...transcriptionOptions } = options;
+
+    if (!this.shouldSplit(audioPath, channels)) {
+      return this.getTranscriber().transcribe(audioPath, transcriptionOptions);
+    }
+    return this.transcribeChannels(audioPath, transcriptionOptions);
+  }
+
+  /**
+   * Split a stereo recording and transcribe each channel
+   * @param {string} audioPath - Path to the stereo file
+   * @param {Object} options - Transcription options
+   * @returns {Promise<Object>} - Merged transcription result
+   */
+  async transcribeChannels(audioPath, options = {}) {
+    const startTime = Date.now();
+    const channelFiles = await this.audioProcessing.splitChannels(audioPath);
+
+    logger.info("Transcribing channels separately", {
+      audioPath,
+      speakers: channelFiles.map(({ channel }) => this.getSpeaker(channel)),
+    });
+
+    try {
+      // Each channel has a single speaker, so diarization would only add noise
+      const channelResults = await Promise.all(
+        channelFiles.map(async ({ channel, filePath }) => ({
+          channel,
+          result: await this.getTranscriber().transcribe(filePath, { ...options, diarize: false }),
+        }))
+      );
+
+      return this.mergeChannelResults(channelResults, Date.now() - startTime);
+    } finally {
+      channelFiles.forEach(({ filePath }) => fs.rmSync(filePath, { force: true }));
+    }
+  }
+
+  /**
+   * Merge per-channel results into one transcript ordered by time
+   * @param {Array<Object>} channelResults - [{ channel, result }]
+   * @param {number} processingTimeMs - Total time including the split
+   * @returns {Object} - Transcription result with speaker-labelled segments
+   */
+  mergeChannelResults(channelResults, processingTimeMs) {
+    const segments = channelResults
+      .flatMap(({ channel, result }) => this.getChannelSegments(result).map((segment) => ({
+        ...segment,
+        speaker: this.getSpeaker(channel),
+        channel,
+      })))
+      .sort((a, b) => a.start - b.start || a.channel - b.channel)
+      .map((segment, index) => ({ ...segment, id: index }));
+
+    const text = this.buildTurns(segments)
+      .map((turn) => `${this.formatSpeaker(turn.speaker)}: ${turn.text}`)
+      .join("\n");
+
+    // The channel with the most speech decides the language
+    const primary = channelResults
+      .map(({ result }) => result)
+      .sort((a, b) => (b.wordCount || 0) - (a.wordCount || 0))[0];
+    const confidences = channelResults.map(({ result }) => result.confidence).filter((c) => typeof c === "number");
+    const providers = [...new Set(channelResults.map(({ result }) => result.provider).filter(Boolean))];
+    const attempts = channelResults.flatMap(({ channel, result }) =>
+      (result.attempts || []).map((attempt) => ({ ...attempt, channel }))
+    );
+
+    return {
+      text,
+      language: primary.language,
+      duration: Math.max(0, ...channelResults.map(({ result }) => result.duration || 0)),
+      segments,
+      wordCount: channelResults.reduce((sum, { result }) => sum + (result.wordCount || 0), 0),
+      confidence: confidences.length > 0 ? confidences.reduce((a, b) => a + b, 0) / confidences.length : null,
+      processingTimeMs,
+      model: primary.model,
+      provider: providers.join("+"),
+      speakerSource: "channel",
+      attempts,
+      failedProviders: [...new Set(attempts.filter((attempt) => !attempt.success).map((attempt) => attempt.provider))],
+      channels: channelResults.map(({ channel, result }) => ({
+        channel,
+        speaker: this.getSpeaker(channel),
+        provider: result.provider,
+        failedProviders: result.failedProviders || [],
+        language: result.language,
+        wordCount: result.wordCount || 0,
+        duration: result.duration || 0,
+        processingTimeMs: result.processingTimeMs,
+      })),
+    };
+  }
+
+  /**
+   * Get the timed segments of a channel result
+   * Whitespace-only entries (word-level spacing) are dropped; a result with
+   * text but no segments becomes a single segment.
+   * @param {Object} result - Transcription result
+   * @returns {Array<Object>}
+   */
+  getChannelSegments(result) {
+    const segments = (result.segments || []).filter((segment) => segment.text && segment.text.trim());
+    if (segments.length === 0 && result.text && result.text.trim()) {
+      return [{ start: 0, end: result.duration || 0, text: result.text.trim() }];
+    }
+    return segments;
+  }
+
+  /**
+   * Group consecutive segments of the same speaker into turns
+   * @param {Array<Object>} segments - Time-ordered segments
+   * @returns {Array<Object>} - [{ speaker, start, end, text }]
+   */
+  buildTurns(segments) {
+    const turns = [];
+    for (const segment of segments) {
+      const last = turns[turns.length - 1];
+      if (last && last.speaker === segment.speaker) {
+        last.parts.push(segment.text);
+        last.end = segment.end;
+      } else {
+        turns.push({ speaker: segment.speaker, start: segment.start, end: segment.end, parts: [segment.text] });
+      }
+    }
+
+    return turns.map(({ parts, ...turn }) => ({
+      ...turn,
+      text: parts.join(" ").replace(/\s+/g, " ").trim(),
+    }));
+  }
+
+  /**
+   * Format a speaker label for transcript text (agent -> Agent)
+   * @param {string} speaker
+   * @returns {string}
+   */
+  formatSpeaker(speaker) {
+    return speaker.charAt(0).toUpperCase() + speaker.slice(1).replace(/_/g, " ");
+  }
+}
+
+module.exports = DualChannelTranscriptionService;
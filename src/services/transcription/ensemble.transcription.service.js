@@ -0,0 +1,248 @@
+/**
+ * Ensemble Transcription Service
+ * Transcribes high-value calls with several providers and builds a consensus transcript
+ *
+ * With TRANSCRIPTION_ENSEMBLE_ENABLED=true, calls that are long enough (and
+ * matched to a CRM lead when TRANSCRIPTION_ENSEMBLE_LEADS_ONLY=true) are
+ * transcribed by each ensemble provider in parallel. The outputs are aligned
+ * word by word and voted into a consensus (see transcript-alignment.js).
+ * Speaker segments and word timings come from the pivot candidate, the one
+ * that agrees most with the others.
+ *
+ * Every candidate is returned with the consensus so it can be stored with the
+ * transcript, and calls whose providers agree less than minAgreement are
+ * flagged for review. When fewer than two providers return a transcript the
+ * single result is used and no agreement is reported.
+ */
+
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { buildConsensus, tokenize } = require("./transcript-alignment");
+
+/**
+ * Count words, leaving out line breaks between turns
+ * @param {string} text
+ * @returns {number}
+ */
+const countWords = (text) => tokenize(text).filter((token) => token !== "\n").length;
+
+class EnsembleTranscriptionService {
+  /**
+   * @param {Object} options - Overrides for config.transcription.ensemble, plus { transcriber, manager, transcripts }
+   */
+  constructor(options = {}) {
+    const settings = { ...config.transcription.ensemble, ...options };
+    this.enabled = !!settings.enabled;
+    this.providers = settings.providers || [];
+    this.size = settings.size || 3;
+    this.minDurationSeconds = settings.minDurationSeconds || 0;
+    this.leadsOnly = !!settings.leadsOnly;
+    this.minAgreement = settings.minAgreement ?? 0.6;
+    this.transcriber = options.transcriber || null;
+    this.manager = options.manager || null;
+    this.transcripts = options.transcripts || null;
+  }
+
+  /**
+   * Get the transcript model flagged calls are read from
+   * @returns {Object} - TranscriptModel
+   */
+  getTranscriptModel() {
+    if (!this.transcripts) {
+      this.transcripts = require("../../models").Transcript;
+    }
+    return this.transcripts;
+  }
+
+  /**
+   * Get the transcriber each candidate is produced with
+   * Defaults to dual-channel transcription, so stereo calls keep channel speakers.
+   * Loaded lazily because the services index loads this module
+   * @returns {Object} - Anything with transcribe(audioPath, options)
+   */
+  getTranscriber() {
+    if (!this.transcriber) {
+      this.transcriber = require("..").DualChannelTranscription;
+    }
+    return this.transcriber;
+  }
+
+  /**
+   * Get the provider manager, used to find which providers are configured
+   * @returns {Object} - TranscriptionManager
+   */
+  getManager() {
+    if (!this.manager) {
+      this.manager = require("..").Transcriber;
+    }
+    return this.manager;
+  }
+
+  /**
+   * Check if a call should be transcribed by the ensemble
+   * @param {Object} call - Call record
+   * @returns {boolean}
+   */
+  isHighValue(call) {
+    if (!this.enabled) return false;
+
+    const duration = call.audio_duration_seconds || call.duration_seconds || 0;
+    if (duration < this.minDurationSeconds) return false;
+    if (this.leadsOnly && !call.lead_id) return false;
+
+    return this.getEnsembleProviders().length >= 2;
+  }
+
+  /**
+   * Get the configured providers to run
+   * @param {Array<string>} [priority] - Routed provider priority, used when no ensemble providers are set
+   * @returns {Array<string>}
+   */
+  getEnsembleProviders(priority) {
+    if (this.providers.length > 0) {
+      return this.getManager().getProviderOrder(this.providers);
+    }
+    return this.getManager().getProviderOrder(priority).slice(0, this.size);
+  }
+
+  /**
+   * Transcribe with every ensemble provider and build the consensus
+   * @param {string} audioPath - Path to the audio file
+   * @param {Object} options - Transcription options, plus { providers } routed priority and { channels }
+   * @returns {Promise<Object>} - Transcription result with the consensus text, plus
+   *   { candidates, agreement, lowAgreement, consensus }
+   * @throws {Error} - When every provider failed
+   */
+  async transcribe(audioPath, options = {}) {
+    const { providers: priority, ...transcriptionOptions } = options;
+    const providers = this.getEnsembleProviders(priority);
+    const startTime = Date.now();
+
+    logger.info("Starting ensemble transcription", { audioPath, providers });
+
+    const settled = await Promise.all(
+      providers.map(async (provider) => {
+        try {
+          const result = await this.getTranscriber().transcribe(audioPath, { ...transcriptionOptions, providers: [provider] });
+          return { provider, result };
+        } catch (error) {
+          logger.warn("Ensemble provider failed", { audioPath, provider, error: error.message });
+          return { provider, error };
+        }
+      })
+    );
+
+    const succeeded = settled.filter(({ result }) => result);
+    const attempts = settled.flatMap(({ provider, result, error }) =>
+      (result || error).attempts || [{ provider, success: false, reason: "error", error: error.message }]
+    );
+    const failedProviders = settled.filter(({ error }) => error).map(({ provider }) => provider);
+
+    if (succeeded.length === 0) {
+      const error = new Error(
+        `All ensemble providers failed: ${settled.map(({ provider, error }) => `${provider} (${error.message})`).join("; ")}`
+      );
+      error.attempts = attempts;
+      throw error;
+    }
+
+    if (succeeded.length === 1) {
+      logger.warn("Only one ensemble provider succeeded, no consensus built", { audioPath, failedProviders });
+      return {
+        ...succeeded[0].result,
+        attempts,
+        failedProviders,
+        candidates: this.toCandidates(succeeded, null),
+        agreement: null,
+        lowAgreement: false,
+        consensus: null,
+      };
+    }
+
+    const consensus = buildConsensus(succeeded.map(({ result }) => result.text));
+    const pivot = succeeded[consensus.pivot].result;
+    const lowAgreement = consensus.agreement < this.minAgreement;
+
+    if (lowAgreement) {
+      logger.warn("Ensemble providers disagree", {
+        audioPath,
+        agreement: consensus.agreement,
+        minAgreement: this.minAgreement,
+        providers: succeeded.map(({ provider }) => provider),
+      });
+    }
+
+    logger.info("Ensemble transcription completed", {
+      audioPath,
+      providers: succeeded.map(({ provider }) => provider),
+      pivot: succeeded[consensus.pivot].provider,
+      agreement: consensus.agreement,
+    });
+
+    return {
+      ...pivot,
+      text: consensus.text,
+      wordCount: countWords(consensus.text),
+      provider: `ensemble:${succeeded.map(({ provider }) => provider).join("+")}`,
+      processingTimeMs: Date.now() - startTime,
+      attempts,
+      failedProviders,
+      candidates: this.toCandidates(succeeded, consensus),
+      agreement: consensus.agreement,
+      lowAgreement,
+      consensus: {
+        pivot: succeeded[consensus.pivot].provider,
+        minAgreement: this.minAgreement,
+        pairwise: consensus.pairwise.map(({ a, b, agreement }) => ({
+          providers: [succeeded[a].provider, succeeded[b].provider],
+          agreement,
+        })),
+      },
+    };
+  }
+
+  /**
+   * List calls whose ensemble providers disagreed, least agreement first
+   * @param {Object} options - { page, limit, org_id, agent_id }
+   * @returns {Object} - { transcripts, pagination }
+   */
+  getLowAgreementCalls(options = {}) {
+    const { page = 1, limit = 50, ...filters } = options;
+    const Transcript = this.getTranscriptModel();
+
+    const transcripts = Transcript.findLowAgreement({ limit, offset: (page - 1) * limit, ...filters });
+    const total = Transcript.countLowAgreement(filters);
+
+    return {
+      transcripts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Summarize provider outputs for storage
+   * @param {Array<Object>} succeeded - [{ provider, result }]
+   * @param {Object|null} consensus - buildConsensus result
+   * @returns {Array<Object>} - [{ provider, model, text, language, wordCount, confidence,
+   *   processingTimeMs, agreement }] (agreement with the consensus)
+   */
+  toCandidates(succeeded, consensus) {
+    return succeeded.map(({ provider, result }, index) => ({
+      provider,
+      model: result.model || null,
+      text: result.text,
+      language: result.language || null,
+      wordCount: result.wordCount || countWords(result.text),
+      confidence: result.confidence ?? null,
+      processingTimeMs: result.processingTimeMs || null,
+      agreement: consensus ? consensus.candidateAgreement[index] : null,
+    }));
+  }
+}
+
+module.exports = EnsembleTranscriptionService;
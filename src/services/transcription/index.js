@@ -5,18 +5,31 @@
 
 const BaseTranscriptionService = require("./base.transcription.service");
 const TranscriptionManager = require("./transcription.manager");
+const DualChannelTranscriptionService = require("./dual-channel.transcription.service");
+const LanguageRoutingService = require("./language-routing.service");
+const EnsembleTranscriptionService = require("./ensemble.transcription.service");
 const {
   GroqProvider,
   ElevenLabsProvider,
   SarvamProvider,
   GoogleProvider,
   AzureProvider,
+  WhisperProvider,
 } = require("./providers");
 
 module.exports = {
   // Main orchestrator
   TranscriptionManager,
 
+  // Per-channel transcription of stereo recordings
+  DualChannelTranscriptionService,
+
+  // Provider selection by expected call language
+  LanguageRoutingService,
+
+  // Consensus transcripts from several providers for high-value calls
+  EnsembleTranscriptionService,
+
   // Base class for custom providers
   BaseTranscriptionService,
 
@@ -27,5 +40,6 @@ module.exports = {
     SarvamProvider,
     GoogleProvider,
     AzureProvider,
+    WhisperProvider,
   },
 };
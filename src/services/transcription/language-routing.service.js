@@ -0,0 +1,268 @@
+/**
+ * Language Routing Service
+ * Picks the transcription providers for a call from its expected language
+ *
+ * Providers differ a lot per language: Sarvam is tuned for code-mixed Indian
+ * speech while Groq's Whisper does poorly on Malayalam. The expected language
+ * is taken from, in order:
+ *   1. the agent's profile (users.language)
+ *   2. the organization default (organizations.settings.transcription_language)
+ *   3. a language-ID pass on the first seconds of audio (TRANSCRIPTION_LANGUAGE_DETECTION=true)
+ *   4. TRANSCRIPTION_DEFAULT_LANGUAGE
+ * and mapped to a provider priority by config.transcription.languageRules.
+ * Languages without a rule use the default priority. The decision is stored
+ * with the transcript (transcripts.stt_routing).
+ */
+
+const fs = require("fs");
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { AudioProcessing } = require("../audio");
+
+// Language names and ISO 639-2/3 codes providers report, by ISO 639-1 code
+const LANGUAGE_ALIASES = {
+  en: ["english", "eng"],
+  hi: ["hindi", "hin"],
+  ml: ["malayalam", "mal"],
+  ta: ["tamil", "tam"],
+  te: ["telugu", "tel"],
+  kn: ["kannada", "kan"],
+  bn: ["bengali", "bangla", "ben"],
+  mr: ["marathi", "mar"],
+  gu: ["gujarati", "guj"],
+  pa: ["punjabi", "panjabi", "pan"],
+  or: ["odia", "oriya", "ori", "ory", "od"],
+  as: ["assamese", "asm"],
+  ur: ["urdu", "urd"],
+};
+
+const ALIAS_LOOKUP = Object.entries(LANGUAGE_ALIASES).reduce((lookup, [code, aliases]) => {
+  aliases.forEach((alias) => {
+    lookup[alias] = code;
+  });
+  return lookup;
+}, {});
+
+/**
+ * Normalize a language to an ISO 639-1 code
+ * Accepts codes with a region (ml-IN), names (Malayalam) and 3-letter codes (mal).
+ * @param {string} value
+ * @returns {string|null} - Code, or null if it is not recognised
+ */
+const normalizeLanguage = (value) => {
+  if (typeof value !== "string") return null;
+
+  const language = value.trim().toLowerCase().replace(/_/g, "-");
+  if (!language) return null;
+  if (ALIAS_LOOKUP[language]) return ALIAS_LOOKUP[language];
+
+  const base = language.split("-")[0];
+  if (ALIAS_LOOKUP[base]) return ALIAS_LOOKUP[base];
+  return /^[a-z]{2}$/.test(base) ? base : null;
+};
+
+class LanguageRoutingService {
+  /**
+   * @param {Object} options - Overrides for config.transcription, plus { models, transcriber, audioProcessing }
+   */
+  constructor(options = {}) {
+    const settings = { ...config.transcription, ...options };
+    this.priority = settings.priority || [];
+    this.rules = settings.languageRules || {};
+    this.defaultLanguage = normalizeLanguage(settings.defaultLanguage);
+    this.detection = { enabled: false, seconds: 20, providers: [], ...settings.languageDetection };
+    this.models = options.models || null;
+    this.transcriber = options.transcriber || null;
+    this.audioProcessing = options.audioProcessing || AudioProcessing;
+  }
+
+  /**
+   * Get the models agent and organization languages are read from
+   * Loaded lazily because the services index loads this module
+   * @returns {Object} - { User, Organization }
+   */
+  getModels() {
+    if (!this.models) {
+      const { User, Organization } = require("../../models");
+      this.models = { User, Organization };
+    }
+    return this.models;
+  }
+
+  /**
+   * Get the transcriber used for language detection
+   * @returns {Object} - TranscriptionManager
+   */
+  getTranscriber() {
+    if (!this.transcriber) {
+      this.transcriber = require("..").Transcriber;
+    }
+    return this.transcriber;
+  }
+
+  /**
+   * Validate a language set on an agent or organization
+   * @param {*} value - Language code or name (null clears it)
+   * @returns {string|null}
+   */
+  validateLanguage(value) {
+    if (value === null || value === "") return null;
+
+    const language = normalizeLanguage(value);
+    if (!language) {
+      throw new Error(`Invalid language: ${value} - use an ISO 639-1 code such as ml, hi or en`);
+    }
+    return language;
+  }
+
+  /**
+   * Get the provider priority for a language
+   * @param {string|null} language - Language code
+   * @returns {Object} - { rule, providers } (rule is the language, or "default")
+   */
+  getRule(language) {
+    if (language && this.rules[language] && this.rules[language].length > 0) {
+      return { rule: language, providers: this.rules[language] };
+    }
+    return { rule: "default", providers: this.priority };
+  }
+
+  /**
+   * Get the language set on the call's agent or organization
+   * @param {Object} call - Call record
+   * @returns {Object|null} - { language, source }
+   */
+  getExpectedLanguage(call) {
+    const { User, Organization } = this.getModels();
+
+    const agent = call.agent_id ? User.findById(call.agent_id) : null;
+    const agentLanguage = normalizeLanguage(agent && agent.language);
+    if (agentLanguage) {
+      return { language: agentLanguage, source: "agent" };
+    }
+
+    const org = call.org_id ? Organization.findById(call.org_id) : null;
+    const orgLanguage = normalizeLanguage(org && org.settings && org.settings.transcription_language);
+    if (orgLanguage) {
+      return { language: orgLanguage, source: "organization" };
+    }
+
+    return null;
+  }
+
+  /**
+   * Identify the spoken language from the start of a recording
+   * Failures are logged and routing carries on without a detected language.
+   * @param {string} audioPath - Path to the recording
+   * @returns {Promise<Object>} - { language, provider, seconds, error }
+   */
+  async detectLanguage(audioPath) {
+    const { seconds, providers } = this.detection;
+    let clipPath = null;
+
+    try {
+      clipPath = await this.audioProcessing.clip(audioPath, seconds);
+      const result = await this.getTranscriber().transcribe(clipPath, { providers, diarize: false });
+      const language = normalizeLanguage(result.language);
+
+      logger.info("Call language detected", { audioPath, language, reported: result.language, provider: result.provider });
+      return { language, provider: result.provider, seconds, error: language ? null : `Unrecognised language: ${result.language}` };
+    } catch (error) {
+      logger.warn("Language detection failed", { audioPath, error: error.message });
+      return { language: null, provider: null, seconds, error: error.message };
+    } finally {
+      if (clipPath) {
+        fs.rmSync(clipPath, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Decide the language and providers to transcribe a call with
+   * @param {Object} call - Call record
+   * @param {string} audioPath - Path to the recording
+   * @returns {Promise<Object>} - { language, source, rule, providers, detection }
+   */
+  async route(call, audioPath) {
+    let expected = this.getExpectedLanguage(call);
+    let detection = null;
+
+    if (!expected && this.detection.enabled) {
+      detection = await this.detectLanguage(audioPath);
+      if (detection.language) {
+        expected = { language: detection.language, source: "detected" };
+      }
+    }
+
+    if (!expected && this.defaultLanguage) {
+      expected = { language: this.defaultLanguage, source: "default" };
+    }
+
+    const language = expected ? expected.language : null;
+    let { rule, providers } = this.getRule(language);
+
+    // A rule naming only unconfigured providers would fail every call
+    if (rule !== "default" && this.getTranscriber().getProviderOrder(providers).length === 0) {
+      logger.warn("No provider in the language rule is configured, using the default priority", {
+        callId: call.id,
+        language,
+        providers,
+      });
+      ({ rule, providers } = this.getRule(null));
+    }
+
+    const routing = {
+      language,
+      source: expected ? expected.source : null,
+      rule,
+      providers,
+      detection,
+    };
+
+    logger.info("Transcription routed", { callId: call.id, language, source: routing.source, rule, providers });
+    return routing;
+  }
+
+  /**
+   * Get the routing configuration
+   * @returns {Object} - { priority, rules, defaultLanguage, detection, availableProviders }
+   */
+  getRoutingRules() {
+    return {
+      priority: this.priority,
+      rules: this.rules,
+      defaultLanguage: this.defaultLanguage,
+      detection: this.detection,
+      availableProviders: this.getTranscriber().getAvailableProviders(),
+    };
+  }
+
+  /**
+   * Set the language an organization's calls are expected to be in
+   * @param {string} orgId - Organization ID
+   * @param {string|null} language - Language code, null to clear
+   * @returns {Object} - { orgId, language, rule, providers }
+   */
+  setOrganizationLanguage(orgId, language) {
+    const normalized = this.validateLanguage(language);
+    this.getModels().Organization.updateSettings(orgId, { transcription_language: normalized });
+
+    return { orgId, language: normalized, ...this.getRule(normalized) };
+  }
+
+  /**
+   * Set the language an agent's calls are expected to be in
+   * @param {string} agentId - Agent (user) ID
+   * @param {string|null} language - Language code, null to clear
+   * @returns {Object} - { agentId, language, rule, providers }
+   */
+  setAgentLanguage(agentId, language) {
+    const normalized = this.validateLanguage(language);
+    this.getModels().User.updateLanguage(agentId, normalized);
+
+    return { agentId, language: normalized, ...this.getRule(normalized) };
+  }
+}
+
+module.exports = LanguageRoutingService;
+module.exports.normalizeLanguage = normalizeLanguage;
@@ -44,7 +44,7 @@ class GroqProvider extends BaseTranscriptionService {
    * @param {Object} options - Transcription options
    * @returns {Promise<TranscriptionResult>}
    */
-  async transcribe(audioPath, options = {}) {
+  async transcribeFile(audioPath, options = {}) {
     const startTime = Date.now();
 
     // Ensure client is initialized
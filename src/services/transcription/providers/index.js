@@ -8,6 +8,7 @@ const ElevenLabsProvider = require("./elevenlabs.provider");
 const SarvamProvider = require("./sarvam.provider");
 const GoogleProvider = require("./google.provider");
 const AzureProvider = require("./azure.provider");
+const WhisperProvider = require("./whisper.provider");
 
 module.exports = {
   GroqProvider,
@@ -15,4 +16,5 @@ module.exports = {
   SarvamProvider,
   GoogleProvider,
   AzureProvider,
+  WhisperProvider,
 };
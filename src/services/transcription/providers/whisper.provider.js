@@ -0,0 +1,404 @@
+/**
+ * Local Whisper Provider
+ * Offline transcription on the CPU with whisper.cpp or faster-whisper
+ *
+ * No audio leaves the server, so a deployment can run without any cloud STT
+ * (TRANSCRIPTION_PROVIDERS=whisper). whisper.cpp is run as WHISPER_BINARY_PATH
+ * with a ggml model and writes JSON next to the audio; faster-whisper runs
+ * through WHISPER_PYTHON_PATH and prints JSON. Both return timed segments.
+ * whisper.cpp only reads 16 kHz mono 16-bit WAV, so other audio is converted
+ * with ffmpeg first.
+ */
+
+const BaseTranscriptionService = require("../base.transcription.service");
+const { execFile, execFileSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const appConfig = require("../../../config");
+const logger = require("../../../utils/logger");
+const { detectAudioFormat } = require("../../audio/format-detector");
+
+const ENGINES = ["whisper.cpp", "faster-whisper"];
+
+// Languages of the multilingual Whisper models (yue needs large-v3)
+const WHISPER_LANGUAGES = [
+  "en", "zh", "de", "es", "ru", "ko", "fr", "ja", "pt", "tr", "pl", "ca", "nl", "ar", "sv",
+  "it", "id", "hi", "fi", "vi", "he", "uk", "el", "ms", "cs", "ro", "da", "hu", "ta", "no",
+  "th", "ur", "hr", "bg", "lt", "la", "mi", "ml", "cy", "sk", "te", "fa", "lv", "bn", "sr",
+  "az", "sl", "kn", "et", "mk", "br", "eu", "is", "hy", "ne", "mn", "bs", "kk", "sq", "sw",
+  "gl", "mr", "pa", "si", "km", "sn", "yo", "so", "af", "oc", "ka", "be", "tg", "sd", "gu",
+  "am", "yi", "lo", "uz", "fo", "ht", "ps", "tk", "nn", "mt", "sa", "lb", "my", "bo", "tl",
+  "mg", "as", "tt", "haw", "ln", "ha", "ba", "jw", "su", "yue",
+];
+
+// How long the faster-whisper import check may take
+const PROBE_TIMEOUT_MS = 30000;
+
+// Prints the faster-whisper result as JSON: audio path, model, language, compute type and threads as arguments
+const FASTER_WHISPER_SCRIPT = `
+import json, sys
+from faster_whisper import WhisperModel
+audio, model, language, compute_type, threads = sys.argv[1:6]
+whisper = WhisperModel(model, device="cpu", compute_type=compute_type, cpu_threads=int(threads))
+segments, info = whisper.transcribe(audio, language=language or None, vad_filter=True)
+print(json.dumps({
+    "language": info.language,
+    "language_probability": info.language_probability,
+    "duration": info.duration,
+    "segments": [
+        {"id": s.id, "start": s.start, "end": s.end, "text": s.text, "avg_logprob": s.avg_logprob}
+        for s in segments
+    ],
+}))
+`;
+
+class WhisperProvider extends BaseTranscriptionService {
+  constructor(config = {}) {
+    super(config);
+    const settings = { ...appConfig.whisper, ...config.whisper };
+    this.providerName = "whisper";
+    this.engine = settings.engine || "whisper.cpp";
+    this.binaryPath = settings.binaryPath;
+    this.modelPath = settings.modelPath;
+    this.pythonPath = settings.pythonPath || "python3";
+    this.modelName = settings.model || "medium";
+    this.computeType = settings.computeType || "int8";
+    this.threads = settings.threads || 4;
+    this.timeoutMs = settings.timeoutMs || 1800000;
+    this.ready = false;
+    // Every run already uses all the threads it is given
+    this.chunking = { ...this.chunking, concurrency: settings.concurrency || 1 };
+  }
+
+  /**
+   * Check the engine, binary and model are in place
+   * @returns {boolean} Success status
+   */
+  initialize() {
+    this.ready = false;
+
+    if (!ENGINES.includes(this.engine)) {
+      logger.warn(`Unknown WHISPER_ENGINE '${this.engine}' - Whisper provider unavailable`);
+      return false;
+    }
+
+    if (this.engine === "faster-whisper") {
+      if (!this.probeFasterWhisper()) {
+        logger.warn("faster-whisper not importable - Whisper provider unavailable", { pythonPath: this.pythonPath });
+        return false;
+      }
+      this.model = `faster-whisper-${this.modelName}`;
+    } else {
+      // Bare command names are looked up on PATH when run
+      if (!this.binaryPath || (this.binaryPath.includes(path.sep) && !fs.existsSync(this.binaryPath))) {
+        logger.warn("whisper.cpp binary not found - Whisper provider unavailable", { binaryPath: this.binaryPath });
+        return false;
+      }
+      if (!this.modelPath || !fs.existsSync(this.modelPath)) {
+        logger.warn("Whisper model not found - Whisper provider unavailable", { modelPath: this.modelPath });
+        return false;
+      }
+      this.model = path.basename(this.modelPath, path.extname(this.modelPath));
+    }
+
+    this.ready = true;
+    logger.info("Local Whisper transcription provider initialized", { engine: this.engine, model: this.model });
+    return true;
+  }
+
+  /**
+   * Check the Python interpreter runs and can import faster_whisper
+   * @returns {boolean}
+   */
+  probeFasterWhisper() {
+    try {
+      execFileSync(this.pythonPath, ["-c", "import faster_whisper"], { timeout: PROBE_TIMEOUT_MS, stdio: "ignore" });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check if service is available
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.ready;
+  }
+
+  /**
+   * Transcribe audio file with local Whisper
+   * @param {string} audioPath - Path to audio file
+   * @param {Object} options - Transcription options
+   * @returns {Promise<TranscriptionResult>}
+   */
+  async transcribeFile(audioPath, options = {}) {
+    const startTime = Date.now();
+
+    // Ensure the engine is set up
+    if (!this.ready) {
+      if (!this.initialize()) {
+        throw new Error(
+          "Whisper provider not configured - check WHISPER_ENGINE, WHISPER_BINARY_PATH and WHISPER_MODEL_PATH, or WHISPER_PYTHON_PATH for faster-whisper"
+        );
+      }
+    }
+
+    // Validate file exists
+    if (!fs.existsSync(audioPath)) {
+      throw new Error(`Audio file not found: ${audioPath}`);
+    }
+
+    // Validate format
+    if (!this.isValidFormat(audioPath)) {
+      throw new Error(`Unsupported format: ${path.extname(audioPath)}`);
+    }
+
+    const language = this.mapLanguageCode(options.language);
+
+    logger.info("Starting local Whisper transcription", {
+      audioPath,
+      engine: this.engine,
+      model: this.model,
+      language: language || "auto",
+    });
+
+    try {
+      const rawResponse =
+        this.engine === "faster-whisper"
+          ? await this.runFasterWhisper(audioPath, language)
+          : await this.runWhisperCpp(audioPath, language);
+
+      const processingTime = Date.now() - startTime;
+      const result = this.formatResponse(rawResponse, processingTime);
+
+      logger.info("Local Whisper transcription completed", {
+        language: result.language,
+        duration: result.duration,
+        wordCount: result.wordCount,
+        processingTimeMs: processingTime,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error("Local Whisper transcription failed", {
+        audioPath,
+        engine: this.engine,
+        error: error.message,
+        processingTimeMs: Date.now() - startTime,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Transcribe with whisper.cpp
+   * @param {string} audioPath - Path to audio file
+   * @param {string|null} language - Language code, null to detect
+   * @returns {Promise<Object>} - whisper.cpp JSON output
+   */
+  async runWhisperCpp(audioPath, language) {
+    const parsed = path.parse(audioPath);
+    const wavPath = await this.prepareWav(audioPath);
+    const outputBase = path.join(parsed.dir, `${parsed.name}.whisper`);
+    const outputPath = `${outputBase}.json`;
+
+    try {
+      await this.runCommand(this.binaryPath, [
+        "-m",
+        this.modelPath,
+        "-f",
+        wavPath,
+        "-l",
+        language || "auto",
+        "-t",
+        String(this.threads),
+        "-oj",
+        "-of",
+        outputBase,
+        "-np",
+      ]);
+
+      if (!fs.existsSync(outputPath)) {
+        throw new Error("Whisper failed: whisper.cpp wrote no output");
+      }
+      return JSON.parse(fs.readFileSync(outputPath, "utf8"));
+    } finally {
+      fs.rmSync(outputPath, { force: true });
+      if (wavPath !== audioPath) {
+        fs.rmSync(wavPath, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Transcribe with faster-whisper
+   * @param {string} audioPath - Path to audio file
+   * @param {string|null} language - Language code, null to detect
+   * @returns {Promise<Object>} - { language, language_probability, duration, segments }
+   */
+  async runFasterWhisper(audioPath, language) {
+    const stdout = await this.runCommand(this.pythonPath, [
+      "-c",
+      FASTER_WHISPER_SCRIPT,
+      audioPath,
+      this.modelName,
+      language || "",
+      this.computeType,
+      String(this.threads),
+    ]);
+
+    try {
+      return JSON.parse(stdout.trim().split("\n").pop());
+    } catch (error) {
+      throw new Error("Whisper failed: faster-whisper printed no result");
+    }
+  }
+
+  /**
+   * Get a 16 kHz mono 16-bit WAV of the audio for whisper.cpp
+   * @param {string} audioPath - Path to audio file
+   * @returns {Promise<string>} - audioPath when it is already in that format, otherwise a converted copy
+   */
+  async prepareWav(audioPath) {
+    const info = detectAudioFormat(audioPath);
+    if (
+      info &&
+      info.container === "wav" &&
+      info.codec === "pcm" &&
+      info.sampleRate === 16000 &&
+      info.channels === 1 &&
+      info.bitsPerSample === 16
+    ) {
+      return audioPath;
+    }
+
+    const parsed = path.parse(audioPath);
+    const wavPath = path.join(parsed.dir, `${parsed.name}.whisper.wav`);
+    try {
+      await this.getAudioProcessing().runFfmpeg([
+        "-y",
+        "-hide_banner",
+        "-loglevel",
+        "error",
+        "-i",
+        audioPath,
+        "-ac",
+        "1",
+        "-ar",
+        "16000",
+        "-c:a",
+        "pcm_s16le",
+        wavPath,
+      ]);
+    } catch (error) {
+      fs.rmSync(wavPath, { force: true });
+      throw error;
+    }
+    return wavPath;
+  }
+
+  /**
+   * Run a Whisper process
+   * @param {string} command - Executable
+   * @param {Array<string>} args - Command line arguments
+   * @returns {Promise<string>} - stdout
+   */
+  runCommand(command, args) {
+    return new Promise((resolve, reject) => {
+      execFile(
+        command,
+        args,
+        { timeout: this.timeoutMs, maxBuffer: 64 * 1024 * 1024 },
+        (error, stdout, stderr) => {
+          if (!error) return resolve(stdout.toString());
+
+          if (error.code === "ENOENT") {
+            return reject(new Error(`Whisper failed: ${command} not found`));
+          }
+          if (error.killed) {
+            return reject(new Error(`Whisper failed: timed out after ${Math.round(this.timeoutMs / 1000)}s`));
+          }
+          const detail = (stderr || error.message).toString().trim().split("\n").pop();
+          reject(new Error(`Whisper failed: ${detail}`));
+        }
+      );
+    });
+  }
+
+  /**
+   * Map language code to Whisper format
+   * @param {string} language - Language code, optionally with a region (ml-IN)
+   * @returns {string|null} Two-letter code, or null to detect
+   */
+  mapLanguageCode(language) {
+    if (!language) return null;
+    return language.split(/[-_]/)[0].toLowerCase();
+  }
+
+  /**
+   * Format whisper.cpp or faster-whisper output to standard format
+   * @param {Object} rawResponse - Raw Whisper output
+   * @param {number} processingTime - Processing time in ms
+   * @returns {TranscriptionResult}
+   */
+  formatResponse(rawResponse, processingTime) {
+    const segments = rawResponse.transcription
+      ? rawResponse.transcription.map((item) => ({
+          start: item.offsets.from / 1000,
+          end: item.offsets.to / 1000,
+          text: item.text.trim(),
+          confidence: null,
+        }))
+      : (rawResponse.segments || []).map((seg) => ({
+          start: seg.start,
+          end: seg.end,
+          text: seg.text.trim(),
+          confidence: typeof seg.avg_logprob === "number" ? Math.exp(seg.avg_logprob) : null,
+        }));
+    const spoken = segments.filter((segment) => segment.text).map((segment, index) => ({ id: index, ...segment }));
+    const text = spoken.map((segment) => segment.text).join(" ");
+
+    return {
+      text,
+      language: rawResponse.result?.language || rawResponse.language || null,
+      duration: rawResponse.duration || (spoken.length > 0 ? spoken[spoken.length - 1].end : 0),
+      segments: spoken,
+      wordCount: this.countWords(text),
+      confidence: null, // Whisper doesn't provide overall confidence
+      processingTimeMs: processingTime,
+      model: this.model,
+      provider: this.providerName,
+      raw: rawResponse,
+    };
+  }
+
+  /**
+   * Get supported audio formats
+   * @returns {Array<string>}
+   */
+  getSupportedFormats() {
+    return ["mp3", "wav", "flac", "m4a", "ogg", "webm", "aac", "amr"];
+  }
+
+  /**
+   * Get supported languages
+   * @returns {Array<string>}
+   */
+  getSupportedLanguages() {
+    return [...WHISPER_LANGUAGES];
+  }
+
+  /**
+   * Estimate cost for transcription
+   * @param {string} audioPath
+   * @returns {Promise<number>} Estimated cost in USD
+   */
+  async estimateCost(audioPath) {
+    // Runs locally
+    return 0;
+  }
+}
+
+module.exports = WhisperProvider;
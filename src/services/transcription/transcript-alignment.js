@@ -0,0 +1,228 @@
+/**
+ * Transcript Alignment
+ * Word-level alignment, agreement and consensus voting across transcripts
+ *
+ * Words are compared case- and punctuation-insensitively. Two transcripts are
+ * aligned with a Levenshtein alignment over words; their agreement is
+ * 1 - (word edit distance / length of the longer transcript), so 1 means
+ * identical and 0 means nothing in common.
+ *
+ * The consensus is ROVER-style: the candidate that agrees most with the others
+ * is the pivot, every other candidate is aligned to it, and each pivot word is
+ * replaced, kept or dropped by majority vote. Words only other candidates
+ * have are added when a majority of all candidates have them. Ties keep the
+ * pivot's word, so with two candidates the pivot's text wins.
+ */
+
+// Alignment steps stored per cell
+const MATCH = 0;
+const SUBSTITUTE = 1;
+const DELETE = 2; // word only in the first transcript
+const INSERT = 3; // word only in the second transcript
+
+/**
+ * Split a transcript into words
+ * Line breaks are kept as tokens so speaker-labelled turns survive the consensus.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const tokenize = (text) =>
+  typeof text === "string" ? text.replace(/\s*\n\s*/g, " \n ").split(/[^\S\n]+/).filter(Boolean) : [];
+
+/**
+ * Comparison key of a word
+ * @param {string} word
+ * @returns {string}
+ */
+const normalizeWord = (word) => (word === "\n" ? word : word.toLowerCase().replace(/[^\p{L}\p{N}\p{M}]/gu, ""));
+
+/**
+ * Join tokens back into text
+ * @param {Array<string>} tokens
+ * @returns {string}
+ */
+const joinTokens = (tokens) => tokens.join(" ").replace(/ ?\n ?/g, "\n").trim();
+
+/**
+ * Align two word lists
+ * Costs are kept in two rows; steps take one byte per word pair.
+ * @param {Array<string>} a - Normalized words
+ * @param {Array<string>} b - Normalized words
+ * @returns {Object} - { distance, pairs: [[indexInA|null, indexInB|null]] }
+ */
+const alignWords = (a, b) => {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const steps = new Uint8Array(rows * cols);
+  let previous = new Uint32Array(cols);
+  let current = new Uint32Array(cols);
+
+  for (let j = 0; j < cols; j++) {
+    previous[j] = j;
+    steps[j] = INSERT;
+  }
+
+  for (let i = 1; i < rows; i++) {
+    current[0] = i;
+    steps[i * cols] = DELETE;
+
+    for (let j = 1; j < cols; j++) {
+      const same = a[i - 1] === b[j - 1];
+      const diagonal = previous[j - 1] + (same ? 0 : 1);
+      const up = previous[j] + 1;
+      const left = current[j - 1] + 1;
+
+      if (diagonal <= up && diagonal <= left) {
+        current[j] = diagonal;
+        steps[i * cols + j] = same ? MATCH : SUBSTITUTE;
+      } else if (up <= left) {
+        current[j] = up;
+        steps[i * cols + j] = DELETE;
+      } else {
+        current[j] = left;
+        steps[i * cols + j] = INSERT;
+      }
+    }
+
+    [previous, current] = [current, previous];
+  }
+
+  const pairs = [];
+  let i = a.length;
+  let j = b.length;
+  while (i > 0 || j > 0) {
+    const step = steps[i * cols + j];
+    if (i > 0 && j > 0 && (step === MATCH || step === SUBSTITUTE)) {
+      pairs.push([--i, --j]);
+    } else if (i > 0 && (step === DELETE || j === 0)) {
+      pairs.push([--i, null]);
+    } else {
+      pairs.push([null, --j]);
+    }
+  }
+
+  return { distance: previous[b.length], pairs: pairs.reverse() };
+};
+
+/**
+ * Agreement between two transcripts
+ * @param {string} textA
+ * @param {string} textB
+ * @returns {number} - 0 to 1, rounded to 3 decimals
+ */
+const agreement = (textA, textB) => {
+  const a = tokenize(textA).map(normalizeWord);
+  const b = tokenize(textB).map(normalizeWord);
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+
+  const { distance } = alignWords(a, b);
+  return Math.round((1 - distance / longest) * 1000) / 1000;
+};
+
+/**
+ * Build a consensus transcript from several candidates
+ * @param {Array<string>} texts - Candidate transcripts, in preference order for ties
+ * @returns {Object} - { text, pivot, agreement, pairwise: [{ a, b, agreement }], candidateAgreement }
+ */
+const buildConsensus = (texts) => {
+  const pairwise = [];
+  const totals = texts.map(() => 0);
+
+  for (let a = 0; a < texts.length; a++) {
+    for (let b = a + 1; b < texts.length; b++) {
+      const score = agreement(texts[a], texts[b]);
+      pairwise.push({ a, b, agreement: score });
+      totals[a] += score;
+      totals[b] += score;
+    }
+  }
+
+  // The candidate closest to all the others; earlier candidates win ties
+  const pivot = totals.reduce((best, total, index) => (total > totals[best] ? index : best), 0);
+  const words = texts.map(tokenize);
+  const keys = words.map((list) => list.map(normalizeWord));
+  const majority = texts.length / 2;
+
+  // votes[slot] counts each candidate's word for a pivot word; gaps[slot] counts
+  // words other candidates have before it (slot = pivot length for the end)
+  const votes = words[pivot].map((word, index) => new Map([[keys[pivot][index], { word, count: 1 }]]));
+  const gaps = Array.from({ length: words[pivot].length + 1 }, () => new Map());
+
+  texts.forEach((_, candidate) => {
+    if (candidate === pivot) return;
+
+    const { pairs } = alignWords(keys[pivot], keys[candidate]);
+    let slot = 0;
+    let gapWords = [];
+    const closeGap = () => {
+      // Each candidate votes once per word in a gap
+      const gapKeys = new Map();
+      gapWords.forEach((index) => {
+        if (!gapKeys.has(keys[candidate][index])) gapKeys.set(keys[candidate][index], words[candidate][index]);
+      });
+      gapKeys.forEach((word, key) => {
+        const entry = gaps[slot].get(key) || { word, count: 0 };
+        entry.count++;
+        gaps[slot].set(key, entry);
+      });
+      gapWords = [];
+    };
+
+    for (const [pivotIndex, candidateIndex] of pairs) {
+      if (pivotIndex === null) {
+        gapWords.push(candidateIndex);
+        continue;
+      }
+
+      closeGap();
+      const key = candidateIndex === null ? "" : keys[candidate][candidateIndex];
+      const entry = votes[pivotIndex].get(key) || {
+        word: candidateIndex === null ? null : words[candidate][candidateIndex],
+        count: 0,
+      };
+      entry.count++;
+      votes[pivotIndex].set(key, entry);
+      slot = pivotIndex + 1;
+    }
+    closeGap();
+  });
+
+  const consensus = [];
+  const addGap = (slot) => {
+    gaps[slot].forEach(({ word, count }) => {
+      if (count > majority) consensus.push(word);
+    });
+  };
+
+  votes.forEach((slotVotes, index) => {
+    addGap(index);
+    // Map keeps insertion order, so the pivot's own word wins ties
+    const winner = [...slotVotes.values()].reduce((best, entry) => (entry.count > best.count ? entry : best));
+    if (winner.word !== null) consensus.push(winner.word);
+  });
+  addGap(words[pivot].length);
+
+  const text = joinTokens(consensus);
+  const overall =
+    pairwise.length > 0
+      ? Math.round((pairwise.reduce((sum, pair) => sum + pair.agreement, 0) / pairwise.length) * 1000) / 1000
+      : 1;
+
+  return {
+    text,
+    pivot,
+    agreement: overall,
+    pairwise,
+    candidateAgreement: texts.map((candidateText) => agreement(candidateText, text)),
+  };
+};
+
+module.exports = {
+  tokenize,
+  joinTokens,
+  normalizeWord,
+  alignWords,
+  agreement,
+  buildConsensus,
+};
@@ -1,6 +1,13 @@
 /**
  * Transcription Manager
- * Orchestrates multiple transcription providers for parallel comparison
+ * Orchestrates multiple transcription providers
+ *
+ * - transcribe() is what the pipeline uses: providers are tried in priority
+ *   order (config.transcription.priority) and the next one takes over when a
+ *   provider errors, is rate limited or returns an empty transcript. Every
+ *   attempt is returned with the result so the transcript records which
+ *   provider succeeded and which failed.
+ * - transcribeWithAll() runs every provider in parallel for comparison
  */
 
 const {
@@ -9,13 +16,30 @@ const {
   SarvamProvider,
   GoogleProvider,
   AzureProvider,
+  WhisperProvider,
 } = require("./providers");
+const config = require("../../config");
 const logger = require("../../utils/logger");
 
+// Provider errors that mean "try again later" rather than "this audio failed"
+const RATE_LIMIT_PATTERN = /rate limit|quota exceeded|too many requests|\b429\b/i;
+
 class TranscriptionManager {
-  constructor() {
+  /**
+   * @param {Object} options - Overrides for config.transcription, plus { providers } instances by name
+   */
+  constructor(options = {}) {
+    const settings = { ...config.transcription, ...options };
+    this.priority = settings.priority || [];
+    this.rateLimitCooldownSeconds = settings.rateLimitCooldownSeconds ?? 60;
+    this.cooldowns = new Map();
     this.providers = new Map();
-    this.initializeProviders();
+
+    if (options.providers) {
+      Object.entries(options.providers).forEach(([name, provider]) => this.providers.set(name, provider));
+    } else {
+      this.initializeProviders();
+    }
   }
 
   /**
@@ -28,6 +52,7 @@ class TranscriptionManager {
       { name: "sarvam", ProviderClass: SarvamProvider },
       { name: "google", ProviderClass: GoogleProvider },
       { name: "azure", ProviderClass: AzureProvider },
+      { name: "whisper", ProviderClass: WhisperProvider },
     ];
 
     providerConfigs.forEach(({ name, ProviderClass }) => {
@@ -81,6 +106,154 @@ class TranscriptionManager {
     return provider.transcribe(audioPath, options);
   }
 
+  /**
+   * Get the providers to try, in priority order
+   * Providers that are not configured are left out. Rate-limited providers
+   * cooling down are moved to the end rather than dropped, so a call is still
+   * transcribed when every provider was rate limited recently.
+   * @param {Array<string>} [priority] - Provider names (default: configured priority)
+   * @returns {Array<string>}
+   */
+  getProviderOrder(priority) {
+    const names = priority && priority.length > 0 ? priority : this.priority;
+    const available = (names.length > 0 ? names : this.getAvailableProviders()).filter(
+      (name, index, list) => this.providers.has(name) && list.indexOf(name) === index
+    );
+
+    return [
+      ...available.filter((name) => !this.isCoolingDown(name)),
+      ...available.filter((name) => this.isCoolingDown(name)),
+    ];
+  }
+
+  /**
+   * Check if any provider in the priority list can be used
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.getProviderOrder().length > 0;
+  }
+
+  /**
+   * Check if at least one provider in the priority list accepts the file
+   * @param {string} audioPath - Path to audio file
+   * @returns {boolean}
+   */
+  isValidFormat(audioPath) {
+    return this.getProviderOrder().some((name) => this.providers.get(name).isValidFormat(audioPath));
+  }
+
+  /**
+   * Check if a provider was rate limited recently
+   * @param {string} providerName - Provider name
+   * @returns {boolean}
+   */
+  isCoolingDown(providerName) {
+    const until = this.cooldowns.get(providerName);
+    return !!until && until > Date.now();
+  }
+
+  /**
+   * Classify a provider failure
+   * @param {Error} error
+   * @returns {string} - rate_limit or error
+   */
+  classifyFailure(error) {
+    const status = error.status || error.response?.status;
+    return status === 429 || RATE_LIMIT_PATTERN.test(error.message) ? "rate_limit" : "error";
+  }
+
+  /**
+   * Check if a result has no transcript text
+   * @param {TranscriptionResult} result
+   * @returns {boolean}
+   */
+  isEmptyResult(result) {
+    return !result || typeof result.text !== "string" || result.text.trim() === "";
+  }
+
+  /**
+   * Transcribe audio, failing over to the next provider in priority order
+   * @param {string} audioPath - Path to audio file
+   * @param {Object} options - Transcription options, plus { providers } to override the priority
+   * @returns {Promise<TranscriptionResult>} - Result of the first provider that succeeded, plus
+   *   { attempts: [{ provider, model, success, reason, error, processingTimeMs }], failedProviders }
+   * @throws {Error} - When every provider failed (error.attempts lists them)
+   */
+  async transcribe(audioPath, options = {}) {
+    const { providers: priority, ...transcriptionOptions } = options;
+    const order = this.getProviderOrder(priority);
+
+    if (order.length === 0) {
+      throw new Error("No transcription providers available - configure one of TRANSCRIPTION_PROVIDERS");
+    }
+
+    const attempts = [];
+    for (const name of order) {
+      const provider = this.providers.get(name);
+      const startTime = Date.now();
+
+      try {
+        const result = await provider.transcribe(audioPath, transcriptionOptions);
+        if (this.isEmptyResult(result)) {
+          throw Object.assign(new Error(`${name} returned an empty transcript`), { reason: "empty" });
+        }
+
+        attempts.push({
+          provider: name,
+          model: result.model || provider.getModelName(),
+          success: true,
+          reason: null,
+          error: null,
+          processingTimeMs: Date.now() - startTime,
+        });
+
+        if (attempts.length > 1) {
+          logger.info("Transcription succeeded after failover", {
+            audioPath,
+            provider: name,
+            failedProviders: attempts.filter((attempt) => !attempt.success).map((attempt) => attempt.provider),
+          });
+        }
+
+        return {
+          ...result,
+          provider: result.provider || name,
+          attempts,
+          failedProviders: attempts.filter((attempt) => !attempt.success).map((attempt) => attempt.provider),
+        };
+      } catch (error) {
+        const reason = error.reason || this.classifyFailure(error);
+        if (reason === "rate_limit" && this.rateLimitCooldownSeconds > 0) {
+          this.cooldowns.set(name, Date.now() + this.rateLimitCooldownSeconds * 1000);
+        }
+
+        attempts.push({
+          provider: name,
+          model: provider.getModelName(),
+          success: false,
+          reason,
+          error: error.message,
+          processingTimeMs: Date.now() - startTime,
+        });
+
+        logger.warn("Transcription provider failed, trying next provider", {
+          audioPath,
+          provider: name,
+          reason,
+          error: error.message,
+          remaining: order.slice(order.indexOf(name) + 1),
+        });
+      }
+    }
+
+    const error = new Error(
+      `All transcription providers failed: ${attempts.map((attempt) => `${attempt.provider} (${attempt.error})`).join("; ")}`
+    );
+    error.attempts = attempts;
+    throw error;
+  }
+
   /**
    * Transcribe audio with all available providers in parallel
    * @param {string} audioPath - Path to audio file
@@ -0,0 +1,254 @@
+/**
+ * Webhook Event Service
+ * Stores raw webhook deliveries and replays them through the webhook handlers
+ */
+
+const { WebhookEvent } = require("../models");
+const logger = require("../utils/logger");
+
+// Headers that carry credentials are never written to the event log
+const REDACTED_HEADERS = ["authorization", "cookie", "x-webhook-token"];
+
+// Response statuses that map directly to an event outcome
+const HANDLER_OUTCOMES = ["processed", "tracked", "ignored"];
+
+// Every outcome an event can have
+const EVENT_OUTCOMES = ["received", ...HANDLER_OUTCOMES, "invalid", "error"];
+
+// Bulk replays without an outcome filter only pick up failed events
+const DEFAULT_REPLAY_OUTCOMES = ["error"];
+
+class WebhookEventService {
+  /**
+   * Get the webhook handler for a provider
+   * Loaded lazily because the webhook controller loads the services index
+   * @param {string} provider - Provider name
+   * @returns {Function} - Express handler (req, res)
+   */
+  getHandler(provider) {
+    const { handleExotelWebhook, createWebhookHandler } = require("../controllers/webhook.controller");
+    if (provider === "exotel") {
+      return handleExotelWebhook;
+    }
+
+    const { Telephony } = require("./telephony");
+    if (!Telephony.hasAdapter(provider)) {
+      throw new Error(`No webhook handler for provider: ${provider}`);
+    }
+    return createWebhookHandler(provider);
+  }
+
+  /**
+   * Remove credential headers before storing
+   * @param {Object} headers - Request headers
+   * @returns {Object} - Sanitized headers
+   */
+  sanitizeHeaders(headers = {}) {
+    const sanitized = {};
+    for (const [name, value] of Object.entries(headers)) {
+      if (!REDACTED_HEADERS.includes(name.toLowerCase())) {
+        sanitized[name] = value;
+      }
+    }
+    return sanitized;
+  }
+
+  /**
+   * Store a raw webhook delivery before it is handled
+   * @param {Object} data - { provider, payload, callSid, headers, sourceIp }
+   * @returns {Object} - Created event record
+   */
+  recordEvent({ provider, payload, callSid, headers, sourceIp }) {
+    return WebhookEvent.create({
+      provider,
+      call_sid: callSid || payload?.call_sid || null,
+      payload,
+      headers: this.sanitizeHeaders(headers),
+      source_ip: sourceIp,
+    });
+  }
+
+  /**
+   * Work out the event outcome from the handler response
+   * @param {number} statusCode - HTTP status sent by the handler
+   * @param {Object} body - JSON body sent by the handler
+   * @returns {string} - processed, tracked, ignored, invalid or error
+   */
+  describeOutcome(statusCode, body = {}) {
+    if (statusCode >= 500) return "error";
+    if (statusCode >= 400) return "invalid";
+    return HANDLER_OUTCOMES.includes(body?.status) ? body.status : "processed";
+  }
+
+  /**
+   * Record how the handler responded to an event
+   * @param {string} eventId - Event ID
+   * @param {number} statusCode - HTTP status sent by the handler
+   * @param {Object} body - JSON body sent by the handler
+   * @returns {Object} - Updated event record
+   */
+  recordOutcome(eventId, statusCode, body) {
+    const outcome = this.describeOutcome(statusCode, body);
+
+    return WebhookEvent.recordOutcome(eventId, {
+      outcome,
+      call_id: body?.call_id,
+      response_status: statusCode,
+      response_body: body,
+      error_message: outcome === "error" || outcome === "invalid" ? body?.message : null,
+    });
+  }
+
+  /**
+   * List stored webhook events
+   * @param {Object} options - { page, limit, provider, outcome, call_sid, call_id, startDate, endDate }
+   * @returns {Object} - { events, pagination }
+   */
+  getEvents(options = {}) {
+    const { page = 1, limit = 50, ...filters } = options;
+    const offset = (page - 1) * limit;
+
+    const events = WebhookEvent.findAll({ limit, offset, ...filters });
+    const total = WebhookEvent.count(filters);
+
+    return {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Get a stored webhook event
+   * @param {string} eventId - Event ID
+   * @returns {Object|null}
+   */
+  getEvent(eventId) {
+    return WebhookEvent.findById(eventId);
+  }
+
+  /**
+   * Replay a stored event through its provider's webhook handler
+   * The stored payload is passed unchanged, as if the provider had resent it.
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} - { event, response: { status, body } }
+   */
+  async replayEvent(eventId) {
+    const event = WebhookEvent.findById(eventId);
+    if (!event) {
+      throw new Error("Webhook event not found");
+    }
+
+    const handler = this.getHandler(event.provider);
+
+    const req = {
+      body: event.payload || {},
+      headers: event.headers || {},
+      query: {},
+      params: {},
+      ip: event.source_ip,
+    };
+
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+
+    logger.info("Replaying webhook event", {
+      eventId,
+      provider: event.provider,
+      callSid: event.call_sid,
+      previousOutcome: event.outcome,
+    });
+
+    await handler(req, res);
+
+    WebhookEvent.markReplayed(eventId);
+    const updated = this.recordOutcome(eventId, res.statusCode, res.body);
+
+    return {
+      event: updated,
+      response: { status: res.statusCode, body: res.body },
+    };
+  }
+
+  /**
+   * Replay a set of stored events, oldest first
+   * Either the given eventIds are replayed (filters are ignored) or the events
+   * matching the filters. Without an outcome filter only events whose outcome
+   * is "error" are selected, so a bare request does not replay every delivery.
+   * At most `limit` events are replayed either way.
+   *
+   * @param {Object} options - { eventIds, provider, outcome, startDate, endDate, limit }
+   * @returns {Promise<Object>} - { total, replayed, failed, skipped, outcome, results }
+   *   skipped counts eventIds beyond the limit; outcome is the filter used (null for eventIds)
+   */
+  async replayEvents(options = {}) {
+    const { eventIds, limit = 100, ...filters } = options;
+    const byId = !!eventIds && eventIds.length > 0;
+
+    if (!byId) {
+      const outcomes = [].concat(filters.outcome || []);
+      filters.outcome = outcomes.length > 0 ? outcomes : DEFAULT_REPLAY_OUTCOMES;
+
+      const unknown = filters.outcome.filter((outcome) => !EVENT_OUTCOMES.includes(outcome));
+      if (unknown.length > 0) {
+        throw new Error(`Invalid outcome: ${unknown.join(", ")} (expected ${EVENT_OUTCOMES.join(", ")})`);
+      }
+    }
+
+    const ids = byId
+      ? eventIds.slice(0, limit)
+      : WebhookEvent.findAll({ ...filters, limit, order: "ASC" }).map((e) => e.id);
+    const skipped = byId ? eventIds.length - ids.length : 0;
+
+    const results = [];
+
+    // Replay sequentially so events for the same call keep their order
+    for (const eventId of ids) {
+      try {
+        const { event, response } = await this.replayEvent(eventId);
+        results.push({
+          eventId,
+          success: response.status < 400,
+          outcome: event.outcome,
+          callId: event.call_id,
+        });
+      } catch (error) {
+        results.push({ eventId, success: false, error: error.message });
+      }
+    }
+
+    const replayed = results.filter((r) => r.success).length;
+
+    logger.info("Bulk webhook replay completed", {
+      total: results.length,
+      replayed,
+      failed: results.length - replayed,
+      skipped,
+    });
+
+    return {
+      total: results.length,
+      replayed,
+      failed: results.length - replayed,
+      skipped,
+      outcome: byId ? null : filters.outcome,
+      results,
+    };
+  }
+}
+
+module.exports = WebhookEventService;
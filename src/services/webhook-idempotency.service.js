@@ -0,0 +1,160 @@
+/**
+ * Webhook Idempotency Service
+ * Makes retried webhook deliveries for the same call event safe
+ *
+ * Keys are provider + CallSid + event, where the event is the call status the
+ * delivery resolves to (e.g. "missed" or "received" with a recording), so a
+ * provider that reports a call as unanswered and later sends its recording
+ * gets both processed. The first delivery for a key takes a lock in the database;
+ * deliveries arriving while it is processed wait for its response, and
+ * deliveries arriving later (within the idempotency window) receive the
+ * stored response instead of being processed again. Only responses that
+ * created or tracked a call are kept; ignored or failed deliveries release
+ * the key so the provider's next retry is processed normally.
+ */
+
+const config = require("../config");
+const { WebhookIdempotency } = require("../models");
+const logger = require("../utils/logger");
+
+// Handler response statuses worth replaying to duplicates
+const CACHEABLE_STATUSES = ["processed", "tracked"];
+
+// Expired keys are purged at most this often
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+class WebhookIdempotencyService {
+  /**
+   * @param {Object} options
+   * @param {number} [options.windowSeconds] - Idempotency window
+   * @param {number} [options.lockTimeoutMs] - Lock lifetime before takeover
+   * @param {number} [options.lockWaitMs] - How long duplicates wait for a response
+   * @param {number} [options.pollIntervalMs] - Poll interval while waiting
+   * @param {Function} [options.sleep] - Delay function (injectable for tests)
+   */
+  constructor(options = {}) {
+    const settings = config.webhooks || {};
+    this.windowMs = (options.windowSeconds ?? settings.idempotencyWindowSeconds ?? 86400) * 1000;
+    this.lockTimeoutMs = options.lockTimeoutMs ?? settings.lockTimeoutMs ?? 30000;
+    this.lockWaitMs = options.lockWaitMs ?? settings.lockWaitMs ?? 5000;
+    this.pollIntervalMs = options.pollIntervalMs ?? 100;
+    this.sleep = options.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+    this.lastPurgeAt = 0;
+  }
+
+  /**
+   * @param {string} provider - Provider name
+   * @param {string} callSid - Provider call ID
+   * @param {string} [event] - Call event, e.g. the normalized status
+   * @returns {string}
+   */
+  buildKey(provider, callSid, event) {
+    return event ? `${provider}:${callSid}:${event}` : `${provider}:${callSid}`;
+  }
+
+  /**
+   * Try to start processing a delivery
+   * @param {string} provider - Provider name
+   * @param {string} callSid - Provider call ID
+   * @param {string} [event] - Call event
+   * @returns {Object} - { state: "acquired" | "completed" | "in_progress", record }
+   */
+  begin(provider, callSid, event) {
+    this.purgeExpired();
+
+    const { acquired, record } = WebhookIdempotency.acquire({
+      key: this.buildKey(provider, callSid, event),
+      provider,
+      call_sid: callSid,
+      lockMs: this.lockTimeoutMs,
+      windowMs: this.windowMs,
+    });
+
+    if (acquired) {
+      return { state: "acquired", record };
+    }
+    return { state: record?.status === "completed" ? "completed" : "in_progress", record };
+  }
+
+  /**
+   * Start processing a delivery, waiting for a concurrent delivery to finish
+   * Returns in_progress only if the other delivery is still running after lockWaitMs.
+   * @param {string} provider - Provider name
+   * @param {string} callSid - Provider call ID
+   * @param {string} [event] - Call event
+   * @returns {Promise<Object>} - { state, record }
+   */
+  async acquire(provider, callSid, event) {
+    const deadline = Date.now() + this.lockWaitMs;
+    let result = this.begin(provider, callSid, event);
+
+    while (result.state === "in_progress" && Date.now() < deadline) {
+      await this.sleep(this.pollIntervalMs);
+      result = this.begin(provider, callSid, event);
+    }
+
+    if (result.state !== "acquired") {
+      logger.info("Duplicate webhook delivery", {
+        provider,
+        callSid,
+        event,
+        state: result.state,
+        callId: result.record?.call_id,
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Record the response for a delivery that held the lock
+   * @param {string} provider - Provider name
+   * @param {string} callSid - Provider call ID
+   * @param {string} [event] - Call event
+   * @param {number} statusCode - HTTP status sent by the handler
+   * @param {Object} body - JSON body sent by the handler
+   * @returns {boolean} - True if the response was stored for duplicates
+   */
+  finish(provider, callSid, event, statusCode, body) {
+    const key = this.buildKey(provider, callSid, event);
+
+    if (statusCode >= 300 || !CACHEABLE_STATUSES.includes(body?.status)) {
+      WebhookIdempotency.release(key);
+      return false;
+    }
+
+    WebhookIdempotency.complete(key, {
+      call_id: body.call_id,
+      response_status: statusCode,
+      response_body: body,
+    });
+    return true;
+  }
+
+  /**
+   * Release a lock without storing a response (e.g. the handler threw)
+   * @param {string} provider - Provider name
+   * @param {string} callSid - Provider call ID
+   * @param {string} [event] - Call event
+   */
+  release(provider, callSid, event) {
+    WebhookIdempotency.release(this.buildKey(provider, callSid, event));
+  }
+
+  /**
+   * Delete expired keys, at most once per PURGE_INTERVAL_MS
+   */
+  purgeExpired() {
+    if (Date.now() - this.lastPurgeAt < PURGE_INTERVAL_MS) {
+      return;
+    }
+    this.lastPurgeAt = Date.now();
+
+    const deleted = WebhookIdempotency.deleteExpired();
+    if (deleted > 0) {
+      logger.info("Expired webhook idempotency keys purged", { deleted });
+    }
+  }
+}
+
+module.exports = WebhookIdempotencyService;
@@ -0,0 +1,62 @@
+/**
+ * CSV Utilities
+ * Minimal CSV parsing for manifests and CRM exports
+ */
+
+/**
+ * Parse CSV text into rows of objects keyed by lower-cased header
+ * Supports quoted fields with embedded commas, quotes and newlines
+ * @param {string} text - CSV content
+ * @returns {Array<Object>}
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((r) => r.some((value) => value.trim() !== ""));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map((h) => h.trim().toLowerCase().replace(/^\uFEFF/, ""));
+  return nonEmpty.slice(1).map((values) =>
+    Object.fromEntries(headers.map((header, i) => [header, (values[i] || "").trim()]))
+  );
+};
+
+module.exports = {
+  parseCsv,
+};
@@ -5,7 +5,8 @@
  * Manages BullMQ queues and workers
  */
 
-const { Queue, Worker } = require("bullmq");
+const { Queue, Worker, UnrecoverableError } = require("bullmq");
+const config = require("../config");
 const queueConfig = require("../config/queue");
 const logger = require("../utils/logger");
 
@@ -35,7 +36,7 @@ const createWorkers = () => {
 
       try {
         // Get call details
-        const { Call, Storage } = require("../services");
+        const { Call, Storage, StorageQuota, Telephony, AudioProcessing } = require("../services");
         const call = await Call.getCallById(callId);
 
         if (!call) {
@@ -46,15 +47,39 @@ const createWorkers = () => {
           throw new Error(`No recording URL for call: ${callId}`);
         }
 
-        // Download the recording
-        const localPath = await Storage.downloadCallRecording(
+        // Don't download anything for an organization that is already over quota
+        await StorageQuota.enforceQuota(call.org_id, "audio", 0, { callId });
+
+        // Download the recording with the auth the call's provider expects
+        const download = await Storage.downloadCallRecording(
           call.recording_url,
           call.org_id,
-          callId
+          callId,
+          Telephony.getRecordingRequestOptions(call)
         );
 
+        // Detect the real format, fix the extension and optionally transcode
+        const audio = await AudioProcessing.processFile(download.filePath);
+        const localPath = audio.filePath;
+
+        try {
+          await StorageQuota.enforceQuota(call.org_id, "audio", audio.sizeBytes, { callId });
+        } catch (quotaError) {
+          Storage.deleteFile(Storage.getStorageKey(localPath));
+          throw quotaError;
+        }
+
+        await Call.setAudioMetadata(callId, {
+          ...AudioProcessing.toCallMetadata(audio),
+          // Checksum of the recording as received from the provider
+          audio_sha256: download.sha256,
+        });
+
+        // Keep the recording in the configured storage so other machines can fetch it
+        const storageKey = await Storage.persistFile(localPath);
+
         // Update call record with local path
-        await Call.setLocalAudioPath(callId, localPath);
+        await Call.setLocalAudioPath(callId, localPath, storageKey);
         await Call.updateCallStatus(callId, "downloaded");
 
         // Queue transcription job
@@ -70,15 +95,18 @@ const createWorkers = () => {
       } catch (error) {
         logger.error(`❌ Download failed for call: ${callId}`, error);
 
+        const { Call, StorageQuota } = require("../services");
+        const quotaExceeded = StorageQuota.isQuotaError(error);
+
         // Update call status to failed
         try {
-          const { Call } = require("../services");
-          await Call.updateCallStatus(callId, "download_failed");
+          await Call.markCallFailed(callId, quotaExceeded ? "quota_exceeded" : "download_failed", error.message);
         } catch (updateError) {
           logger.error("Failed to update call status", updateError);
         }
 
-        throw error;
+        // Retrying won't help until space is freed; the call can be retried then
+        throw quotaExceeded ? new UnrecoverableError(error.message) : error;
       }
     },
     {
@@ -96,7 +124,15 @@ const createWorkers = () => {
 
       try {
         // Get call details
-        const { Call, Transcription } = require("../services");
+        const {
+          Call,
+          Storage,
+          Transcriber,
+          DualChannelTranscription,
+          EnsembleTranscription,
+          LanguageRouting,
+          AudioAnalysis,
+        } = require("../services");
         const { Transcript } = require("../models");
 
         const call = await Call.getCallById(callId);
@@ -105,34 +141,71 @@ const createWorkers = () => {
           throw new Error(`Call not found: ${callId}`);
         }
 
-        if (!call.local_audio_path) {
+        if (!call.local_audio_path && !call.audio_storage_key) {
           throw new Error(`No audio file for call: ${callId}`);
         }
 
-        // Check if transcription service is available
-        if (!Transcription.isAvailable()) {
-          throw new Error("Transcription service not configured - ELEVENLABS_API_KEY missing");
+        // Check that at least one provider in the priority list is configured
+        if (!Transcriber.isAvailable()) {
+          throw new Error("No transcription providers available - configure one of TRANSCRIPTION_PROVIDERS");
         }
 
+        // Fetches the audio from remote storage when it was downloaded elsewhere
+        const audioPath = await Storage.getLocalAudioPath(call);
+
         // Validate audio format
-        if (!Transcription.isValidFormat(call.local_audio_path)) {
-          throw new Error(`Unsupported audio format: ${call.local_audio_path}`);
+        if (!Transcriber.isValidFormat(audioPath)) {
+          throw new Error(`Unsupported audio format: ${audioPath}`);
         }
 
-        // Perform transcription
-        const result = await Transcription.transcribe(call.local_audio_path);
+        // Pick the providers from the expected language (agent, organization or detected)
+        const routing = await LanguageRouting.route(call, audioPath);
+
+        // Perform transcription (per channel for stereo recordings when enabled),
+        // failing over between providers in priority order. High-value calls are
+        // transcribed by several providers and merged into a consensus transcript.
+        const ensemble = EnsembleTranscription.isHighValue(call);
+        const transcriber = ensemble ? EnsembleTranscription : DualChannelTranscription;
+        const result = await transcriber.transcribe(audioPath, {
+          channels: call.audio_channels,
+          language: routing.language || undefined,
+          providers: routing.providers,
+        });
+
+        // Replace any transcript left by a previous attempt
+        if (Transcript.existsForCall(callId)) {
+          Transcript.deleteByCallId(callId);
+        }
 
         // Save transcript to database
         const transcript = Transcript.create({
           call_id: callId,
           content: result.text,
-          language: result.language,
+          language: result.language || routing.language,
           speaker_segments: result.segments,
           word_count: result.wordCount,
           stt_provider: result.provider,
+          stt_model: result.model,
+          stt_attempts: result.attempts,
+          stt_routing: routing,
+          stt_candidates: result.candidates,
+          stt_agreement: result.agreement,
+          stt_low_agreement: result.lowAgreement,
           processing_time_ms: result.processingTimeMs,
         });
 
+        // Silence, hold and talk-over metrics; a failure here does not fail the transcription
+        if (AudioAnalysis.enabled) {
+          try {
+            await AudioAnalysis.analyzeCall(callId, audioPath, {
+              segments: result.segments,
+              durationSeconds: call.audio_duration_seconds || call.duration_seconds,
+            });
+          } catch (analysisError) {
+            logger.warn("Audio analysis failed", { callId, error: analysisError.message });
+          }
+        }
+
         // Update call status
         await Call.updateCallStatus(callId, "transcribed");
 
@@ -143,6 +216,10 @@ const createWorkers = () => {
           transcriptId: transcript.id,
           language: result.language,
           wordCount: result.wordCount,
+          provider: result.provider,
+          failedProviders: result.failedProviders,
+          ensemble,
+          agreement: result.agreement,
         });
 
         return {
@@ -151,6 +228,10 @@ const createWorkers = () => {
           transcriptId: transcript.id,
           language: result.language,
           wordCount: result.wordCount,
+          provider: result.provider,
+          failedProviders: result.failedProviders,
+          agreement: result.agreement,
+          lowAgreement: !!result.lowAgreement,
           message: "Transcription completed and analysis queued",
         };
       } catch (error) {
@@ -159,7 +240,7 @@ const createWorkers = () => {
         // Update call status to failed
         try {
           const { Call } = require("../services");
-          await Call.updateCallStatus(callId, "transcription_failed");
+          await Call.markCallFailed(callId, "transcription_failed", error.message);
         } catch (updateError) {
           logger.error("Failed to update call status", updateError);
         }
@@ -207,10 +288,11 @@ const createWorkers = () => {
 
         // Check if alert needs to be triggered
         if (result.alert_triggered) {
-          logger.warn("Low score alert triggered", {
+          logger.warn(result.score_alert ? "Low score alert triggered" : "Audio alert triggered", {
             callId,
             score: result.overall_score,
             threshold: config.scoring.thresholds.alert,
+            audioAlerts: result.audio_alerts.map((alert) => alert.type),
           });
 
           // Queue notification job
@@ -220,9 +302,10 @@ const createWorkers = () => {
             {
               callId,
               analysisId: result.id,
-              type: "low_score_alert",
+              type: result.score_alert ? "low_score_alert" : "audio_alert",
               score: result.overall_score,
               summary: result.summary,
+              audioAlerts: result.audio_alerts,
               timestamp: new Date().toISOString(),
             },
             {
@@ -254,7 +337,7 @@ const createWorkers = () => {
         // Update call status to failed
         try {
           const { Call } = require("../services");
-          await Call.updateCallStatus(callId, "analysis_failed");
+          await Call.markCallFailed(callId, "analysis_failed", error.message);
         } catch (updateError) {
           logger.error("Failed to update call status", updateError);
         }
@@ -285,18 +368,46 @@ const createWorkers = () => {
     }
   );
 
+  // Retention purge worker (scheduled, see scheduleRetentionPurge)
+  const retentionWorker = new Worker(
+    queueConfig.queues.retention,
+    async (job) => {
+      if (job.data.test) {
+        return { status: "skipped", message: "Test job" };
+      }
+
+      const { Retention } = require("../services");
+      const dryRun = job.data.dryRun ?? config.retention.dryRun;
+      logger.info(`🧹 Processing retention purge job: ${job.id}`, { dryRun });
+
+      const summary = await Retention.purge({ orgId: job.data.orgId, dryRun });
+      return {
+        status: "completed",
+        runId: summary.runId,
+        dryRun: summary.dryRun,
+        totals: summary.totals,
+      };
+    },
+    {
+      connection: queueConfig.connection,
+      concurrency: queueConfig.concurrency.retention,
+    }
+  );
+
   // Error handling
   [
     downloadWorker,
     transcriptionWorker,
     analysisWorker,
     notificationWorker,
+    retentionWorker,
   ].forEach((worker, index) => {
     const workerNames = [
       "download",
       "transcription",
       "analysis",
       "notification",
+      "retention",
     ];
     const workerName = workerNames[index];
 
@@ -312,6 +423,30 @@ const createWorkers = () => {
   logger.info("👷 Workers initialized with placeholder processors");
 };
 
+// Schedule the retention purge as a repeatable job
+const scheduleRetentionPurge = async () => {
+  const queue = queues.retention;
+  const pattern = config.retention.purgeSchedule;
+
+  const enabled = config.retention.purgeEnabled;
+
+  // Repeatable jobs outlive the process; drop schedules that are disabled or changed
+  const existing = await queue.getRepeatableJobs();
+  await Promise.all(
+    existing
+      .filter((job) => job.name === "scheduled-purge" && (!enabled || job.pattern !== pattern))
+      .map((job) => queue.removeRepeatableByKey(job.key))
+  );
+
+  if (!enabled) {
+    logger.info("🧹 Retention purge schedule disabled (RETENTION_PURGE_ENABLED=false)");
+    return;
+  }
+
+  await queue.add("scheduled-purge", {}, { repeat: { pattern } });
+  logger.info(`🧹 Retention purge scheduled: ${pattern}`, { dryRun: config.retention.dryRun });
+};
+
 // Test queue functionality
 const testQueues = async () => {
   try {
@@ -354,6 +489,8 @@ const initialize = async () => {
     // Test the system
     await testQueues();
 
+    await scheduleRetentionPurge();
+
     logger.info("✅ Workers initialization complete");
 
     // Handle shutdown signals
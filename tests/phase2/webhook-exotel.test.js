@@ -53,7 +53,7 @@ describe("Phase 2 - Exotel Webhook Integration", () => {
       expect(response.body).toHaveProperty("status", "ignored");
     });
 
-    it("should ignore webhook with non-completed call_type", async () => {
+    it("should track incomplete incoming call as missed without queuing jobs", async () => {
       const payload = {
         call_sid: "test_call_incomplete",
         from: "09876543210",
@@ -63,6 +63,45 @@ describe("Phase 2 - Exotel Webhook Integration", () => {
         recording_url: "https://example.com/recording.mp3",
       };
 
+      const response = await request(app)
+        .post("/webhook/exotel")
+        .send(payload)
+        .expect(200);
+
+      expect(response.body).toHaveProperty("status", "tracked");
+      expect(response.body).toHaveProperty("call_status", "missed");
+      expect(response.body).toHaveProperty("call_id");
+      expect(response.body).not.toHaveProperty("job_id");
+    });
+
+    it("should track busy call with its own status", async () => {
+      const payload = {
+        call_sid: "test_call_busy",
+        from: "08012345678",
+        to: "09876543210",
+        direction: "outbound",
+        call_type: "incomplete",
+        dial_call_status: "busy",
+      };
+
+      const response = await request(app)
+        .post("/webhook/exotel")
+        .send(payload)
+        .expect(200);
+
+      expect(response.body).toHaveProperty("status", "tracked");
+      expect(response.body).toHaveProperty("call_status", "busy");
+    });
+
+    it("should ignore webhook with unknown call_type", async () => {
+      const payload = {
+        call_sid: "test_call_unknown",
+        from: "09876543210",
+        to: "08012345678",
+        direction: "incoming",
+        call_type: "in-progress",
+      };
+
       const response = await request(app)
         .post("/webhook/exotel")
         .send(payload)
@@ -120,7 +120,7 @@ describe("Phase 5 - Export Services", () => {
     if (fs.existsSync(testExportDir)) {
       const files = fs.readdirSync(testExportDir);
       for (const file of files) {
-        fs.unlinkSync(path.join(testExportDir, file));
+        fs.rmSync(path.join(testExportDir, file), { recursive: true });
       }
     }
   });
@@ -198,6 +198,15 @@ describe("Phase 5 - Export Services", () => {
       expect(files[0]).toHaveProperty("size");
       expect(files[0]).toHaveProperty("createdAt");
     });
+
+    test("should keep an organization's exports in its own directory", async () => {
+      const result = await csvExport.exportAnalyses(sampleAnalyses, { orgId: "org_a", filename: "org_a_export.csv" });
+
+      expect(result.filePath).toBe(path.join(testExportDir, "org_a", "org_a_export.csv"));
+      expect(csvExport.getExportFiles("org_a").map((f) => f.filename)).toEqual(["org_a_export.csv"]);
+      expect(csvExport.getExportFiles("org_b")).toEqual([]);
+      expect(csvExport.getExportFiles().map((f) => f.filename)).not.toContain("org_a_export.csv");
+    });
   });
 
   describe("ExcelExportService", () => {
@@ -0,0 +1,150 @@
+/**
+ * Unit Tests - Agent Attribution Service
+ * Tests mapping of Exotel webhook payloads to agents
+ */
+
+jest.mock("../../src/config", () => ({
+  database: { path: ":memory:" },
+  nodeEnv: "test",
+  agentAttribution: {
+    enabled: true,
+    phoneMap: { "08012345678": "agent_exophone", "08099999999": "agent_deleted" },
+  },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+jest.mock("../../src/models", () => ({
+  User: {
+    findById: jest.fn((id) => (["agent_001", "agent_002", "agent_exophone"].includes(id) ? { id } : null)),
+    findAll: jest.fn(() => [
+      { id: "agent_001", phone_number: "+91 98765 43210", whatsapp_number: null, exophone: null },
+      { id: "agent_002", phone_number: null, whatsapp_number: "09123456789", exophone: "08099999999" },
+    ]),
+  },
+}));
+
+const AgentAttributionService = require("../../src/services/agent-attribution.service");
+
+describe("Agent Attribution Service", () => {
+  let attribution;
+
+  beforeEach(() => {
+    attribution = new AgentAttributionService();
+  });
+
+  describe("normalizeNumber", () => {
+    test("should keep the last 10 digits", () => {
+      expect(attribution.normalizeNumber("+91 98765 43210")).toBe("9876543210");
+      expect(attribution.normalizeNumber("09876543210")).toBe("9876543210");
+      expect(attribution.normalizeNumber("9876543210")).toBe("9876543210");
+    });
+
+    test("should return null for empty values", () => {
+      expect(attribution.normalizeNumber(null)).toBeNull();
+      expect(attribution.normalizeNumber("")).toBeNull();
+      expect(attribution.normalizeNumber("n/a")).toBeNull();
+    });
+  });
+
+  describe("resolveAgent", () => {
+    test("should prefer the dial-whom number", () => {
+      const result = attribution.resolveAgent({
+        call_sid: "sid_1",
+        direction: "incoming",
+        from: "09000000000",
+        to: "08012345678",
+        dial_whom_number: "9876543210",
+      });
+
+      expect(result.agentId).toBe("agent_001");
+      expect(result.source).toBe("dial_whom_number");
+      expect(result.matchedBy).toBe("users.phone_number");
+    });
+
+    test("should use the lookup table for the ExoPhone on incoming calls", () => {
+      const result = attribution.resolveAgent({
+        call_sid: "sid_2",
+        direction: "incoming",
+        from: "09000000000",
+        to: "08012345678",
+      });
+
+      expect(result.agentId).toBe("agent_exophone");
+      expect(result.source).toBe("exophone");
+      expect(result.matchedBy).toBe("lookup_table");
+    });
+
+    test("should skip lookup table entries for users that do not exist", () => {
+      const result = attribution.resolveAgent({
+        call_sid: "sid_stale",
+        direction: "incoming",
+        from: "09000000000",
+        to: "08099999999",
+      });
+
+      // Falls back to the users table instead of writing an unknown agent_id
+      expect(result.agentId).toBe("agent_002");
+      expect(result.matchedBy).toBe("users.exophone");
+      expect(attribution.findAgentByNumber("08099999999")).not.toMatchObject({ agentId: "agent_deleted" });
+    });
+
+    test("should match users.exophone on incoming calls", () => {
+      const result = attribution.resolveAgent({
+        call_sid: "sid_3",
+        direction: "incoming",
+        from: "09000000000",
+        to: "08099999999",
+      });
+
+      expect(result.agentId).toBe("agent_002");
+      expect(result.matchedBy).toBe("users.exophone");
+    });
+
+    test("should use the caller number on outgoing calls", () => {
+      const result = attribution.resolveAgent({
+        call_sid: "sid_4",
+        direction: "outbound-api",
+        from: "09123456789",
+        to: "09000000000",
+      });
+
+      expect(result.agentId).toBe("agent_002");
+      expect(result.source).toBe("from");
+      expect(result.matchedBy).toBe("users.whatsapp_number");
+    });
+
+    test("should return null when nothing matches", () => {
+      const result = attribution.resolveAgent({
+        call_sid: "sid_5",
+        direction: "incoming",
+        from: "09000000000",
+        to: "08000000000",
+      });
+
+      expect(result).toBeNull();
+    });
+
+    test("should return null when attribution is disabled", () => {
+      attribution.settings = { ...attribution.settings, enabled: false };
+
+      const result = attribution.resolveAgent({
+        direction: "incoming",
+        to: "08012345678",
+      });
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe("describeAttribution", () => {
+    test("should describe how the agent was matched", () => {
+      expect(
+        attribution.describeAttribution({ source: "exophone", matchedBy: "lookup_table" })
+      ).toBe("auto:exophone:lookup_table");
+      expect(attribution.describeAttribution(null)).toBeNull();
+    });
+  });
+});
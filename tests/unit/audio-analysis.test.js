@@ -0,0 +1,253 @@
+/**
+ * Unit Tests - Audio Analysis
+ * Tests silence, hold and talk-over measurement from waveforms and transcript timings
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  audio: { transcode: false, targetSampleRate: 16000, targetChannels: 1, ffmpegPath: "ffmpeg" },
+  audioAnalysis: {
+    enabled: true,
+    windowMs: 50,
+    silenceThresholdDb: -40,
+    minSilenceSeconds: 2,
+    holdMinSeconds: 30,
+    minTalkOverSeconds: 0.5,
+    alerts: { holdSeconds: 30, longestSilenceSeconds: 60, talkOverSeconds: 1, silenceRatio: 0 },
+  },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+const { AudioAnalysisService } = require("../../src/services/audio");
+const { findSegmentOverlaps, findSegmentGaps } = require("../../src/services/audio/silence-detector");
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "audio-analysis-"));
+const SAMPLE_RATE = 8000;
+
+afterAll(() => {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+});
+
+/**
+ * Build a 16-bit PCM WAV where each channel has a tone during the given ranges
+ * @param {Array<Array<Array<number>>>} channelRanges - Per channel, [[startSeconds, endSeconds]]
+ * @param {number} seconds - Length of the recording
+ */
+const buildWav = (channelRanges, seconds) => {
+  const channels = channelRanges.length;
+  const frames = SAMPLE_RATE * seconds;
+  const data = Buffer.alloc(frames * channels * 2);
+
+  for (let frame = 0; frame < frames; frame++) {
+    const time = frame / SAMPLE_RATE;
+    channelRanges.forEach((ranges, channel) => {
+      const active = ranges.some(([start, end]) => time >= start && time < end);
+      // 440 Hz at half scale, with a little noise floor under the silence
+      const sample = active ? Math.round(16000 * Math.sin(2 * Math.PI * 440 * time)) : (frame % 7) - 3;
+      data.writeInt16LE(sample, (frame * channels + channel) * 2);
+    });
+  }
+
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+};
+
+const writeFile = (name, buffer) => {
+  const filePath = path.join(tempRoot, name);
+  fs.writeFileSync(filePath, buffer);
+  return filePath;
+};
+
+// MPEG-1 Layer III frames, enough for format detection
+const buildMp3 = () => {
+  const frame = Buffer.alloc(417);
+  frame.writeUInt32BE(0xfffb9064);
+  return Buffer.concat(Array.from({ length: 20 }, () => frame));
+};
+
+describe("AudioAnalysisService", () => {
+  test("should measure silences and split them into hold and dead air", async () => {
+    const service = new AudioAnalysisService();
+    // Speech, 3s pause, speech, 35s hold, speech, 1s pause (too short), speech
+    const filePath = writeFile("mono.wav", buildWav([[[0, 2], [5, 7], [42, 44], [45, 46]]], 46));
+
+    const metrics = await service.analyzeFile(filePath);
+
+    expect(metrics).toMatchObject({
+      source: "waveform",
+      channels: 1,
+      durationSeconds: 46,
+      silenceCount: 2,
+      totalSilenceSeconds: 38,
+      longestSilenceSeconds: 35,
+      holdCount: 1,
+      holdSeconds: 35,
+      deadAirSeconds: 3,
+      talkOverSeconds: null,
+      talkOverSource: null,
+    });
+    expect(metrics.silenceSegments).toEqual([
+      { start: 2, end: 5, duration: 3, type: "dead_air" },
+      { start: 7, end: 42, duration: 35, type: "hold" },
+    ]);
+    expect(metrics.silenceRatio).toBeCloseTo(38 / 46, 3);
+  });
+
+  test("should measure talk-over from the channels of stereo recordings", async () => {
+    const service = new AudioAnalysisService();
+    // Agent 0-4s, customer 3-6s, then both silent
+    const filePath = writeFile("stereo.wav", buildWav([[[0, 4]], [[3, 6]]], 10));
+
+    const metrics = await service.analyzeFile(filePath);
+
+    expect(metrics).toMatchObject({
+      channels: 2,
+      talkOverCount: 1,
+      talkOverSeconds: 1,
+      talkOverSource: "channels",
+      silenceCount: 1,
+      longestSilenceSeconds: 4,
+    });
+  });
+
+  test("should use transcript segments for talk-over on mono recordings", async () => {
+    const service = new AudioAnalysisService();
+    const filePath = writeFile("mono-speakers.wav", buildWav([[[0, 10]]], 10));
+    const segments = [
+      { start: 0, end: 5, speaker: "speaker_0" },
+      { start: 4, end: 8, speaker: "speaker_1" },
+      { start: 7.8, end: 10, speaker: "speaker_0" },
+    ];
+
+    const metrics = await service.analyzeFile(filePath, { segments });
+
+    // The 0.2s overlap at 7.8s is below minTalkOverSeconds
+    expect(metrics).toMatchObject({ talkOverCount: 1, talkOverSeconds: 1, talkOverSource: "segments", silenceCount: 0 });
+  });
+
+  test("should fall back to transcript gaps when the audio cannot be decoded", async () => {
+    const service = new AudioAnalysisService({
+      audioProcessing: new (require("../../src/services/audio").AudioProcessingService)({
+        ffmpegPath: path.join(tempRoot, "no-ffmpeg"),
+      }),
+    });
+    const filePath = writeFile("call.mp3", buildMp3());
+    const segments = [
+      { start: 1, end: 4, speaker: "agent" },
+      { start: 40, end: 50, speaker: "customer" },
+    ];
+
+    const metrics = await service.analyzeFile(filePath, { segments, durationSeconds: 53 });
+
+    expect(metrics).toMatchObject({
+      source: "segments",
+      channels: null,
+      durationSeconds: 53,
+      holdSeconds: 36,
+      deadAirSeconds: 3,
+      talkOverSeconds: 0,
+    });
+    expect(metrics.silenceSegments.map((silence) => silence.start)).toEqual([4, 50]);
+    expect(fs.existsSync(path.join(tempRoot, "call.analysis.wav"))).toBe(false);
+
+    await expect(service.analyzeFile(filePath)).rejects.toThrow("ffmpeg not found");
+  });
+
+  test("should report alert thresholds that were crossed", () => {
+    const service = new AudioAnalysisService();
+
+    const alerts = service.getAlertTriggers({
+      holdSeconds: 35,
+      longestSilenceSeconds: 35,
+      talkOverSeconds: 4,
+      silenceRatio: 0.8,
+    });
+
+    expect(alerts.map((alert) => alert.type)).toEqual(["long_hold", "talk_over"]);
+    expect(alerts[0]).toEqual({
+      type: "long_hold",
+      value: 35,
+      threshold: 30,
+      message: "Customer was on hold for 35s",
+    });
+    // Unknown talk-over and disabled thresholds never trigger
+    expect(service.getAlertTriggers({ holdSeconds: 0, longestSilenceSeconds: 10, talkOverSeconds: null, silenceRatio: 1 })).toEqual([]);
+  });
+
+  test("should store metrics with their alerts for the call", async () => {
+    const metricsModel = { upsert: jest.fn((callId, metrics) => ({ call_id: callId, ...metrics })) };
+    const service = new AudioAnalysisService({ metricsModel });
+    const filePath = writeFile("hold.wav", buildWav([[[0, 2], [40, 42]]], 42));
+
+    const stored = await service.analyzeCall("call_1", filePath);
+
+    expect(metricsModel.upsert).toHaveBeenCalledWith(
+      "call_1",
+      expect.objectContaining({ holdSeconds: 38, alerts: [expect.objectContaining({ type: "long_hold", value: 38 })] })
+    );
+    expect(stored.call_id).toBe("call_1");
+  });
+
+  test("should format stored metrics for the call report", () => {
+    const service = new AudioAnalysisService();
+
+    expect(service.toReport(null)).toBeNull();
+    expect(
+      service.toReport({
+        source: "waveform",
+        duration_seconds: 60,
+        hold_seconds: 35,
+        talk_over_seconds: 2,
+        silence_segments: [],
+        alerts: [],
+        updated_at: "2026-01-01T00:00:00.000Z",
+      })
+    ).toMatchObject({ source: "waveform", durationSeconds: 60, holdSeconds: 35, talkOverSeconds: 2, alerts: [] });
+  });
+});
+
+describe("silence detector helpers", () => {
+  test("should not count overlapping segments of the same speaker as talk-over", () => {
+    const segments = [
+      { start: 0, end: 3, speaker: "agent" },
+      { start: 2, end: 5, speaker: "agent" },
+      { start: 6, end: 7, speaker: "customer" },
+    ];
+
+    expect(findSegmentOverlaps(segments, 0)).toEqual([]);
+  });
+
+  test("should find gaps before, between and after segments", () => {
+    const segments = [
+      { start: 3, end: 5 },
+      { start: 4, end: 6 },
+      { start: 9, end: 10 },
+    ];
+
+    expect(findSegmentGaps(segments, 15, 2)).toEqual([
+      { start: 0, end: 3, duration: 3 },
+      { start: 6, end: 9, duration: 3 },
+      { start: 10, end: 15, duration: 5 },
+    ]);
+  });
+});
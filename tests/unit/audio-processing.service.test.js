@@ -0,0 +1,297 @@
+/**
+ * Unit Tests - Audio Processing
+ * Tests format detection from magic bytes, extension fixes and transcoding
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  audio: { transcode: false, targetSampleRate: 16000, targetChannels: 1, ffmpegPath: "ffmpeg" },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+const { detectAudioFormat, AudioProcessingService } = require("../../src/services/audio");
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "audio-processing-"));
+
+afterAll(() => {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+});
+
+const writeFile = (name, buffer) => {
+  const filePath = path.join(tempRoot, name);
+  fs.writeFileSync(filePath, buffer);
+  return filePath;
+};
+
+const uint32LE = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+};
+
+// PCM WAV with the given sample rate, channels and length
+const buildWav = ({ sampleRate = 8000, channels = 1, seconds = 2 } = {}) => {
+  const byteRate = sampleRate * channels * 2;
+  const dataSize = byteRate * seconds;
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(dataSize, 40);
+  return Buffer.concat([header, Buffer.alloc(dataSize)]);
+};
+
+// MPEG-1 Layer III, 128 kbps, 44.1 kHz frames (417 bytes each)
+const buildMp3 = ({ frames = 100, mono = false, id3 = false, xingFrames = null } = {}) => {
+  const frame = Buffer.alloc(417);
+  frame.writeUInt32BE(mono ? 0xfffb90c4 : 0xfffb9064);
+  if (xingFrames) {
+    const offset = 4 + (mono ? 17 : 32);
+    frame.write("Xing", offset, "ascii");
+    frame.writeUInt32BE(1, offset + 4);
+    frame.writeUInt32BE(xingFrames, offset + 8);
+  }
+  const parts = Array.from({ length: frames }, () => frame);
+  if (id3) {
+    // ID3v2 header with a 20-byte (syncsafe) tag body
+    parts.unshift(Buffer.concat([Buffer.from("ID3"), Buffer.from([3, 0, 0, 0, 0, 0, 20]), Buffer.alloc(20)]));
+  }
+  return Buffer.concat(parts);
+};
+
+// Ogg page with a single segment
+const oggPage = (payload, granule) => {
+  const header = Buffer.alloc(27);
+  header.write("OggS", 0, "ascii");
+  header.writeBigUInt64LE(BigInt(granule), 6);
+  header[26] = 1;
+  return Buffer.concat([header, Buffer.from([payload.length]), payload]);
+};
+
+const buildOpus = ({ seconds = 10, preSkip = 312 } = {}) => {
+  const head = Buffer.alloc(19);
+  head.write("OpusHead", 0, "ascii");
+  head[8] = 1;
+  head[9] = 1;
+  head.writeUInt16LE(preSkip, 10);
+  head.writeUInt32LE(16000, 12);
+  return Buffer.concat([
+    oggPage(head, 0),
+    Buffer.alloc(2000),
+    oggPage(Buffer.alloc(10), 48000 * seconds + preSkip),
+  ]);
+};
+
+// FLAC with a STREAMINFO block: 16 kHz, mono, 16-bit, 10 seconds
+const buildFlac = () => {
+  const streamInfo = Buffer.alloc(34);
+  streamInfo[10] = 0x03;
+  streamInfo[11] = 0xe8;
+  streamInfo[12] = 0x00;
+  streamInfo[13] = 0xf0;
+  streamInfo.writeUInt32BE(160000, 14);
+  return Buffer.concat([Buffer.from("fLaC"), Buffer.from([0x80, 0, 0, 34]), streamInfo, Buffer.alloc(100)]);
+};
+
+const atom = (type, ...children) => {
+  const body = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length);
+  header.write(type, 4, "ascii");
+  return Buffer.concat([header, body]);
+};
+
+// M4A with moov after mdat, as phone recorders write it: 8 kHz mono AAC, 93.5 seconds
+const buildM4a = () => {
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(1000, 12);
+  mvhd.writeUInt32BE(93500, 16);
+
+  const stsd = Buffer.alloc(8 + 36);
+  stsd.writeUInt32BE(1, 4);
+  stsd.writeUInt32BE(36, 8);
+  stsd.write("mp4a", 12, "ascii");
+  stsd.writeUInt16BE(1, 8 + 24);
+  stsd.writeUInt16BE(16, 8 + 26);
+  stsd.writeUInt32BE(8000 * 65536, 8 + 32);
+
+  return Buffer.concat([
+    atom("ftyp", Buffer.from("M4A \0\0\0\0isom")),
+    atom("mdat", Buffer.alloc(5000)),
+    atom("moov", atom("mvhd", mvhd), atom("trak", atom("mdia", atom("minf", atom("stbl", atom("stsd", stsd)))))),
+  ]);
+};
+
+describe("detectAudioFormat", () => {
+  test("should read WAV format details", () => {
+    const info = detectAudioFormat(writeFile("call.bin", buildWav({ sampleRate: 8000, channels: 2, seconds: 2 })));
+
+    expect(info).toMatchObject({
+      container: "wav",
+      extension: "wav",
+      codec: "pcm",
+      sampleRate: 8000,
+      channels: 2,
+      bitsPerSample: 16,
+      durationSeconds: 2,
+    });
+    expect(info.sizeBytes).toBe(44 + 8000 * 2 * 2 * 2);
+  });
+
+  test("should detect MP3 saved with a .wav name", () => {
+    const info = detectAudioFormat(writeFile("exotel.wav", buildMp3({ frames: 100 })));
+
+    expect(info).toMatchObject({ container: "mp3", extension: "mp3", codec: "mp3", sampleRate: 44100, channels: 2 });
+    expect(info.durationSeconds).toBeCloseTo(2.61, 1);
+  });
+
+  test("should skip ID3 tags and use the Xing frame count", () => {
+    const info = detectAudioFormat(writeFile("vbr.mp3", buildMp3({ frames: 3, mono: true, id3: true, xingFrames: 1000 })));
+
+    expect(info).toMatchObject({ container: "mp3", channels: 1 });
+    expect(info.durationSeconds).toBeCloseTo((1000 * 1152) / 44100, 2);
+  });
+
+  test("should read Opus details and duration from Ogg pages", () => {
+    expect(detectAudioFormat(writeFile("voice.bin", buildOpus({ seconds: 10 })))).toMatchObject({
+      container: "ogg",
+      extension: "ogg",
+      codec: "opus",
+      sampleRate: 16000,
+      channels: 1,
+      durationSeconds: 10,
+    });
+  });
+
+  test("should read FLAC STREAMINFO", () => {
+    expect(detectAudioFormat(writeFile("call.flac", buildFlac()))).toMatchObject({
+      container: "flac",
+      codec: "flac",
+      sampleRate: 16000,
+      channels: 1,
+      bitsPerSample: 16,
+      durationSeconds: 10,
+    });
+  });
+
+  test("should read M4A duration and sample entry with moov at the end", () => {
+    expect(detectAudioFormat(writeFile("recorder.mp4", buildM4a()))).toMatchObject({
+      container: "mp4",
+      extension: "m4a",
+      codec: "aac",
+      sampleRate: 8000,
+      channels: 1,
+      durationSeconds: 93.5,
+    });
+  });
+
+  test("should identify ADTS AAC and AMR", () => {
+    // ADTS: 16 kHz (index 8), mono
+    const adts = Buffer.concat([Buffer.from([0xff, 0xf1, 0x60, 0x40]), Buffer.alloc(100)]);
+
+    expect(detectAudioFormat(writeFile("stream.bin", adts))).toMatchObject({
+      container: "aac",
+      sampleRate: 16000,
+      channels: 1,
+    });
+    expect(detectAudioFormat(writeFile("voice.bin", Buffer.concat([Buffer.from("#!AMR\n"), Buffer.alloc(50)])))).toMatchObject({
+      container: "amr",
+      sampleRate: 8000,
+    });
+  });
+
+  test("should return null for files that are not audio", () => {
+    expect(detectAudioFormat(writeFile("error.wav", Buffer.from("<html><body>Recording not found</body></html>")))).toBeNull();
+    expect(detectAudioFormat(writeFile("empty.wav", Buffer.alloc(0)))).toBeNull();
+  });
+});
+
+describe("AudioProcessingService", () => {
+  test("should rename files to match their format and report metadata", async () => {
+    const service = new AudioProcessingService();
+    const filePath = writeFile("call_1.download", buildMp3({ frames: 50 }));
+
+    const result = await service.processFile(filePath);
+
+    expect(result.filePath).toBe(path.join(tempRoot, "call_1.mp3"));
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(result).toMatchObject({ format: "mp3", sampleRate: 44100, channels: 2, transcoded: false });
+    expect(service.toCallMetadata(result)).toEqual({
+      audio_format: "mp3",
+      audio_codec: "mp3",
+      audio_duration_seconds: result.durationSeconds,
+      audio_sample_rate: 44100,
+      audio_channels: 2,
+      audio_size_bytes: 50 * 417,
+    });
+  });
+
+  test("should reject files that are not audio", async () => {
+    const service = new AudioProcessingService();
+
+    await expect(service.processFile(writeFile("call_2.download", Buffer.from('{"error":"expired"}')))).rejects.toThrow(
+      "Invalid audio file: unrecognised format"
+    );
+  });
+
+  test("should transcode to 16 kHz mono WAV when enabled", async () => {
+    const service = new AudioProcessingService({ transcode: true });
+    service.runFfmpeg = jest.fn(async (args) => {
+      fs.writeFileSync(args[args.length - 1], buildWav({ sampleRate: 16000, channels: 1, seconds: 3 }));
+    });
+    const filePath = writeFile("call_3.download", buildMp3({ frames: 20 }));
+
+    const result = await service.processFile(filePath);
+
+    expect(service.runFfmpeg).toHaveBeenCalledWith(
+      expect.arrayContaining(["-i", path.join(tempRoot, "call_3.mp3"), "-ac", "1", "-ar", "16000", "-c:a", "pcm_s16le"])
+    );
+    expect(result).toMatchObject({
+      filePath: path.join(tempRoot, "call_3.wav"),
+      format: "wav",
+      codec: "pcm",
+      sampleRate: 16000,
+      channels: 1,
+      durationSeconds: 3,
+      transcoded: true,
+      originalFormat: "mp3",
+    });
+    expect(fs.existsSync(path.join(tempRoot, "call_3.mp3"))).toBe(false);
+  });
+
+  test("should leave audio already in the target format alone", async () => {
+    const service = new AudioProcessingService({ transcode: true });
+    service.runFfmpeg = jest.fn();
+
+    const result = await service.processFile(writeFile("call_4.wav", buildWav({ sampleRate: 16000, channels: 1 })));
+
+    expect(service.runFfmpeg).not.toHaveBeenCalled();
+    expect(result.transcoded).toBe(false);
+  });
+
+  test("should keep the original audio when transcoding fails", async () => {
+    const service = new AudioProcessingService({ transcode: true, ffmpegPath: path.join(tempRoot, "no-ffmpeg") });
+
+    const result = await service.processFile(writeFile("call_5.download", buildMp3({ frames: 20 })));
+
+    expect(result).toMatchObject({ filePath: path.join(tempRoot, "call_5.mp3"), format: "mp3", transcoded: false });
+    expect(fs.existsSync(path.join(tempRoot, "call_5.transcoding.wav"))).toBe(false);
+    await expect(service.runFfmpeg(["-version"])).rejects.toThrow("ffmpeg not found");
+  });
+});
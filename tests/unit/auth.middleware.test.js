@@ -0,0 +1,100 @@
+/**
+ * Unit Tests - Auth Middleware
+ * Tests resolving the organization a request acts for from its API key
+ */
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  auth: {
+    apiKeys: [
+      { orgId: "org_a", key: "key-a" },
+      { orgId: "org_b", key: "key-b" },
+      { orgId: "default", key: "key-admin", admin: true },
+    ],
+  },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+const { authenticate, requireAdmin, canAccessOrg } = require("../../src/middleware/auth.middleware");
+
+const run = (middleware, headers = {}) => {
+  const req = { path: "/api/calls/call_1/audio/synced", headers };
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { req, res, next };
+};
+
+describe("authenticate", () => {
+  test("should act for the organization of the API key", () => {
+    const bearer = run(authenticate(), { authorization: "Bearer key-b" });
+    expect(bearer.next).toHaveBeenCalled();
+    expect(bearer.req.auth).toEqual({ orgId: "org_b" });
+
+    const header = run(authenticate(), { "x-api-key": "key-a" });
+    expect(header.req.auth).toEqual({ orgId: "org_a" });
+  });
+
+  test("should reject missing and unknown keys", () => {
+    const missing = run(authenticate());
+    expect(missing.next).not.toHaveBeenCalled();
+    expect(missing.res.status).toHaveBeenCalledWith(401);
+
+    const unknown = run(authenticate(), { authorization: "Bearer key-a-but-longer" });
+    expect(unknown.next).not.toHaveBeenCalled();
+    expect(unknown.res.json).toHaveBeenCalledWith({ success: false, error: "Invalid API key" });
+  });
+
+  test("should let keyless requests through when optional, but not wrong keys", () => {
+    const keyless = run(authenticate({ optional: true }));
+    expect(keyless.next).toHaveBeenCalled();
+    expect(keyless.req.auth).toBeNull();
+
+    expect(run(authenticate({ optional: true }), { "x-api-key": "nope" }).res.status).toHaveBeenCalledWith(401);
+  });
+
+  test("should leave the API open without keys", () => {
+    const open = run(authenticate({ apiKeys: [] }));
+    expect(open.next).toHaveBeenCalled();
+    expect(open.req.auth).toBeNull();
+  });
+});
+
+describe("requireAdmin", () => {
+  const runWithReq = (req) => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    const next = jest.fn();
+    requireAdmin()(req, res, next);
+    return { req, res, next };
+  };
+
+  test("should only let admin keys through", () => {
+    const admin = runWithReq(run(authenticate(), { authorization: "Bearer key-admin" }).req);
+    expect(admin.req.auth).toEqual({ orgId: "default", admin: true });
+    expect(admin.next).toHaveBeenCalled();
+
+    const org = runWithReq(run(authenticate(), { authorization: "Bearer key-a" }).req);
+    expect(org.next).not.toHaveBeenCalled();
+    expect(org.res.status).toHaveBeenCalledWith(403);
+  });
+
+  test("should leave admin routes open without keys", () => {
+    expect(runWithReq(run(authenticate({ apiKeys: [] })).req).next).toHaveBeenCalled();
+  });
+});
+
+describe("canAccessOrg", () => {
+  test("should allow the caller's own organization, admin keys and the open API", () => {
+    expect(canAccessOrg({ orgId: "org_a" }, "org_a")).toBe(true);
+    expect(canAccessOrg({ orgId: "org_a" }, "org_b")).toBe(false);
+    expect(canAccessOrg({ orgId: "default", admin: true }, "org_b")).toBe(true);
+    expect(canAccessOrg(null, "org_b")).toBe(true);
+  });
+});
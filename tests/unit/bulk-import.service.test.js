@@ -0,0 +1,198 @@
+/**
+ * Unit Tests - Bulk Import Service
+ * Tests manifest parsing, timestamps, throttling and resumable imports
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "bulk-import-"));
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  organization: { defaultId: "default" },
+  storage: { path: require("path").join(require("os").tmpdir(), "bulk-import-storage") },
+  import: { rootPath: "/srv/import-inbox", ratePerMinute: 20, defaultDirection: "outgoing" },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+jest.mock("../../src/models", () => {
+  const jobs = new Map();
+  const sourceRefs = new Set();
+  return {
+    sourceRefs,
+    ImportJob: {
+      jobs,
+      create: jest.fn((data) => {
+        const job = {
+          id: `import_${jobs.size + 1}`,
+          status: "pending",
+          total_files: 0,
+          cursor: 0,
+          created_count: 0,
+          skipped_count: 0,
+          failed_count: 0,
+          errors: [],
+          ...data,
+        };
+        jobs.set(job.id, job);
+        return { ...job };
+      }),
+      findById: jest.fn((id) => (jobs.has(id) ? { ...jobs.get(id) } : null)),
+      findAll: jest.fn(() => Array.from(jobs.values())),
+      update: jest.fn((id, updates) => {
+        Object.assign(jobs.get(id), updates);
+        return { ...jobs.get(id) };
+      }),
+    },
+    Call: {
+      findBySourceRef: jest.fn((ref) => (sourceRefs.has(ref) ? { id: "call_existing" } : null)),
+    },
+  };
+});
+
+const models = require("../../src/models");
+const BulkImportService = require("../../src/services/import/bulk-import.service");
+const { parseCsv, parseDateFromFileName } = BulkImportService;
+
+const writeFile = (fullPath, content = "audio") => {
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, content);
+  return fullPath;
+};
+
+describe("Bulk Import Service", () => {
+  afterAll(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  describe("parseCsv", () => {
+    test("should parse headers, quoted fields and CRLF line endings", () => {
+      const rows = parseCsv('File,Agent_ID,Notes\r\na.mp3,agent_1,"hello, ""world"""\r\n\r\nb.mp3,,\r\n');
+
+      expect(rows).toEqual([
+        { file: "a.mp3", agent_id: "agent_1", notes: 'hello, "world"' },
+        { file: "b.mp3", agent_id: "", notes: "" },
+      ]);
+    });
+  });
+
+  describe("parseDateFromFileName", () => {
+    test("should read common date formats as local time", () => {
+      expect(parseDateFromFileName("call_20240115_103000.mp3")).toEqual(new Date(2024, 0, 15, 10, 30, 0));
+      expect(parseDateFromFileName("2024-01-15 10-30-00.wav")).toEqual(new Date(2024, 0, 15, 10, 30, 0));
+      expect(parseDateFromFileName("recording-2024-01-15.m4a")).toEqual(new Date(2024, 0, 15));
+    });
+
+    test("should ignore names without a valid date", () => {
+      expect(parseDateFromFileName("voice note.ogg")).toBeNull();
+      expect(parseDateFromFileName("20241345.mp3")).toBeNull();
+    });
+  });
+
+  describe("resolveApiPath", () => {
+    test("should keep API paths inside the import root", () => {
+      const service = new BulkImportService();
+      expect(service.resolveApiPath("batch1/archive.zip")).toBe(path.resolve("/srv/import-inbox/batch1/archive.zip"));
+      expect(() => service.resolveApiPath("../../etc")).toThrow("Invalid import path");
+    });
+  });
+
+  describe("runJob", () => {
+    let sourceDir;
+    let callService;
+    let sleep;
+    let service;
+
+    beforeEach(() => {
+      sourceDir = path.join(tempRoot, `source-${Date.now()}`);
+      fs.mkdirSync(sourceDir);
+      writeFile(path.join(sourceDir, "b/20240115_103000.mp3"));
+      writeFile(path.join(sourceDir, "a.wav"));
+      writeFile(path.join(sourceDir, "notes.txt"));
+      writeFile(
+        path.join(sourceDir, "manifest.csv"),
+        "filename,agent,date,phone,direction\na.wav,agent_1,2023-12-01T09:00:00Z,09000000000,incoming\n"
+      );
+
+      callService = { createUploadedCall: jest.fn(async () => ({ call: { id: "call_1" }, job: { id: "job_1" } })) };
+      sleep = jest.fn(async () => {});
+      service = new BulkImportService({ callService, sleep });
+    });
+
+    test("should import audio files in order with manifest and file name metadata", async () => {
+      const job = service.createJob({ sourcePath: sourceDir, ratePerMinute: 30 });
+      const progress = await service.runJob(job.id);
+
+      expect(progress).toMatchObject({ status: "completed", total: 2, processed: 2, created: 2, percent: 100 });
+
+      const [first, second] = callService.createUploadedCall.mock.calls;
+      expect(first[0]).toMatchObject({ originalName: "a.wav", copy: true });
+      expect(first[1]).toMatchObject({
+        agentId: "agent_1",
+        customerNumber: "09000000000",
+        direction: "incoming",
+        recordedAt: "2023-12-01T09:00:00Z",
+        source: "import",
+        sourceRef: `${job.id}:a.wav`,
+      });
+      expect(second[1]).toMatchObject({
+        direction: "outgoing",
+        recordedAt: new Date(2024, 0, 15, 10, 30, 0).toISOString(),
+        sourceRef: `${job.id}:b/20240115_103000.mp3`,
+      });
+    });
+
+    test("should throttle between queued files", async () => {
+      const job = service.createJob({ sourcePath: sourceDir, ratePerMinute: 30 });
+      await service.runJob(job.id);
+
+      expect(sleep).toHaveBeenCalledTimes(1);
+      expect(sleep).toHaveBeenCalledWith(2000);
+    });
+
+    test("should resume from the cursor and skip files already imported", async () => {
+      const job = service.createJob({ sourcePath: sourceDir });
+      models.ImportJob.update(job.id, { status: "paused", cursor: 0 });
+      models.sourceRefs.add(`${job.id}:a.wav`);
+
+      const progress = await service.runJob(job.id);
+
+      expect(progress).toMatchObject({ processed: 2, skipped: 1, created: 1 });
+      expect(callService.createUploadedCall).toHaveBeenCalledTimes(1);
+    });
+
+    test("should stop when the job is paused", async () => {
+      const job = service.createJob({ sourcePath: sourceDir });
+      callService.createUploadedCall.mockImplementationOnce(async () => {
+        service.pauseJob(job.id);
+        return { call: { id: "call_1" }, job: { id: "job_1" } };
+      });
+
+      const progress = await service.runJob(job.id);
+
+      expect(progress).toMatchObject({ status: "paused", processed: 1, remaining: 1 });
+    });
+
+    test("should record failures and continue", async () => {
+      const job = service.createJob({ sourcePath: sourceDir });
+      callService.createUploadedCall.mockRejectedValueOnce(new Error("Agent not found: agent_1"));
+
+      const progress = await service.runJob(job.id);
+
+      expect(progress).toMatchObject({ status: "completed", created: 1, failed: 1 });
+      expect(progress.errors).toEqual([{ file: "a.wav", error: "Agent not found: agent_1" }]);
+    });
+
+    test("should reject sources that are not directories or ZIPs", () => {
+      expect(() => service.createJob({ sourcePath: path.join(sourceDir, "a.wav") })).toThrow(
+        "expected a directory or .zip file"
+      );
+      expect(() => service.createJob({ sourcePath: "/does/not/exist" })).toThrow("not found");
+    });
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Unit Tests - Call Listing
+ * Tests call filters, status counts, pagination and call details
+ */
+
+const fs = require("fs");
+const express = require("express");
+const request = require("supertest");
+const Database = require("better-sqlite3");
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  database: {
+    path: require("path").join(require("os").tmpdir(), `call-listing-${process.pid}.db`),
+  },
+  organization: { defaultId: "default" },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+jest.mock("../../src/config/queue", () => ({}));
+
+jest.mock("../../src/services", () => {
+  const CallService = jest.requireActual("../../src/services/call.service");
+  return {
+    Call: new CallService(),
+  };
+});
+
+const config = require("../../src/config");
+const { Call, Transcript, Analysis, AudioMetrics, Notification } = require("../../src/models");
+const { Call: CallService } = require("../../src/services");
+const { getCalls, getStatusCounts, getCallById } = require("../../src/controllers/call.controller");
+
+describe("Call Listing", () => {
+  let db;
+
+  const insertCall = (id, overrides = {}) =>
+    db
+      .prepare(
+        `INSERT INTO calls (id, org_id, agent_id, exotel_call_sid, caller_number, callee_number, direction, status, source, created_at)
+         VALUES (@id, @org_id, @agent_id, @id, @caller_number, @callee_number, @direction, @status, @source, @created_at)`
+      )
+      .run({
+        id,
+        org_id: "org_a",
+        agent_id: "agent_1",
+        caller_number: "+919876543210",
+        callee_number: "+914842000000",
+        direction: "incoming",
+        status: "completed",
+        source: "exotel",
+        created_at: "2026-03-10T10:00:00.000Z",
+        ...overrides,
+      });
+
+  beforeAll(() => {
+    db = new Database(config.database.path);
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS calls (
+        id TEXT PRIMARY KEY,
+        org_id TEXT NOT NULL,
+        agent_id TEXT,
+        exotel_call_sid TEXT UNIQUE,
+        recording_url TEXT,
+        local_audio_path TEXT,
+        duration_seconds INTEGER,
+        call_type TEXT,
+        caller_number TEXT,
+        callee_number TEXT,
+        direction TEXT,
+        status TEXT,
+        agent_attribution TEXT,
+        source TEXT DEFAULT 'exotel',
+        source_ref TEXT,
+        created_at DATETIME,
+        updated_at DATETIME
+      );
+    `);
+  });
+
+  beforeEach(() => {
+    db.exec("DELETE FROM calls;");
+    insertCall("call_1");
+    insertCall("call_2", { status: "missed", direction: "outgoing", created_at: "2026-03-11T10:00:00.000Z" });
+    insertCall("call_3", {
+      status: "missed",
+      org_id: "org_b",
+      source: "twilio",
+      caller_number: "+15550100",
+      created_at: "2026-03-09T10:00:00.000Z",
+    });
+    insertCall("call_4", { status: "transcription_failed", agent_id: "agent_2", created_at: "2026-03-12T10:00:00.000Z" });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    db.close();
+    for (const suffix of ["", "-wal", "-shm"]) {
+      fs.rmSync(config.database.path + suffix, { force: true });
+    }
+  });
+
+  describe("Call.buildFilterClause", () => {
+    test("should match everything without filters", () => {
+      expect(Call.buildFilterClause()).toEqual({ whereClause: "WHERE 1=1", params: [] });
+    });
+
+    test("should combine filters with placeholders for every value", () => {
+      const { whereClause, params } = Call.buildFilterClause({
+        status: ["missed", "busy"],
+        org_id: "org_a",
+        agent_id: "agent_1",
+        direction: "incoming",
+        source: "exotel",
+        phone: "98765",
+        startDate: "2026-03-01",
+        endDate: "2026-03-31",
+      });
+
+      expect(whereClause).toBe(
+        "WHERE 1=1 AND status IN (?, ?) AND org_id = ? AND agent_id = ? AND direction = ?" +
+          " AND source IN (?) AND (caller_number LIKE ? OR callee_number LIKE ?)" +
+          " AND created_at >= ? AND created_at <= ?"
+      );
+      expect(params).toEqual([
+        "missed",
+        "busy",
+        "org_a",
+        "agent_1",
+        "incoming",
+        "exotel",
+        "%98765%",
+        "%98765%",
+        "2026-03-01",
+        "2026-03-31",
+      ]);
+    });
+
+    test("should filter calls and counts the same way", () => {
+      const filters = { status: ["missed"], phone: "98765" };
+
+      expect(Call.findAll(filters).map((call) => call.id)).toEqual(["call_2"]);
+      expect(Call.count(filters)).toBe(1);
+      expect(Call.count({ source: ["exotel", "twilio"], startDate: "2026-03-10" })).toBe(3);
+    });
+  });
+
+  describe("Call.countByStatus", () => {
+    test("should group counts by status", () => {
+      expect(Call.countByStatus()).toEqual({ completed: 1, missed: 2, transcription_failed: 1 });
+    });
+
+    test("should apply filters before grouping", () => {
+      expect(Call.countByStatus({ org_id: "org_a" })).toEqual({ completed: 1, missed: 1, transcription_failed: 1 });
+      expect(Call.countByStatus({ agent_id: "agent_3" })).toEqual({});
+    });
+  });
+
+  describe("CallService.getCallDetails", () => {
+    test("should return the call with its transcript, analysis, metrics and notifications", async () => {
+      const transcript = { id: "tr_1", call_id: "call_1", text: "Hello" };
+      const analysis = { id: "an_1", call_id: "call_1", overall_score: 8 };
+      const notifications = [{ id: "notif_1", call_id: "call_1" }];
+      jest.spyOn(Transcript, "findByCallId").mockReturnValue(transcript);
+      jest.spyOn(Analysis, "findByCallId").mockReturnValue(analysis);
+      jest.spyOn(AudioMetrics, "findByCallId").mockReturnValue(undefined);
+      jest.spyOn(Notification, "findByCallId").mockReturnValue(notifications);
+
+      const details = await CallService.getCallDetails("call_1");
+
+      expect(details).toMatchObject({
+        id: "call_1",
+        status: "completed",
+        transcript,
+        analysis,
+        audio_metrics: null,
+        notifications,
+      });
+      expect(Notification.findByCallId).toHaveBeenCalledWith("call_1");
+    });
+
+    test("should return null for unknown calls", async () => {
+      const findTranscript = jest.spyOn(Transcript, "findByCallId");
+
+      await expect(CallService.getCallDetails("call_missing")).resolves.toBeNull();
+      expect(findTranscript).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getCalls controller", () => {
+    const app = express();
+    app.get("/api/calls", getCalls);
+
+    test("should filter by comma-separated statuses and sources", async () => {
+      const response = await request(app).get("/api/calls?status=missed, transcription_failed&source=exotel,&orgId=org_a");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((call) => call.id)).toEqual(["call_4", "call_2"]);
+      expect(response.body.pagination.total).toBe(2);
+    });
+
+    test("should paginate with the requested page and limit", async () => {
+      const response = await request(app).get("/api/calls?page=2&limit=3");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((call) => call.id)).toEqual(["call_3"]);
+      expect(response.body.pagination).toEqual({ page: 2, limit: 3, total: 4, pages: 2 });
+    });
+
+    test("should fall back to the defaults for invalid page and limit", async () => {
+      const response = await request(app).get("/api/calls?page=abc&limit=abc");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(4);
+      expect(response.body.pagination).toEqual({ page: 1, limit: 50, total: 4, pages: 1 });
+
+      const negative = await request(app).get("/api/calls?page=-2&limit=0");
+      expect(negative.body.pagination).toMatchObject({ page: 1, limit: 50 });
+    });
+
+    test("should cap the page size", async () => {
+      const response = await request(app).get("/api/calls?limit=100000");
+      expect(response.body.pagination.limit).toBe(200);
+    });
+  });
+
+  describe("getStatusCounts controller", () => {
+    const app = express();
+    app.get("/api/calls/status-counts", getStatusCounts);
+
+    test("should return the counts and their total for the filters", async () => {
+      const response = await request(app).get("/api/calls/status-counts?orgId=org_a");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        success: true,
+        data: { completed: 1, missed: 1, transcription_failed: 1 },
+        total: 3,
+      });
+    });
+  });
+
+  describe("getCallById controller", () => {
+    const app = express();
+    app.get("/api/calls/:callId", getCallById);
+
+    test("should return the call details", async () => {
+      jest.spyOn(Transcript, "findByCallId").mockReturnValue(undefined);
+      jest.spyOn(Analysis, "findByCallId").mockReturnValue(undefined);
+      jest.spyOn(AudioMetrics, "findByCallId").mockReturnValue(undefined);
+      jest.spyOn(Notification, "findByCallId").mockReturnValue([]);
+
+      const response = await request(app).get("/api/calls/call_2");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ id: "call_2", status: "missed", transcript: null, analysis: null });
+    });
+
+    test("should return 404 for unknown calls", async () => {
+      const response = await request(app).get("/api/calls/call_missing");
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ success: false, error: "Call not found", callId: "call_missing" });
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Unit Tests - Call Retry
+ * Tests choosing the pipeline stage a failed call resumes from, re-queuing it and bulk retries
+ */
+
+const fs = require("fs");
+const express = require("express");
+const request = require("supertest");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  organization: { defaultId: "default" },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+jest.mock("../../src/config/queue", () => ({}));
+
+jest.mock("../../src/models", () => {
+  const calls = new Map();
+  const transcripts = new Set();
+  return {
+    Call: {
+      calls,
+      findById: jest.fn((id) => (calls.has(id) ? { ...calls.get(id) } : null)),
+      findAll: jest.fn(({ status }) => [...calls.values()].filter((call) => status.includes(call.status))),
+      updateStatus: jest.fn((id, status) => Object.assign(calls.get(id), { status })),
+      recordRetry: jest.fn((id) => {
+        const call = calls.get(id);
+        return Object.assign(call, { retry_count: (call.retry_count || 0) + 1, last_retry_at: "now" });
+      }),
+    },
+    Transcript: {
+      transcripts,
+      existsForCall: jest.fn((callId) => transcripts.has(callId)),
+    },
+  };
+});
+
+jest.mock("../../src/services", () => ({
+  Storage: {
+    adapter: { isRemote: jest.fn(() => false) },
+  },
+  Call: {
+    retryFailedCalls: jest.fn(async () => ({ total: 0, succeeded: 0, failed: 0, results: [] })),
+  },
+}));
+
+const { Call: CallModel, Transcript } = require("../../src/models");
+const { Storage, Call: CallServiceInstance } = require("../../src/services");
+const CallService = require("../../src/services/call.service");
+const { retryCalls } = require("../../src/controllers/call.controller");
+
+const audioPath = path.join(os.tmpdir(), `call-retry-test-${process.pid}.mp3`);
+
+describe("Call Retry", () => {
+  let service;
+
+  const addCall = (call) => {
+    CallModel.calls.set(call.id, { retry_count: 0, ...call });
+    return call;
+  };
+
+  beforeAll(() => {
+    fs.writeFileSync(audioPath, "audio");
+  });
+
+  afterAll(() => {
+    fs.rmSync(audioPath, { force: true });
+  });
+
+  beforeEach(() => {
+    service = new CallService();
+    service.queueDownloadJob = jest.fn(async () => ({ id: "download_job" }));
+    service.queueTranscriptionJob = jest.fn(async () => ({ id: "transcription_job" }));
+    service.queueAnalysisJob = jest.fn(async () => ({ id: "analysis_job" }));
+    CallModel.calls.clear();
+    Transcript.transcripts.clear();
+    jest.clearAllMocks();
+  });
+
+  describe("determineRetryStage", () => {
+    test("should download again when there is no audio", () => {
+      expect(service.determineRetryStage({ id: "call_1", status: "download_failed" })).toBe("download");
+      expect(
+        service.determineRetryStage({ id: "call_1", status: "transcription_failed", local_audio_path: "/missing.mp3" })
+      ).toBe("download");
+    });
+
+    test("should transcribe when the audio is present", () => {
+      const call = { id: "call_1", status: "transcription_failed", local_audio_path: audioPath };
+      expect(service.determineRetryStage(call)).toBe("transcription");
+      expect(service.determineRetryStage({ ...call, status: "quota_exceeded" })).toBe("transcription");
+    });
+
+    test("should only re-run analysis once a transcript exists", () => {
+      Transcript.transcripts.add("call_1");
+
+      expect(service.determineRetryStage({ id: "call_1", status: "analysis_failed", local_audio_path: audioPath })).toBe(
+        "analysis"
+      );
+      // Failed calls keep their transcript even after the audio is purged
+      expect(service.determineRetryStage({ id: "call_1", status: "analysis_failed" })).toBe("analysis");
+      // Other statuses need the audio to skip the download
+      expect(service.determineRetryStage({ id: "call_1", status: "download_failed" })).toBe("download");
+    });
+
+    test("should use audio kept in remote storage", () => {
+      Storage.adapter.isRemote.mockReturnValueOnce(true);
+
+      expect(
+        service.determineRetryStage({ id: "call_1", status: "transcription_failed", audio_storage_key: "audio/call_1.mp3" })
+      ).toBe("transcription");
+    });
+  });
+
+  describe("retryCall", () => {
+    test("should reset the call to the stage entry status and count the retry", async () => {
+      addCall({ id: "call_1", status: "transcription_failed", local_audio_path: audioPath });
+
+      const result = await service.retryCall("call_1");
+
+      expect(service.queueTranscriptionJob).toHaveBeenCalledWith("call_1");
+      expect(result).toEqual({
+        callId: "call_1",
+        stage: "transcription",
+        previousStatus: "transcription_failed",
+        status: "downloaded",
+        retryCount: 1,
+        jobId: "transcription_job",
+      });
+      expect(CallModel.calls.get("call_1")).toMatchObject({ status: "downloaded", retry_count: 1 });
+    });
+
+    test("should restore the status without counting a retry when queuing fails", async () => {
+      addCall({ id: "call_1", status: "download_failed" });
+      service.queueDownloadJob.mockRejectedValueOnce(new Error("Redis down"));
+
+      await expect(service.retryCall("call_1")).rejects.toThrow("Redis down");
+
+      expect(CallModel.updateStatus).toHaveBeenNthCalledWith(1, "call_1", "received");
+      expect(CallModel.updateStatus).toHaveBeenLastCalledWith("call_1", "download_failed");
+      expect(CallModel.recordRetry).not.toHaveBeenCalled();
+      expect(CallModel.calls.get("call_1")).toMatchObject({ status: "download_failed", retry_count: 0 });
+    });
+
+    test("should reject calls that are not failed unless forced", async () => {
+      addCall({ id: "call_1", status: "completed", local_audio_path: audioPath });
+
+      await expect(service.retryCall("call_1")).rejects.toThrow("Call is not in a retryable status: completed");
+      await expect(service.retryCall("call_1", { force: true, stage: "upload" })).rejects.toThrow(
+        "Invalid retry stage: upload"
+      );
+      await expect(service.retryCall("call_missing")).rejects.toThrow("Call not found: call_missing");
+
+      const result = await service.retryCall("call_1", { force: true, stage: "analysis" });
+      expect(result).toMatchObject({ stage: "analysis", status: "transcribed", jobId: "analysis_job" });
+    });
+  });
+
+  describe("retryFailedCalls", () => {
+    test("should retry failed calls up to the limit and report each result", async () => {
+      addCall({ id: "call_1", status: "download_failed" });
+      addCall({ id: "call_2", status: "completed" });
+      addCall({ id: "call_3", status: "analysis_failed" });
+      addCall({ id: "call_4", status: "download_failed" });
+      Transcript.transcripts.add("call_3");
+
+      const result = await service.retryFailedCalls({ limit: 2 });
+
+      expect(result).toMatchObject({ total: 2, succeeded: 2, failed: 0 });
+      expect(result.results.map((r) => [r.callId, r.stage])).toEqual([
+        ["call_1", "download"],
+        ["call_3", "analysis"],
+      ]);
+    });
+
+    test("should report calls that cannot be retried without stopping", async () => {
+      addCall({ id: "call_1", status: "completed" });
+      addCall({ id: "call_2", status: "transcription_failed", local_audio_path: audioPath });
+
+      const result = await service.retryFailedCalls({ callIds: ["call_1", "call_2", "call_missing"] });
+
+      expect(result).toMatchObject({ total: 3, succeeded: 1, failed: 2 });
+      expect(result.results[0]).toEqual({
+        success: false,
+        callId: "call_1",
+        error: "Call is not in a retryable status: completed",
+      });
+    });
+  });
+
+  describe("retryCalls controller", () => {
+    const app = express();
+    app.post("/api/calls/retry", express.json(), retryCalls);
+
+    test("should default and cap the limit", async () => {
+      await request(app).post("/api/calls/retry").send({}).expect(202);
+      expect(CallServiceInstance.retryFailedCalls).toHaveBeenLastCalledWith(expect.objectContaining({ limit: 100 }));
+
+      await request(app).post("/api/calls/retry").send({ limit: "abc" }).expect(202);
+      expect(CallServiceInstance.retryFailedCalls).toHaveBeenLastCalledWith(expect.objectContaining({ limit: 100 }));
+
+      await request(app).post("/api/calls/retry").send({ limit: -5 }).expect(202);
+      expect(CallServiceInstance.retryFailedCalls).toHaveBeenLastCalledWith(expect.objectContaining({ limit: 100 }));
+
+      await request(app).post("/api/calls/retry").send({ limit: 1000000 }).expect(202);
+      expect(CallServiceInstance.retryFailedCalls).toHaveBeenLastCalledWith(expect.objectContaining({ limit: 500 }));
+
+      await request(app).post("/api/calls/retry").send({ limit: "20", status: "download_failed,analysis_failed" });
+      expect(CallServiceInstance.retryFailedCalls).toHaveBeenLastCalledWith(
+        expect.objectContaining({ limit: 20, status: ["download_failed", "analysis_failed"] })
+      );
+    });
+  });
+});
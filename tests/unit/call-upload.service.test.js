@@ -0,0 +1,233 @@
+/**
+ * Unit Tests - Uploaded Call Creation
+ * Tests how manually uploaded recordings enter the pipeline
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  organization: { defaultId: "default" },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+jest.mock("../../src/config/queue", () => ({}));
+
+jest.mock("../../src/models", () => {
+  const calls = new Map();
+  return {
+    Call: {
+      calls,
+      create: jest.fn((data) => {
+        const call = { id: `call_${calls.size + 1}`, ...data };
+        calls.set(call.id, call);
+        return call;
+      }),
+      findById: jest.fn((id) => calls.get(id) || null),
+      setLocalAudioPath: jest.fn((id, localPath, storageKey) =>
+        Object.assign(calls.get(id), { local_audio_path: localPath, audio_storage_key: storageKey })
+      ),
+      setAudioMetadata: jest.fn((id, metadata) => Object.assign(calls.get(id), metadata)),
+      markFailed: jest.fn((id, status, error) => Object.assign(calls.get(id), { status, last_error: error })),
+      delete: jest.fn((id) => calls.delete(id)),
+    },
+    User: {
+      findById: jest.fn((id) =>
+        id === "agent_001" ? { id, org_id: "org_sales", phone_number: "9876543210" } : null
+      ),
+    },
+  };
+});
+
+jest.mock("../../src/services", () => ({
+  Storage: {
+    storeCallAudio: jest.fn((sourcePath, orgId, callId, extension) => `/storage/audio/${orgId}/${callId}.${extension}`),
+    persistFile: jest.fn(async (filePath) => filePath.replace("/storage/", "")),
+    getStorageKey: jest.fn((filePath) => `audio/${require("path").basename(filePath)}`),
+    deleteStoredFile: jest.fn(async () => true),
+  },
+  StorageQuota: {
+    enforceQuota: jest.fn(async () => ({ exceeded: false })),
+  },
+  AudioProcessing: {
+    detect: jest.fn(() => ({ container: "ogg", extension: "ogg", durationSeconds: 42.6 })),
+    processFile: jest.fn(async (filePath) => ({ filePath, format: "ogg", codec: "opus", durationSeconds: 42.6 })),
+    toCallMetadata: jest.fn((result) => ({ audio_format: result.format, audio_codec: result.codec })),
+  },
+}));
+
+const { Call: CallModel } = require("../../src/models");
+const { Storage, StorageQuota, AudioProcessing } = require("../../src/services");
+const CallService = require("../../src/services/call.service");
+
+describe("Uploaded Call Creation", () => {
+  let service;
+  let tempFile;
+
+  beforeEach(() => {
+    service = new CallService();
+    service.queueTranscriptionJob = jest.fn(async () => ({ id: "job_1" }));
+    CallModel.calls.clear();
+    jest.clearAllMocks();
+
+    tempFile = path.join(os.tmpdir(), `upload-test-${Date.now()}`);
+    fs.writeFileSync(tempFile, "audio");
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(tempFile)) fs.unlinkSync(tempFile);
+  });
+
+  test("should create an upload call and queue transcription", async () => {
+    const { call, job } = await service.createUploadedCall(
+      { filePath: tempFile, originalName: "WhatsApp Audio.OGG" },
+      {
+        agentId: "agent_001",
+        customerNumber: "09000000000",
+        direction: "inbound",
+        recordedAt: "2024-01-15T10:00:00Z",
+      }
+    );
+
+    expect(CallModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        org_id: "org_sales",
+        agent_id: "agent_001",
+        agent_attribution: "manual",
+        direction: "incoming",
+        caller_number: "09000000000",
+        callee_number: "9876543210",
+        status: "downloaded",
+        source: "upload",
+        created_at: "2024-01-15T10:00:00.000Z",
+      })
+    );
+    expect(Storage.storeCallAudio).toHaveBeenCalledWith(tempFile, "org_sales", call.id, "ogg", { copy: false });
+    expect(call.local_audio_path).toBe(`/storage/audio/org_sales/${call.id}.ogg`);
+    expect(call.audio_storage_key).toBe(`audio/org_sales/${call.id}.ogg`);
+    expect(call).toMatchObject({ audio_format: "ogg", audio_codec: "opus" });
+    expect(service.queueTranscriptionJob).toHaveBeenCalledWith(call.id);
+    expect(job.id).toBe("job_1");
+  });
+
+  test("should put the customer number as callee on outgoing calls", async () => {
+    await service.createUploadedCall(
+      { filePath: tempFile, originalName: "visit.mp3" },
+      { customerNumber: "09000000000", direction: "outgoing" }
+    );
+
+    expect(CallModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        org_id: "default",
+        caller_number: null,
+        callee_number: "09000000000",
+        direction: "outgoing",
+      })
+    );
+  });
+
+  test("should reject invalid metadata and remove the uploaded file", async () => {
+    await expect(
+      service.createUploadedCall({ filePath: tempFile, originalName: "a.mp3" }, { direction: "sideways" })
+    ).rejects.toThrow("Invalid direction");
+    expect(fs.existsSync(tempFile)).toBe(false);
+
+    fs.writeFileSync(tempFile, "audio");
+    await expect(
+      service.createUploadedCall(
+        { filePath: tempFile, originalName: "a.mp3" },
+        { direction: "incoming", agentId: "agent_missing" }
+      )
+    ).rejects.toThrow("Agent not found: agent_missing");
+
+    expect(CallModel.create).not.toHaveBeenCalled();
+  });
+
+  test("should name the stored file after the detected format and fill in the duration", async () => {
+    AudioProcessing.detect.mockReturnValueOnce({ container: "mp3", extension: "mp3", durationSeconds: 95.4 });
+
+    const { call } = await service.createUploadedCall(
+      { filePath: tempFile, originalName: "recording.wav" },
+      { direction: "incoming" }
+    );
+
+    expect(Storage.storeCallAudio).toHaveBeenCalledWith(tempFile, "default", call.id, "mp3", { copy: false });
+    expect(call.duration_seconds).toBe(95);
+  });
+
+  test("should reject files that are not audio before creating a call", async () => {
+    AudioProcessing.detect.mockImplementationOnce(() => {
+      throw new Error("Invalid audio file: unrecognised format (upload)");
+    });
+
+    await expect(
+      service.createUploadedCall({ filePath: tempFile, originalName: "notes.mp3" }, { direction: "incoming" })
+    ).rejects.toThrow("Invalid audio file");
+
+    expect(CallModel.create).not.toHaveBeenCalled();
+    expect(fs.existsSync(tempFile)).toBe(false);
+  });
+
+  test("should reject uploads for organizations over their audio quota", async () => {
+    StorageQuota.enforceQuota.mockRejectedValueOnce(
+      Object.assign(new Error("Storage quota exceeded: org_sales has used 10 MB of its 10 MB audio quota"), {
+        code: "STORAGE_QUOTA_EXCEEDED",
+      })
+    );
+
+    await expect(
+      service.createUploadedCall({ filePath: tempFile, originalName: "a.ogg" }, { direction: "incoming", agentId: "agent_001" })
+    ).rejects.toThrow("Storage quota exceeded");
+
+    expect(StorageQuota.enforceQuota).toHaveBeenCalledWith("org_sales", "audio", 5);
+    expect(CallModel.create).not.toHaveBeenCalled();
+    expect(fs.existsSync(tempFile)).toBe(false);
+  });
+
+  test("should mark the call failed when transcription cannot be queued", async () => {
+    service.queueTranscriptionJob.mockRejectedValueOnce(new Error("Redis down"));
+
+    const error = await service
+      .createUploadedCall({ filePath: tempFile, originalName: "a.wav" }, { direction: "incoming" })
+      .catch((e) => e);
+
+    expect(error.message).toBe("Redis down");
+    expect(error.callId).toBe("call_1");
+    expect(CallModel.markFailed).toHaveBeenCalledWith("call_1", "transcription_failed", "Redis down");
+    expect(CallModel.delete).not.toHaveBeenCalled();
+  });
+
+  test("should remove the call and its stored audio when processing fails", async () => {
+    const storedPath = `${tempFile}.ogg`;
+    fs.writeFileSync(storedPath, "audio");
+    Storage.storeCallAudio.mockReturnValueOnce(storedPath);
+    AudioProcessing.processFile.mockRejectedValueOnce(new Error("ffmpeg crashed"));
+
+    await expect(
+      service.createUploadedCall({ filePath: tempFile, originalName: "a.ogg" }, { direction: "incoming", sourceRef: "row_1" })
+    ).rejects.toThrow("ffmpeg crashed");
+
+    expect(CallModel.delete).toHaveBeenCalledWith("call_1");
+    expect(CallModel.calls.size).toBe(0);
+    expect(Storage.deleteStoredFile).toHaveBeenCalledWith(`audio/${path.basename(storedPath)}`);
+    fs.rmSync(storedPath, { force: true });
+  });
+
+  test("should report the upload error when the cleanup fails too", async () => {
+    Storage.persistFile.mockRejectedValueOnce(new Error("S3 unavailable"));
+    CallModel.delete.mockImplementationOnce(() => {
+      throw new Error("database is locked");
+    });
+
+    await expect(
+      service.createUploadedCall({ filePath: tempFile, originalName: "a.ogg" }, { direction: "incoming" })
+    ).rejects.toThrow("S3 unavailable");
+
+    expect(CallModel.delete).toHaveBeenCalledWith("call_1");
+  });
+});
@@ -0,0 +1,328 @@
+/**
+ * Unit Tests - Chunked Transcription
+ * Tests splitting long recordings into overlapping chunks and stitching the transcripts back together
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  transcription: {
+    chunking: {
+      enabled: true,
+      chunkSeconds: 10,
+      overlapSeconds: 2,
+      concurrency: 2,
+      maxAttempts: 2,
+      backoffMs: 100,
+    },
+  },
+  audio: {
+    transcode: false,
+    targetSampleRate: 16000,
+    targetChannels: 1,
+    ffmpegPath: "/nonexistent/ffmpeg",
+  },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+const BaseTranscriptionService = require("../../src/services/transcription/base.transcription.service");
+const { planChunks, findOverlap, stitchChunks } = require("../../src/services/transcription/chunk-stitching");
+const { AudioProcessingService, detectAudioFormat } = require("../../src/services/audio");
+
+const SAMPLE_RATE = 8000;
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "chunked-transcription-"));
+
+afterAll(() => {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+});
+
+// 16-bit mono PCM WAV whose samples in second s all have the value s, so a
+// chunk can tell which part of the recording it came from
+const writeWav = (name, seconds) => {
+  const data = Buffer.alloc(seconds * SAMPLE_RATE * 2);
+  for (let i = 0; i < seconds * SAMPLE_RATE; i++) {
+    data.writeInt16LE(Math.floor(i / SAMPLE_RATE), i * 2);
+  }
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(data.length, 40);
+  const filePath = path.join(tempRoot, name);
+  fs.writeFileSync(filePath, Buffer.concat([header, data]));
+  return filePath;
+};
+
+/**
+ * Provider that "hears" one word per second of audio, named after the
+ * second of the original recording it came from
+ */
+class FakeProvider extends BaseTranscriptionService {
+  constructor(config = {}) {
+    super(config);
+    this.providerName = "fake";
+    this.model = "fake-v1";
+    this.apiKey = "key";
+    this.failures = config.failures || {};
+    this.calls = [];
+    this.active = 0;
+    this.maxActive = 0;
+  }
+
+  async transcribeFile(audioPath, options = {}) {
+    const info = detectAudioFormat(audioPath);
+    const data = fs.readFileSync(audioPath).subarray(info.dataOffset);
+    const first = data.readInt16LE(0);
+    this.calls.push({ audioPath, first, options });
+
+    this.active++;
+    this.maxActive = Math.max(this.maxActive, this.active);
+    await new Promise((resolve) => setImmediate(resolve));
+    this.active--;
+
+    if (this.failures[first] > 0) {
+      this.failures[first]--;
+      throw new Error("Fake API rate limit exceeded");
+    }
+
+    const segments = [];
+    for (let second = 0; second < Math.floor(info.durationSeconds); second++) {
+      const word = `w${data.readInt16LE(second * SAMPLE_RATE * 2)}`;
+      segments.push({ id: second, start: second, end: second + 0.8, text: word, speaker: "speaker_0" });
+    }
+    const text = segments.map((segment) => segment.text).join(" ");
+
+    return {
+      text,
+      language: "ml",
+      duration: info.durationSeconds,
+      segments,
+      wordCount: this.countWords(text),
+      confidence: first === 0 ? 0.9 : 0.6,
+      processingTimeMs: 5,
+      model: this.model,
+      provider: this.providerName,
+      raw: { first },
+    };
+  }
+}
+
+const createProvider = (config = {}) => {
+  const provider = new FakeProvider({
+    audioProcessing: new AudioProcessingService({ ffmpegPath: "/nonexistent/ffmpeg" }),
+    ...config,
+  });
+  provider.sleep = jest.fn(async () => {});
+  return provider;
+};
+
+const words = (from, to) => Array.from({ length: to - from }, (_, index) => `w${from + index}`).join(" ");
+
+describe("planChunks", () => {
+  test("should overlap neighbouring chunks and cut at the middle of each overlap", () => {
+    expect(planChunks(25, 10, 2)).toEqual([
+      { index: 0, start: 0, end: 10, keepFrom: 0, keepTo: 9 },
+      { index: 1, start: 8, end: 18, keepFrom: 9, keepTo: 17 },
+      { index: 2, start: 16, end: 25, keepFrom: 17, keepTo: Infinity },
+    ]);
+    expect(planChunks(10, 10, 2)).toHaveLength(1);
+    // No trailing chunk made only of overlap
+    expect(planChunks(18, 10, 2).map((chunk) => chunk.end)).toEqual([10, 18]);
+  });
+});
+
+describe("stitchChunks", () => {
+  test("should drop the words untimed chunks repeat from the previous one", () => {
+    const chunks = planChunks(25, 10, 2);
+    const stitched = stitchChunks(chunks, [
+      { text: "we have a cricket turf", language: "ml", confidence: 0.8 },
+      { text: "cricket turf in kochi, sir.", language: null, confidence: null },
+      { text: "okay sir", language: "en" },
+    ]);
+
+    expect(stitched).toEqual({
+      text: "we have a cricket turf in kochi, sir. okay sir",
+      language: "ml",
+      duration: 25,
+      segments: [],
+      confidence: 0.8,
+    });
+  });
+
+  test("should only match runs of two or more words", () => {
+    expect(findOverlap(["book", "the", "turf"], ["Turf.", "booked"])).toBe(0);
+    expect(findOverlap(["book", "the", "turf"], ["The", "turf", "is", "booked"])).toBe(2);
+  });
+});
+
+describe("BaseTranscriptionService chunking", () => {
+  test("should send short recordings in a single request", async () => {
+    const provider = createProvider();
+    const audioPath = writeWav("short.wav", 10);
+
+    const result = await provider.transcribe(audioPath, { language: "ml" });
+
+    expect(provider.calls).toEqual([{ audioPath, first: 0, options: { language: "ml" } }]);
+    expect(result.text).toBe(words(0, 10));
+    expect(result.chunks).toBeUndefined();
+  });
+
+  test("should stitch chunk segments with times relative to the recording", async () => {
+    const provider = createProvider();
+    const audioPath = writeWav("long.wav", 25);
+
+    const result = await provider.transcribe(audioPath, { language: "ml" });
+
+    expect(provider.calls.map((call) => call.first)).toEqual([0, 8, 16]);
+    expect(provider.calls.every((call) => call.options.language === "ml")).toBe(true);
+    expect(result.text).toBe(words(0, 25));
+    expect(result.wordCount).toBe(25);
+    expect(result.segments.map((segment) => [segment.id, segment.start, segment.text])).toEqual(
+      Array.from({ length: 25 }, (_, second) => [second, second, `w${second}`])
+    );
+    expect(result.segments[24]).toMatchObject({ end: 24.8, speaker: "speaker_0" });
+    expect(result).toMatchObject({
+      language: "ml",
+      duration: 25,
+      // Weighted by chunk length: (0.9 * 10 + 0.6 * 10 + 0.6 * 9) / 29
+      confidence: 0.703,
+      provider: "fake",
+      model: "fake-v1",
+      raw: { chunks: [{ first: 0 }, { first: 8 }, { first: 16 }] },
+    });
+    expect(result.chunks).toEqual([
+      { index: 0, start: 0, end: 10, attempts: 1, processingTimeMs: 5 },
+      { index: 1, start: 8, end: 18, attempts: 1, processingTimeMs: 5 },
+      { index: 2, start: 16, end: 25, attempts: 1, processingTimeMs: 5 },
+    ]);
+    expect(provider.maxActive).toBe(2);
+    // Chunk files are removed
+    expect(fs.readdirSync(tempRoot).filter((name) => name.includes(".chunk"))).toEqual([]);
+  });
+
+  test("should retry a failed chunk on its own", async () => {
+    const provider = createProvider({ failures: { 8: 1 } });
+    const audioPath = writeWav("retry.wav", 25);
+
+    const result = await provider.transcribe(audioPath);
+
+    expect(provider.calls.map((call) => call.first).sort((a, b) => a - b)).toEqual([0, 8, 8, 16]);
+    expect(provider.sleep).toHaveBeenCalledWith(100);
+    expect(result.chunks.map((chunk) => chunk.attempts)).toEqual([1, 2, 1]);
+    expect(result.text).toBe(words(0, 25));
+  });
+
+  test("should fail once a chunk fails every attempt", async () => {
+    const provider = createProvider({ failures: { 8: 2 }, chunking: { concurrency: 1 } });
+    const audioPath = writeWav("failing.wav", 25);
+
+    const error = await provider.transcribe(audioPath).catch((e) => e);
+
+    expect(error.message).toBe("Chunk 2/3 (8s-18s) failed: Fake API rate limit exceeded");
+    // The last chunk is never started
+    expect(provider.calls.map((call) => call.first)).toEqual([0, 8, 8]);
+    expect(fs.readdirSync(tempRoot).filter((name) => name.includes(".chunk"))).toEqual([]);
+  });
+
+  test("should shrink chunks to fit the provider's upload limit", async () => {
+    const provider = createProvider({ chunking: { chunkSeconds: 600 } });
+    // 16 KB/s, so 0.2 MB fits about 12 seconds
+    provider.maxFileSizeMB = 0.2;
+    const audioPath = writeWav("large.wav", 25);
+
+    const result = await provider.transcribe(audioPath);
+
+    expect(result.chunks.map((chunk) => [chunk.start, chunk.end])).toEqual([
+      [0, 12],
+      [10, 22],
+      [20, 25],
+    ]);
+    expect(result.text).toBe(words(0, 25));
+  });
+
+  test("should send the recording whole when it cannot be cut", async () => {
+    const audioProcessing = { canClip: jest.fn(() => false), clip: jest.fn() };
+    const provider = createProvider({ audioProcessing });
+    const audioPath = writeWav("uncuttable.wav", 25);
+
+    const result = await provider.transcribe(audioPath);
+
+    expect(audioProcessing.canClip).toHaveBeenCalledWith(audioPath);
+    expect(audioProcessing.clip).not.toHaveBeenCalled();
+    expect(provider.calls).toHaveLength(1);
+    expect(result.text).toBe(words(0, 25));
+    expect(result.chunks).toBeUndefined();
+  });
+
+  test("should send the recording whole when cutting a chunk fails", async () => {
+    const audioProcessing = {
+      canClip: jest.fn(() => true),
+      clip: jest.fn(async () => {
+        throw new Error("ffmpeg not found at ffmpeg - install ffmpeg or set FFMPEG_PATH");
+      }),
+    };
+    const provider = createProvider({ audioProcessing });
+    const audioPath = writeWav("clip-failure.wav", 25);
+
+    const result = await provider.transcribe(audioPath);
+
+    expect(provider.calls.map((call) => call.audioPath)).toEqual([audioPath]);
+    expect(result.text).toBe(words(0, 25));
+  });
+
+  test("should not chunk when disabled", async () => {
+    const provider = createProvider({ chunking: { enabled: false } });
+    const audioPath = writeWav("disabled.wav", 25);
+
+    await provider.transcribe(audioPath);
+
+    expect(provider.calls).toHaveLength(1);
+  });
+});
+
+describe("AudioProcessingService.canClip", () => {
+  test("should cut PCM WAVs without ffmpeg and need ffmpeg for anything else", () => {
+    const audio = new AudioProcessingService({ ffmpegPath: path.join(tempRoot, "no-such-ffmpeg") });
+    const mp3Path = path.join(tempRoot, "call.mp3");
+    // MPEG-1 Layer III frame header
+    fs.writeFileSync(mp3Path, Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x64]), Buffer.alloc(413)]));
+
+    expect(audio.canClip(writeWav("cuttable.wav", 1))).toBe(true);
+    expect(audio.hasFfmpeg()).toBe(false);
+    expect(audio.canClip(mp3Path)).toBe(false);
+  });
+});
+
+describe("AudioProcessingService.clip", () => {
+  test("should cut a PCM WAV from an offset", async () => {
+    const audio = new AudioProcessingService({ ffmpegPath: "/nonexistent/ffmpeg" });
+    const source = writeWav("offset.wav", 6);
+    const outputPath = path.join(tempRoot, "offset.part.wav");
+
+    const clipPath = await audio.clip(source, 3, { start: 2, outputPath });
+
+    expect(clipPath).toBe(outputPath);
+    const info = detectAudioFormat(clipPath);
+    expect(info).toMatchObject({ container: "wav", channels: 1, sampleRate: SAMPLE_RATE, durationSeconds: 3 });
+    expect(fs.readFileSync(clipPath).readInt16LE(info.dataOffset)).toBe(2);
+
+    // Clips running past the end stop at the end
+    const tail = await audio.clip(source, 10, { start: 5, outputPath });
+    expect(detectAudioFormat(tail).durationSeconds).toBe(1);
+  });
+});
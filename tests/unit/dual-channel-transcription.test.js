@@ -0,0 +1,248 @@
+/**
+ * Unit Tests - Dual-Channel Transcription
+ * Tests stereo WAV splitting and merging per-channel transcripts with agent/customer labels
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  audio: {
+    transcode: false,
+    targetSampleRate: 16000,
+    targetChannels: 1,
+    ffmpegPath: "ffmpeg",
+    stereoSplit: true,
+    channelSpeakers: ["agent", "customer"],
+  },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+const { detectAudioFormat, splitWavChannels, AudioProcessingService } = require("../../src/services/audio");
+const DualChannelTranscriptionService = require("../../src/services/transcription/dual-channel.transcription.service");
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "dual-channel-"));
+
+afterAll(() => {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+});
+
+// 16-bit PCM WAV; left samples count up from 0, right samples count down from -1
+const buildStereoWav = (frames = 40000, sampleRate = 8000) => {
+  const data = Buffer.alloc(frames * 4);
+  for (let i = 0; i < frames; i++) {
+    data.writeInt16LE(i % 32768, i * 4);
+    data.writeInt16LE(-1 - (i % 32768), i * 4 + 2);
+  }
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(2, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 4, 28);
+  header.writeUInt16LE(4, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+};
+
+const writeFile = (name, buffer) => {
+  const filePath = path.join(tempRoot, name);
+  fs.writeFileSync(filePath, buffer);
+  return filePath;
+};
+
+const word = (text, start, extra = {}) => ({ text, start, end: start + 0.4, ...extra });
+
+// Fake provider: the left channel is the agent, the right channel the customer
+const createTranscriber = () => ({
+  transcribe: jest.fn(async (audioPath) => {
+    if (audioPath.endsWith(".ch0.wav")) {
+      return {
+        text: "Hello, this is Priya from Turf Masters. Which city are you in?",
+        language: "en",
+        duration: 9.5,
+        segments: [
+          word("Hello,", 0.2, { speaker: "speaker_0" }),
+          word(" ", 0.6),
+          word("this is Priya from Turf Masters.", 0.7),
+          word("Which city are you in?", 6.1),
+        ],
+        wordCount: 12,
+        confidence: 0.9,
+        provider: "elevenlabs",
+        model: "scribe_v2",
+      };
+    }
+    if (audioPath.endsWith(".ch1.wav")) {
+      return {
+        text: "Hi, I enquired about a cricket net. Kochi.",
+        language: "en",
+        duration: 10,
+        segments: [word("Hi, I enquired about a cricket net.", 3.0), word("Kochi.", 8.2)],
+        wordCount: 8,
+        confidence: 0.7,
+        provider: "elevenlabs",
+        model: "scribe_v2",
+      };
+    }
+    return { text: "mono transcript", segments: [], provider: "elevenlabs", wordCount: 2 };
+  }),
+});
+
+describe("splitWavChannels", () => {
+  test("should write one mono WAV per channel with the channel's samples", () => {
+    const source = writeFile("stereo.wav", buildStereoWav(40000));
+    const outputs = [path.join(tempRoot, "left.wav"), path.join(tempRoot, "right.wav")];
+
+    splitWavChannels(source, detectAudioFormat(source), outputs);
+
+    const left = fs.readFileSync(outputs[0]);
+    const right = fs.readFileSync(outputs[1]);
+    expect(detectAudioFormat(outputs[0])).toMatchObject({ container: "wav", codec: "pcm", channels: 1, sampleRate: 8000, durationSeconds: 5 });
+    expect(left.length).toBe(44 + 40000 * 2);
+    expect([left.readInt16LE(44), left.readInt16LE(46), left.readInt16LE(44 + 39999 * 2)]).toEqual([0, 1, 39999 % 32768]);
+    expect([right.readInt16LE(44), right.readInt16LE(46)]).toEqual([-1, -2]);
+  });
+});
+
+describe("AudioProcessingService channel handling", () => {
+  test("should split stereo WAVs without ffmpeg", async () => {
+    const service = new AudioProcessingService();
+    service.runFfmpeg = jest.fn();
+    const source = writeFile("call_wav.wav", buildStereoWav(8000));
+
+    const channels = await service.splitChannels(source);
+
+    expect(service.runFfmpeg).not.toHaveBeenCalled();
+    expect(channels).toEqual([
+      { channel: 0, filePath: path.join(tempRoot, "call_wav.ch0.wav") },
+      { channel: 1, filePath: path.join(tempRoot, "call_wav.ch1.wav") },
+    ]);
+    expect(channels.every(({ filePath }) => detectAudioFormat(filePath).channels === 1)).toBe(true);
+  });
+
+  test("should split other formats with ffmpeg", async () => {
+    const service = new AudioProcessingService();
+    service.runFfmpeg = jest.fn(async () => {});
+    // MPEG-1 Layer III stereo frames
+    const frame = Buffer.alloc(417);
+    frame.writeUInt32BE(0xfffb9064);
+    const source = writeFile("call_mp3.mp3", Buffer.concat(Array.from({ length: 20 }, () => frame)));
+
+    await service.splitChannels(source);
+
+    expect(service.runFfmpeg).toHaveBeenCalledWith(
+      expect.arrayContaining(["-i", source, "[0:a]channelsplit=channel_layout=stereo[left][right]", path.join(tempRoot, "call_mp3.ch1.wav")])
+    );
+  });
+
+  test("should refuse to split mono audio", async () => {
+    const service = new AudioProcessingService();
+    const mono = buildStereoWav(100);
+    mono.writeUInt16LE(1, 22);
+
+    await expect(service.splitChannels(writeFile("mono.wav", mono))).rejects.toThrow("Channel split needs stereo audio");
+  });
+
+  test("should keep stereo when transcoding for channel splitting", () => {
+    const service = new AudioProcessingService({ transcode: true });
+
+    expect(service.getTargetChannels({ channels: 2 })).toBe(2);
+    expect(service.getTargetChannels({ channels: 1 })).toBe(1);
+    expect(new AudioProcessingService({ stereoSplit: false }).getTargetChannels({ channels: 2 })).toBe(1);
+  });
+});
+
+describe("DualChannelTranscriptionService", () => {
+  test("should merge channel transcripts by time with agent and customer labels", async () => {
+    const transcriber = createTranscriber();
+    const service = new DualChannelTranscriptionService({ transcriber });
+    const source = writeFile("call_1.wav", buildStereoWav(8000));
+
+    const result = await service.transcribe(source, { language: "en" });
+
+    expect(transcriber.transcribe).toHaveBeenCalledTimes(2);
+    expect(transcriber.transcribe).toHaveBeenCalledWith(path.join(tempRoot, "call_1.ch0.wav"), { language: "en", diarize: false });
+    expect(result.segments.map((s) => [s.id, s.speaker, s.channel, s.start])).toEqual([
+      [0, "agent", 0, 0.2],
+      [1, "agent", 0, 0.7],
+      [2, "customer", 1, 3.0],
+      [3, "agent", 0, 6.1],
+      [4, "customer", 1, 8.2],
+    ]);
+    expect(result.text).toBe(
+      [
+        "Agent: Hello, this is Priya from Turf Masters.",
+        "Customer: Hi, I enquired about a cricket net.",
+        "Agent: Which city are you in?",
+        "Customer: Kochi.",
+      ].join("\n")
+    );
+    expect(result).toMatchObject({
+      language: "en",
+      duration: 10,
+      wordCount: 20,
+      confidence: 0.8,
+      provider: "elevenlabs",
+      speakerSource: "channel",
+    });
+    expect(result.channels.map((c) => [c.channel, c.speaker, c.wordCount])).toEqual([
+      [0, "agent", 12],
+      [1, "customer", 8],
+    ]);
+    expect(fs.existsSync(path.join(tempRoot, "call_1.ch0.wav"))).toBe(false);
+    expect(fs.existsSync(path.join(tempRoot, "call_1.ch1.wav"))).toBe(false);
+  });
+
+  test("should use the configured channel order", async () => {
+    const service = new DualChannelTranscriptionService({
+      transcriber: createTranscriber(),
+      channelSpeakers: ["customer", "agent"],
+    });
+
+    const result = await service.transcribe(writeFile("call_2.wav", buildStereoWav(8000)));
+
+    expect(result.text.split("\n")[0]).toBe("Customer: Hello, this is Priya from Turf Masters.");
+  });
+
+  test("should send mono recordings to the transcriber unchanged", async () => {
+    const transcriber = createTranscriber();
+    const service = new DualChannelTranscriptionService({ transcriber });
+    const mono = path.join(tempRoot, "mono_call.wav");
+
+    const result = await service.transcribe(mono, { channels: 1 });
+
+    expect(result.text).toBe("mono transcript");
+    expect(transcriber.transcribe).toHaveBeenCalledWith(mono, {});
+  });
+
+  test("should not split when stereo splitting is off", async () => {
+    const transcriber = createTranscriber();
+    const service = new DualChannelTranscriptionService({ transcriber, enabled: false });
+    const source = writeFile("call_3.wav", buildStereoWav(8000));
+
+    await service.transcribe(source);
+
+    expect(transcriber.transcribe).toHaveBeenCalledTimes(1);
+    expect(transcriber.transcribe).toHaveBeenCalledWith(source, {});
+  });
+
+  test("should remove channel files when a channel fails", async () => {
+    const transcriber = { transcribe: jest.fn().mockRejectedValue(new Error("ElevenLabs API rate limit exceeded")) };
+    const service = new DualChannelTranscriptionService({ transcriber });
+
+    await expect(service.transcribe(writeFile("call_4.wav", buildStereoWav(8000)))).rejects.toThrow("rate limit");
+    expect(fs.existsSync(path.join(tempRoot, "call_4.ch0.wav"))).toBe(false);
+  });
+});
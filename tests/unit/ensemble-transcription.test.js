@@ -0,0 +1,248 @@
+/**
+ * Unit Tests - Ensemble Transcription
+ * Tests aligning transcripts from several providers into a consensus with an agreement score
+ */
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  transcription: {
+    ensemble: {
+      enabled: true,
+      providers: [],
+      size: 3,
+      minDurationSeconds: 60,
+      leadsOnly: false,
+      minAgreement: 0.6,
+    },
+  },
+  audio: {
+    stereoSplit: false,
+    channelSpeakers: ["agent", "customer"],
+  },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+const EnsembleTranscriptionService = require("../../src/services/transcription/ensemble.transcription.service");
+const { agreement, alignWords, buildConsensus, tokenize } = require("../../src/services/transcription/transcript-alignment");
+
+describe("transcript alignment", () => {
+  test("should ignore case and punctuation when comparing words", () => {
+    expect(agreement("Hello, sir. Turf booking?", "hello sir turf booking")).toBe(1);
+    expect(agreement("a b c d", "a x c d")).toBe(0.75);
+    expect(agreement("", "")).toBe(1);
+    expect(agreement("one two", "")).toBe(0);
+  });
+
+  test("should align insertions, deletions and substitutions", () => {
+    expect(alignWords(["a", "b", "c", "d"], ["a", "c", "d", "e"])).toEqual({
+      distance: 2,
+      pairs: [
+        [0, 0],
+        [1, null],
+        [2, 1],
+        [3, 2],
+        [null, 3],
+      ],
+    });
+    expect(alignWords(["a", "b"], ["a", "x"]).pairs).toEqual([
+      [0, 0],
+      [1, 1],
+    ]);
+  });
+
+  test("should vote each word by majority", () => {
+    const consensus = buildConsensus([
+      "we have a cricket turf in kochi",
+      "we have the cricket turf in kochi",
+      "we have a cricket pitch in kochi city",
+    ]);
+
+    expect(consensus.text).toBe("we have a cricket turf in kochi");
+    expect(consensus.pivot).toBe(0);
+    expect(consensus.pairwise).toEqual([
+      { a: 0, b: 1, agreement: 0.857 },
+      { a: 0, b: 2, agreement: 0.75 },
+      { a: 1, b: 2, agreement: 0.625 },
+    ]);
+    expect(consensus.agreement).toBe(0.744);
+    expect(consensus.candidateAgreement).toEqual([1, 0.857, 0.75]);
+  });
+
+  test("should leave out words only a minority of candidates have", () => {
+    const consensus = buildConsensus([
+      "book turf today",
+      "book the turf today now",
+      "book the turf today",
+      "book turf today ok",
+      "book the turf today please",
+    ]);
+
+    // "the" is in three of five candidates; "now", "ok" and "please" in one each
+    expect(consensus.text).toBe("book the turf today");
+    expect(consensus.pivot).toBe(2);
+  });
+
+  test("should keep speaker turns on their own lines", () => {
+    const consensus = buildConsensus([
+      "Agent: hello sir\nCustomer: yes tell me",
+      "Agent: hello sir\nCustomer: yes tell",
+      "Agent: hallo sir\nCustomer: yes tell me",
+    ]);
+
+    expect(consensus.text).toBe("Agent: hello sir\nCustomer: yes tell me");
+    expect(tokenize(consensus.text)).toContain("\n");
+  });
+});
+
+describe("EnsembleTranscriptionService", () => {
+  const outputs = {
+    elevenlabs: { text: "we have a cricket turf in kochi", model: "scribe_v1", confidence: 0.9, segments: [{ text: "11labs" }] },
+    sarvam: { text: "we have the cricket turf in kochi", model: "saarika:v2" },
+    groq: { text: "we have a cricket pitch in kochi city", model: "whisper-large-v3-turbo" },
+  };
+
+  const createService = (options = {}) => {
+    const transcriber = {
+      transcribe: jest.fn(async (audioPath, { providers }) => {
+        const [provider] = providers;
+        const output = outputs[provider];
+        if (!output || options.failing?.includes(provider)) {
+          throw Object.assign(new Error(`All transcription providers failed: ${provider} (timeout)`), {
+            attempts: [{ provider, success: false, reason: "error", error: "timeout" }],
+          });
+        }
+        return {
+          ...output,
+          provider,
+          wordCount: output.text.split(" ").length,
+          attempts: [{ provider, success: true, reason: null }],
+          failedProviders: [],
+        };
+      }),
+    };
+    const manager = {
+      getProviderOrder: jest.fn((priority = ["elevenlabs", "sarvam", "groq", "azure"]) =>
+        priority.filter((name) => (options.available || ["elevenlabs", "sarvam", "groq"]).includes(name))
+      ),
+    };
+    const service = new EnsembleTranscriptionService({ transcriber, manager, ...options.settings });
+    return { service, transcriber, manager };
+  };
+
+  test("should only run the ensemble for high-value calls", () => {
+    const { service } = createService();
+
+    expect(service.isHighValue({ audio_duration_seconds: 120 })).toBe(true);
+    expect(service.isHighValue({ duration_seconds: 30 })).toBe(false);
+
+    const { service: leadsOnly } = createService({ settings: { leadsOnly: true } });
+    expect(leadsOnly.isHighValue({ duration_seconds: 120 })).toBe(false);
+    expect(leadsOnly.isHighValue({ duration_seconds: 120, lead_id: "lead_1" })).toBe(true);
+
+    const { service: single } = createService({ available: ["sarvam"] });
+    expect(single.isHighValue({ duration_seconds: 120 })).toBe(false);
+
+    const { service: disabled } = createService({ settings: { enabled: false } });
+    expect(disabled.isHighValue({ duration_seconds: 120 })).toBe(false);
+  });
+
+  test("should build a consensus with the candidates and agreement", async () => {
+    const { service, transcriber } = createService();
+
+    const result = await service.transcribe("/tmp/call.wav", {
+      channels: 1,
+      language: "ml",
+      providers: ["sarvam", "elevenlabs", "groq", "azure"],
+    });
+
+    expect(transcriber.transcribe).toHaveBeenCalledWith("/tmp/call.wav", { channels: 1, language: "ml", providers: ["sarvam"] });
+    expect(transcriber.transcribe).toHaveBeenCalledTimes(3);
+    expect(result).toMatchObject({
+      text: "we have a cricket turf in kochi",
+      wordCount: 7,
+      provider: "ensemble:sarvam+elevenlabs+groq",
+      model: "scribe_v1",
+      // Timings come from the pivot
+      segments: [{ text: "11labs" }],
+      agreement: 0.744,
+      lowAgreement: false,
+      failedProviders: [],
+      consensus: {
+        pivot: "elevenlabs",
+        minAgreement: 0.6,
+        pairwise: [
+          { providers: ["sarvam", "elevenlabs"], agreement: 0.857 },
+          { providers: ["sarvam", "groq"], agreement: 0.625 },
+          { providers: ["elevenlabs", "groq"], agreement: 0.75 },
+        ],
+      },
+    });
+    expect(result.candidates).toEqual([
+      expect.objectContaining({ provider: "sarvam", model: "saarika:v2", text: outputs.sarvam.text, agreement: 0.857 }),
+      expect.objectContaining({ provider: "elevenlabs", confidence: 0.9, agreement: 1 }),
+      expect.objectContaining({ provider: "groq", wordCount: 8, agreement: 0.75 }),
+    ]);
+    expect(result.attempts).toHaveLength(3);
+  });
+
+  test("should flag calls where providers disagree", async () => {
+    const { service } = createService({ settings: { minAgreement: 0.8 } });
+
+    const result = await service.transcribe("/tmp/call.wav", { providers: ["elevenlabs", "groq"] });
+
+    expect(result.agreement).toBe(0.75);
+    expect(result.lowAgreement).toBe(true);
+  });
+
+  test("should use configured ensemble providers", async () => {
+    const { service, transcriber } = createService({ settings: { providers: ["groq", "sarvam", "azure"] } });
+
+    const result = await service.transcribe("/tmp/call.wav", { providers: ["elevenlabs"] });
+
+    expect(transcriber.transcribe.mock.calls.map(([, options]) => options.providers[0])).toEqual(["groq", "sarvam"]);
+    expect(result.candidates.map((candidate) => candidate.provider)).toEqual(["groq", "sarvam"]);
+  });
+
+  test("should fall back to the single result when only one provider succeeds", async () => {
+    const { service } = createService({ failing: ["elevenlabs", "groq"] });
+
+    const result = await service.transcribe("/tmp/call.wav");
+
+    expect(result).toMatchObject({
+      text: outputs.sarvam.text,
+      provider: "sarvam",
+      agreement: null,
+      lowAgreement: false,
+      consensus: null,
+      failedProviders: ["elevenlabs", "groq"],
+    });
+    expect(result.candidates).toHaveLength(1);
+    expect(result.attempts.map((attempt) => attempt.success)).toEqual([false, true, false]);
+  });
+
+  test("should throw when every provider fails", async () => {
+    const { service } = createService({ failing: ["elevenlabs", "sarvam", "groq"] });
+
+    const error = await service.transcribe("/tmp/call.wav").catch((e) => e);
+
+    expect(error.message).toMatch(/^All ensemble providers failed: elevenlabs/);
+    expect(error.attempts).toHaveLength(3);
+  });
+
+  test("should list low-agreement transcripts with pagination", () => {
+    const transcripts = {
+      findLowAgreement: jest.fn(() => [{ id: "transcript_1", stt_agreement: 0.4 }]),
+      countLowAgreement: jest.fn(() => 51),
+    };
+    const service = new EnsembleTranscriptionService({ transcripts });
+
+    const result = service.getLowAgreementCalls({ page: 2, limit: 50, org_id: "default" });
+
+    expect(transcripts.findLowAgreement).toHaveBeenCalledWith({ limit: 50, offset: 50, org_id: "default" });
+    expect(transcripts.countLowAgreement).toHaveBeenCalledWith({ org_id: "default" });
+    expect(result.pagination).toEqual({ page: 2, limit: 50, total: 51, pages: 2 });
+  });
+});
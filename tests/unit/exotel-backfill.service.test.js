@@ -0,0 +1,277 @@
+/**
+ * Unit Tests - Exotel Backfill Service
+ * Tests paging, dedupe and call creation against a fake Exotel API client
+ */
+
+const http = require("http");
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  organization: { defaultId: "default" },
+  exotel: {
+    accountSid: "acct",
+    apiKey: "key",
+    apiToken: "token",
+    apiBaseUrl: "https://api.exotel.com",
+    backfill: { pageSize: 2, pageDelayMs: 0 },
+  },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+jest.mock("../../src/models", () => ({
+  Call: {
+    findByExotelCallSid: jest.fn((sid) => (sid === "sid_existing" ? { id: "call_existing" } : null)),
+  },
+}));
+
+const ExotelBackfillService = require("../../src/services/backfill/exotel-backfill.service");
+const ExotelApiService = require("../../src/services/backfill/exotel-api.service");
+
+/**
+ * Fake Exotel API client serving fixed pages
+ */
+class FakeExotelClient {
+  constructor(pages, { failOnPage } = {}) {
+    this.pages = pages;
+    this.failOnPage = failOnPage;
+    this.requests = [];
+  }
+
+  async listCalls(options) {
+    this.requests.push(options);
+    const index = options.pageUri ? parseInt(options.pageUri.split("=")[1]) : 0;
+
+    if (index === this.failOnPage) {
+      throw new Error("Exotel API unavailable");
+    }
+
+    return {
+      calls: this.pages[index],
+      nextPageUri: index + 1 < this.pages.length ? `/page?n=${index + 1}` : null,
+    };
+  }
+}
+
+const exotelCall = (overrides = {}) => ({
+  Sid: "sid_new",
+  From: "09000000000",
+  To: "08012345678",
+  Direction: "inbound",
+  Status: "completed",
+  Duration: "120",
+  StartTime: "2024-01-15 10:30:00",
+  RecordingUrl: "https://recordings.exotel.com/sid_new.mp3",
+  ...overrides,
+});
+
+const buildService = (client) => {
+  let created = 0;
+  const callService = {
+    createCall: jest.fn(async (data) => ({ id: `call_${++created}`, ...data })),
+    queueDownloadJobOnce: jest.fn(async (callId) => ({ id: `job_${callId}` })),
+  };
+  const attribution = {
+    resolveAgent: jest.fn(() => ({ agentId: "agent_001", source: "exophone", matchedBy: "lookup_table" })),
+    describeAttribution: jest.fn(() => "auto:exophone:lookup_table"),
+  };
+
+  const service = new ExotelBackfillService({ client, callService, attribution, pageDelayMs: 0 });
+  return { service, callService, attribution };
+};
+
+describe("Exotel Backfill Service", () => {
+  const range = { startDate: "2024-01-15T00:00:00", endDate: "2024-01-15T23:59:59" };
+
+  test("should page through all calls and import missing ones", async () => {
+    const client = new FakeExotelClient([
+      [exotelCall({ Sid: "sid_existing" }), exotelCall({ Sid: "sid_a" })],
+      [exotelCall({ Sid: "sid_b", Status: "busy", RecordingUrl: null, Direction: "outbound-api" })],
+    ]);
+    const { service, callService } = buildService(client);
+
+    const summary = await service.backfill(range);
+
+    expect(client.requests).toHaveLength(2);
+    expect(client.requests[1].pageUri).toBe("/page?n=1");
+    expect(summary).toMatchObject({
+      pages: 2,
+      fetched: 3,
+      existing: 1,
+      created: 1,
+      tracked: 1,
+      failed: 0,
+      completed: true,
+      nextPageUri: null,
+    });
+
+    expect(callService.createCall).toHaveBeenCalledWith(
+      expect.objectContaining({
+        exotel_call_sid: "sid_a",
+        status: "received",
+        direction: "inbound",
+        duration_seconds: 120,
+        agent_id: "agent_001",
+        recording_url: "https://recordings.exotel.com/sid_new.mp3",
+      })
+    );
+    expect(callService.createCall).toHaveBeenCalledWith(
+      expect.objectContaining({
+        exotel_call_sid: "sid_b",
+        status: "busy",
+        direction: "outbound",
+        recording_url: null,
+      })
+    );
+    expect(callService.queueDownloadJobOnce).toHaveBeenCalledTimes(1);
+  });
+
+  test("should keep the original call time", async () => {
+    const { service, callService } = buildService(new FakeExotelClient([[exotelCall()]]));
+
+    await service.backfill(range);
+
+    const { created_at } = callService.createCall.mock.calls[0][0];
+    expect(new Date(created_at).getTime()).toBe(new Date("2024-01-15 10:30:00").getTime());
+  });
+
+  test("should skip completed calls without a recording", async () => {
+    const { service, callService } = buildService(
+      new FakeExotelClient([[exotelCall({ RecordingUrl: "" }), exotelCall({ Sid: "x", Status: "in-progress" })]])
+    );
+
+    const summary = await service.backfill(range);
+
+    expect(summary.skipped).toBe(2);
+    expect(callService.createCall).not.toHaveBeenCalled();
+  });
+
+  test("should not write anything in dry run mode", async () => {
+    const { service, callService } = buildService(
+      new FakeExotelClient([[exotelCall(), exotelCall({ Sid: "sid_c", Status: "no-answer", RecordingUrl: null })]])
+    );
+
+    const summary = await service.backfill({ ...range, dryRun: true });
+
+    expect(summary.created).toBe(1);
+    expect(summary.tracked).toBe(1);
+    expect(callService.createCall).not.toHaveBeenCalled();
+    expect(callService.queueDownloadJobOnce).not.toHaveBeenCalled();
+  });
+
+  test("should report the page to resume from when a fetch fails", async () => {
+    const client = new FakeExotelClient([[exotelCall()], [exotelCall({ Sid: "sid_d" })]], { failOnPage: 1 });
+    const { service } = buildService(client);
+
+    const summary = await service.backfill(range);
+
+    expect(summary.created).toBe(1);
+    expect(summary.completed).toBe(false);
+    expect(summary.error).toBe("Exotel API unavailable");
+    expect(summary.nextPageUri).toBe("/page?n=1");
+  });
+
+  test("should record per-call failures and continue", async () => {
+    const { service, callService } = buildService(
+      new FakeExotelClient([[exotelCall({ Sid: "sid_e" }), exotelCall({ Sid: "sid_f" })]])
+    );
+    callService.queueDownloadJobOnce.mockRejectedValueOnce(new Error("Redis down"));
+
+    const summary = await service.backfill(range);
+
+    expect(summary.failed).toBe(1);
+    expect(summary.created).toBe(1);
+    expect(summary.errors).toEqual([{ callSid: "sid_e", error: "Redis down" }]);
+  });
+
+  test("should require a date range", async () => {
+    const { service } = buildService(new FakeExotelClient([[]]));
+    await expect(service.backfill({})).rejects.toThrow("startDate and endDate are required");
+  });
+
+  test("should reject a resume URI the client does not accept before fetching", async () => {
+    const client = new FakeExotelClient([[]]);
+    client.getPageUrl = new ExotelApiService().getPageUrl;
+    client.accountSid = "acct";
+    client.baseUrl = "https://api.exotel.com";
+    const { service } = buildService(client);
+
+    await expect(service.backfill({ pageUri: "@evil.example/x" })).rejects.toThrow("Invalid Exotel page URI");
+    expect(client.requests).toHaveLength(0);
+  });
+});
+
+describe("Exotel API Service", () => {
+  let server;
+  let baseUrl;
+  const received = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      received.push({ url: req.url, auth: req.headers.authorization });
+      const isFirstPage = !req.url.includes("Before=");
+
+      res.setHeader("Content-Type", "application/json");
+      res.end(
+        JSON.stringify({
+          Metadata: {
+            NextPageUri: isFirstPage ? "/v1/Accounts/acct/Calls.json?PageSize=2&Before=sid_2" : null,
+          },
+          Calls: isFirstPage ? [{ Sid: "sid_1" }, { Sid: "sid_2" }] : [{ Sid: "sid_3" }],
+        })
+      );
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test("should query the Call Details API with date filter and basic auth", async () => {
+    const client = new ExotelApiService({ baseUrl });
+
+    const first = await client.listCalls({
+      startDate: new Date(2024, 0, 15, 0, 0, 0),
+      endDate: new Date(2024, 0, 15, 23, 59, 59),
+      pageSize: 2,
+    });
+    const second = await client.listCalls({ pageUri: first.nextPageUri });
+
+    expect(first.calls.map((c) => c.Sid)).toEqual(["sid_1", "sid_2"]);
+    expect(second.calls.map((c) => c.Sid)).toEqual(["sid_3"]);
+    expect(second.nextPageUri).toBeNull();
+
+    const firstUrl = new URL(received[0].url, baseUrl);
+    expect(firstUrl.pathname).toBe("/v1/Accounts/acct/Calls.json");
+    expect(firstUrl.searchParams.get("DateCreated")).toBe("gte:2024-01-15 00:00:00;lte:2024-01-15 23:59:59");
+    expect(received[0].auth).toBe(`Basic ${Buffer.from("key:token").toString("base64")}`);
+    expect(received[1].url).toContain("Before=sid_2");
+  });
+
+  test("should only follow page URIs under the account on the API host", async () => {
+    const client = new ExotelApiService({ baseUrl: "https://api.exotel.com" });
+
+    expect(client.getPageUrl("/v1/Accounts/acct/Calls.json?Before=sid_2")).toBe(
+      "https://api.exotel.com/v1/Accounts/acct/Calls.json?Before=sid_2"
+    );
+    expect(() => client.getPageUrl("@evil.example/x")).toThrow("must start with /v1/Accounts/acct/");
+    expect(() => client.getPageUrl("/v1/Accounts/other/Calls.json")).toThrow("must start with /v1/Accounts/acct/");
+    expect(() => client.getPageUrl(null)).toThrow("Invalid Exotel page URI");
+  });
+
+  test("should not send credentials for a page URI off the API host", async () => {
+    const client = new ExotelApiService({ baseUrl });
+    await expect(client.listCalls({ pageUri: "@evil.example/x" })).rejects.toThrow("Invalid Exotel page URI");
+    expect(received.some((r) => r.url.includes("evil"))).toBe(false);
+  });
+
+  test("should refuse to run without credentials", async () => {
+    const client = new ExotelApiService({ baseUrl });
+    client.apiKey = null;
+    await expect(client.listCalls({})).rejects.toThrow("Exotel API credentials not configured");
+  });
+});
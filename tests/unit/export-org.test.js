@@ -0,0 +1,184 @@
+/**
+ * Unit Tests - Export Organization
+ * Tests which organization's calls, files and storage quota an export uses
+ */
+
+const express = require("express");
+const request = require("supertest");
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  organization: { defaultId: "default" },
+  auth: { apiKeys: [] },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+jest.mock("../../src/models", () => {
+  const organizations = new Set(["default", "org_a", "org_b"]);
+  const all = jest.fn(() => [{ id: "analysis_1", call_id: "call_1", overall_score: 8 }]);
+  return {
+    Analysis: {
+      db: {
+        all,
+        prepare: jest.fn(() => ({ all })),
+      },
+    },
+    Call: {},
+    Organization: {
+      findById: jest.fn((id) => (organizations.has(id) ? { id } : null)),
+    },
+  };
+});
+
+jest.mock("../../src/services", () => ({
+  CsvExport: {
+    exportAnalyses: jest.fn(async () => ({
+      filename: "analyses.csv",
+      filePath: "/storage/exports/org_b/analyses.csv",
+      totalRecords: 1,
+      fileSize: 64,
+      exportedAt: "2026-03-10T10:00:00.000Z",
+    })),
+    getExportFiles: jest.fn(() => [{ filename: "analyses.csv", size: 64, createdAt: "2026-03-10T10:00:00.000Z" }]),
+  },
+  ExcelExport: {
+    getExportFiles: jest.fn(() => []),
+  },
+  Storage: {
+    persistFile: jest.fn(async () => "exports/org_b/analyses.csv"),
+    statStoredFile: jest.fn(async () => null),
+    deleteStoredFile: jest.fn(async () => false),
+  },
+  StorageQuota: {
+    enforceQuota: jest.fn(async () => ({ exceeded: false })),
+    isQuotaError: jest.fn(() => false),
+  },
+}));
+
+const { Analysis } = require("../../src/models");
+const { CsvExport, ExcelExport, Storage, StorageQuota } = require("../../src/services");
+const { authenticate } = require("../../src/middleware/auth.middleware");
+const {
+  exportToCsv,
+  downloadExport,
+  listExportFiles,
+  deleteExportFile,
+} = require("../../src/controllers/export.controller");
+
+const buildApp = (apiKeys) => {
+  const app = express();
+  app.use(express.json(), authenticate({ apiKeys }));
+  app.post("/api/export/csv", exportToCsv);
+  app.get("/api/export/download/:filename", downloadExport);
+  app.get("/api/export/files", listExportFiles);
+  app.delete("/api/export/files/:filename", deleteExportFile);
+  return app;
+};
+
+describe("Export organization", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("should charge authenticated exports to the API key's organization", async () => {
+    const app = buildApp([{ orgId: "org_b", key: "key-b" }]);
+
+    const response = await request(app)
+      .post("/api/export/csv")
+      .set("Authorization", "Bearer key-b")
+      .send({ orgId: "org_a" });
+
+    expect(response.status).toBe(200);
+    expect(StorageQuota.enforceQuota).toHaveBeenCalledWith("org_b", "exports");
+    expect(Storage.persistFile).toHaveBeenCalledWith("/storage/exports/org_b/analyses.csv", { orgId: "org_b" });
+  });
+
+  test("should only export the organization's calls into its export directory", async () => {
+    const app = buildApp([{ orgId: "org_b", key: "key-b" }]);
+
+    const response = await request(app)
+      .post("/api/export/csv")
+      .set("Authorization", "Bearer key-b")
+      .send({ orgId: "org_a", agentId: "agent_1" });
+
+    expect(response.status).toBe(200);
+    expect(Analysis.db.prepare.mock.calls[0][0]).toMatch(/WHERE c\.org_id = \?/);
+    expect(Analysis.db.all).toHaveBeenCalledWith("org_b", "agent_1", 1000);
+    expect(CsvExport.exportAnalyses).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({ orgId: "org_b" }));
+    expect(response.body.data.downloadUrl).toBe("/api/export/download/analyses.csv");
+  });
+
+  test("should name the organization in download URLs without API keys", async () => {
+    const app = buildApp([]);
+
+    const response = await request(app).post("/api/export/csv").send({ orgId: "org_a" });
+
+    expect(response.body.data.downloadUrl).toBe("/api/export/download/analyses.csv?orgId=org_a");
+  });
+
+  test("should list, download and delete only the organization's export files", async () => {
+    const app = buildApp([{ orgId: "org_b", key: "key-b" }]);
+
+    const list = await request(app).get("/api/export/files?orgId=org_a").set("Authorization", "Bearer key-b");
+    expect(list.status).toBe(200);
+    expect(list.body.data.totalFiles).toBe(1);
+    expect(CsvExport.getExportFiles).toHaveBeenCalledWith("org_b");
+    expect(ExcelExport.getExportFiles).toHaveBeenCalledWith("org_b");
+
+    const download = await request(app)
+      .get("/api/export/download/analyses.csv?orgId=org_a")
+      .set("Authorization", "Bearer key-b");
+    expect(download.status).toBe(404);
+    expect(Storage.statStoredFile).toHaveBeenCalledWith("exports/org_b/analyses.csv");
+
+    const deleted = await request(app)
+      .delete("/api/export/files/analyses.csv?orgId=org_a")
+      .set("Authorization", "Bearer key-b");
+    expect(deleted.status).toBe(404);
+    expect(Storage.deleteStoredFile).toHaveBeenCalledWith("exports/org_b/analyses.csv");
+  });
+
+  test("should use the query organization for files without API keys", async () => {
+    const app = buildApp([]);
+
+    await request(app).delete("/api/export/files/analyses.csv?orgId=org_a").expect(404);
+    expect(Storage.deleteStoredFile).toHaveBeenCalledWith("exports/org_a/analyses.csv");
+
+    const response = await request(app).get("/api/export/files?orgId=org_missing");
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe("Organization not found: org_missing");
+  });
+
+  test("should require an API key once keys are configured", async () => {
+    const app = buildApp([{ orgId: "org_b", key: "key-b" }]);
+
+    const response = await request(app).post("/api/export/csv").send({ orgId: "org_a" });
+
+    expect(response.status).toBe(401);
+    expect(CsvExport.exportAnalyses).not.toHaveBeenCalled();
+  });
+
+  test("should use an existing body organization without API keys", async () => {
+    const app = buildApp([]);
+
+    await request(app).post("/api/export/csv").send({ orgId: "org_a" }).expect(200);
+    expect(StorageQuota.enforceQuota).toHaveBeenLastCalledWith("org_a", "exports");
+
+    await request(app).post("/api/export/csv").send({}).expect(200);
+    expect(StorageQuota.enforceQuota).toHaveBeenLastCalledWith("default", "exports");
+  });
+
+  test("should reject unknown organizations before exporting", async () => {
+    const app = buildApp([]);
+
+    const response = await request(app).post("/api/export/csv").send({ orgId: "org_missing" });
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ success: false, error: "Organization not found: org_missing" });
+    expect(StorageQuota.enforceQuota).not.toHaveBeenCalled();
+    expect(CsvExport.exportAnalyses).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,332 @@
+/**
+ * Unit Tests - HTTP Downloader
+ * Tests redirects, Retry-After, resume, size limits and checksums against a local server
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+const { HttpDownloader } = require("../../src/services/storage");
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "http-downloader-"));
+const recording = crypto.randomBytes(64 * 1024);
+const recordingSha256 = crypto.createHash("sha256").update(recording).digest("hex");
+
+let server;
+let baseUrl;
+let handler;
+let requests;
+
+beforeAll((done) => {
+  server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    handler(req, res, requests.length);
+  });
+  server.listen(0, "127.0.0.1", () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+afterAll((done) => {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+  server.close(done);
+});
+
+// Downloader whose waits are recorded instead of slept
+const createDownloader = (settings = {}) => {
+  const downloader = new HttpDownloader({ timeoutMs: 2000, ...settings });
+  downloader.delays = [];
+  downloader.sleep = jest.fn(async (ms) => {
+    downloader.delays.push(ms);
+  });
+  return downloader;
+};
+
+const target = (name) => path.join(tempRoot, name);
+
+// Serve the recording, honouring Range like a real server
+const serveRecording = (req, res) => {
+  const range = (req.headers.range || "").match(/bytes=(\d+)-/);
+  const headers = { "Content-Type": "audio/mpeg", ETag: '"v1"' };
+
+  if (range) {
+    const start = parseInt(range[1]);
+    if (start >= recording.length) {
+      res.writeHead(416, { "Content-Range": `bytes */${recording.length}` });
+      return res.end();
+    }
+    res.writeHead(206, {
+      ...headers,
+      "Content-Length": recording.length - start,
+      "Content-Range": `bytes ${start}-${recording.length - 1}/${recording.length}`,
+    });
+    return res.end(recording.subarray(start));
+  }
+
+  res.writeHead(200, { ...headers, "Content-Length": recording.length });
+  res.end(recording);
+};
+
+// Declare the full length but close the connection after `bytes`
+const serveTruncated = (res, bytes) => {
+  res.writeHead(200, { "Content-Type": "audio/mpeg", ETag: '"v1"', "Content-Length": recording.length });
+  res.write(recording.subarray(0, bytes), () => res.destroy());
+};
+
+describe("HttpDownloader", () => {
+  test("should download a file and return its checksum", async () => {
+    handler = serveRecording;
+    const result = await createDownloader().download(`${baseUrl}/rec.mp3`, target("plain.download"));
+
+    expect(result).toMatchObject({
+      filePath: target("plain.download"),
+      sizeBytes: recording.length,
+      sha256: recordingSha256,
+      contentType: "audio/mpeg",
+      attempts: 1,
+      redirects: 0,
+      resumed: false,
+    });
+    expect(fs.readFileSync(target("plain.download")).equals(recording)).toBe(true);
+    expect(fs.existsSync(target("plain.download.partial"))).toBe(false);
+  });
+
+  test("should follow relative and absolute redirects", async () => {
+    handler = (req, res) => {
+      if (req.url === "/start") {
+        res.writeHead(302, { Location: "/moved" });
+        return res.end();
+      }
+      if (req.url === "/moved") {
+        res.writeHead(301, { Location: `${baseUrl}/final` });
+        return res.end();
+      }
+      serveRecording(req, res);
+    };
+
+    const result = await createDownloader().download(`${baseUrl}/start`, target("redirect.download"));
+
+    expect(result).toMatchObject({ redirects: 2, sha256: recordingSha256 });
+    expect(requests.map((request) => request.url)).toEqual(["/start", "/moved", "/final"]);
+  });
+
+  test("should drop credentials and caller headers when redirected to another host", async () => {
+    handler = (req, res) => {
+      if (req.url === "/recording") {
+        // Same server, different host name (e.g. a presigned bucket URL)
+        res.writeHead(302, { Location: `http://localhost:${server.address().port}/bucket/rec.mp3` });
+        return res.end();
+      }
+      serveRecording(req, res);
+    };
+
+    await createDownloader().download(`${baseUrl}/recording`, target("cross-host.download"), {
+      auth: { username: "sid", password: "token" },
+      headers: { "x-api-key": "kl-key", "X-Custom": "1" },
+    });
+
+    expect(requests[0].headers.authorization).toBe(`Basic ${Buffer.from("sid:token").toString("base64")}`);
+    expect(requests[0].headers["x-api-key"]).toBe("kl-key");
+    expect(requests[1].headers.authorization).toBeUndefined();
+    expect(requests[1].headers["x-api-key"]).toBeUndefined();
+    expect(requests[1].headers["x-custom"]).toBeUndefined();
+  });
+
+  test("should keep caller headers on same-host redirects but not on a scheme downgrade", async () => {
+    handler = (req, res) => {
+      if (req.url === "/start") {
+        res.writeHead(302, { Location: "/recording" });
+        return res.end();
+      }
+      serveRecording(req, res);
+    };
+    const options = { headers: { "x-api-key": "kl-key" } };
+
+    await createDownloader().download(`${baseUrl}/start`, target("same-host.download"), options);
+    expect(requests[1].headers["x-api-key"]).toBe("kl-key");
+
+    // An https URL redirecting to http on the same host
+    requests = [];
+    const downloader = createDownloader();
+    const request = downloader.request.bind(downloader);
+    downloader.request = jest.fn(async (url, headers) => {
+      if (url.startsWith("https:")) {
+        return { statusCode: 302, headers: { location: `${baseUrl}/recording` }, resume: () => {} };
+      }
+      return request(url, headers);
+    });
+
+    await downloader.download(`${baseUrl.replace("http:", "https:")}/start`, target("downgrade.download"), options);
+    expect(downloader.request.mock.calls[0][1]["x-api-key"]).toBe("kl-key");
+    expect(requests[0].headers["x-api-key"]).toBeUndefined();
+  });
+
+  test("should fail permanently on a redirect loop", async () => {
+    handler = (req, res) => {
+      res.writeHead(302, { Location: "/loop" });
+      res.end();
+    };
+    const downloader = createDownloader({ maxRedirects: 3 });
+
+    await expect(downloader.download(`${baseUrl}/loop`, target("loop.download"))).rejects.toThrow("too many redirects");
+    expect(requests).toHaveLength(4);
+    expect(downloader.sleep).not.toHaveBeenCalled();
+  });
+
+  test("should wait for Retry-After on 429 and 503", async () => {
+    handler = (req, res, count) => {
+      if (count === 1) {
+        res.writeHead(429, { "Retry-After": "7" });
+        return res.end();
+      }
+      if (count === 2) {
+        res.writeHead(503, { "Retry-After": "600" });
+        return res.end();
+      }
+      serveRecording(req, res);
+    };
+    const downloader = createDownloader({ maxRetryAfterSeconds: 60 });
+
+    const result = await downloader.download(`${baseUrl}/busy`, target("busy.download"));
+
+    expect(result.attempts).toBe(3);
+    // The second wait is capped at maxRetryAfterSeconds
+    expect(downloader.delays).toEqual([7000, 60000]);
+  });
+
+  test("should back off exponentially on server errors without Retry-After", async () => {
+    handler = (req, res, count) => {
+      if (count < 3) {
+        res.writeHead(502);
+        return res.end();
+      }
+      serveRecording(req, res);
+    };
+    const downloader = createDownloader({ backoffMs: 100 });
+
+    await downloader.download(`${baseUrl}/flaky`, target("flaky.download"));
+
+    expect(downloader.delays).toEqual([100, 200]);
+  });
+
+  test("should resume with a Range request after the connection drops", async () => {
+    handler = (req, res, count) => {
+      if (count === 1) return serveTruncated(res, 20000);
+      serveRecording(req, res);
+    };
+
+    const result = await createDownloader().download(`${baseUrl}/drop`, target("resume.download"));
+
+    expect(requests[1].headers.range).toBe("bytes=20000-");
+    expect(requests[1].headers["if-range"]).toBe('"v1"');
+    expect(result).toMatchObject({ attempts: 2, resumed: true, sizeBytes: recording.length, sha256: recordingSha256 });
+    expect(fs.readFileSync(target("resume.download")).equals(recording)).toBe(true);
+  });
+
+  test("should restart cleanly when the server ignores Range", async () => {
+    handler = (req, res, count) => {
+      if (count === 1) return serveTruncated(res, 30000);
+      res.writeHead(200, { "Content-Length": recording.length });
+      res.end(recording);
+    };
+
+    const result = await createDownloader().download(`${baseUrl}/no-range`, target("restart.download"));
+
+    expect(requests[1].headers.range).toBe("bytes=30000-");
+    expect(result).toMatchObject({ resumed: false, sizeBytes: recording.length, sha256: recordingSha256 });
+  });
+
+  test("should fail after maxAttempts when the body keeps getting cut short", async () => {
+    handler = (req, res) => serveTruncated(res, 1000);
+    const downloader = createDownloader({ maxAttempts: 3 });
+
+    await expect(downloader.download(`${baseUrl}/short`, target("short.download"))).rejects.toThrow(
+      "Download interrupted"
+    );
+    expect(requests).toHaveLength(3);
+    expect(fs.existsSync(target("short.download"))).toBe(false);
+    expect(fs.existsSync(target("short.download.partial"))).toBe(false);
+  });
+
+  test("should reject a Content-Length that does not match the body", async () => {
+    // Server claims more bytes than it sends and then ends the response cleanly
+    handler = (req, res) => {
+      res.writeHead(206, { "Content-Range": `bytes 0-99/${recording.length}` });
+      res.end(recording.subarray(0, 100));
+    };
+    const downloader = createDownloader({ maxAttempts: 1 });
+
+    await expect(downloader.download(`${baseUrl}/mismatch`, target("mismatch.download"))).rejects.toThrow(
+      `Download incomplete: received 100 of ${recording.length} bytes`
+    );
+  });
+
+  test("should reject recordings over the size limit from Content-Length", async () => {
+    handler = serveRecording;
+    const downloader = createDownloader({ maxSizeBytes: 1024 });
+
+    await expect(downloader.download(`${baseUrl}/big`, target("big.download"))).rejects.toThrow("over the 1024 byte limit");
+    expect(requests).toHaveLength(1);
+  });
+
+  test("should reject chunked responses once they pass the size limit", async () => {
+    handler = (req, res) => {
+      res.writeHead(200, { "Content-Type": "audio/wav" });
+      res.write(recording.subarray(0, 4096));
+      res.end(recording.subarray(4096, 8192));
+    };
+    const downloader = createDownloader({ maxSizeBytes: 5000 });
+
+    await expect(downloader.download(`${baseUrl}/chunked`, target("chunked.download"))).rejects.toThrow(
+      "exceeds the 5000 byte limit"
+    );
+    expect(requests).toHaveLength(1);
+    expect(fs.existsSync(target("chunked.download.partial"))).toBe(false);
+  });
+
+  test("should not retry client errors", async () => {
+    handler = (req, res) => {
+      res.writeHead(404);
+      res.end();
+    };
+    const downloader = createDownloader();
+
+    await expect(downloader.download(`${baseUrl}/missing`, target("missing.download"))).rejects.toMatchObject({
+      message: "Download failed: 404 Not Found",
+      statusCode: 404,
+      permanent: true,
+    });
+    expect(requests).toHaveLength(1);
+  });
+
+  test("should time out stalled responses and retry", async () => {
+    handler = (req, res, count) => {
+      if (count === 1) {
+        res.writeHead(200, { "Content-Length": recording.length });
+        return res.write(recording.subarray(0, 100));
+      }
+      serveRecording(req, res);
+    };
+    const downloader = createDownloader({ timeoutMs: 200 });
+
+    const result = await downloader.download(`${baseUrl}/stall`, target("stall.download"));
+
+    expect(result).toMatchObject({ attempts: 2, sha256: recordingSha256 });
+  });
+});
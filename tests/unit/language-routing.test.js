@@ -0,0 +1,239 @@
+/**
+ * Unit Tests - Language-Aware Provider Routing
+ * Tests picking transcription providers from the agent, organization or detected language
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  transcription: {
+    priority: ["elevenlabs", "sarvam", "groq"],
+    languageRules: {
+      ml: ["sarvam", "elevenlabs"],
+      hi: ["sarvam", "elevenlabs"],
+      en: ["elevenlabs", "groq"],
+    },
+    defaultLanguage: null,
+    languageDetection: { enabled: false, seconds: 2, providers: ["groq"] },
+  },
+  audio: {
+    transcode: false,
+    targetSampleRate: 16000,
+    targetChannels: 1,
+    ffmpegPath: "ffmpeg",
+  },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+const LanguageRoutingService = require("../../src/services/transcription/language-routing.service");
+const { normalizeLanguage } = require("../../src/services/transcription/language-routing.service");
+const { AudioProcessingService, detectAudioFormat } = require("../../src/services/audio");
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "language-routing-"));
+
+afterAll(() => {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+});
+
+// 16-bit mono PCM WAV of silence
+const writeWav = (name, seconds, sampleRate = 8000) => {
+  const data = Buffer.alloc(seconds * sampleRate * 2);
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(data.length, 40);
+  const filePath = path.join(tempRoot, name);
+  fs.writeFileSync(filePath, Buffer.concat([header, data]));
+  return filePath;
+};
+
+const createModels = () => {
+  const users = new Map([
+    ["agent_ml", { id: "agent_ml", language: "ml" }],
+    ["agent_none", { id: "agent_none", language: null }],
+  ]);
+  const orgs = new Map([
+    ["org_hi", { id: "org_hi", settings: { transcription_language: "hi-IN" } }],
+    ["org_none", { id: "org_none", settings: {} }],
+  ]);
+  return {
+    User: {
+      findById: jest.fn((id) => users.get(id) || null),
+      updateLanguage: jest.fn((id, language) => {
+        if (!users.has(id)) throw new Error(`Agent not found: ${id}`);
+        users.get(id).language = language;
+        return users.get(id);
+      }),
+    },
+    Organization: {
+      findById: jest.fn((id) => orgs.get(id) || null),
+      updateSettings: jest.fn((id, values) => {
+        if (!orgs.has(id)) throw new Error(`Organization not found: ${id}`);
+        Object.assign(orgs.get(id).settings, values);
+        return orgs.get(id);
+      }),
+    },
+  };
+};
+
+const createTranscriber = (available = ["elevenlabs", "sarvam", "groq"]) => ({
+  transcribe: jest.fn(async () => ({ text: "namaskaram", language: "malayalam", provider: "groq" })),
+  getProviderOrder: jest.fn((priority) => priority.filter((name) => available.includes(name))),
+  getAvailableProviders: jest.fn(() => available),
+});
+
+const createService = (options = {}) => {
+  const models = createModels();
+  const transcriber = options.transcriber || createTranscriber();
+  const audioProcessing = { clip: jest.fn(async () => writeWav("clip.wav", 1)) };
+  const service = new LanguageRoutingService({ models, transcriber, audioProcessing, ...options });
+  return { service, models, transcriber, audioProcessing };
+};
+
+describe("normalizeLanguage", () => {
+  test("should accept codes, regions, names and 3-letter codes", () => {
+    expect(normalizeLanguage("ml")).toBe("ml");
+    expect(normalizeLanguage("ml-IN")).toBe("ml");
+    expect(normalizeLanguage("hi_IN")).toBe("hi");
+    expect(normalizeLanguage("Malayalam")).toBe("ml");
+    expect(normalizeLanguage("mal")).toBe("ml");
+    expect(normalizeLanguage("fr")).toBe("fr");
+    expect(normalizeLanguage("klingon")).toBeNull();
+    expect(normalizeLanguage(null)).toBeNull();
+  });
+});
+
+describe("LanguageRoutingService", () => {
+  test("should prefer the agent language over the organization default", async () => {
+    const { service } = createService();
+
+    await expect(service.route({ id: "c1", agent_id: "agent_ml", org_id: "org_hi" }, "/tmp/a.wav")).resolves.toEqual({
+      language: "ml",
+      source: "agent",
+      rule: "ml",
+      providers: ["sarvam", "elevenlabs"],
+      detection: null,
+    });
+    await expect(service.route({ id: "c2", agent_id: "agent_none", org_id: "org_hi" }, "/tmp/a.wav")).resolves.toMatchObject({
+      language: "hi",
+      source: "organization",
+      rule: "hi",
+    });
+  });
+
+  test("should use the default priority when no language is known", async () => {
+    const { service, transcriber } = createService();
+
+    await expect(service.route({ id: "c3", org_id: "org_none" }, "/tmp/a.wav")).resolves.toEqual({
+      language: null,
+      source: null,
+      rule: "default",
+      providers: ["elevenlabs", "sarvam", "groq"],
+      detection: null,
+    });
+    expect(transcriber.transcribe).not.toHaveBeenCalled();
+
+    const { service: withDefault } = createService({ defaultLanguage: "English" });
+    await expect(withDefault.route({ id: "c4", org_id: "org_none" }, "/tmp/a.wav")).resolves.toMatchObject({
+      language: "en",
+      source: "default",
+      providers: ["elevenlabs", "groq"],
+    });
+  });
+
+  test("should detect the language from a clip when enabled", async () => {
+    const { service, transcriber, audioProcessing } = createService({
+      languageDetection: { enabled: true, seconds: 2, providers: ["groq"] },
+    });
+
+    const routing = await service.route({ id: "c5", org_id: "org_none" }, "/tmp/a.wav");
+
+    expect(routing).toMatchObject({ language: "ml", source: "detected", rule: "ml", providers: ["sarvam", "elevenlabs"] });
+    expect(routing.detection).toEqual({ language: "ml", provider: "groq", seconds: 2, error: null });
+    expect(audioProcessing.clip).toHaveBeenCalledWith("/tmp/a.wav", 2);
+    const clipPath = await audioProcessing.clip.mock.results[0].value;
+    expect(transcriber.transcribe).toHaveBeenCalledWith(clipPath, { providers: ["groq"], diarize: false });
+    expect(fs.existsSync(clipPath)).toBe(false);
+
+    // The agent's language wins without spending a detection call
+    await service.route({ id: "c6", agent_id: "agent_ml" }, "/tmp/a.wav");
+    expect(transcriber.transcribe).toHaveBeenCalledTimes(1);
+  });
+
+  test("should fall back when detection fails", async () => {
+    const transcriber = createTranscriber();
+    transcriber.transcribe.mockRejectedValueOnce(new Error("All transcription providers failed: groq (timeout)"));
+    const { service } = createService({
+      transcriber,
+      defaultLanguage: "hi",
+      languageDetection: { enabled: true, seconds: 2, providers: ["groq"] },
+    });
+
+    const routing = await service.route({ id: "c7", org_id: "org_none" }, "/tmp/a.wav");
+
+    expect(routing).toMatchObject({ language: "hi", source: "default", rule: "hi" });
+    expect(routing.detection).toMatchObject({ language: null, error: "All transcription providers failed: groq (timeout)" });
+  });
+
+  test("should use the default priority when no provider in the rule is configured", async () => {
+    const { service } = createService({ transcriber: createTranscriber(["groq"]) });
+
+    await expect(service.route({ id: "c8", agent_id: "agent_ml" }, "/tmp/a.wav")).resolves.toMatchObject({
+      language: "ml",
+      source: "agent",
+      rule: "default",
+      providers: ["elevenlabs", "sarvam", "groq"],
+    });
+  });
+
+  test("should set and validate agent and organization languages", () => {
+    const { service, models } = createService();
+
+    expect(service.setAgentLanguage("agent_none", "Tamil")).toEqual({
+      agentId: "agent_none",
+      language: "ta",
+      rule: "default",
+      providers: ["elevenlabs", "sarvam", "groq"],
+    });
+    expect(models.User.updateLanguage).toHaveBeenCalledWith("agent_none", "ta");
+
+    expect(service.setOrganizationLanguage("org_none", "en-IN")).toMatchObject({ language: "en", rule: "en" });
+    expect(models.Organization.updateSettings).toHaveBeenCalledWith("org_none", { transcription_language: "en" });
+    expect(service.setOrganizationLanguage("org_hi", null)).toMatchObject({ language: null, rule: "default" });
+
+    expect(() => service.setAgentLanguage("agent_none", "klingon")).toThrow("Invalid language");
+    expect(() => service.setAgentLanguage("agent_missing", "ml")).toThrow("Agent not found");
+  });
+});
+
+describe("AudioProcessingService.clip", () => {
+  test("should cut the first seconds of a PCM WAV without ffmpeg", async () => {
+    const audio = new AudioProcessingService({ ffmpegPath: "/nonexistent/ffmpeg" });
+    const source = writeWav("call.wav", 5);
+
+    const clipPath = await audio.clip(source, 2);
+
+    expect(detectAudioFormat(clipPath)).toMatchObject({ container: "wav", channels: 1, sampleRate: 8000, durationSeconds: 2 });
+    expect(detectAudioFormat(source).durationSeconds).toBe(5);
+
+    // Shorter recordings are copied whole
+    const whole = await audio.clip(writeWav("short.wav", 1), 20);
+    expect(detectAudioFormat(whole).durationSeconds).toBe(1);
+  });
+});
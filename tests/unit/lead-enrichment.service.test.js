@@ -0,0 +1,324 @@
+/**
+ * Unit Tests - CRM Lead Enrichment
+ * Tests the CSV and REST connectors, lookup order and the analysis prompt
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  crm: { enabled: true, connectors: [] },
+  openrouter: { baseUrl: "https://openrouter.ai/api/v1", model: "test-model", fallbackModel: "fallback" },
+  llm: { temperature: 0.3, maxTokens: 4000 },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+jest.mock("../../src/models", () => {
+  const calls = new Map();
+  return {
+    calls,
+    Call: {
+      findById: jest.fn((id) => (calls.has(id) ? { ...calls.get(id) } : null)),
+      setLead: jest.fn((id, lead) => {
+        Object.assign(calls.get(id), {
+          lead_id: lead?.id || null,
+          lead_crm: lead?.crm || null,
+          lead_looked_up_at: new Date().toISOString(),
+        });
+        return { ...calls.get(id) };
+      }),
+    },
+  };
+});
+
+const models = require("../../src/models");
+const {
+  BaseCrmConnector,
+  CsvCrmConnector,
+  RestCrmConnector,
+  LeadEnrichmentService,
+} = require("../../src/services/crm");
+const OpenRouterService = require("../../src/services/analysis/openrouter.service");
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "crm-"));
+
+afterAll(() => {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+});
+
+describe("BaseCrmConnector", () => {
+  const connector = new BaseCrmConnector("test");
+
+  it("should normalize phone numbers to the last 10 digits", () => {
+    expect(connector.normalizePhone("+91 98765-43210")).toBe("9876543210");
+    expect(connector.normalizePhone("09876543210")).toBe("9876543210");
+    expect(connector.normalizePhone("")).toBeNull();
+  });
+
+  it("should map CRM field names onto the lead shape", () => {
+    const lead = connector.normalizeLead({
+      "Lead ID": "L-1",
+      "Customer Name": "Green Valley School",
+      "Organisation Type": "School",
+      City: "Kochi",
+      "Enquiry Source": "IndiaMART",
+      Mobile: "9876543210",
+    });
+
+    expect(lead).toEqual({
+      crm: "test",
+      id: "L-1",
+      name: "Green Valley School",
+      organization_type: "School",
+      city: "Kochi",
+      enquiry_source: "IndiaMART",
+      phone: "9876543210",
+    });
+  });
+
+  it("should return null for records without lead details", () => {
+    expect(connector.normalizeLead({ phone: "9876543210" })).toBeNull();
+    expect(connector.normalizeLead(null)).toBeNull();
+  });
+});
+
+describe("CsvCrmConnector", () => {
+  const filePath = path.join(tempRoot, "leads.csv");
+
+  beforeEach(() => {
+    fs.writeFileSync(
+      filePath,
+      [
+        "Lead ID,Name,Organization Type,City,Enquiry Source,Phone Number",
+        'L-1,"Sunrise Academy, Pune",Sports Academy,Pune,Website,+91 98765 43210',
+        "L-2,Duplicate Row,School,Pune,Walk-in,9876543210",
+        "L-3,Lakeview Society,Residential Society,Bengaluru,JustDial,080-4123-4567",
+      ].join("\n")
+    );
+  });
+
+  it("should find leads by phone number in any format", async () => {
+    const connector = new CsvCrmConnector({ filePath });
+
+    const lead = await connector.findLeadByPhone("09876543210");
+
+    expect(lead).toMatchObject({
+      crm: "csv",
+      id: "L-1",
+      name: "Sunrise Academy, Pune",
+      organization_type: "Sports Academy",
+      enquiry_source: "Website",
+    });
+    expect(await connector.findLeadByPhone("+91 80 4123 4567")).toMatchObject({ id: "L-3" });
+    expect(await connector.findLeadByPhone("9999999999")).toBeNull();
+  });
+
+  it("should reload the file when it changes", async () => {
+    const connector = new CsvCrmConnector({ filePath });
+    expect(await connector.findLeadByPhone("9123456789")).toBeNull();
+
+    fs.appendFileSync(filePath, "\nL-4,New Lead,College,Chennai,Referral,9123456789");
+    const future = new Date(Date.now() + 5000);
+    fs.utimesSync(filePath, future, future);
+
+    expect(await connector.findLeadByPhone("9123456789")).toMatchObject({ id: "L-4" });
+  });
+
+  it("should only be configured with a file path", () => {
+    expect(new CsvCrmConnector({}).isConfigured()).toBe(false);
+    expect(new CsvCrmConnector({ filePath }).isConfigured()).toBe(true);
+  });
+});
+
+describe("RestCrmConnector", () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, headers: req.headers });
+      const url = new URL(req.url, "http://localhost");
+
+      if (url.pathname === "/leads/9876543210" || url.searchParams.get("mobile") === "9876543210") {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(
+          JSON.stringify({
+            data: {
+              leads: [{ lead_id: "R-9", full_name: "Metro FC", segment: "Sports Club", lead_source: "Google Ads" }],
+            },
+          })
+        );
+        return;
+      }
+      if (url.pathname === "/broken") {
+        res.writeHead(500);
+        res.end();
+        return;
+      }
+      res.writeHead(404);
+      res.end();
+    });
+    server.listen(0, "127.0.0.1", () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+  });
+
+  it("should substitute the phone number into the URL and read the result path", async () => {
+    const connector = new RestCrmConnector({
+      url: `${baseUrl}/leads/{phone}`,
+      apiKey: "secret",
+      resultPath: "data.leads",
+    });
+
+    const lead = await connector.findLeadByPhone("+91 98765 43210");
+
+    expect(lead).toEqual({
+      crm: "rest",
+      id: "R-9",
+      name: "Metro FC",
+      organization_type: "Sports Club",
+      city: null,
+      enquiry_source: "Google Ads",
+      phone: "9876543210",
+    });
+    expect(requests[0].headers.authorization).toBe("Bearer secret");
+  });
+
+  it("should send the phone number as a query parameter with a custom header", async () => {
+    const connector = new RestCrmConnector({
+      url: `${baseUrl}/search`,
+      apiKey: "key-1",
+      authHeader: "X-Api-Key",
+      phoneParam: "mobile",
+      resultPath: "data.leads",
+    });
+
+    expect(await connector.findLeadByPhone("9876543210")).toMatchObject({ id: "R-9" });
+    expect(requests[0].url).toBe("/search?mobile=9876543210");
+    expect(requests[0].headers["x-api-key"]).toBe("key-1");
+  });
+
+  it("should treat 404 as no lead and throw on other errors", async () => {
+    const notFound = new RestCrmConnector({ url: `${baseUrl}/leads/{phone}` });
+    const broken = new RestCrmConnector({ url: `${baseUrl}/broken` });
+
+    expect(await notFound.findLeadByPhone("9000000000")).toBeNull();
+    await expect(broken.findLeadByPhone("9000000000")).rejects.toThrow("CRM lookup failed: 500");
+  });
+});
+
+describe("LeadEnrichmentService", () => {
+  const fakeConnector = (name, leads, { fail = false } = {}) => ({
+    name,
+    findLeadByPhone: jest.fn(async (phone) => {
+      if (fail) throw new Error("CRM unavailable");
+      return leads[phone] ? { crm: name, ...leads[phone] } : null;
+    }),
+  });
+
+  beforeEach(() => {
+    models.calls.clear();
+    jest.clearAllMocks();
+  });
+
+  it("should look up the customer number first", () => {
+    const service = new LeadEnrichmentService({ connectors: [] });
+
+    expect(
+      service.getLookupNumbers({ direction: "outgoing", caller_number: "AGENT", callee_number: "CUSTOMER" })
+    ).toEqual(["CUSTOMER", "AGENT"]);
+    expect(
+      service.getLookupNumbers({ direction: "incoming", caller_number: "CUSTOMER", callee_number: "AGENT" })
+    ).toEqual(["CUSTOMER", "AGENT"]);
+  });
+
+  it("should skip failing connectors and store the lead on the call", async () => {
+    models.calls.set("call_1", { id: "call_1", direction: "outgoing", caller_number: "111", callee_number: "222" });
+    const broken = fakeConnector("rest", {}, { fail: true });
+    const csv = fakeConnector("csv", { 222: { id: "L-1", enquiry_source: "Website" } });
+    const service = new LeadEnrichmentService({ connectors: [broken, csv], enabled: true });
+
+    const lead = await service.enrichCall("call_1");
+
+    expect(lead).toMatchObject({ crm: "csv", id: "L-1", matched_number: "222" });
+    expect(broken.findLeadByPhone).toHaveBeenCalledWith("222");
+    expect(models.Call.setLead).toHaveBeenCalledWith("call_1", lead);
+  });
+
+  it("should not look up a call twice unless forced", async () => {
+    models.calls.set("call_2", {
+      id: "call_2",
+      caller_number: "333",
+      lead_id: "L-7",
+      lead_crm: "csv",
+      lead_looked_up_at: "2024-01-01T00:00:00.000Z",
+    });
+    const csv = fakeConnector("csv", { 333: { id: "L-8" } });
+    const service = new LeadEnrichmentService({ connectors: [csv], enabled: true });
+
+    expect(await service.enrichCall("call_2")).toMatchObject({ id: "L-7", crm: "csv" });
+    expect(csv.findLeadByPhone).not.toHaveBeenCalled();
+
+    expect(await service.enrichCall("call_2", { force: true })).toMatchObject({ id: "L-8" });
+  });
+
+  it("should record a miss so the lookup is not repeated", async () => {
+    models.calls.set("call_3", { id: "call_3", caller_number: "444" });
+    const service = new LeadEnrichmentService({ connectors: [fakeConnector("csv", {})], enabled: true });
+
+    expect(await service.enrichCall("call_3")).toBeNull();
+    expect(models.Call.setLead).toHaveBeenCalledWith("call_3", null);
+  });
+
+  it("should throw for unknown calls", async () => {
+    const service = new LeadEnrichmentService({ connectors: [fakeConnector("csv", {})], enabled: true });
+
+    await expect(service.enrichCall("missing")).rejects.toThrow("Call not found: missing");
+  });
+
+  it("should skip unknown and unconfigured connectors from config", () => {
+    const service = new LeadEnrichmentService({ enabled: true });
+    const connectors = service.createConnectors({
+      connectors: ["csv", "rest", "salesforce"],
+      csv: { filePath: "/tmp/leads.csv" },
+      rest: {},
+    });
+
+    expect(connectors).toHaveLength(1);
+    expect(connectors[0]).toBeInstanceOf(CsvCrmConnector);
+  });
+});
+
+describe("Analysis prompt lead context", () => {
+  const openRouter = new OpenRouterService();
+
+  it("should include the lead context when a lead is known", () => {
+    const prompt = openRouter.buildAnalysisPrompt("Agent: Hello", {
+      lead: { name: "Green Valley School", organization_type: "School", city: "Kochi", enquiry_source: "IndiaMART" },
+    });
+
+    expect(prompt).toContain("LEAD CONTEXT (from CRM):");
+    expect(prompt).toContain("- Enquiry source: IndiaMART");
+    expect(prompt).toContain("- Organisation type: School");
+  });
+
+  it("should leave the lead context out without a lead", () => {
+    expect(openRouter.buildAnalysisPrompt("Agent: Hello")).not.toContain("LEAD CONTEXT (from CRM):");
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Unit Tests - Playback Service
+ * Tests access checks, signed audio URLs, Range parsing and transcript timelines
+ */
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  playback: {
+    signingSecret: "playback-secret",
+    requireSignature: false,
+    urlExpiresSeconds: 600,
+    publicBaseUrl: "https://qc.example.com/",
+  },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+jest.mock("../../src/models", () => {
+  const calls = new Map();
+  const transcripts = new Map();
+
+  return {
+    calls,
+    transcripts,
+    Call: {
+      findById: jest.fn((id) => (calls.has(id) ? { ...calls.get(id) } : null)),
+    },
+    Transcript: {
+      findByCallId: jest.fn((callId) => transcripts.get(callId) || null),
+    },
+  };
+});
+
+const models = require("../../src/models");
+const { PlaybackService } = require("../../src/services/playback");
+
+const createStorage = () => ({
+  getStorageKey: jest.fn((filePath) => filePath.replace(/^\/srv\/storage\//, "")),
+  statStoredFile: jest.fn(async (key) =>
+    key.includes("missing") ? null : { size: 1000, contentType: "application/octet-stream", lastModified: new Date() }
+  ),
+  openStream: jest.fn(async () => "stream"),
+});
+
+const addCall = (id, values = {}) => {
+  models.calls.set(id, {
+    id,
+    org_id: "org_a",
+    local_audio_path: `/srv/storage/audio/org_a/${id}.mp3`,
+    audio_storage_key: null,
+    audio_format: "mp3",
+    audio_duration_seconds: 12.5,
+    audio_purged_at: null,
+    ...values,
+  });
+};
+
+beforeEach(() => {
+  models.calls.clear();
+  models.transcripts.clear();
+});
+
+describe("PlaybackService access checks", () => {
+  test("should locate the recording with its content type", async () => {
+    const storage = createStorage();
+    const service = new PlaybackService({ storage });
+    addCall("call_1");
+
+    const audio = await service.getCallAudio("call_1");
+
+    expect(storage.getStorageKey).toHaveBeenCalledWith("/srv/storage/audio/org_a/call_1.mp3");
+    expect(audio).toMatchObject({ key: "audio/org_a/call_1.mp3", size: 1000, contentType: "audio/mpeg" });
+  });
+
+  test("should hide calls of other organizations", async () => {
+    const service = new PlaybackService({ storage: createStorage() });
+    addCall("call_1");
+
+    await expect(service.getCallAudio("call_1", { principal: { orgId: "org_b" } })).rejects.toThrow("Call not found: call_1");
+    await expect(service.getCallAudio("call_2")).rejects.toThrow("Call not found: call_2");
+    await expect(service.getCallAudio("call_1", { principal: { orgId: "org_a" } })).resolves.toMatchObject({ size: 1000 });
+  });
+
+  test("should reject purged and missing recordings", async () => {
+    const service = new PlaybackService({ storage: createStorage() });
+    addCall("purged", { local_audio_path: null, audio_purged_at: "2026-01-01T00:00:00.000Z" });
+    addCall("pending", { local_audio_path: null });
+    addCall("gone", { audio_storage_key: "audio/org_a/missing.mp3" });
+
+    await expect(service.getCallAudio("purged")).rejects.toThrow("Recording deleted by retention policy");
+    await expect(service.getCallAudio("pending")).rejects.toThrow("No recording for call: pending");
+    await expect(service.getCallAudio("gone")).rejects.toThrow("No recording for call: gone");
+  });
+
+  test("should require a valid signature when configured", async () => {
+    const service = new PlaybackService({ storage: createStorage(), requireSignature: true });
+    addCall("call_1");
+
+    const { url, expiresAt } = service.getAudioUrl("call_1");
+    const query = new URL(url).searchParams;
+
+    expect(url.startsWith("https://qc.example.com/api/calls/call_1/audio?expires=")).toBe(true);
+    expect(new Date(expiresAt).getTime()).toBeGreaterThan(Date.now());
+    await expect(
+      service.getCallAudio("call_1", { expires: query.get("expires"), signature: query.get("signature") })
+    ).resolves.toMatchObject({ size: 1000 });
+
+    // Signatures are bound to the call and expire
+    addCall("call_2");
+    await expect(
+      service.getCallAudio("call_2", { expires: query.get("expires"), signature: query.get("signature") })
+    ).rejects.toThrow("Invalid or expired playback signature");
+    const expired = Math.floor(Date.now() / 1000) - 10;
+    await expect(
+      service.getCallAudio("call_1", { expires: expired, signature: service.computeSignature("call_1", expired) })
+    ).rejects.toThrow("Invalid or expired playback signature");
+    await expect(service.getCallAudio("call_1")).rejects.toThrow("Invalid or expired playback signature");
+  });
+
+  test("should require an API key or a signed URL when API keys are configured", async () => {
+    const service = new PlaybackService({ storage: createStorage(), authRequired: true });
+    addCall("call_1");
+
+    await expect(service.getCallAudio("call_1")).rejects.toThrow("Authentication required");
+    await expect(service.getCallAudio("call_1", { principal: { orgId: "org_a" } })).resolves.toMatchObject({ size: 1000 });
+
+    const query = new URL(service.getAudioUrl("call_1").url).searchParams;
+    await expect(
+      service.getCallAudio("call_1", { expires: query.get("expires"), signature: query.get("signature") })
+    ).resolves.toMatchObject({ size: 1000 });
+  });
+
+  test("should return unsigned URLs without a secret", () => {
+    const service = new PlaybackService({ storage: createStorage(), signingSecret: null });
+
+    expect(service.getAudioUrl("call 1")).toEqual({
+      url: "https://qc.example.com/api/calls/call%201/audio",
+      expiresAt: null,
+    });
+  });
+});
+
+describe("PlaybackService.parseRange", () => {
+  const service = new PlaybackService({ storage: createStorage() });
+
+  test("should parse start-end, open-ended and suffix ranges", () => {
+    expect(service.parseRange("bytes=0-99", 1000)).toEqual({ start: 0, end: 99 });
+    expect(service.parseRange("bytes=500-", 1000)).toEqual({ start: 500, end: 999 });
+    expect(service.parseRange("bytes=900-5000", 1000)).toEqual({ start: 900, end: 999 });
+    expect(service.parseRange("bytes=-200", 1000)).toEqual({ start: 800, end: 999 });
+    expect(service.parseRange("bytes=-5000", 1000)).toEqual({ start: 0, end: 999 });
+  });
+
+  test("should serve the whole file for missing or unsupported ranges", () => {
+    expect(service.parseRange(undefined, 1000)).toBeNull();
+    expect(service.parseRange("bytes=0-10,20-30", 1000)).toBeNull();
+    expect(service.parseRange("items=0-10", 1000)).toBeNull();
+  });
+
+  test("should reject ranges outside the file", () => {
+    expect(() => service.parseRange("bytes=1000-", 1000)).toThrow("Range not satisfiable");
+    expect(() => service.parseRange("bytes=50-10", 1000)).toThrow("Range not satisfiable");
+    expect(() => service.parseRange("bytes=-0", 1000)).toThrow("Range not satisfiable");
+  });
+});
+
+describe("PlaybackService synced playback", () => {
+  test("should group word segments into speaker turns", () => {
+    const service = new PlaybackService({ storage: createStorage() });
+
+    const { words, turns } = service.buildTimeline([
+      { id: 2, start: 0.6, end: 1.0, text: "there", speaker: "agent" },
+      { id: 0, start: 0.1, end: 0.5, text: "Hello", speaker: "agent" },
+      { id: 1, start: 0.5, end: 0.6, text: " ", speaker: "agent" },
+      { id: 3, start: 1.2, end: 1.5, text: "Hi", speaker: "customer" },
+      { id: 4, start: 4.0, end: 4.4, text: "Anyone?", speaker: "customer" },
+    ]);
+
+    expect(words.map((word) => word.text)).toEqual(["Hello", "there", "Hi", "Anyone?"]);
+    expect(words[0]).toEqual({ index: 0, text: "Hello", start: 0.1, end: 0.5, speaker: "agent" });
+    expect(turns).toEqual([
+      { id: 0, speaker: "agent", start: 0.1, end: 1.0, text: "Hello there", firstWord: 0, lastWord: 1 },
+      { id: 1, speaker: "customer", start: 1.2, end: 1.5, text: "Hi", firstWord: 2, lastWord: 2 },
+      // Long pause before the next word starts a new turn
+      { id: 2, speaker: "customer", start: 4.0, end: 4.4, text: "Anyone?", firstWord: 3, lastWord: 3 },
+    ]);
+  });
+
+  test("should spread phrase segments over their words", () => {
+    const service = new PlaybackService({ storage: createStorage() });
+
+    const { words, turns } = service.buildTimeline([{ start: 2, end: 3, text: "good morning sir", speaker: null }]);
+
+    expect(words).toEqual([
+      { index: 0, text: "good", start: 2, end: 2.333, speaker: null, estimated: true },
+      { index: 1, text: "morning", start: 2.333, end: 2.667, speaker: null, estimated: true },
+      { index: 2, text: "sir", start: 2.667, end: 3, speaker: null, estimated: true },
+    ]);
+    expect(turns).toHaveLength(1);
+  });
+
+  test("should return the signed URL, transcript details and timeline", async () => {
+    const service = new PlaybackService({ storage: createStorage(), requireSignature: true });
+    addCall("call_1");
+    models.transcripts.set("call_1", {
+      id: "transcript_1",
+      language: "en",
+      stt_provider: "elevenlabs",
+      redacted_at: null,
+      speaker_segments: [
+        { start: 0, end: 0.4, text: "Hello", speaker: "agent" },
+        { start: 0.5, end: 0.9, text: "Hi", speaker: "customer" },
+      ],
+    });
+
+    // The synced endpoint hands out signatures, so it needs an authenticated organization instead
+    await expect(service.getSyncedPlayback("call_1")).rejects.toThrow("Authentication required to sign playback URLs");
+    await expect(service.getSyncedPlayback("call_1", { principal: { orgId: "org_b" } })).rejects.toThrow("Call not found");
+    const playback = await service.getSyncedPlayback("call_1", { principal: { orgId: "org_a" } });
+
+    expect(playback).toMatchObject({
+      callId: "call_1",
+      audio: { contentType: "audio/mpeg", sizeBytes: 1000, durationSeconds: 12.5 },
+      transcript: { id: "transcript_1", language: "en", provider: "elevenlabs", redacted: false },
+      speakers: ["agent", "customer"],
+    });
+    expect(playback.turns).toHaveLength(2);
+    const query = new URL(playback.audio.url).searchParams;
+    expect(service.verifySignature("call_1", query.get("expires"), query.get("signature"))).toBe(true);
+  });
+
+  test("should return audio without a timeline when there is no transcript", async () => {
+    const service = new PlaybackService({ storage: createStorage() });
+    addCall("call_1");
+
+    const playback = await service.getSyncedPlayback("call_1", { principal: { orgId: "org_a" } });
+
+    expect(playback).toMatchObject({ transcript: null, speakers: [], turns: [], words: [] });
+    await expect(service.getSyncedPlayback("call_1", { principal: { orgId: "org_b" } })).rejects.toThrow("Call not found");
+  });
+});
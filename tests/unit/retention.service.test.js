@@ -0,0 +1,302 @@
+/**
+ * Unit Tests - Retention Service
+ * Tests per-organization policies, audio deletion, transcript redaction and the audit log
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  retention: { audioDays: 90, transcriptDays: 0, batchSize: 500 },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+jest.mock("../../src/models", () => {
+  const organizations = new Map();
+  const calls = new Map();
+  const transcripts = new Map();
+  const audit = [];
+
+  return {
+    organizations,
+    calls,
+    transcripts,
+    audit,
+    Organization: {
+      findById: jest.fn((id) => (organizations.has(id) ? JSON.parse(JSON.stringify(organizations.get(id))) : null)),
+      findAll: jest.fn(() => Array.from(organizations.values()).map((org) => JSON.parse(JSON.stringify(org)))),
+      updateSettings: jest.fn((id, values) => {
+        const org = organizations.get(id);
+        org.settings = { ...org.settings, ...values };
+        return JSON.parse(JSON.stringify(org));
+      }),
+    },
+    Call: {
+      findAudioDueForPurge: jest.fn((orgId, before, limit) =>
+        Array.from(calls.values())
+          .filter(
+            (c) =>
+              c.org_id === orgId &&
+              c.created_at < before &&
+              !c.audio_purged_at &&
+              (c.local_audio_path || c.audio_storage_key)
+          )
+          .slice(0, limit)
+          .map((c) => ({ ...c }))
+      ),
+      markAudioPurged: jest.fn((id) => {
+        Object.assign(calls.get(id), {
+          local_audio_path: null,
+          audio_storage_key: null,
+          recording_url: null,
+          audio_purged_at: new Date().toISOString(),
+        });
+      }),
+    },
+    Transcript: {
+      findDueForRedaction: jest.fn((orgId, before, limit) =>
+        Array.from(transcripts.values())
+          .map((t) => ({ ...t, call: calls.get(t.call_id) }))
+          .filter((t) => t.call.org_id === orgId && t.call.created_at < before && !t.redacted_at)
+          .slice(0, limit)
+          .map(({ call, ...t }) => ({ ...t, call_created_at: call.created_at }))
+      ),
+      update: jest.fn((id, updates) => Object.assign(transcripts.get(id), updates)),
+    },
+    RetentionAudit: {
+      create: jest.fn((entry) => {
+        audit.push(entry);
+        return entry;
+      }),
+      findAll: jest.fn(() => audit),
+      count: jest.fn(() => audit.length),
+    },
+  };
+});
+
+const models = require("../../src/models");
+const RetentionService = require("../../src/services/retention/retention.service");
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "retention-"));
+const now = new Date("2024-06-01T00:00:00.000Z");
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const addCall = (id, data) => {
+  models.calls.set(id, { id, org_id: "default", local_audio_path: null, audio_storage_key: null, ...data });
+};
+
+const addAudio = (id, createdDaysAgo, org = "default") => {
+  const localPath = path.join(tempRoot, `${id}.mp3`);
+  fs.writeFileSync(localPath, "audio");
+  addCall(id, {
+    org_id: org,
+    created_at: daysAgo(createdDaysAgo),
+    local_audio_path: localPath,
+    audio_storage_key: `audio/${org}/${id}.mp3`,
+    audio_size_bytes: 5,
+    recording_url: `https://recordings.example.com/${id}.mp3`,
+  });
+  return localPath;
+};
+
+const addTranscript = (callId, createdDaysAgo) => {
+  if (!models.calls.has(callId)) {
+    addCall(callId, { created_at: daysAgo(createdDaysAgo) });
+  }
+  models.transcripts.set(`transcript_${callId}`, {
+    id: `transcript_${callId}`,
+    call_id: callId,
+    content: "Hi, this is Ravi, my number is 9876543210",
+    speaker_segments: [{ speaker: "agent", start: 0, end: 2.5, text: "Hi, this is Ravi" }],
+    stt_candidates: [{ provider: "sarvam", text: "Hi, this is Ravi, my number is 9876543210", agreement: 0.9 }],
+    word_count: 8,
+    redacted_at: null,
+  });
+};
+
+const createService = () => {
+  const storage = { deleteStoredFile: jest.fn(async () => true) };
+  return { service: new RetentionService({ storage }), storage };
+};
+
+describe("RetentionService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    models.organizations.clear();
+    models.calls.clear();
+    models.transcripts.clear();
+    models.audit.length = 0;
+    models.organizations.set("default", { id: "default", name: "Default Organization", settings: {} });
+    models.organizations.set("acme", {
+      id: "acme",
+      name: "Acme",
+      settings: { timezone: "Asia/Kolkata", retention: { audio_days: 30, transcript_days: 60 } },
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  describe("policies", () => {
+    test("should fall back to the configured defaults", () => {
+      const { service } = createService();
+
+      expect(service.getPolicy("default")).toMatchObject({
+        orgId: "default",
+        audioDays: 90,
+        transcriptDays: 0,
+        source: { audioDays: "default", transcriptDays: "default" },
+      });
+      expect(service.getPolicy("acme")).toMatchObject({
+        audioDays: 30,
+        transcriptDays: 60,
+        source: { audioDays: "organization", transcriptDays: "organization" },
+      });
+    });
+
+    test("should update one period and keep other settings", () => {
+      const { service } = createService();
+
+      const policy = service.setPolicy("acme", { transcriptDays: 180 });
+
+      expect(policy).toMatchObject({ audioDays: 30, transcriptDays: 180 });
+      expect(models.organizations.get("acme").settings.timezone).toBe("Asia/Kolkata");
+    });
+
+    test("should clear an override with null", () => {
+      const { service } = createService();
+
+      expect(service.setPolicy("acme", { audioDays: null })).toMatchObject({
+        audioDays: 90,
+        source: { audioDays: "default" },
+      });
+    });
+
+    test("should reject invalid periods and unknown organizations", () => {
+      const { service } = createService();
+
+      expect(() => service.setPolicy("acme", { audioDays: -1 })).toThrow("Invalid retention policy");
+      expect(() => service.setPolicy("acme", { transcriptDays: "ten" })).toThrow("Invalid retention policy");
+      expect(() => service.setPolicy("acme", {})).toThrow("Invalid retention policy");
+      expect(() => service.setPolicy("missing", { audioDays: 7 })).toThrow("Organization not found: missing");
+    });
+  });
+
+  describe("purge", () => {
+    test("should only record what would be deleted in a dry run", async () => {
+      const { service, storage } = createService();
+      const oldPath = addAudio("call_old", 120);
+      addAudio("call_new", 10);
+      addTranscript("call_acme", 90);
+      models.calls.get("call_acme").org_id = "acme";
+
+      const summary = await service.purge({ dryRun: true, now });
+
+      expect(summary.dryRun).toBe(true);
+      expect(summary.totals).toMatchObject({ audioEligible: 1, audioDeleted: 0, transcriptsEligible: 1, bytesFreed: 5 });
+      expect(storage.deleteStoredFile).not.toHaveBeenCalled();
+      expect(fs.existsSync(oldPath)).toBe(true);
+      expect(models.transcripts.get("transcript_call_acme").content).toContain("9876543210");
+      expect(models.audit).toEqual([
+        expect.objectContaining({ call_id: "call_old", action: "delete_audio", status: "dry_run", run_id: summary.runId }),
+        expect.objectContaining({ call_id: "call_acme", action: "redact_transcript", status: "dry_run" }),
+      ]);
+    });
+
+    test("should delete expired audio from storage and disk", async () => {
+      const { service, storage } = createService();
+      const oldPath = addAudio("call_old", 120);
+      const newPath = addAudio("call_new", 10);
+
+      const summary = await service.purge({ now });
+
+      expect(storage.deleteStoredFile).toHaveBeenCalledTimes(1);
+      expect(storage.deleteStoredFile).toHaveBeenCalledWith("audio/default/call_old.mp3");
+      expect(fs.existsSync(oldPath)).toBe(false);
+      expect(fs.existsSync(newPath)).toBe(true);
+      expect(models.calls.get("call_old")).toMatchObject({
+        local_audio_path: null,
+        audio_storage_key: null,
+        recording_url: null,
+      });
+      expect(models.calls.get("call_old").audio_purged_at).toBeTruthy();
+
+      const org = summary.organizations.find((o) => o.orgId === "default");
+      expect(org.audio).toMatchObject({ eligible: 1, deleted: 1, failed: 0, bytes: 5, cutoff: daysAgo(90) });
+      expect(models.audit[0]).toMatchObject({
+        org_id: "default",
+        call_id: "call_old",
+        action: "delete_audio",
+        status: "completed",
+        details: expect.objectContaining({ audio_storage_key: "audio/default/call_old.mp3", retention_days: 90 }),
+      });
+    });
+
+    test("should redact transcript text but keep speakers and timings", async () => {
+      const { service } = createService();
+      addTranscript("call_acme_old", 61);
+      addTranscript("call_acme_recent", 59);
+      models.calls.get("call_acme_old").org_id = "acme";
+      models.calls.get("call_acme_recent").org_id = "acme";
+
+      const summary = await service.purge({ orgId: "acme", now });
+
+      expect(summary.organizations).toHaveLength(1);
+      expect(summary.totals.transcriptsRedacted).toBe(1);
+      expect(models.transcripts.get("transcript_call_acme_old")).toMatchObject({
+        content: RetentionService.REDACTED_TEXT,
+        speaker_segments: [{ speaker: "agent", start: 0, end: 2.5, text: RetentionService.REDACTED_TEXT }],
+        stt_candidates: [{ provider: "sarvam", text: RetentionService.REDACTED_TEXT, agreement: 0.9 }],
+        word_count: 8,
+      });
+      expect(models.transcripts.get("transcript_call_acme_old").redacted_at).toBeTruthy();
+      expect(models.transcripts.get("transcript_call_acme_recent").content).toContain("Ravi");
+    });
+
+    test("should keep everything when retention is 0 days", async () => {
+      const { service } = createService();
+      addTranscript("call_ancient", 5000);
+
+      const summary = await service.purge({ orgId: "default", now });
+
+      expect(summary.organizations[0].transcripts).toEqual({ cutoff: null, eligible: 0, redacted: 0, failed: 0 });
+      expect(models.Transcript.findDueForRedaction).not.toHaveBeenCalled();
+    });
+
+    test("should audit failures and continue with the next call", async () => {
+      const { service, storage } = createService();
+      addAudio("call_a", 100);
+      addAudio("call_b", 95);
+      storage.deleteStoredFile.mockRejectedValueOnce(new Error("S3 delete failed for key: 403 AccessDenied"));
+
+      const summary = await service.purge({ orgId: "default", now });
+
+      expect(summary.totals).toMatchObject({ audioDeleted: 1, failed: 1 });
+      expect(models.calls.get("call_a").audio_purged_at).toBeUndefined();
+      expect(models.audit.map((e) => [e.call_id, e.status, e.error_message])).toEqual([
+        ["call_a", "failed", "S3 delete failed for key: 403 AccessDenied"],
+        ["call_b", "completed", undefined],
+      ]);
+    });
+
+    test("should not start a second run while one is in progress", async () => {
+      const { service, storage } = createService();
+      addAudio("call_slow", 100);
+      let release;
+      storage.deleteStoredFile.mockImplementationOnce(() => new Promise((resolve) => (release = resolve)));
+
+      const first = service.purge({ orgId: "default", now });
+      await expect(service.purge({ orgId: "default", now })).rejects.toThrow("Retention purge already running");
+
+      release(true);
+      await first;
+      await expect(service.purge({ orgId: "default", now })).resolves.toBeDefined();
+    });
+  });
+});
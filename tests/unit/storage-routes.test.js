@@ -0,0 +1,88 @@
+/**
+ * Unit Tests - Storage Routes
+ * Tests which API keys may read storage usage and change quotas
+ */
+
+const express = require("express");
+const request = require("supertest");
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  organization: { defaultId: "default" },
+  auth: {
+    apiKeys: [
+      { orgId: "org_a", key: "key-a" },
+      { orgId: "default", key: "key-admin", admin: true },
+    ],
+  },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+jest.mock("../../src/services", () => ({
+  Storage: {
+    adapter: {},
+    rebuildUsage: jest.fn(),
+  },
+  StorageQuota: {
+    getUsage: jest.fn(() => [{ orgId: "org_a", totalBytes: 10 }]),
+    setQuota: jest.fn((orgId, values) => ({ orgId, ...values })),
+  },
+}));
+
+const { Storage, StorageQuota } = require("../../src/services");
+const storageRoutes = require("../../src/routes/storage.routes");
+
+const app = express();
+app.use(express.json());
+app.use("/api/storage", storageRoutes);
+
+describe("Storage routes", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("should require an API key for usage and quotas", async () => {
+    await request(app).get("/api/storage/usage").expect(401);
+    await request(app).put("/api/storage/quotas/org_a").send({ audioMb: 5 }).expect(401);
+
+    expect(StorageQuota.getUsage).not.toHaveBeenCalled();
+    expect(StorageQuota.setQuota).not.toHaveBeenCalled();
+  });
+
+  test("should only show organization keys their own usage", async () => {
+    await request(app).get("/api/storage/usage?orgId=org_b").set("X-API-Key", "key-a").expect(200);
+    expect(StorageQuota.getUsage).toHaveBeenLastCalledWith({ orgId: "org_a" });
+
+    await request(app).get("/api/storage/usage?orgId=org_b").set("X-API-Key", "key-admin").expect(200);
+    expect(StorageQuota.getUsage).toHaveBeenLastCalledWith({ orgId: "org_b" });
+  });
+
+  test("should only let organization keys set their own quotas", async () => {
+    const other = await request(app).put("/api/storage/quotas/org_b").set("X-API-Key", "key-a").send({ audioMb: 5 });
+    expect(other.status).toBe(403);
+    expect(StorageQuota.setQuota).not.toHaveBeenCalled();
+
+    await request(app).put("/api/storage/quotas/org_a").set("X-API-Key", "key-a").send({ audioMb: 5 }).expect(200);
+    expect(StorageQuota.setQuota).toHaveBeenLastCalledWith("org_a", { audioMb: 5, exportsMb: undefined });
+
+    await request(app).put("/api/storage/quotas/org_b").set("X-API-Key", "key-admin").send({ exportsMb: 1 }).expect(200);
+    expect(StorageQuota.setQuota).toHaveBeenLastCalledWith("org_b", { audioMb: undefined, exportsMb: 1 });
+  });
+
+  test("should only let admin keys rebuild usage", async () => {
+    await request(app).post("/api/storage/usage/rebuild").set("X-API-Key", "key-a").expect(403);
+    expect(Storage.rebuildUsage).not.toHaveBeenCalled();
+
+    await request(app).post("/api/storage/usage/rebuild").set("X-API-Key", "key-admin").expect(200);
+    expect(Storage.rebuildUsage).toHaveBeenCalled();
+  });
+
+  test("should leave signed file URLs to their signature", async () => {
+    const response = await request(app).get("/api/storage/files/exports/org_a/report.csv");
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe("Signed file URLs are served by the storage backend");
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Unit Tests - Storage Usage and Quotas
+ * Tests per-organization usage accounting in StorageService and quota enforcement
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  organization: { defaultId: "default" },
+  storage: {
+    path: require("path").join(require("os").tmpdir(), `storage-usage-${process.pid}`),
+    adapter: "local",
+    quotas: { audioMb: 1, exportsMb: 0, notifyIntervalHours: 24 },
+  },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+const config = require("../../src/config");
+const StorageService = require("../../src/services/storage.service");
+const { StorageQuotaService } = require("../../src/services/storage-quota");
+
+const MB = 1024 * 1024;
+
+/**
+ * In-memory stand-in for the StorageUsage model
+ */
+const createUsageModel = () => {
+  const objects = new Map();
+  const totals = new Map();
+  const getTotals = (orgId, category) => {
+    const id = `${orgId}:${category}`;
+    if (!totals.has(id)) {
+      totals.set(id, { org_id: orgId, category, bytes_used: 0, file_count: 0, bytes_written: 0, bytes_deleted: 0, quota_notified_at: null });
+    }
+    return totals.get(id);
+  };
+
+  return {
+    objects,
+    recordWrite: jest.fn((key, orgId, category, sizeBytes) => {
+      const previous = objects.get(key);
+      if (previous) {
+        const row = getTotals(previous.org_id, previous.category);
+        row.bytes_used -= previous.size_bytes;
+        row.file_count -= 1;
+      }
+      const row = getTotals(orgId, category);
+      row.bytes_used += sizeBytes;
+      row.file_count += 1;
+      row.bytes_written += sizeBytes;
+      objects.set(key, { key, org_id: orgId, category, size_bytes: sizeBytes });
+    }),
+    recordDelete: jest.fn((key) => {
+      const object = objects.get(key);
+      if (!object) return null;
+      const row = getTotals(object.org_id, object.category);
+      row.bytes_used -= object.size_bytes;
+      row.file_count -= 1;
+      row.bytes_deleted += object.size_bytes;
+      objects.delete(key);
+      return object;
+    }),
+    findUsage: jest.fn((orgId, category) => totals.get(`${orgId}:${category}`) || null),
+    findAll: jest.fn(({ orgId } = {}) => [...totals.values()].filter((row) => !orgId || row.org_id === orgId)),
+    markQuotaNotified: jest.fn((orgId, category, notifiedAt) => {
+      getTotals(orgId, category).quota_notified_at = notifiedAt;
+    }),
+    replaceObjects: jest.fn((list) => list),
+  };
+};
+
+const createOrganizations = () => {
+  const orgs = new Map([
+    ["default", { id: "default", name: "Default Organization", settings: {} }],
+    ["org_a", { id: "org_a", name: "Org A", settings: { storage_quota: { audio_mb: 2 } } }],
+  ]);
+  return {
+    findById: jest.fn((id) => orgs.get(id) || null),
+    findAll: jest.fn(() => [...orgs.values()]),
+    updateSettings: jest.fn((id, values) => {
+      Object.assign(orgs.get(id).settings, values);
+      return orgs.get(id);
+    }),
+  };
+};
+
+const writeStored = (storage, key, bytes) => {
+  const filePath = storage.getAbsolutePath(key);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, Buffer.alloc(bytes));
+  return filePath;
+};
+
+afterAll(() => {
+  fs.rmSync(config.storage.path, { recursive: true, force: true });
+});
+
+describe("StorageService usage accounting", () => {
+  test("should count written and deleted files per organization and category", async () => {
+    const usage = createUsageModel();
+    const storage = new StorageService({ usage });
+
+    await storage.persistFile(writeStored(storage, "audio/org_a/call_1.mp3", 300));
+    await storage.persistFile(writeStored(storage, "exports/qc_report.csv", 50), { orgId: "org_a" });
+    await storage.persistFile(writeStored(storage, "exports/daily.xlsx", 20));
+
+    expect(usage.recordWrite).toHaveBeenCalledWith("audio/org_a/call_1.mp3", "org_a", "audio", 300);
+    expect(usage.recordWrite).toHaveBeenCalledWith("exports/qc_report.csv", "org_a", "exports", 50);
+    expect(usage.recordWrite).toHaveBeenCalledWith("exports/daily.xlsx", "default", "exports", 20);
+
+    await expect(storage.deleteStoredFile("audio/org_a/call_1.mp3")).resolves.toBe(true);
+    expect(usage.findUsage("org_a", "audio")).toMatchObject({ bytes_used: 0, file_count: 0, bytes_written: 300, bytes_deleted: 300 });
+
+    // Nothing is recorded for files that were not there
+    await expect(storage.deleteStoredFile("audio/org_a/call_1.mp3")).resolves.toBe(false);
+    expect(usage.recordDelete).toHaveBeenCalledTimes(1);
+  });
+
+  test("should only count audio and export keys", () => {
+    const storage = new StorageService({ usage: createUsageModel() });
+
+    expect(storage.classifyKey("audio/org_a/call_1.wav")).toEqual({ orgId: "org_a", category: "audio" });
+    expect(storage.classifyKey("exports/a.csv", "org_b")).toEqual({ orgId: "org_b", category: "exports" });
+    expect(storage.classifyKey("exports/org_c/a.csv", "org_b")).toEqual({ orgId: "org_c", category: "exports" });
+    expect(storage.classifyKey("uploads/tmp.mp3")).toBeNull();
+    expect(storage.classifyKey("audio/stray.wav")).toBeNull();
+  });
+
+  test("should not fail writes when usage cannot be recorded", async () => {
+    const usage = createUsageModel();
+    usage.recordWrite.mockImplementationOnce(() => {
+      throw new Error("database is locked");
+    });
+    const storage = new StorageService({ usage });
+
+    await expect(storage.persistFile(writeStored(storage, "audio/org_a/call_2.wav", 10))).resolves.toBe(
+      "audio/org_a/call_2.wav"
+    );
+  });
+
+  test("should rebuild usage from the files on disk", () => {
+    const usage = createUsageModel();
+    const storage = new StorageService({ usage });
+    fs.rmSync(config.storage.path, { recursive: true, force: true });
+    writeStored(storage, "audio/org_a/call_3.wav", 100);
+    writeStored(storage, "audio/org_b/nested/call_4.wav", 40);
+    writeStored(storage, "exports/report.csv", 7);
+    writeStored(storage, "uploads/pending.mp3", 999);
+
+    storage.rebuildUsage();
+
+    const objects = usage.replaceObjects.mock.calls[0][0];
+    expect(objects.sort((a, b) => a.key.localeCompare(b.key))).toEqual([
+      { key: "audio/org_a/call_3.wav", orgId: "org_a", category: "audio", sizeBytes: 100 },
+      { key: "audio/org_b/nested/call_4.wav", orgId: "org_b", category: "audio", sizeBytes: 40 },
+      { key: "exports/report.csv", orgId: "default", category: "exports", sizeBytes: 7 },
+    ]);
+  });
+});
+
+describe("StorageQuotaService", () => {
+  const createService = (options = {}) => {
+    const StorageUsage = createUsageModel();
+    const Organization = createOrganizations();
+    const notifier = { sendStorageQuotaAlert: jest.fn(async () => [{ channel: "console", success: true }]) };
+    const service = new StorageQuotaService({ models: { StorageUsage, Organization }, notifier, ...options });
+    return { service, StorageUsage, Organization, notifier };
+  };
+
+  test("should use organization quotas over the defaults", () => {
+    const { service } = createService();
+
+    expect(service.getQuota("org_a")).toMatchObject({
+      audioMb: 2,
+      exportsMb: 0,
+      source: { audioMb: "organization", exportsMb: "default" },
+    });
+    expect(service.getQuota("default")).toMatchObject({ audioMb: 1, source: { audioMb: "default" } });
+  });
+
+  test("should update and validate organization quotas", () => {
+    const { service, Organization } = createService();
+
+    expect(service.setQuota("default", { exportsMb: 5 })).toMatchObject({ audioMb: 1, exportsMb: 5 });
+    expect(Organization.updateSettings).toHaveBeenCalledWith("default", { storage_quota: { exports_mb: 5 } });
+    expect(service.setQuota("org_a", { audioMb: null })).toMatchObject({ audioMb: 1, source: { audioMb: "default" } });
+
+    expect(() => service.setQuota("default", { audioMb: -1 })).toThrow("Invalid storage quota");
+    expect(() => service.setQuota("default", {})).toThrow("audioMb or exportsMb is required");
+    expect(() => service.setQuota("org_missing", { audioMb: 1 })).toThrow("Organization not found");
+  });
+
+  test("should report usage with quotas for every organization", () => {
+    const { service, StorageUsage } = createService();
+    StorageUsage.recordWrite("audio/org_a/call_1.wav", "org_a", "audio", MB);
+    StorageUsage.recordWrite("exports/a.csv", "default", "exports", 10);
+
+    const usage = service.getUsage();
+
+    expect(usage.map((org) => org.orgId)).toEqual(["default", "org_a"]);
+    expect(usage[1]).toMatchObject({
+      orgName: "Org A",
+      totalBytes: MB,
+      categories: {
+        audio: { bytesUsed: MB, fileCount: 1, quotaBytes: 2 * MB, percentUsed: 50, exceeded: false, quotaSource: "organization" },
+        exports: { bytesUsed: 0, quotaBytes: null, percentUsed: null, exceeded: false },
+      },
+    });
+    expect(service.getUsage({ orgId: "org_b" })).toEqual([
+      expect.objectContaining({ orgId: "org_b", orgName: null, totalBytes: 0 }),
+    ]);
+  });
+
+  test("should reject files that would exceed the quota and notify admins once", async () => {
+    const { service, StorageUsage, notifier } = createService();
+    StorageUsage.recordWrite("audio/default/call_1.wav", "default", "audio", 0.75 * MB);
+
+    await expect(service.enforceQuota("default", "audio", 0.2 * MB)).resolves.toMatchObject({ exceeded: false });
+
+    const error = await service.enforceQuota("default", "audio", 0.5 * MB, { callId: "call_2" }).catch((e) => e);
+    expect(error.code).toBe("STORAGE_QUOTA_EXCEEDED");
+    expect(error.message).toBe("Storage quota exceeded: default has used 0.75 MB of its 1 MB audio quota");
+    expect(service.isQuotaError(error)).toBe(true);
+    expect(notifier.sendStorageQuotaAlert).toHaveBeenCalledWith(
+      expect.objectContaining({ orgId: "default", category: "audio", quotaBytes: MB }),
+      { callId: "call_2" }
+    );
+
+    // Throttled until notifyIntervalHours have passed
+    await expect(service.enforceQuota("default", "audio", MB)).rejects.toThrow("Storage quota exceeded");
+    expect(notifier.sendStorageQuotaAlert).toHaveBeenCalledTimes(1);
+  });
+
+  test("should reject new files once usage reaches the quota", async () => {
+    const { service, StorageUsage } = createService();
+    StorageUsage.recordWrite("audio/default/call_1.wav", "default", "audio", MB);
+
+    await expect(service.enforceQuota("default", "audio")).rejects.toThrow("Storage quota exceeded");
+    // No quota for exports
+    await expect(service.enforceQuota("default", "exports", 100 * MB)).resolves.toMatchObject({ exceeded: false });
+  });
+
+  test("should still reject when the notification fails", async () => {
+    const { service, StorageUsage, notifier } = createService();
+    notifier.sendStorageQuotaAlert.mockRejectedValueOnce(new Error("Telegram down"));
+    StorageUsage.recordWrite("audio/default/call_1.wav", "default", "audio", 2 * MB);
+
+    await expect(service.enforceQuota("default", "audio")).rejects.toThrow("Storage quota exceeded");
+  });
+});
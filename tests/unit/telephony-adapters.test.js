@@ -0,0 +1,281 @@
+/**
+ * Unit Tests - Telephony Adapters
+ * Tests payload normalization, Twilio signatures and recording download auth
+ */
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+const {
+  ExotelAdapter,
+  TwilioAdapter,
+  KnowlarityAdapter,
+  TelephonyService,
+} = require("../../src/services/telephony");
+const { computeSignature } = require("../../src/services/telephony/twilio.adapter");
+const { createWebhookGuard } = require("../../src/middleware/webhook-guard.middleware");
+
+describe("Telephony Adapters", () => {
+  describe("ExotelAdapter", () => {
+    const adapter = new ExotelAdapter({ apiKey: "key", apiToken: "token" });
+
+    test("should normalize a completed call with a recording", () => {
+      const event = adapter.normalizeWebhook({
+        call_sid: "exo_1",
+        from: "09876543210",
+        to: "08012345678",
+        direction: "incoming",
+        call_type: "completed",
+        recording_url: "https://recordings.exotel.com/exo_1.mp3",
+        on_call_duration: 240,
+        dial_whom_number: "09111111111",
+      });
+
+      expect(event).toMatchObject({
+        call_sid: "exo_1",
+        caller_number: "09876543210",
+        callee_number: "08012345678",
+        direction: "incoming",
+        recording_url: "https://recordings.exotel.com/exo_1.mp3",
+        duration_seconds: 240,
+        agent_number: "09111111111",
+        status: "received",
+      });
+    });
+
+    test("should map unanswered calls and API directions", () => {
+      const event = adapter.normalizeWebhook({
+        call_sid: "exo_2",
+        direction: "outbound-api",
+        call_type: "incomplete",
+        dial_call_status: "no-answer",
+      });
+
+      expect(event).toMatchObject({ direction: "outbound", recording_url: null, status: "no_answer" });
+    });
+
+    test("should download recordings with the API key and token", () => {
+      const call = { recording_url: "https://recordings.exotel.com/exo_1.mp3" };
+      expect(adapter.getRecordingRequestOptions(call)).toEqual({ auth: { username: "key", password: "token" } });
+      expect(new ExotelAdapter({}).getRecordingRequestOptions(call)).toEqual({});
+    });
+
+    test("should only send the credentials to Exotel recording hosts over HTTPS", () => {
+      expect(adapter.getRecordingRequestOptions({ recording_url: "https://evil.example/exo_1.mp3" })).toEqual({});
+      expect(adapter.getRecordingRequestOptions({ recording_url: "http://recordings.exotel.com/exo_1.mp3" })).toEqual({});
+      expect(adapter.getRecordingRequestOptions({ recording_url: "not a url" })).toEqual({});
+      expect(adapter.getRecordingRequestOptions()).toEqual({});
+
+      const custom = new ExotelAdapter({ apiKey: "key", apiToken: "token", recordingHosts: ["media.exotel.example"] });
+      expect(custom.getRecordingRequestOptions({ recording_url: "https://media.exotel.example/exo_1.mp3" }).auth).toEqual({
+        username: "key",
+        password: "token",
+      });
+      expect(custom.getRecordingRequestOptions({ recording_url: "https://recordings.exotel.com/exo_1.mp3" })).toEqual({});
+    });
+  });
+
+  describe("TwilioAdapter", () => {
+    const adapter = new TwilioAdapter({
+      accountSid: "AC123",
+      authToken: "12345",
+      webhookBaseUrl: "https://calls.example.com/",
+    });
+
+    test("should normalize a completed call status callback", () => {
+      const event = adapter.normalizeWebhook({
+        CallSid: "CA100",
+        From: "+919876543210",
+        To: "+918012345678",
+        Direction: "inbound",
+        CallStatus: "completed",
+        CallDuration: "95",
+        RecordingUrl: "https://api.twilio.com/2010-04-01/Accounts/AC123/Recordings/RE1",
+        RecordingDuration: "90",
+      });
+
+      expect(event).toMatchObject({
+        call_sid: "CA100",
+        caller_number: "+919876543210",
+        callee_number: "+918012345678",
+        direction: "incoming",
+        recording_url: "https://api.twilio.com/2010-04-01/Accounts/AC123/Recordings/RE1",
+        duration_seconds: 90,
+        status: "received",
+      });
+    });
+
+    test("should accept recording callbacks that carry no call status", () => {
+      const payload = {
+        CallSid: "CA101",
+        RecordingUrl: "https://api.twilio.com/Recordings/RE2",
+        RecordingStatus: "completed",
+        RecordingDuration: "30",
+      };
+      expect(adapter.normalizeWebhook(payload).status).toBe("received");
+
+      const pending = adapter.normalizeWebhook({ ...payload, RecordingStatus: "in-progress" });
+      expect(pending).toMatchObject({ recording_url: null, status: null });
+    });
+
+    test("should map busy and unanswered calls", () => {
+      expect(
+        adapter.normalizeWebhook({ CallSid: "CA102", Direction: "outbound-dial", DialCallStatus: "busy" })
+      ).toMatchObject({ direction: "outgoing-dial", status: "busy" });
+      expect(
+        adapter.normalizeWebhook({ CallSid: "CA103", Direction: "inbound", CallStatus: "no-answer" }).status
+      ).toBe("missed");
+      expect(adapter.normalizeWebhook({ CallSid: "CA104", CallStatus: "ringing" }).status).toBeNull();
+    });
+
+    test("should compute signatures the way Twilio does", () => {
+      const signature = computeSignature("12345", "https://mycompany.com/myapp.php?foo=1&bar=2", {
+        CallSid: "CA1234567890ABCDE",
+        Caller: "+12349013030",
+        Digits: "1234",
+        From: "+12349013030",
+        To: "+18005551212",
+      });
+      expect(signature).toBe("0/KCTR6DLpKmkAf8muzZqo1nDgQ=");
+    });
+
+    test("should guard webhooks with the X-Twilio-Signature header", () => {
+      const guard = createWebhookGuard(adapter.getWebhookAuth(), { provider: "twilio" });
+      const body = { CallSid: "CA100", CallStatus: "completed" };
+      const buildReq = (signature) => ({
+        ip: "203.0.113.10",
+        path: "/twilio",
+        originalUrl: "/webhook/twilio",
+        params: {},
+        query: {},
+        headers: signature ? { "x-twilio-signature": signature } : {},
+        body,
+      });
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+
+      const next = jest.fn();
+      guard(buildReq(computeSignature("12345", "https://calls.example.com/webhook/twilio", body)), res, next);
+      expect(next).toHaveBeenCalled();
+
+      const rejected = jest.fn();
+      guard(buildReq("bm90IHZhbGlk"), res, rejected);
+      guard(buildReq(null), res, rejected);
+      expect(rejected).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test("should skip signature checks without an auth token", () => {
+      expect(new TwilioAdapter({}).getWebhookAuth().verifySignature).toBeUndefined();
+      expect(new TwilioAdapter({ authToken: "t", validateSignature: false }).getWebhookAuth().verifySignature)
+        .toBeUndefined();
+    });
+
+    test("should download recordings with the account SID and auth token", () => {
+      expect(adapter.getRecordingRequestOptions()).toEqual({ auth: { username: "AC123", password: "12345" } });
+    });
+  });
+
+  describe("KnowlarityAdapter", () => {
+    const adapter = new KnowlarityAdapter({ apiKey: "kl-key", authorization: "kl-auth" });
+
+    test("should normalize an answered incoming call", () => {
+      const event = adapter.normalizeWebhook({
+        uuid: "kn-1",
+        caller_id: "+919876543210",
+        dispnumber: "+918012345678",
+        destination: "+919111111111",
+        call_type: "Incoming",
+        call_status: "Connected",
+        resource_url: "https://kl-recordings.s3.amazonaws.com/kn-1.mp3",
+        call_duration: "120",
+      });
+
+      expect(event).toMatchObject({
+        call_sid: "kn-1",
+        caller_number: "+919876543210",
+        callee_number: "+918012345678",
+        direction: "incoming",
+        agent_number: "+919111111111",
+        recording_url: "https://kl-recordings.s3.amazonaws.com/kn-1.mp3",
+        duration_seconds: 120,
+        status: "received",
+      });
+    });
+
+    test("should put the agent first on outgoing calls", () => {
+      const event = adapter.normalizeWebhook({
+        call_uuid: "kn-2",
+        customer_number: "+919876543210",
+        agent_number: "+919111111111",
+        type: "outbound",
+        business_call_type: "Missed",
+      });
+
+      expect(event).toMatchObject({
+        call_sid: "kn-2",
+        caller_number: "+919111111111",
+        callee_number: "+919876543210",
+        direction: "outgoing",
+        recording_url: null,
+        status: "no_answer",
+      });
+    });
+
+    test("should map missed incoming calls", () => {
+      const event = adapter.normalizeWebhook({ uuid: "kn-3", call_type: "incoming", call_status: "Missed" });
+      expect(event.status).toBe("missed");
+    });
+
+    test("should download recordings on the API host with the API key headers", () => {
+      const call = { recording_url: "https://kpi.knowlarity.com/recordings/kn-1.mp3" };
+
+      expect(adapter.getRecordingRequestOptions(call)).toEqual({
+        headers: { "x-api-key": "kl-key", Authorization: "kl-auth" },
+      });
+      expect(new KnowlarityAdapter({}).getRecordingRequestOptions(call)).toEqual({});
+    });
+
+    test("should not send the credentials to other recording hosts", () => {
+      for (const url of [
+        "https://recordings.s3.ap-south-1.amazonaws.com/kn-1.mp3?X-Amz-Signature=abc",
+        "https://kpi.knowlarity.com.attacker.example/kn-1.mp3",
+        "http://kpi.knowlarity.com/recordings/kn-1.mp3",
+        "not a url",
+      ]) {
+        expect(adapter.getRecordingRequestOptions({ recording_url: url })).toEqual({});
+      }
+      expect(adapter.getRecordingRequestOptions()).toEqual({});
+
+      const custom = new KnowlarityAdapter({ apiKey: "kl-key", apiHost: "media.knowlarity.example" });
+      expect(custom.getRecordingRequestOptions({ recording_url: "https://media.knowlarity.example/kn-1.mp3" })).toEqual({
+        headers: { "x-api-key": "kl-key" },
+      });
+    });
+  });
+
+  describe("TelephonyService", () => {
+    const telephony = new TelephonyService([
+      new ExotelAdapter({ apiKey: "key", apiToken: "token" }),
+      new TwilioAdapter({ accountSid: "AC123", authToken: "12345" }),
+    ]);
+
+    test("should look up adapters by provider", () => {
+      expect(telephony.getProviders()).toEqual(["exotel", "twilio"]);
+      expect(telephony.getAdapter("twilio")).toBeInstanceOf(TwilioAdapter);
+      expect(() => telephony.getAdapter("plivo")).toThrow("Unknown telephony provider: plivo");
+    });
+
+    test("should pick recording auth from the call source", () => {
+      const recording_url = "https://recordings.exotel.com/exo_1.mp3";
+      expect(telephony.getRecordingRequestOptions({ source: "twilio" }).auth.username).toBe("AC123");
+      expect(telephony.getRecordingRequestOptions({ source: "exotel_backfill", recording_url }).auth.username).toBe("key");
+      expect(telephony.getRecordingRequestOptions({ source: "mock", recording_url }).auth.username).toBe("key");
+      expect(telephony.getRecordingRequestOptions({ source: "mock", recording_url: "https://evil.example/x.mp3" })).toEqual({});
+    });
+  });
+});
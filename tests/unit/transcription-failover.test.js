@@ -0,0 +1,181 @@
+/**
+ * Unit Tests - Transcription Provider Failover
+ * Tests TranscriptionManager trying providers in priority order and recording each attempt
+ */
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  transcription: {
+    priority: ["elevenlabs", "sarvam", "groq"],
+    rateLimitCooldownSeconds: 60,
+  },
+  audio: {
+    stereoSplit: true,
+    channelSpeakers: ["agent", "customer"],
+  },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+const TranscriptionManager = require("../../src/services/transcription/transcription.manager");
+const DualChannelTranscriptionService = require("../../src/services/transcription/dual-channel.transcription.service");
+
+/**
+ * Fake provider that returns or throws whatever it is given
+ * @param {string} name - Provider name
+ * @param {Object|Error} outcome - Result to return, or error to throw
+ */
+const createProvider = (name, outcome) => ({
+  transcribe: jest.fn(async () => {
+    if (outcome instanceof Error) throw outcome;
+    return { provider: name, model: `${name}-model`, wordCount: 2, ...outcome };
+  }),
+  isValidFormat: jest.fn((audioPath) => !audioPath.endsWith(".flac") || name === "groq"),
+  getModelName: () => `${name}-model`,
+});
+
+const rateLimitError = () => Object.assign(new Error("Request failed with status code 429"), { status: 429 });
+
+describe("TranscriptionManager failover", () => {
+  test("should use the first provider in priority order", async () => {
+    const providers = {
+      groq: createProvider("groq", { text: "from groq" }),
+      elevenlabs: createProvider("elevenlabs", { text: "from elevenlabs" }),
+    };
+    const manager = new TranscriptionManager({ providers });
+
+    const result = await manager.transcribe("/tmp/call.mp3", { language: "hi" });
+
+    expect(result).toMatchObject({ text: "from elevenlabs", provider: "elevenlabs", failedProviders: [] });
+    expect(result.attempts).toEqual([
+      expect.objectContaining({ provider: "elevenlabs", model: "elevenlabs-model", success: true, reason: null }),
+    ]);
+    expect(providers.elevenlabs.transcribe).toHaveBeenCalledWith("/tmp/call.mp3", { language: "hi" });
+    expect(providers.groq.transcribe).not.toHaveBeenCalled();
+  });
+
+  test("should fail over on errors and empty transcripts", async () => {
+    const providers = {
+      elevenlabs: createProvider("elevenlabs", new Error("ElevenLabs API error: Internal Server Error")),
+      sarvam: createProvider("sarvam", { text: "   " }),
+      groq: createProvider("groq", { text: "from groq" }),
+    };
+    const manager = new TranscriptionManager({ providers });
+
+    const result = await manager.transcribe("/tmp/call.mp3");
+
+    expect(result.provider).toBe("groq");
+    expect(result.failedProviders).toEqual(["elevenlabs", "sarvam"]);
+    expect(result.attempts.map(({ provider, success, reason }) => ({ provider, success, reason }))).toEqual([
+      { provider: "elevenlabs", success: false, reason: "error" },
+      { provider: "sarvam", success: false, reason: "empty" },
+      { provider: "groq", success: true, reason: null },
+    ]);
+    expect(result.attempts[0].error).toBe("ElevenLabs API error: Internal Server Error");
+  });
+
+  test("should move rate-limited providers to the end until the cooldown passes", async () => {
+    const providers = {
+      elevenlabs: createProvider("elevenlabs", rateLimitError()),
+      sarvam: createProvider("sarvam", { text: "from sarvam" }),
+    };
+    const manager = new TranscriptionManager({ providers });
+
+    const first = await manager.transcribe("/tmp/call.mp3");
+    expect(first.attempts[0]).toMatchObject({ provider: "elevenlabs", reason: "rate_limit" });
+    expect(manager.isCoolingDown("elevenlabs")).toBe(true);
+    expect(manager.getProviderOrder()).toEqual(["sarvam", "elevenlabs"]);
+
+    const second = await manager.transcribe("/tmp/call.mp3");
+    expect(second.attempts).toHaveLength(1);
+    expect(providers.elevenlabs.transcribe).toHaveBeenCalledTimes(1);
+
+    manager.cooldowns.set("elevenlabs", Date.now() - 1);
+    expect(manager.getProviderOrder()).toEqual(["elevenlabs", "sarvam"]);
+  });
+
+  test("should recognise rate limits from the error message", () => {
+    const manager = new TranscriptionManager({ providers: {} });
+
+    expect(manager.classifyFailure(new Error("Groq rate limit reached for model"))).toBe("rate_limit");
+    expect(manager.classifyFailure(new Error("Too Many Requests"))).toBe("rate_limit");
+    expect(manager.classifyFailure({ message: "failed", response: { status: 429 } })).toBe("rate_limit");
+    expect(manager.classifyFailure(new Error("Invalid audio file"))).toBe("error");
+  });
+
+  test("should throw with every attempt when all providers fail", async () => {
+    const providers = {
+      elevenlabs: createProvider("elevenlabs", new Error("timeout")),
+      sarvam: createProvider("sarvam", { text: "" }),
+    };
+    const manager = new TranscriptionManager({ providers });
+
+    const error = await manager.transcribe("/tmp/call.mp3").catch((e) => e);
+
+    expect(error.message).toBe(
+      "All transcription providers failed: elevenlabs (timeout); sarvam (sarvam returned an empty transcript)"
+    );
+    expect(error.attempts.map((attempt) => attempt.reason)).toEqual(["error", "empty"]);
+  });
+
+  test("should honour a per-call priority and skip unconfigured providers", async () => {
+    const providers = {
+      elevenlabs: createProvider("elevenlabs", { text: "from elevenlabs" }),
+      groq: createProvider("groq", { text: "from groq" }),
+    };
+    const manager = new TranscriptionManager({ providers, priority: ["azure", "groq", "groq", "elevenlabs"] });
+
+    expect(manager.getProviderOrder()).toEqual(["groq", "elevenlabs"]);
+
+    const result = await manager.transcribe("/tmp/call.mp3", { providers: ["elevenlabs"] });
+    expect(result.provider).toBe("elevenlabs");
+    expect(providers.elevenlabs.transcribe).toHaveBeenCalledWith("/tmp/call.mp3", {});
+  });
+
+  test("should report availability and formats across the priority list", async () => {
+    const empty = new TranscriptionManager({ providers: {}, priority: ["elevenlabs"] });
+    expect(empty.isAvailable()).toBe(false);
+    await expect(empty.transcribe("/tmp/call.mp3")).rejects.toThrow("No transcription providers available");
+
+    const manager = new TranscriptionManager({
+      providers: { elevenlabs: createProvider("elevenlabs", {}), groq: createProvider("groq", {}) },
+    });
+    expect(manager.isAvailable()).toBe(true);
+    // Only groq accepts FLAC in this test
+    expect(manager.isValidFormat("/tmp/call.flac")).toBe(true);
+    expect(new TranscriptionManager({ providers: { elevenlabs: createProvider("elevenlabs", {}) } }).isValidFormat("/tmp/call.flac")).toBe(false);
+  });
+});
+
+describe("DualChannelTranscriptionService with failover", () => {
+  test("should merge provider attempts from both channels", () => {
+    const service = new DualChannelTranscriptionService({ transcriber: {} });
+    const channelResult = (channel, provider, failed) => ({
+      channel,
+      result: {
+        text: `${provider} text`,
+        provider,
+        model: `${provider}-model`,
+        wordCount: 2,
+        segments: [],
+        failedProviders: failed ? [failed] : [],
+        attempts: [
+          ...(failed ? [{ provider: failed, success: false, reason: "rate_limit" }] : []),
+          { provider, success: true, reason: null },
+        ],
+      },
+    });
+
+    const merged = service.mergeChannelResults([channelResult(0, "sarvam", "elevenlabs"), channelResult(1, "elevenlabs")]);
+
+    expect(merged.failedProviders).toEqual(["elevenlabs"]);
+    expect(merged.attempts).toEqual([
+      { provider: "elevenlabs", success: false, reason: "rate_limit", channel: 0 },
+      { provider: "sarvam", success: true, reason: null, channel: 0 },
+      { provider: "elevenlabs", success: true, reason: null, channel: 1 },
+    ]);
+    expect(merged.channels.map((channel) => channel.failedProviders)).toEqual([["elevenlabs"], []]);
+  });
+});
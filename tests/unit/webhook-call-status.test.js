@@ -0,0 +1,52 @@
+/**
+ * Unit Tests - Exotel Call Status Mapping
+ * Tests how unanswered call events map to call statuses
+ */
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  organization: { defaultId: "default" },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+const { resolveUnansweredStatus } = require("../../src/controllers/webhook.controller");
+
+describe("Exotel Call Status Mapping", () => {
+  test("should map busy dial status to busy", () => {
+    expect(
+      resolveUnansweredStatus({ direction: "incoming", call_type: "incomplete", dial_call_status: "busy" })
+    ).toBe("busy");
+  });
+
+  test("should map failed dial status to failed", () => {
+    expect(
+      resolveUnansweredStatus({ direction: "outbound", call_type: "incomplete", dial_call_status: "failed" })
+    ).toBe("failed");
+  });
+
+  test("should map unanswered incoming call to missed", () => {
+    expect(
+      resolveUnansweredStatus({ direction: "incoming", call_type: "incomplete" })
+    ).toBe("missed");
+    expect(
+      resolveUnansweredStatus({ direction: "incoming", call_type: "client-hangup" })
+    ).toBe("missed");
+    expect(
+      resolveUnansweredStatus({ direction: "inbound", dial_call_status: "no-answer" })
+    ).toBe("missed");
+  });
+
+  test("should map unanswered outgoing call to no_answer", () => {
+    expect(
+      resolveUnansweredStatus({ direction: "outbound", call_type: "incomplete", dial_call_status: "no-answer" })
+    ).toBe("no_answer");
+  });
+
+  test("should ignore events with unknown status", () => {
+    expect(resolveUnansweredStatus({ direction: "incoming", call_type: "in-progress" })).toBeNull();
+    expect(resolveUnansweredStatus({ direction: "incoming", call_type: "completed" })).toBeNull();
+  });
+});
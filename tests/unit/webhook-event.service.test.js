@@ -0,0 +1,184 @@
+/**
+ * Unit Tests - Webhook Event Service
+ * Tests raw event logging, outcome mapping and replay
+ */
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  organization: { defaultId: "default" },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+jest.mock("../../src/models", () => {
+  const events = new Map();
+  return {
+    WebhookEvent: {
+      events,
+      create: jest.fn((data) => {
+        const event = { id: `evt_${events.size + 1}`, outcome: "received", replay_count: 0, ...data };
+        events.set(event.id, event);
+        return event;
+      }),
+      findById: jest.fn((id) => events.get(id) || null),
+      findAll: jest.fn(() => Array.from(events.values())),
+      count: jest.fn(() => events.size),
+      recordOutcome: jest.fn((id, outcome) => {
+        Object.assign(events.get(id), outcome);
+        return events.get(id);
+      }),
+      markReplayed: jest.fn((id) => {
+        events.get(id).replay_count += 1;
+        return events.get(id);
+      }),
+    },
+  };
+});
+
+jest.mock("../../src/controllers/webhook.controller", () => ({
+  handleExotelWebhook: jest.fn(async (req, res) => {
+    if (!req.body.call_sid) {
+      return res.status(400).json({ error: "Bad Request", message: "Missing required field: call_sid" });
+    }
+    res.status(200).json({ status: "processed", call_id: `call_for_${req.body.call_sid}`, job_id: "job_1" });
+  }),
+}));
+
+const { WebhookEvent } = require("../../src/models");
+const { handleExotelWebhook } = require("../../src/controllers/webhook.controller");
+const WebhookEventService = require("../../src/services/webhook-event.service");
+
+describe("Webhook Event Service", () => {
+  let service;
+
+  beforeEach(() => {
+    service = new WebhookEventService();
+    WebhookEvent.events.clear();
+    jest.clearAllMocks();
+  });
+
+  describe("recordEvent", () => {
+    test("should store payload verbatim without credential headers", () => {
+      const payload = { call_sid: "sid_1", call_type: "completed" };
+
+      service.recordEvent({
+        provider: "exotel",
+        payload,
+        headers: { "content-type": "application/json", authorization: "Basic abc", "x-webhook-token": "s3cret" },
+        sourceIp: "203.0.113.10",
+      });
+
+      expect(WebhookEvent.create).toHaveBeenCalledWith({
+        provider: "exotel",
+        call_sid: "sid_1",
+        payload,
+        headers: { "content-type": "application/json" },
+        source_ip: "203.0.113.10",
+      });
+    });
+  });
+
+  describe("describeOutcome", () => {
+    test("should map handler responses to outcomes", () => {
+      expect(service.describeOutcome(200, { status: "processed" })).toBe("processed");
+      expect(service.describeOutcome(200, { status: "tracked" })).toBe("tracked");
+      expect(service.describeOutcome(200, { status: "ignored" })).toBe("ignored");
+      expect(service.describeOutcome(400, { error: "Bad Request" })).toBe("invalid");
+      expect(service.describeOutcome(500, { error: "Internal server error" })).toBe("error");
+    });
+  });
+
+  describe("recordOutcome", () => {
+    test("should store call_id and error message from the response", () => {
+      const event = service.recordEvent({ provider: "exotel", payload: {} });
+
+      service.recordOutcome(event.id, 500, { message: "Failed to process webhook" });
+
+      expect(WebhookEvent.recordOutcome).toHaveBeenCalledWith(event.id, {
+        outcome: "error",
+        call_id: undefined,
+        response_status: 500,
+        response_body: { message: "Failed to process webhook" },
+        error_message: "Failed to process webhook",
+      });
+    });
+  });
+
+  describe("replayEvent", () => {
+    test("should pass the stored payload through the handler and record the new outcome", async () => {
+      const event = service.recordEvent({ provider: "exotel", payload: { call_sid: "sid_2" } });
+      service.recordOutcome(event.id, 500, { message: "Failed to process webhook" });
+
+      const result = await service.replayEvent(event.id);
+
+      expect(handleExotelWebhook.mock.calls[0][0].body).toEqual({ call_sid: "sid_2" });
+      expect(result.response.status).toBe(200);
+      expect(result.event.outcome).toBe("processed");
+      expect(result.event.call_id).toBe("call_for_sid_2");
+      expect(result.event.replay_count).toBe(1);
+    });
+
+    test("should throw for unknown events", async () => {
+      await expect(service.replayEvent("missing")).rejects.toThrow("Webhook event not found");
+    });
+
+    test("should throw for providers without a handler", async () => {
+      const event = service.recordEvent({ provider: "unknown", payload: {} });
+      await expect(service.replayEvent(event.id)).rejects.toThrow(
+        "No webhook handler for provider: unknown"
+      );
+    });
+  });
+
+  describe("replayEvents", () => {
+    test("should replay each event and summarise the results", async () => {
+      const ok = service.recordEvent({ provider: "exotel", payload: { call_sid: "sid_3" } });
+      const bad = service.recordEvent({ provider: "exotel", payload: {} });
+
+      const result = await service.replayEvents({ eventIds: [ok.id, bad.id, "missing"] });
+
+      expect(result.total).toBe(3);
+      expect(result.replayed).toBe(1);
+      expect(result.failed).toBe(2);
+      expect(result.results[0]).toMatchObject({ eventId: ok.id, success: true, outcome: "processed" });
+      expect(result.results[1]).toMatchObject({ eventId: bad.id, success: false, outcome: "invalid" });
+      expect(result.results[2]).toMatchObject({ eventId: "missing", success: false });
+      expect(result).toMatchObject({ skipped: 0, outcome: null });
+    });
+
+    test("should cap explicit event ID lists at the limit", async () => {
+      const ids = ["sid_a", "sid_b", "sid_c"].map(
+        (callSid) => service.recordEvent({ provider: "exotel", payload: { call_sid: callSid } }).id
+      );
+
+      const result = await service.replayEvents({ eventIds: ids, limit: 2 });
+
+      expect(result.results.map((r) => r.eventId)).toEqual(ids.slice(0, 2));
+      expect(result).toMatchObject({ total: 2, skipped: 1 });
+      expect(handleExotelWebhook).toHaveBeenCalledTimes(2);
+    });
+
+    test("should select failed events unless an outcome filter is given", async () => {
+      await service.replayEvents({ provider: "exotel" });
+      expect(WebhookEvent.findAll).toHaveBeenLastCalledWith({
+        provider: "exotel",
+        outcome: ["error"],
+        limit: 100,
+        order: "ASC",
+      });
+
+      const result = await service.replayEvents({ outcome: "invalid", limit: 10 });
+      expect(WebhookEvent.findAll).toHaveBeenLastCalledWith({ outcome: ["invalid"], limit: 10, order: "ASC" });
+      expect(result.outcome).toEqual(["invalid"]);
+    });
+
+    test("should reject unknown outcomes", async () => {
+      await expect(service.replayEvents({ outcome: ["error", "failed"] })).rejects.toThrow(
+        "Invalid outcome: failed (expected received, processed, tracked, ignored, invalid, error)"
+      );
+      expect(WebhookEvent.findAll).not.toHaveBeenCalled();
+    });
+  });
+});
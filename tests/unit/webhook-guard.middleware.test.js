@@ -0,0 +1,213 @@
+/**
+ * Unit Tests - Webhook Guard Middleware
+ * Tests shared secret, IP allowlist and basic auth strategies
+ */
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+const {
+  createWebhookGuard,
+  registerStrategy,
+  getClientIp,
+} = require("../../src/middleware/webhook-guard.middleware");
+
+const buildReq = (overrides = {}) => ({
+  ip: "203.0.113.10",
+  path: "/exotel",
+  params: {},
+  query: {},
+  headers: {},
+  ...overrides,
+});
+
+const buildRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const basicHeader = (user, pass) =>
+  `Basic ${Buffer.from(`${user}:${pass}`).toString("base64")}`;
+
+const runGuard = (guard, req) => {
+  const res = buildRes();
+  const next = jest.fn();
+  guard(req, res, next);
+  return { res, next };
+};
+
+describe("Webhook Guard Middleware", () => {
+  test("should allow all requests when nothing is configured", () => {
+    const guard = createWebhookGuard({});
+    const { next } = runGuard(guard, buildReq());
+    expect(next).toHaveBeenCalled();
+  });
+
+  describe("Shared secret", () => {
+    const guard = createWebhookGuard({ secret: "s3cret", secretParam: "token" });
+
+    test("should accept secret in query string", () => {
+      const { next } = runGuard(guard, buildReq({ query: { token: "s3cret" } }));
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("should accept secret in path parameter", () => {
+      const { next } = runGuard(guard, buildReq({ params: { token: "s3cret" } }));
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("should accept secret in X-Webhook-Token header", () => {
+      const { next } = runGuard(guard, buildReq({ headers: { "x-webhook-token": "s3cret" } }));
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("should reject wrong or missing secret with 401", () => {
+      const wrong = runGuard(guard, buildReq({ query: { token: "nope" } }));
+      expect(wrong.next).not.toHaveBeenCalled();
+      expect(wrong.res.status).toHaveBeenCalledWith(401);
+
+      const missing = runGuard(guard, buildReq());
+      expect(missing.next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("IP allowlist", () => {
+    const guard = createWebhookGuard({
+      ipAllowlist: ["203.0.113.0/24", "198.51.100.7", "2001:db8::/32"],
+    });
+
+    test("should accept addresses inside a CIDR range", () => {
+      const { next } = runGuard(guard, buildReq({ ip: "203.0.113.200" }));
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("should accept IPv4-mapped IPv6 addresses", () => {
+      const { next } = runGuard(guard, buildReq({ ip: "::ffff:198.51.100.7" }));
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("should accept IPv6 ranges", () => {
+      const { next } = runGuard(guard, buildReq({ ip: "2001:db8::1" }));
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("should reject addresses outside the allowlist", () => {
+      const { next, res } = runGuard(guard, buildReq({ ip: "192.0.2.1" }));
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test("should use X-Forwarded-For only when trustProxy is set", () => {
+      const req = buildReq({
+        ip: "127.0.0.1",
+        headers: { "x-forwarded-for": "198.51.100.9, 203.0.113.5" },
+      });
+
+      expect(runGuard(guard, req).next).not.toHaveBeenCalled();
+
+      const proxied = createWebhookGuard({ ipAllowlist: ["203.0.113.0/24"], trustProxy: true });
+      expect(runGuard(proxied, req).next).toHaveBeenCalled();
+    });
+
+    test("should ignore X-Forwarded-For entries the client sent", () => {
+      const proxied = createWebhookGuard({ ipAllowlist: ["203.0.113.0/24"], trustProxy: true });
+      // The client claims an allowlisted address; the proxy appends the real one
+      const spoofed = buildReq({
+        ip: "127.0.0.1",
+        headers: { "x-forwarded-for": "203.0.113.5, 192.0.2.1" },
+      });
+
+      const { next, res } = runGuard(proxied, spoofed);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(getClientIp(spoofed, true)).toBe("192.0.2.1");
+    });
+
+    test("should skip the hops added by each trusted proxy", () => {
+      const req = buildReq({
+        ip: "127.0.0.1",
+        headers: { "x-forwarded-for": "203.0.113.5, 192.0.2.1, 10.0.0.2" },
+      });
+
+      expect(getClientIp(req, 2)).toBe("192.0.2.1");
+      // A shorter chain than configured was added entirely by trusted proxies
+      expect(getClientIp(req, 5)).toBe("203.0.113.5");
+      expect(getClientIp(req, 0)).toBe("127.0.0.1");
+    });
+  });
+
+  describe("Basic auth", () => {
+    const guard = createWebhookGuard({ basicAuth: { username: "exotel", password: "pa:ss" } });
+
+    test("should accept valid credentials", () => {
+      const req = buildReq({ headers: { authorization: basicHeader("exotel", "pa:ss") } });
+      expect(runGuard(guard, req).next).toHaveBeenCalled();
+    });
+
+    test("should reject invalid credentials", () => {
+      const req = buildReq({ headers: { authorization: basicHeader("exotel", "wrong") } });
+      expect(runGuard(guard, req).next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Combining strategies", () => {
+    const auth = {
+      secret: "s3cret",
+      ipAllowlist: ["203.0.113.0/24"],
+    };
+
+    test("should require every strategy in 'all' mode", () => {
+      const guard = createWebhookGuard({ ...auth, mode: "all" });
+      expect(runGuard(guard, buildReq({ query: { token: "s3cret" } })).next).toHaveBeenCalled();
+      expect(
+        runGuard(guard, buildReq({ ip: "192.0.2.1", query: { token: "s3cret" } })).next
+      ).not.toHaveBeenCalled();
+    });
+
+    test("should require one strategy in 'any' mode", () => {
+      const guard = createWebhookGuard({ ...auth, mode: "any" });
+      expect(runGuard(guard, buildReq({ ip: "192.0.2.1", query: { token: "s3cret" } })).next).toHaveBeenCalled();
+      expect(runGuard(guard, buildReq({ ip: "192.0.2.1" })).next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Custom strategies", () => {
+    test("should use registered strategies", () => {
+      registerStrategy("header", (req) =>
+        req.headers["x-custom"] === "yes" ? { ok: true } : { ok: false, reason: "no header" }
+      );
+      const guard = createWebhookGuard({ strategies: ["header"] });
+
+      expect(runGuard(guard, buildReq({ headers: { "x-custom": "yes" } })).next).toHaveBeenCalled();
+      expect(runGuard(guard, buildReq()).next).not.toHaveBeenCalled();
+    });
+
+    test("should throw for unknown strategies", () => {
+      expect(() => createWebhookGuard({ strategies: ["unknown"] })).toThrow(
+        "Unknown webhook guard strategy: unknown"
+      );
+    });
+
+    test("should throw at creation for listed strategies missing their settings", () => {
+      expect(() => createWebhookGuard({ strategies: ["basic"] }, { provider: "exotel" })).toThrow(
+        'Webhook guard strategy "basic" for exotel needs basic auth credentials'
+      );
+      expect(() => createWebhookGuard({ strategies: ["signature"], secret: "s3cret" })).toThrow(
+        'Webhook guard strategy "signature" for webhook needs a verifySignature function'
+      );
+      expect(() => createWebhookGuard({ strategies: ["secret", "ip"], secret: "s3cret" })).toThrow(
+        "needs an IP allowlist"
+      );
+      expect(() =>
+        createWebhookGuard({ strategies: ["basic"], basicAuth: { username: "exotel", password: "pass" } })
+      ).not.toThrow();
+    });
+  });
+});
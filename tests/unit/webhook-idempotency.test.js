@@ -0,0 +1,311 @@
+/**
+ * Unit Tests - Webhook Idempotency
+ * Tests call event locking, duplicate responses and exactly-once download queuing
+ */
+
+const fs = require("fs");
+const express = require("express");
+const request = require("supertest");
+const Database = require("better-sqlite3");
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  database: {
+    path: require("path").join(require("os").tmpdir(), `webhook-idempotency-${process.pid}.db`),
+  },
+  organization: { defaultId: "default" },
+  webhooks: { idempotencyWindowSeconds: 60, lockTimeoutMs: 30000, lockWaitMs: 2000 },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+jest.mock("../../src/config/queue", () => ({}));
+
+jest.mock("../../src/services", () => {
+  const WebhookIdempotencyService = jest.requireActual("../../src/services/webhook-idempotency.service");
+  return {
+    WebhookIdempotency: new WebhookIdempotencyService({ pollIntervalMs: 10 }),
+  };
+});
+
+const config = require("../../src/config");
+const { Call, WebhookIdempotency: IdempotencyModel } = require("../../src/models");
+const { WebhookIdempotency } = require("../../src/services");
+const CallService = require("../../src/services/call.service");
+const { idempotentWebhook } = require("../../src/middleware/webhook-idempotency.middleware");
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("Webhook Idempotency", () => {
+  let db;
+
+  beforeAll(() => {
+    db = new Database(config.database.path);
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS calls (
+        id TEXT PRIMARY KEY,
+        org_id TEXT NOT NULL,
+        agent_id TEXT,
+        exotel_call_sid TEXT UNIQUE,
+        recording_url TEXT,
+        local_audio_path TEXT,
+        duration_seconds INTEGER,
+        call_type TEXT,
+        caller_number TEXT,
+        callee_number TEXT,
+        direction TEXT,
+        status TEXT,
+        agent_attribution TEXT,
+        source TEXT DEFAULT 'exotel',
+        source_ref TEXT,
+        download_queued_at DATETIME,
+        download_job_id TEXT,
+        created_at DATETIME,
+        updated_at DATETIME
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_idempotency_keys (
+        key TEXT PRIMARY KEY,
+        provider TEXT NOT NULL,
+        call_sid TEXT NOT NULL,
+        status TEXT CHECK(status IN ('processing', 'completed')) DEFAULT 'processing',
+        call_id TEXT,
+        response_status INTEGER,
+        response_body TEXT,
+        locked_until DATETIME,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME
+      );
+    `);
+  });
+
+  beforeEach(() => {
+    db.exec("DELETE FROM calls; DELETE FROM webhook_idempotency_keys;");
+  });
+
+  afterAll(() => {
+    db.close();
+    for (const suffix of ["", "-wal", "-shm"]) {
+      fs.rmSync(config.database.path + suffix, { force: true });
+    }
+  });
+
+  describe("Call creation", () => {
+    const callData = {
+      org_id: "default",
+      exotel_call_sid: "sid_1",
+      recording_url: "https://example.com/sid_1.mp3",
+      status: "received",
+    };
+
+    test("should create a call once per CallSid", () => {
+      const first = Call.createIfNotExists(callData);
+      const second = Call.createIfNotExists(callData);
+
+      expect(first.created).toBe(true);
+      expect(second.created).toBe(false);
+      expect(second.call.id).toBe(first.call.id);
+    });
+
+    test("should attach a recording to a call tracked as unanswered", async () => {
+      const missed = Call.createIfNotExists({
+        ...callData,
+        recording_url: null,
+        call_type: "incomplete",
+        status: "missed",
+      });
+      const service = new CallService();
+
+      const call = await service.createCall({ ...callData, call_type: "completed", duration_seconds: 42 });
+
+      expect(call.id).toBe(missed.call.id);
+      expect(call).toMatchObject({
+        recording_url: callData.recording_url,
+        status: "received",
+        call_type: "completed",
+        duration_seconds: 42,
+      });
+
+      // Calls that already have a recording are left alone
+      const again = Call.createIfNotExists({ ...callData, recording_url: "https://example.com/other.mp3" });
+      expect(again).toMatchObject({ created: false, call: { recording_url: callData.recording_url } });
+      expect(again.upgraded).toBeUndefined();
+    });
+
+    test("should return the existing call from CallService.createCall", async () => {
+      const service = new CallService();
+      const [a, b] = await Promise.all([service.createCall(callData), service.createCall(callData)]);
+      expect(a.id).toBe(b.id);
+    });
+
+    test("should queue the download job exactly once", async () => {
+      const service = new CallService();
+      service.queueDownloadJob = jest.fn(async (callId, options) => {
+        await delay(20);
+        return { id: options.jobId };
+      });
+      const { call } = Call.createIfNotExists(callData);
+
+      const [first, second] = await Promise.all([
+        service.queueDownloadJobOnce(call.id),
+        service.queueDownloadJobOnce(call.id),
+      ]);
+      const third = await service.queueDownloadJobOnce(call.id);
+
+      expect(service.queueDownloadJob).toHaveBeenCalledTimes(1);
+      expect(first.id).toBe(`download-${call.id}`);
+      expect(second.duplicate).toBe(true);
+      expect(third).toEqual({ id: `download-${call.id}`, duplicate: true });
+    });
+
+    test("should release the download claim when queuing fails", async () => {
+      const service = new CallService();
+      service.queueDownloadJob = jest
+        .fn()
+        .mockRejectedValueOnce(new Error("Redis down"))
+        .mockResolvedValueOnce({ id: "job_2" });
+      const { call } = Call.createIfNotExists(callData);
+
+      await expect(service.queueDownloadJobOnce(call.id)).rejects.toThrow("Redis down");
+      await expect(service.queueDownloadJobOnce(call.id)).resolves.toEqual({ id: "job_2" });
+      expect(Call.findById(call.id).download_job_id).toBe("job_2");
+    });
+  });
+
+  describe("Idempotency keys", () => {
+    const acquire = (overrides = {}) =>
+      IdempotencyModel.acquire({
+        key: "exotel:sid_1",
+        provider: "exotel",
+        call_sid: "sid_1",
+        lockMs: 30000,
+        windowMs: 60000,
+        ...overrides,
+      });
+
+    test("should let only one delivery hold the lock", () => {
+      expect(acquire().acquired).toBe(true);
+      expect(acquire().acquired).toBe(false);
+      expect(WebhookIdempotency.begin("exotel", "sid_1").state).toBe("in_progress");
+    });
+
+    test("should take over stale locks and expired keys", () => {
+      acquire({ lockMs: -1 });
+      expect(acquire().acquired).toBe(true);
+
+      IdempotencyModel.complete("exotel:sid_1", { response_status: 200, response_body: {} });
+      expect(acquire().acquired).toBe(false);
+
+      db.prepare("UPDATE webhook_idempotency_keys SET expires_at = ?").run(new Date(0).toISOString());
+      expect(acquire().acquired).toBe(true);
+    });
+
+    test("should keep responses that created or tracked a call", () => {
+      WebhookIdempotency.begin("exotel", "sid_1");
+      expect(WebhookIdempotency.finish("exotel", "sid_1", undefined, 200, { status: "tracked", call_id: "call_1" })).toBe(true);
+
+      const result = WebhookIdempotency.begin("exotel", "sid_1");
+      expect(result.state).toBe("completed");
+      expect(result.record).toMatchObject({
+        call_id: "call_1",
+        response_status: 200,
+        response_body: { status: "tracked", call_id: "call_1" },
+      });
+    });
+
+    test("should key responses on the call event", () => {
+      WebhookIdempotency.begin("exotel", "sid_1", "missed");
+      WebhookIdempotency.finish("exotel", "sid_1", "missed", 200, { status: "tracked", call_id: "call_1" });
+
+      expect(WebhookIdempotency.begin("exotel", "sid_1", "missed").state).toBe("completed");
+      expect(WebhookIdempotency.begin("exotel", "sid_1", "received").state).toBe("acquired");
+      expect(IdempotencyModel.findByKey("exotel:sid_1:received")).toMatchObject({ call_sid: "sid_1" });
+    });
+
+    test("should release keys for ignored and failed deliveries", () => {
+      WebhookIdempotency.begin("exotel", "sid_1");
+      expect(WebhookIdempotency.finish("exotel", "sid_1", undefined, 200, { status: "ignored" })).toBe(false);
+      expect(WebhookIdempotency.begin("exotel", "sid_1").state).toBe("acquired");
+
+      expect(WebhookIdempotency.finish("exotel", "sid_1", undefined, 500, { error: "Internal server error" })).toBe(false);
+      expect(IdempotencyModel.findByKey("exotel:sid_1")).toBeNull();
+    });
+  });
+
+  describe("idempotentWebhook middleware", () => {
+    const buildApp = (handler) => {
+      const app = express();
+      app.post("/webhook", express.json(), idempotentWebhook("exotel"), handler);
+      return app;
+    };
+
+    test("should process concurrent deliveries once and replay the original response", async () => {
+      let processed = 0;
+      const app = buildApp(async (req, res) => {
+        processed += 1;
+        await delay(50);
+        res.status(200).json({ status: "processed", call_id: "call_1", job_id: "job_1" });
+      });
+
+      const payload = { call_sid: "sid_concurrent" };
+      const [first, second] = await Promise.all([
+        request(app).post("/webhook").send(payload),
+        request(app).post("/webhook").send(payload),
+      ]);
+      const third = await request(app).post("/webhook").send(payload);
+
+      expect(processed).toBe(1);
+      for (const response of [first, second, third]) {
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ status: "processed", call_id: "call_1", job_id: "job_1" });
+      }
+      expect([first, second].filter((r) => r.headers["idempotent-replayed"]).length).toBe(1);
+      expect(third.headers["idempotent-replayed"]).toBe("true");
+    });
+
+    test("should process the next delivery after an error", async () => {
+      const handler = jest
+        .fn()
+        .mockImplementationOnce((req, res) => res.status(500).json({ error: "Internal server error" }))
+        .mockImplementationOnce((req, res) => res.status(200).json({ status: "processed", call_id: "call_2" }));
+      const app = buildApp(handler);
+
+      const failed = await request(app).post("/webhook").send({ call_sid: "sid_retry" });
+      const retried = await request(app).post("/webhook").send({ call_sid: "sid_retry" });
+
+      expect(failed.status).toBe(500);
+      expect(retried.status).toBe(200);
+      expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    test("should process a recording sent after an unanswered event for the same call", async () => {
+      const app = express();
+      const handler = jest.fn((req, res) =>
+        res.status(200).json({ status: req.body.recording_url ? "processed" : "tracked", call_id: "call_3" })
+      );
+      const getEvent = (payload) => (payload.recording_url ? "received" : "missed");
+      app.post("/webhook", express.json(), idempotentWebhook("exotel", { getEvent }), handler);
+
+      const missed = await request(app).post("/webhook").send({ call_sid: "sid_late" });
+      const retried = await request(app).post("/webhook").send({ call_sid: "sid_late" });
+      const recorded = await request(app)
+        .post("/webhook")
+        .send({ call_sid: "sid_late", recording_url: "https://example.com/late.mp3" });
+
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(missed.body.status).toBe("tracked");
+      expect(retried.headers["idempotent-replayed"]).toBe("true");
+      expect(recorded.headers["idempotent-replayed"]).toBeUndefined();
+      expect(recorded.body.status).toBe("processed");
+    });
+
+    test("should pass payloads without a CallSid straight to the handler", async () => {
+      const app = buildApp((req, res) => res.status(400).json({ message: "Missing required field: call_sid" }));
+      const response = await request(app).post("/webhook").send({});
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Unit Tests - Local Whisper Provider
+ * Tests offline transcription through whisper.cpp and faster-whisper
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../../src/config", () => ({
+  nodeEnv: "test",
+  transcription: {
+    chunking: { enabled: false },
+  },
+  whisper: {
+    engine: "whisper.cpp",
+    binaryPath: "./missing/whisper-cli",
+    modelPath: "./missing/ggml-medium.bin",
+    pythonPath: "python3",
+    model: "medium",
+    computeType: "int8",
+    threads: 2,
+    concurrency: 1,
+    timeoutMs: 60000,
+  },
+  logging: {
+    level: "error",
+    filePath: "./test-storage/logs/test.log",
+  },
+}));
+
+const WhisperProvider = require("../../src/services/transcription/providers/whisper.provider");
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "whisper-provider-"));
+const binaryPath = path.join(tempRoot, "whisper-cli");
+const modelPath = path.join(tempRoot, "ggml-small.bin");
+fs.writeFileSync(binaryPath, "");
+fs.writeFileSync(modelPath, "");
+
+afterAll(() => {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+});
+
+// 16-bit mono PCM WAV of silence
+const writeWav = (name, seconds, sampleRate = 16000) => {
+  const data = Buffer.alloc(seconds * sampleRate * 2);
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(data.length, 40);
+  const filePath = path.join(tempRoot, name);
+  fs.writeFileSync(filePath, Buffer.concat([header, data]));
+  return filePath;
+};
+
+const WHISPER_CPP_OUTPUT = {
+  result: { language: "ml" },
+  transcription: [
+    { timestamps: { from: "00:00:00,000", to: "00:00:02,400" }, offsets: { from: 0, to: 2400 }, text: " Hello sir," },
+    { timestamps: { from: "00:00:02,400", to: "00:00:02,400" }, offsets: { from: 2400, to: 2400 }, text: " " },
+    { timestamps: { from: "00:00:02,400", to: "00:00:05,100" }, offsets: { from: 2400, to: 5100 }, text: " turf booking for Sunday?" },
+  ],
+};
+
+/**
+ * whisper.cpp stand-in that writes its JSON output where -of points
+ */
+const fakeWhisperCpp = (output = WHISPER_CPP_OUTPUT) =>
+  jest.fn(async (command, args) => {
+    const outputBase = args[args.indexOf("-of") + 1];
+    fs.writeFileSync(`${outputBase}.json`, JSON.stringify(output));
+    return "";
+  });
+
+describe("WhisperProvider", () => {
+  test("should be unavailable until the binary and model exist", () => {
+    const missing = new WhisperProvider();
+    expect(missing.initialize()).toBe(false);
+    expect(missing.isAvailable()).toBe(false);
+
+    const provider = new WhisperProvider({ whisper: { binaryPath, modelPath } });
+    expect(provider.initialize()).toBe(true);
+    expect(provider.isAvailable()).toBe(true);
+    expect(provider.getModelName()).toBe("ggml-small");
+
+    expect(new WhisperProvider({ whisper: { engine: "vosk" } }).initialize()).toBe(false);
+  });
+
+  test("should only use faster-whisper once Python can import it", () => {
+    const provider = new WhisperProvider({ whisper: { engine: "faster-whisper" } });
+    provider.probeFasterWhisper = jest.fn(() => false);
+    expect(provider.initialize()).toBe(false);
+
+    provider.probeFasterWhisper.mockReturnValue(true);
+    expect(provider.initialize()).toBe(true);
+    expect(provider.getModelName()).toBe("faster-whisper-medium");
+
+    const missingPython = new WhisperProvider({
+      whisper: { engine: "faster-whisper", pythonPath: path.join(tempRoot, "no-such-python") },
+    });
+    expect(missingPython.probeFasterWhisper()).toBe(false);
+    expect(missingPython.initialize()).toBe(false);
+  });
+
+  test("should list the Whisper languages", () => {
+    const languages = new WhisperProvider().getSupportedLanguages();
+
+    expect(languages).toHaveLength(100);
+    expect(languages).toEqual(expect.arrayContaining(["en", "ml", "ta", "hi", "sw", "haw", "yue"]));
+  });
+
+  test("should transcribe with whisper.cpp into timed segments", async () => {
+    const provider = new WhisperProvider({ whisper: { binaryPath, modelPath } });
+    provider.runCommand = fakeWhisperCpp();
+    const audioPath = writeWav("call.wav", 6);
+
+    const result = await provider.transcribe(audioPath, { language: "ml-IN" });
+
+    expect(provider.runCommand).toHaveBeenCalledWith(binaryPath, [
+      "-m",
+      modelPath,
+      "-f",
+      audioPath,
+      "-l",
+      "ml",
+      "-t",
+      "2",
+      "-oj",
+      "-of",
+      path.join(tempRoot, "call.whisper"),
+      "-np",
+    ]);
+    expect(result).toMatchObject({
+      text: "Hello sir, turf booking for Sunday?",
+      language: "ml",
+      duration: 5.1,
+      wordCount: 6,
+      confidence: null,
+      provider: "whisper",
+      model: "ggml-small",
+    });
+    expect(result.segments).toEqual([
+      { id: 0, start: 0, end: 2.4, text: "Hello sir,", confidence: null },
+      { id: 1, start: 2.4, end: 5.1, text: "turf booking for Sunday?", confidence: null },
+    ]);
+    // The JSON output is removed
+    expect(fs.existsSync(path.join(tempRoot, "call.whisper.json"))).toBe(false);
+  });
+
+  test("should convert other audio to 16 kHz mono WAV for whisper.cpp", async () => {
+    const audioProcessing = {
+      runFfmpeg: jest.fn(async (args) => {
+        writeWav(path.basename(args[args.length - 1]), 1);
+      }),
+    };
+    const provider = new WhisperProvider({ whisper: { binaryPath, modelPath }, audioProcessing });
+    provider.runCommand = fakeWhisperCpp();
+    const audioPath = writeWav("narrowband.wav", 2, 8000);
+    const wavPath = path.join(tempRoot, "narrowband.whisper.wav");
+
+    await provider.transcribe(audioPath);
+
+    expect(audioProcessing.runFfmpeg).toHaveBeenCalledWith(expect.arrayContaining(["-i", audioPath, "-ar", "16000", wavPath]));
+    const args = provider.runCommand.mock.calls[0][1];
+    expect(args[args.indexOf("-f") + 1]).toBe(wavPath);
+    // Language is detected when not given
+    expect(args[args.indexOf("-l") + 1]).toBe("auto");
+    expect(fs.existsSync(wavPath)).toBe(false);
+  });
+
+  test("should transcribe with faster-whisper", async () => {
+    const provider = new WhisperProvider({ whisper: { engine: "faster-whisper", model: "large-v3" } });
+    provider.probeFasterWhisper = jest.fn(() => true);
+    provider.runCommand = jest.fn(async () =>
+      [
+        "Loading model",
+        JSON.stringify({
+          language: "en",
+          language_probability: 0.97,
+          duration: 4.2,
+          segments: [
+            { id: 1, start: 0.5, end: 2.0, text: " Is the turf free", avg_logprob: -0.1 },
+            { id: 2, start: 2.2, end: 3.9, text: " on Sunday?", avg_logprob: null },
+          ],
+        }),
+      ].join("\n")
+    );
+    const audioPath = writeWav("english.wav", 4);
+
+    const result = await provider.transcribe(audioPath, { language: "en" });
+
+    const [command, args] = provider.runCommand.mock.calls[0];
+    expect(command).toBe("python3");
+    expect(args.slice(2)).toEqual([audioPath, "large-v3", "en", "int8", "2"]);
+    expect(result).toMatchObject({
+      text: "Is the turf free on Sunday?",
+      language: "en",
+      duration: 4.2,
+      model: "faster-whisper-large-v3",
+    });
+    expect(result.segments[0]).toEqual({ id: 0, start: 0.5, end: 2.0, text: "Is the turf free", confidence: expect.closeTo(0.905, 3) });
+    expect(result.segments[1].confidence).toBeNull();
+  });
+
+  test("should report process failures", async () => {
+    const provider = new WhisperProvider({ whisper: { binaryPath: path.join(tempRoot, "no-such-binary"), modelPath } });
+    provider.ready = true;
+    const audioPath = writeWav("failing.wav", 1);
+
+    await expect(provider.transcribe(audioPath)).rejects.toThrow(/^Whisper failed: .*no-such-binary not found$/);
+    await expect(provider.transcribe(path.join(tempRoot, "missing.wav"))).rejects.toThrow("Audio file not found");
+  });
+
+  test("should run one chunk at a time by default", () => {
+    const provider = new WhisperProvider({ chunking: { enabled: true, concurrency: 3 } });
+
+    expect(provider.chunking).toMatchObject({ enabled: true, concurrency: 1 });
+  });
+});